@@ -0,0 +1,127 @@
+/**
+ * Price conversion for routes accepting several assets, like
+ * servers/express/paywall/assets.js: a USD price becomes an amount of each accepted
+ * asset, from a price oracle.
+ */
+
+import { Price } from "./pricing";
+
+// Oracle prices are kept to this many decimals, USD prices to micro-dollars
+const ORACLE_PRICE_DECIMALS = 12;
+const USD_DECIMALS = 6;
+
+// Offline prices, in USD per whole unit, used when no table is configured
+export const DEFAULT_PRICE_TABLE: Record<string, number> = {
+  USDC: 1,
+  USDT: 1,
+  SOL: 150,
+};
+
+export interface AcceptedAsset {
+  asset: string;
+  symbol?: string;
+  decimals: number;
+}
+
+export interface PriceOracle {
+  usdPrice(asset: AcceptedAsset): Promise<number | null>;
+}
+
+/**
+ * A price oracle reading a fixed table of USD prices keyed by symbol or asset address.
+ */
+export class StaticPriceOracle implements PriceOracle {
+  /**
+   * Creates the oracle.
+   *
+   * @param prices - USD per whole unit, by symbol or asset address
+   */
+  constructor(private prices: Record<string, number> = DEFAULT_PRICE_TABLE) {}
+
+  /**
+   * The USD price of one whole unit of an asset.
+   *
+   * @param asset - The accepted asset
+   * @param asset.asset - Its mint, or SOL
+   * @param asset.symbol - Its symbol
+   * @returns The price, or null if the table has none
+   */
+  async usdPrice({ asset, symbol }: AcceptedAsset): Promise<number | null> {
+    return (symbol ? this.prices[symbol] : undefined) ?? this.prices[asset] ?? null;
+  }
+}
+
+/**
+ * Reads a price table: "SYMBOL=usd" pairs, comma-separated, on top of the default table.
+ *
+ * @param table - The table, e.g. "SOL=150,BONK=0.00002"
+ * @returns The prices by symbol or asset address
+ */
+export function parsePriceTable(table = ""): Record<string, number> {
+  const prices = { ...DEFAULT_PRICE_TABLE };
+
+  for (const entry of table
+    .split(",")
+    .map(pair => pair.trim())
+    .filter(Boolean)) {
+    const [key, value] = entry.split("=").map(part => part.trim());
+    const usd = Number(value);
+    if (!key || !Number.isFinite(usd) || usd <= 0) {
+      throw new Error(`Invalid PRICE_TABLE entry: ${entry}`);
+    }
+    prices[key] = usd;
+  }
+
+  return prices;
+}
+
+/**
+ * The amount of an asset worth a USD price, rounded up so the payment covers it.
+ *
+ * @param usd - The USD price
+ * @param usdPerUnit - The USD price of one whole unit of the asset
+ * @param decimals - The asset's decimals
+ * @returns The amount in base units
+ */
+export function convertUsd(usd: number, usdPerUnit: number, decimals: number): bigint {
+  const micros = BigInt(Math.round(usd * 10 ** USD_DECIMALS));
+  const unitPrice = BigInt(Math.round(usdPerUnit * 10 ** ORACLE_PRICE_DECIMALS));
+  if (unitPrice <= BigInt(0)) {
+    throw new Error(`Invalid oracle price: ${usdPerUnit}`);
+  }
+
+  const numerator = micros * BigInt(10) ** BigInt(decimals + ORACLE_PRICE_DECIMALS - USD_DECIMALS);
+  return (numerator + unitPrice - BigInt(1)) / unitPrice;
+}
+
+/**
+ * The price of a route in each accepted asset the oracle can price, in order; the first
+ * one is the default.
+ *
+ * @param usd - The USD price
+ * @param assets - The accepted assets
+ * @param oracle - The price oracle
+ * @returns The amount (in base units) and asset of each price
+ */
+export async function priceInAssets(
+  usd: number,
+  assets: AcceptedAsset[],
+  oracle: PriceOracle,
+): Promise<Price[]> {
+  const prices: Price[] = [];
+
+  for (const accepted of assets) {
+    const usdPerUnit = await oracle.usdPrice(accepted);
+    if (usdPerUnit) {
+      prices.push({
+        amount: Number(convertUsd(usd, usdPerUnit, accepted.decimals)),
+        asset: accepted.asset,
+      });
+    }
+  }
+
+  if (prices.length === 0) {
+    throw new Error(`No price for any of ${assets.map(a => a.symbol ?? a.asset).join(", ")}`);
+  }
+  return prices;
+}
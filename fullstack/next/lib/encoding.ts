@@ -0,0 +1,25 @@
+/**
+ * Encodes bytes as base64url without padding, as used in tokens.
+ *
+ * @param bytes - The bytes to encode
+ * @returns The base64url text
+ */
+export function encodeBase64Url(bytes: Uint8Array): string {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes base64url text, with or without padding.
+ *
+ * @param segment - The base64url text
+ * @returns The decoded bytes
+ */
+export function decodeBase64Url(segment: string): Uint8Array<ArrayBuffer> {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
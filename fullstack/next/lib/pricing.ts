@@ -0,0 +1,221 @@
+/**
+ * Dynamic prices for the payment middleware, like servers/express/paywall/pricing.js:
+ * each request is priced by a function, and the price is quoted in the 402 as a signed
+ * quote that the payment is then checked against.
+ */
+
+import { NextRequest, NextResponse } from "next/server";
+import { TokenErrorReason, decodeToken, importHmacKey, signToken } from "./tokens";
+
+export const QUOTE_HEADER = "X-PAYMENT-QUOTE";
+export const QUOTE_COOKIE = "x402-quote";
+
+// Paywalls kept per distinct price; the oldest is dropped past this many
+const MAX_CACHED_PAYWALLS = 100;
+
+export type QuoteRejectedReason = TokenErrorReason | "expired" | "wrong_resource";
+
+export interface Price {
+  amount: string | number;
+  asset: string;
+}
+
+export interface PriceQuote extends Price {
+  resource: string;
+  exp: number;
+}
+
+// An entry of the 402's accepts, as far as quoting is concerned
+type PaymentRequirements = { [field: string]: unknown; extra?: object | null };
+
+export type Paywall = (request: NextRequest) => Promise<NextResponse>;
+
+export interface DynamicPricingOptions {
+  price: (request: NextRequest) => Promise<Price | Price[]>;
+  quotes: PriceQuotes;
+  resource?: (request: NextRequest) => string;
+}
+
+/**
+ * Signed price quotes: the amount and asset computed for a resource, valid for a while.
+ */
+export class PriceQuotes {
+  private key: Promise<CryptoKey>;
+
+  /**
+   * Creates the quote issuer.
+   *
+   * @param secret - The HMAC secret
+   * @param ttlSeconds - How long a quote is valid
+   * @param now - The clock, in milliseconds
+   */
+  constructor(
+    secret: string,
+    public ttlSeconds = 300,
+    private now: () => number = () => Date.now(),
+  ) {
+    this.key = importHmacKey(secret);
+  }
+
+  /**
+   * Quotes a price for a resource.
+   *
+   * @param quote - The resource and its price
+   * @returns The signed quote
+   */
+  async issue(quote: Price & { resource: string }): Promise<string> {
+    return signToken(await this.key, {
+      resource: quote.resource,
+      amount: quote.amount,
+      asset: quote.asset,
+      exp: Math.floor(this.now() / 1000) + this.ttlSeconds,
+    });
+  }
+
+  /**
+   * Checks a quote for a resource.
+   *
+   * @param token - The signed quote
+   * @param resource - The resource being paid for
+   * @returns The quote, or the reason it isn't valid
+   */
+  async verify(
+    token: string,
+    resource: string,
+  ): Promise<{ quote?: PriceQuote; reason?: QuoteRejectedReason }> {
+    const { claims, reason } = await decodeToken<PriceQuote>(await this.key, token);
+    if (!claims) {
+      return { reason };
+    }
+    if (claims.resource !== resource) {
+      return { reason: "wrong_resource" };
+    }
+    if (claims.exp * 1000 <= this.now()) {
+      return { reason: "expired" };
+    }
+    return { quote: claims };
+  }
+}
+
+/**
+ * Puts the quotes in the response: extra.quote of the payment requirements of a JSON
+ * 402 body, and the default (first) one in the header and cookie. The paywall's
+ * requirements are for the first price; each other price gets a copy of them with its
+ * own asset and amount (in base units).
+ *
+ * @param response - The paywall's response
+ * @param prices - The quoted prices
+ * @param tokens - The signed quote of each price
+ * @param request - The request the quotes are for
+ * @param ttlSeconds - How long the quotes are valid
+ * @returns The response carrying the quotes
+ */
+async function bindQuotes(
+  response: NextResponse,
+  prices: Price[],
+  tokens: string[],
+  request: NextRequest,
+  ttlSeconds: number,
+): Promise<NextResponse> {
+  let bound = response;
+
+  if (
+    response.status === 402 &&
+    response.headers.get("Content-Type")?.includes("application/json")
+  ) {
+    const body = await response.json();
+    const key = Array.isArray(body.accepts) ? "accepts" : "paymentRequirements";
+    const requirements: PaymentRequirements[] = Array.isArray(body[key])
+      ? body[key]
+      : [body[key]].filter(Boolean);
+    if (requirements.length > 0) {
+      const bind = (entry: PaymentRequirements, quote: string) => ({
+        ...entry,
+        extra: { ...entry.extra, quote },
+      });
+      const quoted = [
+        ...requirements.map(entry => bind(entry, tokens[0])),
+        ...prices
+          .slice(1)
+          .map(({ amount, asset }, i) =>
+            bind({ ...requirements[0], asset, maxAmountRequired: String(amount) }, tokens[i + 1]),
+          ),
+      ];
+      body[key] = Array.isArray(body[key]) || quoted.length > 1 ? quoted : quoted[0];
+    }
+    bound = NextResponse.json(body, { status: 402, headers: response.headers });
+  }
+
+  bound.headers.set(QUOTE_HEADER, tokens[0]);
+  bound.cookies.set(QUOTE_COOKIE, tokens[0], {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: request.nextUrl.protocol === "https:",
+    path: request.nextUrl.pathname,
+    maxAge: ttlSeconds,
+  });
+  return bound;
+}
+
+/**
+ * Prices each request with options.price, and builds the paywall charging that price
+ * with createPaywall. The price function can return one price per accepted asset (see
+ * priceInAssets), the first being the default, and the 402 then lists them all. A
+ * payment (X-PAYMENT) sent back with the quote of the requirements it pays
+ * (X-PAYMENT-QUOTE header or x402-quote cookie) is verified and settled at the quoted
+ * price and asset, not a recomputed one; without a valid quote it gets a new 402.
+ *
+ * @param createPaywall - Builds the payment middleware for a price
+ * @param options - How requests are priced and quoted
+ * @param options.price - Prices a request: one price, or one per accepted asset
+ * @param options.quotes - Signs and checks the quotes sent in the 402
+ * @param options.resource - The resource a quote is bound to (default: path and query)
+ * @returns The priced payment middleware
+ */
+export function dynamicPricing(
+  createPaywall: (price: Price) => Paywall,
+  {
+    price,
+    quotes,
+    resource = request => request.nextUrl.pathname + request.nextUrl.search,
+  }: DynamicPricingOptions,
+): Paywall {
+  const paywalls = new Map<string, Paywall>();
+  const paywallFor = ({ amount, asset }: Price): Paywall => {
+    const key = JSON.stringify([amount, asset]);
+    let paywall = paywalls.get(key);
+    if (!paywall) {
+      if (paywalls.size >= MAX_CACHED_PAYWALLS) {
+        const [oldest] = paywalls.keys();
+        paywalls.delete(oldest);
+      }
+      paywall = createPaywall({ amount, asset });
+      paywalls.set(key, paywall);
+    }
+    return paywall;
+  };
+
+  return async request => {
+    const quoted = resource(request);
+
+    if (request.headers.has("X-PAYMENT")) {
+      const token = request.headers.get(QUOTE_HEADER) ?? request.cookies.get(QUOTE_COOKIE)?.value;
+      const { quote } = token ? await quotes.verify(token, quoted) : {};
+      if (quote) {
+        return paywallFor(quote)(request);
+      }
+
+      // Unquoted payments are not priced again: the payer gets a quote to pay against
+      const headers = new Headers(request.headers);
+      headers.delete("X-PAYMENT");
+      request = new NextRequest(request.url, { method: request.method, headers });
+    }
+
+    const prices = ([] as Price[]).concat(await price(request));
+    const tokens = await Promise.all(
+      prices.map(({ amount, asset }) => quotes.issue({ resource: quoted, amount, asset })),
+    );
+    const response = await paywallFor(prices[0])(request);
+    return bindQuotes(response, prices, tokens, request, quotes.ttlSeconds);
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Offline checks of the facilitator's settlement receipts: EdDSA JWTs signed by its
+ * receipt key (see servers/express/facilitator/receipts.js). Only Web Crypto is used,
+ * so they run in middleware.
+ */
+
+import { decodeBase64Url } from "./encoding";
+import { Price } from "./pricing";
+
+export const RECEIPT_COOKIE = "x402-receipt";
+export const RECEIPT_HEADER = "X-PAYMENT-RECEIPT";
+
+// Issued-at times this far in the future, or expiries this far in the past, are tolerated
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+export interface ReceiptClaims {
+  iss: string;
+  iat: number;
+  exp: number;
+  resource: string | null;
+  network: string;
+  payer: string;
+  payTo: string;
+  amount: string;
+  asset: string;
+  transaction: string;
+}
+
+export interface VerifyReceiptOptions {
+  issuers: string[];
+  resource?: (resource: string | null) => boolean;
+  payTo?: string;
+  price?: Price | Price[];
+  now?: number;
+}
+
+/**
+ * Decodes a base58 string, such as a Solana public key.
+ *
+ * @param value - The base58 string
+ * @returns The decoded bytes
+ */
+function decodeBase58(value: string): Uint8Array<ArrayBuffer> {
+  const bytes: number[] = [];
+
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      throw new Error(`Invalid base58 character ${char}`);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (const char of value) {
+    if (char !== "1") {
+      break;
+    }
+    bytes.push(0);
+  }
+
+  return Uint8Array.from(bytes.reverse());
+}
+
+/**
+ * Whether a receipt paid at least the price of the asset it was paid in.
+ *
+ * @param claims - The receipt's claims
+ * @param price - The price, or the price in each accepted asset
+ * @returns True if one of the prices is in the receipt's asset and covered by its amount
+ */
+function coversPrice(claims: ReceiptClaims, price: Price | Price[]): boolean {
+  const required = ([] as Price[]).concat(price).find(entry => entry.asset === claims.asset);
+  return (
+    required !== undefined &&
+    /^\d+$/.test(claims.amount) &&
+    BigInt(claims.amount) >= BigInt(required.amount)
+  );
+}
+
+/**
+ * Checks a receipt without any network call: signed by one of the trusted issuers,
+ * not expired, for a matching resource, and for a payment to payTo of at least price.
+ *
+ * @param token - The receipt, as returned by the facilitator's /settle
+ * @param options - What the receipt is checked against
+ * @param options.issuers - The trusted issuer keys (base58)
+ * @param options.resource - Whether the receipt's resource is one it may unlock
+ * @param options.payTo - The address the payment must have gone to
+ * @param options.price - What the payment must have covered, in base units of its asset
+ * @param options.now - The current time, in milliseconds
+ * @returns The receipt's claims, or null if it isn't valid
+ */
+export async function verifyReceipt(
+  token: string,
+  { issuers, resource, payTo, price, now = Date.now() }: VerifyReceiptOptions,
+): Promise<ReceiptClaims | null> {
+  const segments = token.split(".");
+  if (segments.length !== 3) {
+    return null;
+  }
+
+  try {
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(decodeBase64Url(segments[0])));
+    const claims: ReceiptClaims = JSON.parse(decoder.decode(decodeBase64Url(segments[1])));
+    if (header.alg !== "EdDSA" || !issuers.includes(claims.iss)) {
+      return null;
+    }
+
+    const key = await crypto.subtle.importKey(
+      "raw",
+      decodeBase58(claims.iss),
+      { name: "Ed25519" },
+      false,
+      ["verify"],
+    );
+    const valid = await crypto.subtle.verify(
+      { name: "Ed25519" },
+      key,
+      decodeBase64Url(segments[2]),
+      new TextEncoder().encode(`${segments[0]}.${segments[1]}`),
+    );
+
+    const nowSeconds = now / 1000;
+    if (
+      !valid ||
+      claims.exp + CLOCK_TOLERANCE_SECONDS < nowSeconds ||
+      claims.iat - CLOCK_TOLERANCE_SECONDS > nowSeconds
+    ) {
+      return null;
+    }
+    if (resource && !resource(claims.resource)) {
+      return null;
+    }
+    if ((payTo !== undefined && claims.payTo !== payTo) || (price && !coversPrice(claims, price))) {
+      return null;
+    }
+
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The receipt in an X-PAYMENT-RESPONSE header (the base64 JSON settle response).
+ *
+ * @param header - The header value, if any
+ * @returns The receipt, or null if there is none
+ */
+export function receiptFromPaymentResponse(header: string | null): string | null {
+  if (!header) {
+    return null;
+  }
+
+  try {
+    const { receipt } = JSON.parse(atob(header));
+    return typeof receipt === "string" ? receipt : null;
+  } catch {
+    return null;
+  }
+}
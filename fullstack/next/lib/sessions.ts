@@ -0,0 +1,230 @@
+/**
+ * Time-bound access after payment, like servers/express/paywall/sessions.js: one
+ * settled payment grants the payer a session for a route, as an HMAC-signed token.
+ * Expiry, request limits and revocation are enforced by the in-memory SessionStore,
+ * so a multi-instance deployment needs a shared store instead.
+ */
+
+import { TokenErrorReason, decodeToken, importHmacKey, signToken } from "./tokens";
+
+export const SESSION_COOKIE = "x402-session";
+export const SESSION_TOKEN_HEADER = "X-ACCESS-TOKEN";
+
+export type SessionDeniedReason =
+  | TokenErrorReason
+  | "wrong_scope"
+  | "unknown_session"
+  | "expired"
+  | "revoked"
+  | "request_limit_reached";
+
+export interface AccessSession {
+  id: string;
+  payer: string;
+  scope: string;
+  transaction: string | null;
+  createdAt: number;
+  expiresAt: number;
+  maxRequests: number | null;
+  requests: number;
+  revoked: boolean;
+}
+
+interface SessionClaims {
+  sid: string;
+  payer: string;
+  scope: string;
+  exp: number;
+}
+
+export interface SessionCheck {
+  session?: AccessSession;
+  reason?: SessionDeniedReason;
+}
+
+/**
+ * Server-side state of access sessions: expiry, request count and revocation.
+ */
+export class SessionStore {
+  private sessions = new Map<string, AccessSession>();
+
+  /**
+   * Creates a store.
+   *
+   * @param now - The clock, in milliseconds
+   */
+  constructor(private now: () => number = () => Date.now()) {}
+
+  /**
+   * Starts a session.
+   *
+   * @param options - The payer, scope, settled transaction, duration and request cap (0: none)
+   * @param options.payer - The payer's address
+   * @param options.scope - The route the session grants access to
+   * @param options.transaction - The transaction that paid for it
+   * @param options.durationSeconds - How long the session lasts
+   * @param options.maxRequests - How many requests it allows (0: no cap)
+   * @returns The new session
+   */
+  create({
+    payer,
+    scope,
+    transaction,
+    durationSeconds,
+    maxRequests,
+  }: {
+    payer: string;
+    scope: string;
+    transaction?: string;
+    durationSeconds: number;
+    maxRequests: number;
+  }): AccessSession {
+    const createdAt = this.now();
+    const session: AccessSession = {
+      id: crypto.randomUUID(),
+      payer,
+      scope,
+      transaction: transaction ?? null,
+      createdAt,
+      expiresAt: createdAt + durationSeconds * 1000,
+      maxRequests: maxRequests || null,
+      requests: 0,
+      revoked: false,
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Counts a request against a session.
+   *
+   * @param id - The session ID
+   * @returns The session while it grants access, otherwise the reason it doesn't
+   */
+  use(id: string): SessionCheck {
+    const session = this.sessions.get(id);
+
+    if (!session) {
+      return { reason: "unknown_session" };
+    }
+    if (session.revoked) {
+      return { reason: "revoked" };
+    }
+    if (session.expiresAt <= this.now()) {
+      return { reason: "expired" };
+    }
+    if (session.maxRequests && session.requests >= session.maxRequests) {
+      return { reason: "request_limit_reached" };
+    }
+
+    session.requests++;
+    return { session };
+  }
+
+  /**
+   * Ends a session.
+   *
+   * @param id - The session ID
+   * @returns Whether the session existed
+   */
+  revoke(id: string): boolean {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.revoked = true;
+    }
+    return Boolean(session);
+  }
+
+  /**
+   * Ends every session of a payer.
+   *
+   * @param payer - The payer's address
+   * @returns How many sessions were ended
+   */
+  revokePayer(payer: string): number {
+    let revoked = 0;
+    for (const session of this.sessions.values()) {
+      if (session.payer === payer && !session.revoked) {
+        session.revoked = true;
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+}
+
+/**
+ * Issues and checks session tokens: base64url claims and their HMAC-SHA256.
+ */
+export class AccessSessions {
+  private key: Promise<CryptoKey>;
+
+  /**
+   * Creates the session issuer.
+   *
+   * @param secret - The HMAC secret
+   * @param store - Where sessions are tracked
+   */
+  constructor(
+    secret: string,
+    public store: SessionStore = new SessionStore(),
+  ) {
+    this.key = importHmacKey(secret);
+  }
+
+  /**
+   * The token of a session.
+   *
+   * @param session - The session
+   * @returns The signed token
+   */
+  async issue(session: AccessSession): Promise<string> {
+    const claims: SessionClaims = {
+      sid: session.id,
+      payer: session.payer,
+      scope: session.scope,
+      exp: Math.floor(session.expiresAt / 1000),
+    };
+    return signToken(await this.key, claims);
+  }
+
+  /**
+   * Checks a token for a scope and counts the request.
+   *
+   * @param token - The session token
+   * @param scope - The route being accessed
+   * @returns The session, or the reason the token grants no access
+   */
+  async verify(token: string, scope: string): Promise<SessionCheck> {
+    const { claims, reason } = await decodeToken<SessionClaims>(await this.key, token);
+    if (!claims) {
+      return { reason };
+    }
+    if (claims.scope !== scope) {
+      return { reason: "wrong_scope" };
+    }
+    return this.store.use(claims.sid);
+  }
+}
+
+/**
+ * The settle response in an X-PAYMENT-RESPONSE header, if the payment succeeded.
+ *
+ * @param header - The header value, if any
+ * @returns The payer and transaction, or null
+ */
+export function settledPayment(
+  header: string | null,
+): { payer: string; transaction?: string } | null {
+  if (!header) {
+    return null;
+  }
+
+  try {
+    const settlement = JSON.parse(atob(header));
+    return settlement.success && settlement.payer ? settlement : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * HMAC-signed tokens, as in servers/express/paywall/tokens.js: the base64url JSON of
+ * their claims and its HMAC-SHA256.
+ */
+
+import { decodeBase64Url, encodeBase64Url } from "./encoding";
+
+export type TokenErrorReason = "malformed" | "invalid_signature";
+
+/**
+ * Imports an HMAC-SHA256 key.
+ *
+ * @param secret - The secret
+ * @returns The key, for signing and verifying
+ */
+export function importHmacKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"],
+  );
+}
+
+/**
+ * Signs claims into a token.
+ *
+ * @param key - The HMAC key
+ * @param claims - The claims
+ * @returns The token
+ */
+export async function signToken(key: CryptoKey, claims: object): Promise<string> {
+  const payload = encodeBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload));
+  return `${payload}.${encodeBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Checks a token's signature and reads its claims.
+ *
+ * @param key - The HMAC key
+ * @param token - The token
+ * @returns The claims, or the reason the token isn't valid
+ */
+export async function decodeToken<Claims>(
+  key: CryptoKey,
+  token: string,
+): Promise<{ claims?: Claims; reason?: TokenErrorReason }> {
+  const [payload, signature, extra] = token.split(".");
+  if (!payload || !signature || extra !== undefined) {
+    return { reason: "malformed" };
+  }
+
+  try {
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      key,
+      decodeBase64Url(signature),
+      new TextEncoder().encode(payload),
+    );
+    if (!valid) {
+      return { reason: "invalid_signature" };
+    }
+    return { claims: JSON.parse(new TextDecoder().decode(decodeBase64Url(payload))) };
+  } catch {
+    return { reason: "malformed" };
+  }
+}
@@ -1,26 +1,207 @@
+import { NextRequest, NextResponse } from "next/server";
 import { solanaPaymentMiddleware } from "@cheapay/x402-next";
-import { Resource } from "@cheapay/x402/types";
+import { TokenMint } from "@cheapay/x402";
+import { Price, PriceQuotes, dynamicPricing } from "./lib/pricing";
+import { AcceptedAsset, StaticPriceOracle, parsePriceTable, priceInAssets } from "./lib/assets";
+import {
+  RECEIPT_COOKIE,
+  RECEIPT_HEADER,
+  ReceiptClaims,
+  receiptFromPaymentResponse,
+  verifyReceipt,
+} from "./lib/receipts";
+import {
+  AccessSessions,
+  SESSION_COOKIE,
+  SESSION_TOKEN_HEADER,
+  settledPayment,
+} from "./lib/sessions";
 
-const facilitatorUrl = 'http://localhost:3011';
-const payTo = '58bAvxQ9kAMxemwNNaYt3zHBckduj2coV3zeypUrMsuV';
+const facilitatorUrl = "http://localhost:3011";
+const payTo = "58bAvxQ9kAMxemwNNaYt3zHBckduj2coV3zeypUrMsuV";
 const network = "solana-devnet" as const;
 
-export const middleware = solanaPaymentMiddleware(
-  payTo,
-  {
-    "/protected": {
-      price: "$0.01",
-      network,
-      config: {
-        description: "Access to protected content",
+// Receipt keys of the facilitator (receipts.issuer in its /supported)
+const receiptIssuers = (process.env.RECEIPT_ISSUERS || "")
+  .split(",")
+  .map(key => key.trim())
+  .filter(Boolean);
+
+// One payment grants a session this long (0: pay per request), capped at this many requests
+// (0: no cap). Assets fetched under /protected count as requests too.
+const sessionDurationSeconds = Number(process.env.SESSION_DURATION_SECONDS ?? 3600);
+const sessionMaxRequests = Number(process.env.SESSION_MAX_REQUESTS || 0);
+
+// Without SESSION_SECRET a random one is used: sessions are in memory and end with the process
+const sessions = new AccessSessions(process.env.SESSION_SECRET || crypto.randomUUID());
+
+// Signs the price quoted in each 402, which the payment is then checked against
+const quotes = new PriceQuotes(
+  process.env.QUOTE_SECRET || crypto.randomUUID(),
+  Number(process.env.QUOTE_TTL_SECONDS || 300),
+);
+
+// USD prices of the accepted assets (PRICE_TABLE, on top of a built-in offline table)
+const priceOracle = new StaticPriceOracle(parsePriceTable(process.env.PRICE_TABLE));
+
+// Assets /protected accepts, the first being the default: USDC and SOL, plus USDT and a
+// project token when their devnet mints are configured
+const acceptedAssets: AcceptedAsset[] = [
+  { asset: TokenMint.USDC.devnet, symbol: "USDC", decimals: 6 },
+  { asset: "SOL", symbol: "SOL", decimals: 9 },
+  ...(process.env.USDT_MINT ? [{ asset: process.env.USDT_MINT, symbol: "USDT", decimals: 6 }] : []),
+  ...(process.env.PROJECT_TOKEN_MINT
+    ? [
+        {
+          asset: process.env.PROJECT_TOKEN_MINT,
+          symbol: process.env.PROJECT_TOKEN_SYMBOL || "PROJECT",
+          decimals: Number(process.env.PROJECT_TOKEN_DECIMALS || 6),
+        },
+      ]
+    : []),
+];
+
+const paywall = dynamicPricing(
+  ({ amount, asset }) =>
+    solanaPaymentMiddleware(
+      payTo,
+      {
+        "/protected": {
+          price: amount,
+          network,
+          mint: asset,
+          config: {
+            description: "Access to protected content",
+          },
+        },
+      },
+      {
+        url: facilitatorUrl,
       },
-    },
-  },
-  {
-    url: facilitatorUrl,
-  },
+    ),
+  { price: protectedPrice, quotes },
 );
 
+/**
+ * Whether a receipt's resource is the protected content.
+ *
+ * @param resource - The resource URL of the receipt
+ * @returns True for /protected and the pages under it
+ */
+function isProtectedResource(resource: string | null): boolean {
+  if (!resource) {
+    return false;
+  }
+  const { pathname } = new URL(resource, "http://localhost");
+  return pathname === "/protected" || pathname.startsWith("/protected/");
+}
+
+/**
+ * The price of the protected content: $0.01 in any of the accepted assets, half of it for
+ * returning payers showing a receipt of an earlier payment to us of at least that much.
+ *
+ * @param request - The incoming request
+ * @returns The amount (in base units) of each accepted asset
+ */
+async function protectedPrice(request: NextRequest): Promise<Price[]> {
+  const discounted = await priceInAssets(0.005, acceptedAssets, priceOracle);
+  const receipt = request.headers.get(RECEIPT_HEADER) ?? request.cookies.get(RECEIPT_COOKIE)?.value;
+  const returning =
+    receipt &&
+    (await verifyReceipt(receipt, { issuers: receiptIssuers, payTo, price: discounted }));
+  return returning ? discounted : priceInAssets(0.01, acceptedAssets, priceOracle);
+}
+
+/**
+ * Checks a receipt for the protected content: paid to us, for /protected, and covering
+ * the current price.
+ *
+ * @param token - The receipt
+ * @param request - The incoming request, which is priced
+ * @returns The receipt's claims, or null if it doesn't unlock the protected content
+ */
+async function protectedReceipt(
+  token: string,
+  request: NextRequest,
+): Promise<ReceiptClaims | null> {
+  return verifyReceipt(token, {
+    issuers: receiptIssuers,
+    resource: isProtectedResource,
+    payTo,
+    price: await protectedPrice(request),
+  });
+}
+
+/**
+ * The session token of a request: the x402-session cookie or an Authorization bearer token.
+ *
+ * @param request - The incoming request
+ * @returns The token, or null if there is none
+ */
+function sessionToken(request: NextRequest): string | null {
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get("Authorization") ?? "");
+  return match ? match[1].trim() : (request.cookies.get(SESSION_COOKIE)?.value ?? null);
+}
+
+/**
+ * Lets a visitor with a valid access session or receipt (cookie or header) through.
+ * A new payment starts a session and keeps its receipt in a cookie until it expires.
+ *
+ * @param request - The incoming request
+ * @returns The protected page, or the paywall's response
+ */
+export async function middleware(request: NextRequest) {
+  const session = sessionToken(request);
+  if (session && (await sessions.verify(session, "/protected")).session) {
+    return NextResponse.next();
+  }
+
+  const token = request.cookies.get(RECEIPT_COOKIE)?.value ?? request.headers.get(RECEIPT_HEADER);
+  if (token && (await protectedReceipt(token, request))) {
+    return NextResponse.next();
+  }
+
+  const response = await paywall(request);
+  const paymentResponse = response.headers.get("X-PAYMENT-RESPONSE");
+
+  const settlement = settledPayment(paymentResponse);
+  if (settlement && sessionDurationSeconds > 0) {
+    const created = sessions.store.create({
+      payer: settlement.payer,
+      scope: "/protected",
+      transaction: settlement.transaction,
+      durationSeconds: sessionDurationSeconds,
+      maxRequests: sessionMaxRequests,
+    });
+    // The paid request is the session's first
+    sessions.store.use(created.id);
+
+    const issued = await sessions.issue(created);
+    response.headers.set(SESSION_TOKEN_HEADER, issued);
+    response.cookies.set(SESSION_COOKIE, issued, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: request.nextUrl.protocol === "https:",
+      path: "/protected",
+      maxAge: sessionDurationSeconds,
+    });
+  }
+
+  const receipt = receiptFromPaymentResponse(paymentResponse);
+  const claims = receipt && (await protectedReceipt(receipt, request));
+  if (claims) {
+    response.cookies.set(RECEIPT_COOKIE, receipt, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: request.nextUrl.protocol === "https:",
+      path: "/protected",
+      expires: new Date(claims.exp * 1000),
+    });
+  }
+
+  return response;
+}
+
 // Configure which paths the middleware should run on
 export const config = {
   matcher: ["/protected/:path*"],
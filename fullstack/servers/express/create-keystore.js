@@ -0,0 +1,31 @@
+// Encrypt a Solana CLI keypair file into a facilitator keystore:
+//
+//   FACILITATOR_KEYSTORE_PASSWORD=... node create-keystore.js ~/.config/solana/id.json facilitator.keystore.json
+//
+// Then start the facilitator with FACILITATOR_KEYSTORE_FILE and FACILITATOR_KEYSTORE_PASSWORD.
+const fs = require('fs');
+const { loadKeypairFile, encryptKeystore } = require('./facilitator/signers');
+
+const [keypairFile, keystoreFile] = process.argv.slice(2);
+const password = process.env.FACILITATOR_KEYSTORE_PASSWORD;
+
+if (!keypairFile || !keystoreFile) {
+  console.error('Usage: node create-keystore.js <keypair.json> <keystore.json>');
+  process.exit(1);
+}
+
+if (!password) {
+  console.error('❌ Set FACILITATOR_KEYSTORE_PASSWORD to the password to encrypt with');
+  process.exit(1);
+}
+
+if (fs.existsSync(keystoreFile)) {
+  console.error(`❌ ${keystoreFile} already exists`);
+  process.exit(1);
+}
+
+const keystore = encryptKeystore(loadKeypairFile(keypairFile).secretKey, password);
+fs.writeFileSync(keystoreFile, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+
+console.log(`🔐 Keystore written to ${keystoreFile}`);
+console.log(`🔑 Public key: ${keystore.publicKey}`);
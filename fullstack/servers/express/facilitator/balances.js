@@ -0,0 +1,291 @@
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { MemoryLedgerStore, FileLedgerStore } = require('./ledger');
+const { KeypairSigner, loadKeypairFile } = require('./signers');
+const { ErrorCode, FacilitatorError } = require('./errors');
+
+/**
+ * Prepaid balances held in escrow, one account per (address, network, asset).
+ *
+ * A deposit credits the payer's account once its transfer to the escrow key has
+ * settled. Each voucher then moves its amount off-chain from the payer's account
+ * to the payTo account, and a withdrawal pays an account's balance back out of
+ * escrow, so payers get refunds and merchants get their earnings the same way.
+ *
+ * Amounts are integer strings in base units. Everything is kept in a ledger store
+ * (see ledger.js) under these keys:
+ *
+ *   account:<network>:<asset>:<address>   balance, deposited, spent, earned, withdrawn
+ *   accounts:<address>                    the accounts of an address
+ *   deposit:<transaction>                 a credited deposit
+ *   voucher:<payer>:<nonce>               a debited voucher; nonces are per payer
+ *   withdrawal:<nonce>                    a withdrawal and its transaction
+ */
+class BalanceStore {
+  constructor(store = new MemoryLedgerStore(), { now = () => Date.now() } = {}) {
+    this.store = store;
+    this.now = now;
+    // Updates run one at a time, so two debits can't both spend the same balance
+    this.queue = Promise.resolve();
+  }
+
+  static accountKey({ address, network, asset }) {
+    return `account:${network}:${asset}:${address}`;
+  }
+
+  static voucherKey({ payer, nonce }) {
+    return `voucher:${payer}:${nonce}`;
+  }
+
+  /**
+   * Run fn after every update queued before it.
+   */
+  exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * An account, all zero if it never had a deposit.
+   */
+  async account({ address, network, asset }) {
+    return (await this.store.get(BalanceStore.accountKey({ address, network, asset }))) || {
+      address,
+      network,
+      asset,
+      balance: '0',
+      deposited: '0',
+      spent: '0',
+      earned: '0',
+      withdrawn: '0',
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Every account of an address.
+   */
+  async accounts(address) {
+    const keys = (await this.store.get(`accounts:${address}`)) || [];
+    return Promise.all(keys.map(key => this.store.get(key)));
+  }
+
+  /**
+   * Add amount to the given counters of an account (negative amounts subtract) and save it.
+   */
+  async apply(ref, changes) {
+    const account = await this.account(ref);
+    const key = BalanceStore.accountKey(ref);
+
+    if (!account.updatedAt) {
+      const keys = (await this.store.get(`accounts:${ref.address}`)) || [];
+      await this.store.set(`accounts:${ref.address}`, [...keys, key]);
+    }
+
+    const updated = { ...account, updatedAt: new Date(this.now()).toISOString() };
+    for (const [field, amount] of Object.entries(changes)) {
+      updated[field] = String(BigInt(account[field]) + BigInt(amount));
+    }
+    await this.store.set(key, updated);
+    return updated;
+  }
+
+  /**
+   * Throw insufficient_balance unless the account holds amount.
+   */
+  assertCovers(account, amount) {
+    if (BigInt(account.balance) < BigInt(amount)) {
+      throw new FacilitatorError(
+        ErrorCode.INSUFFICIENT_BALANCE,
+        `Balance of ${account.balance} is below ${amount}; deposit more to continue`,
+        { balance: account.balance, required: String(amount) }
+      );
+    }
+  }
+
+  /**
+   * Credit a settled deposit to the payer's account. A transaction is only ever
+   * credited once; crediting it again returns the account unchanged.
+   */
+  credit({ payer, network, asset, amount, transaction }) {
+    return this.exclusive(async () => {
+      const ref = { address: payer, network, asset };
+      if (await this.store.get(`deposit:${transaction}`)) {
+        return this.account(ref);
+      }
+
+      const account = await this.apply(ref, { balance: amount, deposited: amount });
+      await this.store.set(`deposit:${transaction}`, {
+        payer,
+        network,
+        asset,
+        amount: String(amount),
+        creditedAt: account.updatedAt
+      });
+      return account;
+    });
+  }
+
+  /**
+   * Move a voucher's amount from the payer's account to payTo's. Throws replay if
+   * the payer already used its nonce, insufficient_balance if they can't cover it.
+   * Returns the debit and the payer's account.
+   */
+  debit({ payer, payTo, network, asset, amount, nonce, resource }) {
+    return this.exclusive(async () => {
+      const existing = await this.store.get(BalanceStore.voucherKey({ payer, nonce }));
+      if (existing) {
+        throw new FacilitatorError(ErrorCode.REPLAY, `Voucher ${nonce} was already used at ${existing.debitedAt}`);
+      }
+
+      this.assertCovers(await this.account({ address: payer, network, asset }), amount);
+
+      const account = await this.apply({ address: payer, network, asset }, { balance: -BigInt(amount), spent: amount });
+      await this.apply({ address: payTo, network, asset }, { balance: amount, earned: amount });
+
+      const debit = {
+        nonce,
+        payer,
+        payTo,
+        network,
+        asset,
+        amount: String(amount),
+        resource: resource || null,
+        debitedAt: account.updatedAt,
+        settledAt: null
+      };
+      await this.store.set(BalanceStore.voucherKey({ payer, nonce }), debit);
+      return { debit, account };
+    });
+  }
+
+  /**
+   * The credited deposit of a transaction, or null.
+   */
+  async findDeposit(transaction) {
+    return this.store.get(`deposit:${transaction}`);
+  }
+
+  /**
+   * The debit of a payer's voucher nonce, or null.
+   */
+  async findDebit({ payer, nonce }) {
+    return this.store.get(BalanceStore.voucherKey({ payer, nonce }));
+  }
+
+  /**
+   * Mark a debit settled; throws replay if it already was.
+   */
+  markSettled({ payer, nonce }) {
+    return this.exclusive(async () => {
+      const debit = await this.store.get(BalanceStore.voucherKey({ payer, nonce }));
+      if (debit.settledAt) {
+        throw new FacilitatorError(ErrorCode.REPLAY, `Voucher ${nonce} was already settled at ${debit.settledAt}`);
+      }
+
+      const settled = { ...debit, settledAt: new Date(this.now()).toISOString() };
+      await this.store.set(BalanceStore.voucherKey({ payer, nonce }), settled);
+      return settled;
+    });
+  }
+
+  /**
+   * Take a withdrawal out of an account before paying it out. Throws replay for a
+   * used nonce and insufficient_balance when the account can't cover it.
+   */
+  reserveWithdrawal({ address, network, asset, amount, nonce }) {
+    return this.exclusive(async () => {
+      const existing = await this.store.get(`withdrawal:${nonce}`);
+      if (existing) {
+        throw new FacilitatorError(ErrorCode.REPLAY, `Withdrawal ${nonce} was already requested at ${existing.requestedAt}`);
+      }
+
+      this.assertCovers(await this.account({ address, network, asset }), amount);
+
+      const account = await this.apply({ address, network, asset }, { balance: -BigInt(amount), withdrawn: amount });
+      const withdrawal = {
+        nonce,
+        address,
+        network,
+        asset,
+        amount: String(amount),
+        state: 'pending',
+        transaction: null,
+        requestedAt: account.updatedAt
+      };
+      await this.store.set(`withdrawal:${nonce}`, withdrawal);
+      return { withdrawal, account };
+    });
+  }
+
+  /**
+   * Record how a withdrawal's payout went: 'confirmed', 'unconfirmed' (sent but not
+   * seen confirmed, so it stays taken from the balance) or 'failed' (put back).
+   */
+  completeWithdrawal(nonce, { state, transaction = null }) {
+    return this.exclusive(async () => {
+      const withdrawal = await this.store.get(`withdrawal:${nonce}`);
+      const updated = { ...withdrawal, state, transaction };
+      await this.store.set(`withdrawal:${nonce}`, updated);
+
+      const { address, network, asset, amount } = withdrawal;
+      const account = state === 'failed' ?
+        await this.apply({ address, network, asset }, { balance: amount, withdrawn: -BigInt(amount) }) :
+        await this.account({ address, network, asset });
+      return { withdrawal: updated, account };
+    });
+  }
+}
+
+/**
+ * Balances of prepaid accounts when PREPAID_ENABLED is true or BALANCES_FILE is
+ * set (which also keeps them across restarts), otherwise null: no "prepaid" scheme.
+ */
+function createBalanceStoreFromEnv(env = process.env) {
+  if (env.BALANCES_FILE) {
+    return new BalanceStore(new FileLedgerStore(env.BALANCES_FILE));
+  }
+  if (env.PREPAID_ENABLED === 'true') {
+    return new BalanceStore(new MemoryLedgerStore());
+  }
+  return null;
+}
+
+/**
+ * The key holding prepaid deposits: ESCROW_KEYPAIR_FILE or ESCROW_PRIVATE_KEY
+ * (base58). It is required when prepaid balances are enabled and can't be one of
+ * the fee payer keys, which sign every sponsored transaction; null when unset.
+ */
+function createEscrowSignerFromEnv(signers, env = process.env) {
+  let signer = null;
+
+  if (env.ESCROW_KEYPAIR_FILE) {
+    signer = new KeypairSigner(loadKeypairFile(env.ESCROW_KEYPAIR_FILE), { source: 'escrow-keypair-file' });
+  } else if (env.ESCROW_PRIVATE_KEY) {
+    let keypair;
+    try {
+      keypair = Keypair.fromSecretKey(bs58.decode(env.ESCROW_PRIVATE_KEY));
+    } catch {
+      throw new Error('ESCROW_PRIVATE_KEY is not a valid base58 secret key');
+    }
+    signer = new KeypairSigner(keypair, { source: 'escrow-env' });
+  }
+
+  if (!signer) {
+    if (env.PREPAID_ENABLED === 'true' || env.BALANCES_FILE) {
+      throw new Error('Prepaid balances need an escrow key: set ESCROW_KEYPAIR_FILE or ESCROW_PRIVATE_KEY');
+    }
+    return null;
+  }
+  if (signers.some(feePayer => feePayer.publicKey.equals(signer.publicKey))) {
+    throw new Error('The escrow key must not be one of the fee payer keys');
+  }
+  return signer;
+}
+
+module.exports = {
+  BalanceStore,
+  createBalanceStoreFromEnv,
+  createEscrowSignerFromEnv
+};
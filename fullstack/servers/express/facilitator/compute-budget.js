@@ -0,0 +1,218 @@
+const { ComputeBudgetInstruction, ComputeBudgetProgram } = require('@solana/web3.js');
+const { buildVersionedTransaction } = require('./transactions');
+const { logger } = require('./logger');
+
+const PriorityFeeStrategy = {
+  NONE: 'none',
+  FIXED: 'fixed',
+  PERCENTILE: 'percentile'
+};
+
+const MAX_COMPUTE_UNITS = 1400000;
+const MICRO_LAMPORTS_PER_LAMPORT = 1000000;
+
+/**
+ * Lamports paid on top of the base fee for a compute unit limit and price.
+ */
+function priorityFeeLamports(computeUnitLimit, microLamports) {
+  return Math.ceil(computeUnitLimit * microLamports / MICRO_LAMPORTS_PER_LAMPORT);
+}
+
+/**
+ * Compute unit limit, price and the resulting priority fee set by a transaction's
+ * ComputeBudget instructions. Without a price the priority fee is 0.
+ */
+function readComputeBudget(instructions) {
+  let computeUnitLimit = null;
+  let microLamports = 0;
+  let otherInstructions = 0;
+
+  for (const instruction of instructions) {
+    if (!instruction.programId.equals(ComputeBudgetProgram.programId)) {
+      otherInstructions += 1;
+      continue;
+    }
+
+    const type = ComputeBudgetInstruction.decodeInstructionType(instruction);
+    if (type === 'SetComputeUnitLimit') {
+      computeUnitLimit = ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction).units;
+    } else if (type === 'SetComputeUnitPrice') {
+      microLamports = Number(ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction).microLamports);
+    }
+  }
+
+  return {
+    computeUnitLimit,
+    microLamports,
+    // Without a limit the runtime allows 200k units per instruction
+    priorityFeeLamports: priorityFeeLamports(
+      computeUnitLimit ?? Math.min(MAX_COMPUTE_UNITS, 200000 * otherInstructions),
+      microLamports
+    )
+  };
+}
+
+/**
+ * Chooses the ComputeBudget instructions for facilitator-built transactions: a
+ * compute unit limit from simulation, and a compute unit price that is either
+ * fixed or a percentile of recent prioritization fees, never above the cap.
+ */
+class ComputeBudgetPlanner {
+  constructor({
+    strategy = PriorityFeeStrategy.PERCENTILE,
+    fixedMicroLamports = 1000,
+    percentile = 75,
+    maxMicroLamports = 100000,
+    computeUnitMargin = 1.2,
+    fallbackComputeUnits = 200000
+  } = {}) {
+    if (!Object.values(PriorityFeeStrategy).includes(strategy)) {
+      throw new Error(`Unknown priority fee strategy: ${strategy} (expected ${Object.values(PriorityFeeStrategy).join(', ')})`);
+    }
+
+    this.strategy = strategy;
+    this.fixedMicroLamports = fixedMicroLamports;
+    this.percentile = percentile;
+    this.maxMicroLamports = maxMicroLamports;
+    this.computeUnitMargin = computeUnitMargin;
+    this.fallbackComputeUnits = fallbackComputeUnits;
+  }
+
+  /**
+   * ComputeBudget instructions to put in front of the given instructions, with the
+   * limit, price and priority fee they amount to. No instructions with strategy "none".
+   */
+  async plan(connection, { payerKey, recentBlockhash, instructions, addressLookupTableAccounts = [] }) {
+    if (this.strategy === PriorityFeeStrategy.NONE) {
+      return { instructions: [], computeUnitLimit: null, microLamports: 0, priorityFeeLamports: 0 };
+    }
+
+    const [computeUnitLimit, microLamports] = await Promise.all([
+      this.estimateComputeUnits(connection, { payerKey, recentBlockhash, instructions, addressLookupTableAccounts }),
+      this.estimateMicroLamports(connection, instructions)
+    ]);
+
+    const budgetInstructions = [ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit })];
+    if (microLamports > 0) {
+      budgetInstructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+    }
+
+    return {
+      instructions: budgetInstructions,
+      computeUnitLimit,
+      microLamports,
+      priorityFeeLamports: priorityFeeLamports(computeUnitLimit, microLamports)
+    };
+  }
+
+  /**
+   * Compute units the instructions consume in simulation, plus the margin.
+   * Falls back to fallbackComputeUnits when the simulation fails.
+   */
+  async estimateComputeUnits(connection, { payerKey, recentBlockhash, instructions, addressLookupTableAccounts }) {
+    const transaction = buildVersionedTransaction({
+      payerKey,
+      recentBlockhash,
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+        ...instructions
+      ],
+      addressLookupTableAccounts
+    });
+
+    try {
+      const { value } = await connection.simulateTransaction(transaction, {
+        commitment: 'confirmed',
+        sigVerify: false,
+        replaceRecentBlockhash: true
+      });
+
+      if (value.err || !value.unitsConsumed) {
+        logger.warn('Compute unit simulation failed, using fallback units', {
+          simulationError: value.err,
+          computeUnits: this.fallbackComputeUnits
+        });
+        return this.fallbackComputeUnits;
+      }
+
+      return Math.min(MAX_COMPUTE_UNITS, Math.ceil(value.unitsConsumed * this.computeUnitMargin));
+    } catch (error) {
+      logger.warn('Compute unit simulation failed, using fallback units', {
+        error: error.message,
+        computeUnits: this.fallbackComputeUnits
+      });
+      return this.fallbackComputeUnits;
+    }
+  }
+
+  /**
+   * Compute unit price for the strategy, capped at maxMicroLamports.
+   */
+  async estimateMicroLamports(connection, instructions) {
+    if (this.strategy === PriorityFeeStrategy.FIXED) {
+      return Math.min(this.fixedMicroLamports, this.maxMicroLamports);
+    }
+
+    // Fees paid recently by transactions writing to the same accounts
+    const lockedWritableAccounts = [];
+    for (const instruction of instructions) {
+      for (const { pubkey, isWritable } of instruction.keys) {
+        if (isWritable && !lockedWritableAccounts.some(account => account.equals(pubkey))) {
+          lockedWritableAccounts.push(pubkey);
+        }
+      }
+    }
+
+    try {
+      const recentFees = await connection.getRecentPrioritizationFees({ lockedWritableAccounts });
+      const fees = recentFees.map(({ prioritizationFee }) => prioritizationFee).sort((a, b) => a - b);
+      if (fees.length === 0) {
+        return 0;
+      }
+
+      const index = Math.min(fees.length - 1, Math.ceil(fees.length * this.percentile / 100) - 1);
+      return Math.min(fees[Math.max(0, index)], this.maxMicroLamports);
+    } catch (error) {
+      logger.warn('Could not fetch recent prioritization fees, using the fixed price', {
+        error: error.message,
+        microLamports: this.fixedMicroLamports
+      });
+      return Math.min(this.fixedMicroLamports, this.maxMicroLamports);
+    }
+  }
+
+  status() {
+    return {
+      strategy: this.strategy,
+      fixedMicroLamports: this.fixedMicroLamports,
+      percentile: this.percentile,
+      maxMicroLamports: this.maxMicroLamports
+    };
+  }
+}
+
+/**
+ * Build the planner from PRIORITY_FEE_STRATEGY, PRIORITY_FEE_MICROLAMPORTS (fixed
+ * price, and fallback when recent fees can't be fetched), PRIORITY_FEE_PERCENTILE,
+ * PRIORITY_FEE_MAX_MICROLAMPORTS and COMPUTE_UNIT_MARGIN.
+ */
+function createComputeBudgetPlannerFromEnv(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+  return new ComputeBudgetPlanner({
+    strategy: env.PRIORITY_FEE_STRATEGY || PriorityFeeStrategy.PERCENTILE,
+    fixedMicroLamports: number(env.PRIORITY_FEE_MICROLAMPORTS, 1000),
+    percentile: number(env.PRIORITY_FEE_PERCENTILE, 75),
+    maxMicroLamports: number(env.PRIORITY_FEE_MAX_MICROLAMPORTS, 100000),
+    computeUnitMargin: number(env.COMPUTE_UNIT_MARGIN, 1.2)
+  });
+}
+
+module.exports = {
+  PriorityFeeStrategy,
+  priorityFeeLamports,
+  readComputeBudget,
+  ComputeBudgetPlanner,
+  createComputeBudgetPlannerFromEnv
+};
@@ -0,0 +1,251 @@
+const { SendTransactionError, SystemProgram } = require('@solana/web3.js');
+const { isTokenProgram } = require('./payment-instructions');
+const { isEndpointError } = require('./rpc');
+
+/**
+ * Every reason /verify and /settle can reject a payment for. Returned as
+ * invalidReason (/verify) or errorReason (/settle), with the HTTP status and
+ * retryable flag from ERROR_DEFINITIONS.
+ */
+const ErrorCode = {
+  // Malformed requests
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_PAYLOAD: 'invalid_payload',
+  INVALID_PAYMENT_REQUIREMENTS: 'invalid_payment_requirements',
+  UNSUPPORTED_X402_VERSION: 'unsupported_x402_version',
+  UNSUPPORTED_SCHEME: 'unsupported_scheme',
+  UNSUPPORTED_NETWORK: 'unsupported_network',
+  SCHEME_MISMATCH: 'scheme_mismatch',
+  NETWORK_MISMATCH: 'network_mismatch',
+
+  // The transfer doesn't match the payment requirements
+  MISSING_TRANSFER: 'missing_transfer_instruction',
+  MULTIPLE_TRANSFERS: 'multiple_transfer_instructions',
+  UNSUPPORTED_TOKEN_INSTRUCTION: 'unsupported_token_instruction',
+  UNSUPPORTED_SYSTEM_INSTRUCTION: 'unsupported_system_instruction',
+  WRONG_MINT: 'wrong_mint',
+  WRONG_RECIPIENT: 'wrong_recipient',
+  WRONG_AUTHORITY: 'wrong_authority',
+  INVALID_AMOUNT: 'invalid_amount',
+
+  // Transaction checks
+  INVALID_SIGNATURE: 'invalid_signature',
+  WRONG_FEE_PAYER: 'wrong_fee_payer',
+  FACILITATOR_ACCOUNT: 'facilitator_account',
+  PROGRAM_NOT_ALLOWED: 'program_not_allowed',
+  TOO_MANY_INSTRUCTIONS: 'too_many_instructions',
+  UNKNOWN_SPONSORED_TRANSACTION: 'unknown_sponsored_transaction',
+  SPONSORED_TRANSACTION_MODIFIED: 'sponsored_transaction_modified',
+  EXPIRED: 'expired',
+  DURABLE_NONCE_ADVANCED: 'durable_nonce_advanced',
+  REPLAY: 'replay',
+  SETTLEMENT_IN_PROGRESS: 'settlement_in_progress',
+
+  // On-chain outcome
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  TRANSACTION_FAILED: 'transaction_failed',
+  TRANSACTION_NOT_FOUND: 'transaction_not_found',
+  CONFIRMATION_TIMEOUT: 'confirmation_timeout',
+
+  // Sponsored transactions (/create-sponsored-transaction and /refresh-sponsored-transaction)
+  SPONSORSHIP_DENIED: 'sponsorship_denied',
+  RATE_LIMITED: 'rate_limited',
+  FEE_PAYER_UNAVAILABLE: 'fee_payer_unavailable',
+  DURABLE_NONCE_UNAVAILABLE: 'durable_nonce_unavailable',
+  UNKNOWN_PAYMENT_INTENT: 'unknown_payment_intent',
+  REFRESH_TOO_EARLY: 'refresh_too_early',
+  ASSET_NOT_ACCEPTED: 'asset_not_accepted',
+
+  // Prepaid balances (the "prepaid" scheme, /deposit and /withdraw)
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+
+  // Refunds (/refunds)
+  UNKNOWN_SETTLEMENT: 'unknown_settlement',
+  UNKNOWN_REFUND: 'unknown_refund',
+
+  // Deferred settlement (/reservations)
+  UNKNOWN_RESERVATION: 'unknown_reservation',
+
+  // Facilitator side
+  RPC_UNAVAILABLE: 'rpc_unavailable',
+  INTERNAL_ERROR: 'internal_error'
+};
+
+const ERROR_DEFINITIONS = {
+  [ErrorCode.INVALID_REQUEST]: { status: 400, retryable: false },
+  [ErrorCode.INVALID_PAYLOAD]: { status: 400, retryable: false },
+  [ErrorCode.INVALID_PAYMENT_REQUIREMENTS]: { status: 400, retryable: false },
+  [ErrorCode.UNSUPPORTED_X402_VERSION]: { status: 400, retryable: false },
+  [ErrorCode.UNSUPPORTED_SCHEME]: { status: 400, retryable: false },
+  [ErrorCode.UNSUPPORTED_NETWORK]: { status: 400, retryable: false },
+  [ErrorCode.SCHEME_MISMATCH]: { status: 400, retryable: false },
+  [ErrorCode.NETWORK_MISMATCH]: { status: 400, retryable: false },
+  [ErrorCode.MISSING_TRANSFER]: { status: 400, retryable: false },
+  [ErrorCode.MULTIPLE_TRANSFERS]: { status: 400, retryable: false },
+  [ErrorCode.UNSUPPORTED_TOKEN_INSTRUCTION]: { status: 400, retryable: false },
+  [ErrorCode.UNSUPPORTED_SYSTEM_INSTRUCTION]: { status: 400, retryable: false },
+  [ErrorCode.WRONG_MINT]: { status: 400, retryable: false },
+  [ErrorCode.WRONG_RECIPIENT]: { status: 400, retryable: false },
+  [ErrorCode.WRONG_AUTHORITY]: { status: 400, retryable: false },
+  [ErrorCode.INVALID_AMOUNT]: { status: 400, retryable: false },
+  [ErrorCode.INVALID_SIGNATURE]: { status: 400, retryable: false },
+  [ErrorCode.WRONG_FEE_PAYER]: { status: 400, retryable: false },
+  [ErrorCode.FACILITATOR_ACCOUNT]: { status: 400, retryable: false },
+  [ErrorCode.PROGRAM_NOT_ALLOWED]: { status: 400, retryable: false },
+  [ErrorCode.TOO_MANY_INSTRUCTIONS]: { status: 400, retryable: false },
+  [ErrorCode.UNKNOWN_SPONSORED_TRANSACTION]: { status: 400, retryable: false },
+  [ErrorCode.SPONSORED_TRANSACTION_MODIFIED]: { status: 400, retryable: false },
+  [ErrorCode.EXPIRED]: { status: 410, retryable: false },
+  [ErrorCode.DURABLE_NONCE_ADVANCED]: { status: 410, retryable: false },
+  [ErrorCode.REPLAY]: { status: 409, retryable: false },
+  [ErrorCode.SETTLEMENT_IN_PROGRESS]: { status: 409, retryable: true },
+  [ErrorCode.INSUFFICIENT_FUNDS]: { status: 402, retryable: false },
+  [ErrorCode.TRANSACTION_FAILED]: { status: 400, retryable: false },
+  [ErrorCode.TRANSACTION_NOT_FOUND]: { status: 404, retryable: true },
+  [ErrorCode.CONFIRMATION_TIMEOUT]: { status: 504, retryable: true },
+  [ErrorCode.SPONSORSHIP_DENIED]: { status: 403, retryable: false },
+  [ErrorCode.RATE_LIMITED]: { status: 429, retryable: true },
+  [ErrorCode.FEE_PAYER_UNAVAILABLE]: { status: 503, retryable: true },
+  [ErrorCode.DURABLE_NONCE_UNAVAILABLE]: { status: 503, retryable: true },
+  [ErrorCode.UNKNOWN_PAYMENT_INTENT]: { status: 404, retryable: false },
+  [ErrorCode.REFRESH_TOO_EARLY]: { status: 409, retryable: true },
+  [ErrorCode.ASSET_NOT_ACCEPTED]: { status: 400, retryable: false },
+  [ErrorCode.INSUFFICIENT_BALANCE]: { status: 402, retryable: false },
+  [ErrorCode.UNKNOWN_SETTLEMENT]: { status: 404, retryable: false },
+  [ErrorCode.UNKNOWN_REFUND]: { status: 404, retryable: false },
+  [ErrorCode.UNKNOWN_RESERVATION]: { status: 404, retryable: false },
+  [ErrorCode.RPC_UNAVAILABLE]: { status: 503, retryable: true },
+  [ErrorCode.INTERNAL_ERROR]: { status: 500, retryable: true }
+};
+
+// SPL Token / Token-2022 custom error numbers worth telling apart
+const TOKEN_ERROR_CODES = {
+  1: ErrorCode.INSUFFICIENT_FUNDS, // InsufficientFunds
+  2: ErrorCode.WRONG_MINT, // InvalidMint
+  3: ErrorCode.WRONG_MINT, // MintMismatch
+  4: ErrorCode.WRONG_AUTHORITY // OwnerMismatch
+};
+
+// System program custom error 1: ResultWithNegativeLamports
+const SYSTEM_INSUFFICIENT_LAMPORTS = 1;
+
+/**
+ * HTTP status of an error code.
+ */
+function statusFor(code) {
+  return (ERROR_DEFINITIONS[code] || ERROR_DEFINITIONS[ErrorCode.INTERNAL_ERROR]).status;
+}
+
+/**
+ * An error with an ErrorCode; status and retryable come from ERROR_DEFINITIONS.
+ * details are extra response fields (e.g. fallback, retryAfterSeconds).
+ */
+class FacilitatorError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    const definition = ERROR_DEFINITIONS[code] || ERROR_DEFINITIONS[ErrorCode.INTERNAL_ERROR];
+    this.name = 'FacilitatorError';
+    this.code = code;
+    this.status = definition.status;
+    this.retryable = definition.retryable;
+    this.details = details;
+  }
+
+  /**
+   * From a failed check result ({ isValid: false, invalidReason, message }).
+   */
+  static fromResult({ invalidReason, message }) {
+    return new FacilitatorError(invalidReason, message || invalidReason);
+  }
+}
+
+function codeForCustomError(programId, customCode) {
+  if (programId && isTokenProgram(programId)) {
+    return TOKEN_ERROR_CODES[customCode] || ErrorCode.TRANSACTION_FAILED;
+  }
+  if (programId && programId.equals(SystemProgram.programId) && customCode === SYSTEM_INSUFFICIENT_LAMPORTS) {
+    return ErrorCode.INSUFFICIENT_FUNDS;
+  }
+  return ErrorCode.TRANSACTION_FAILED;
+}
+
+/**
+ * Map a transaction error from simulation or a confirmed status (e.g.
+ * { InstructionError: [1, { Custom: 1 }] } or "BlockhashNotFound") to a
+ * FacilitatorError. programIds are the transaction's instruction program IDs,
+ * used to read custom program errors.
+ */
+function fromTransactionError(err, programIds = []) {
+  const detail = JSON.stringify(err);
+  let code = ErrorCode.TRANSACTION_FAILED;
+
+  if (typeof err === 'string') {
+    code = {
+      BlockhashNotFound: ErrorCode.EXPIRED,
+      AlreadyProcessed: ErrorCode.REPLAY,
+      AccountNotFound: ErrorCode.INSUFFICIENT_FUNDS,
+      InsufficientFundsForFee: ErrorCode.INSUFFICIENT_FUNDS,
+      SignatureFailure: ErrorCode.INVALID_SIGNATURE,
+      MissingSignatureForFee: ErrorCode.INVALID_SIGNATURE
+    }[err] || code;
+  } else if (err && err.InstructionError) {
+    const [index, instructionError] = err.InstructionError;
+    if (instructionError === 'InsufficientFunds') {
+      code = ErrorCode.INSUFFICIENT_FUNDS;
+    } else if (instructionError === 'MissingRequiredSignature') {
+      code = ErrorCode.INVALID_SIGNATURE;
+    } else if (instructionError && instructionError.Custom !== undefined) {
+      code = codeForCustomError(programIds[index], instructionError.Custom);
+    }
+  } else if (err && err.InsufficientFundsForRent) {
+    code = ErrorCode.INSUFFICIENT_FUNDS;
+  }
+
+  return new FacilitatorError(code, `Transaction failed: ${detail}`);
+}
+
+/**
+ * Map an error thrown by RPC calls or sendRawTransaction preflight to a FacilitatorError.
+ */
+function fromThrownError(error, programIds = []) {
+  if (error instanceof FacilitatorError) {
+    return error;
+  }
+
+  if (error.name === 'ReplayError') {
+    return new FacilitatorError(error.inFlight ? ErrorCode.SETTLEMENT_IN_PROGRESS : ErrorCode.REPLAY, error.message);
+  }
+
+  if (isEndpointError(error)) {
+    return new FacilitatorError(ErrorCode.RPC_UNAVAILABLE, `RPC unavailable: ${error.message}`);
+  }
+
+  // Preflight failures only carry the error as text
+  const message = error.message || String(error);
+  if (error instanceof SendTransactionError) {
+    const custom = /Error processing Instruction (\d+): custom program error: 0x([0-9a-f]+)/i.exec(message);
+    let code = ErrorCode.TRANSACTION_FAILED;
+
+    if (/Blockhash not found/i.test(message)) {
+      code = ErrorCode.EXPIRED;
+    } else if (/already been processed/i.test(message)) {
+      code = ErrorCode.REPLAY;
+    } else if (/insufficient (funds|lamports)|no record of a prior credit/i.test(message)) {
+      code = ErrorCode.INSUFFICIENT_FUNDS;
+    } else if (custom) {
+      code = codeForCustomError(programIds[Number(custom[1])], parseInt(custom[2], 16));
+    }
+    return new FacilitatorError(code, message);
+  }
+
+  return new FacilitatorError(ErrorCode.INTERNAL_ERROR, message);
+}
+
+module.exports = {
+  ErrorCode,
+  ERROR_DEFINITIONS,
+  FacilitatorError,
+  statusFor,
+  fromTransactionError,
+  fromThrownError
+};
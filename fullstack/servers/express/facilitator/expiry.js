@@ -0,0 +1,59 @@
+const { getDurableNonceAccount, getRecentBlockhash } = require('./transactions');
+const { ErrorCode } = require('./errors');
+
+// Average slot time; close enough to turn remaining block heights into a wall-clock estimate
+const MS_PER_BLOCK = 400;
+
+const ExpiryInvalidReason = {
+  BLOCKHASH_EXPIRED: ErrorCode.EXPIRED,
+  NONCE_ADVANCED: ErrorCode.DURABLE_NONCE_ADVANCED
+};
+
+function invalid(invalidReason, message) {
+  return { isValid: false, invalidReason, message };
+}
+
+/**
+ * Estimate when a blockhash valid up to lastValidBlockHeight stops being accepted.
+ */
+async function estimateExpiry(connection, lastValidBlockHeight) {
+  const blockHeight = await connection.getBlockHeight('confirmed');
+  const blocksRemaining = Math.max(0, lastValidBlockHeight - blockHeight);
+
+  return {
+    lastValidBlockHeight,
+    blocksRemaining,
+    expiresAt: new Date(Date.now() + blocksRemaining * MS_PER_BLOCK).toISOString()
+  };
+}
+
+/**
+ * Whether a transaction can still land: its blockhash is still valid or, for a
+ * durable nonce transaction, its nonce account still holds the nonce it was built on.
+ */
+async function checkTransactionExpiry(connection, transaction) {
+  const recentBlockhash = getRecentBlockhash(transaction);
+  const nonceAccount = getDurableNonceAccount(transaction);
+
+  if (nonceAccount) {
+    const nonce = await connection.getNonce(nonceAccount, 'confirmed');
+    if (!nonce || nonce.nonce !== recentBlockhash) {
+      return invalid(ExpiryInvalidReason.NONCE_ADVANCED, `Durable nonce ${nonceAccount.toBase58()} has been advanced, the transaction can no longer land`);
+    }
+    return { isValid: true, invalidReason: null, durableNonce: true };
+  }
+
+  const { value: blockhashValid } = await connection.isBlockhashValid(recentBlockhash, { commitment: 'confirmed' });
+  if (!blockhashValid) {
+    return invalid(ExpiryInvalidReason.BLOCKHASH_EXPIRED, `Blockhash ${recentBlockhash} has expired, request a fresh transaction`);
+  }
+
+  return { isValid: true, invalidReason: null, durableNonce: false };
+}
+
+module.exports = {
+  MS_PER_BLOCK,
+  ExpiryInvalidReason,
+  estimateExpiry,
+  checkTransactionExpiry
+};
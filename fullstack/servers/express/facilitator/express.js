@@ -0,0 +1,214 @@
+const express = require('express');
+const { statusFor } = require('./errors');
+const { logger, requestLogging } = require('./logger');
+const { registry } = require('./metrics');
+
+// Answer a request that failed with a FacilitatorError; denied sponsorship tells the client to pay its own gas
+function sendError(res, error) {
+  const { retryAfterSeconds, ...details } = error.details;
+
+  if (retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    errorReason: error.code,
+    ...details
+  });
+}
+
+/**
+ * Serve a Facilitator over HTTP as an Express router, so it can run standalone
+ * (real-facilitator.js) or be mounted under a prefix in another app:
+ *
+ *   app.use('/x402', createFacilitatorRouter(facilitator));
+ *
+ * Routes: POST /verify, /settle, /reservations/:id/release,
+ * /create-sponsored-transaction, /refresh-sponsored-transaction, /deposit,
+ * /withdraw, /refunds and /refunds/:id/submit; GET /supported, /reservations/:id,
+ * /settlements/:id, /balances/:address, /refunds/:id, /metrics and /health.
+ */
+function createFacilitatorRouter(facilitator) {
+  const router = express.Router();
+  router.use(requestLogging(logger));
+  router.use(express.json());
+
+  router.get('/supported', (req, res) => {
+    res.json(facilitator.supported({ userPublicKey: req.query.userPublicKey }));
+  });
+
+  router.post('/create-sponsored-transaction', async (req, res) => {
+    logger.debug('Create sponsored transaction request', { body: req.body });
+
+    try {
+      res.json(await facilitator.createSponsoredTransaction({ ...req.body, ip: req.ip }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/refresh-sponsored-transaction', async (req, res) => {
+    logger.debug('Refresh sponsored transaction request', { body: req.body });
+
+    try {
+      res.json(await facilitator.refreshSponsoredTransaction({ ...req.body, ip: req.ip }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/verify', async (req, res) => {
+    logger.debug('Verify request', { body: req.body });
+
+    const result = await facilitator.verify(req.body);
+    res.status(result.isValid ? 200 : statusFor(result.invalidReason)).json(result);
+  });
+
+  router.post('/settle', async (req, res) => {
+    logger.debug('Settle request', { body: req.body });
+
+    const result = await facilitator.settle(req.body);
+    const status = result.success ? (result.pending ? 202 : 200) : statusFor(result.errorReason);
+    res.status(status).json(result);
+  });
+
+  // Deferred settlement: payments reserved by /verify with reserve: true
+  router.get('/reservations/:id', (req, res) => {
+    const reservation = facilitator.getReservation(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown or expired reservation: ${req.params.id}`,
+        errorReason: 'unknown_reservation'
+      });
+    }
+
+    res.json(reservation);
+  });
+
+  router.post('/reservations/:id/release', (req, res) => {
+    logger.debug('Release reservation request', { id: req.params.id });
+
+    try {
+      res.json(facilitator.releaseReservation(req.params.id));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Prepaid balances: top up with a settled payment to the escrow key, pay out with a signed withdrawal
+  router.post('/deposit', async (req, res) => {
+    logger.debug('Deposit request', { body: req.body });
+
+    try {
+      res.json(await facilitator.deposit(req.body));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/withdraw', async (req, res) => {
+    logger.debug('Withdraw request', { body: req.body });
+
+    try {
+      res.json(await facilitator.withdraw(req.body));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/balances/:address', async (req, res) => {
+    try {
+      res.json(await facilitator.getBalances(req.params.address));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Refunds of settled payments: built here, signed by the merchant, then submitted
+  router.post('/refunds', async (req, res) => {
+    logger.debug('Create refund request', { body: req.body });
+
+    try {
+      res.json(await facilitator.createRefund({ ...req.body, ip: req.ip }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/refunds/:id/submit', async (req, res) => {
+    logger.debug('Submit refund request', { id: req.params.id });
+
+    try {
+      res.json(await facilitator.submitRefund(req.params.id, req.body));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/refunds/:id', async (req, res) => {
+    const refund = await facilitator.getRefund(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown refund: ${req.params.id}`,
+        errorReason: 'unknown_refund'
+      });
+    }
+
+    res.json(refund);
+  });
+
+  // Status of an async settlement
+  router.get('/settlements/:id', async (req, res) => {
+    const settlement = await facilitator.getSettlement(req.params.id);
+
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown settlement: ${req.params.id}`
+      });
+    }
+
+    res.json(settlement);
+  });
+
+  // Prometheus metrics
+  router.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(registry.render());
+  });
+
+  // Health check
+  router.get('/health', (req, res) => {
+    res.json({
+      ...facilitator.health(),
+      endpoints: {
+        '/create-sponsored-transaction': 'Create transaction with facilitator as fee payer',
+        '/refresh-sponsored-transaction': 'Rebuild an expired sponsored transaction',
+        '/verify': 'Verify payment (supports gas sponsorship)',
+        '/settle': 'Settle payment (facilitator can pay gas)',
+        '/settlements/:id': 'Status of an async settlement',
+        '/reservations/:id': 'A payment reserved by /verify for deferred settlement',
+        '/reservations/:id/release': 'Release a reserved payment without settling it',
+        '/deposit': 'Top up a prepaid balance (prepaid scheme)',
+        '/withdraw': 'Pay out a prepaid balance (prepaid scheme)',
+        '/balances/:address': 'Prepaid balances of an address',
+        '/refunds': 'Build a full or partial refund of a settled payment',
+        '/refunds/:id/submit': 'Broadcast a refund signed by the merchant',
+        '/refunds/:id': 'Status of a refund',
+        '/supported': 'Get supported payment types',
+        '/metrics': 'Prometheus metrics'
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFacilitatorRouter
+};
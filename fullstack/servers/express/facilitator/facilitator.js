@@ -0,0 +1,667 @@
+const { SettlementLedger, createLedgerFromEnv } = require('./ledger');
+const { SponsoredTransactionStore, createSponsoredTransactionStoreFromEnv } = require('./sponsored-transactions');
+const { SponsorshipPolicy, createSponsorshipPolicyFromEnv } = require('./sponsorship-policy');
+const { createConnectionsFromEnv } = require('./rpc');
+const { createSignersFromEnv } = require('./signers');
+const { FeePayerPool, createFeePayerPoolFromEnv } = require('./fee-payers');
+const { SettlementQueue, createSettlementQueueFromEnv } = require('./settlement-queue');
+const { PaymentIntentStore, createPaymentIntentStoreFromEnv } = require('./payment-intents');
+const { ComputeBudgetPlanner, createComputeBudgetPlannerFromEnv } = require('./compute-budget');
+const { ReceiptIssuer, createReceiptIssuerFromEnv } = require('./receipts');
+const { createBalanceStoreFromEnv, createEscrowSignerFromEnv } = require('./balances');
+const { Refunds } = require('./refunds');
+const { ErrorCode, FacilitatorError, fromThrownError } = require('./errors');
+const { SchemeRegistry } = require('./registry');
+const { ExactSolanaScheme } = require('./schemes/exact-solana');
+const { PrepaidSolanaScheme } = require('./schemes/prepaid-solana');
+const { validate, formatErrors } = require('./json-schema');
+const {
+  X402_VERSIONS,
+  verifyRequestSchema,
+  settleRequestSchema,
+  createSponsoredTransactionRequestSchema,
+  refreshSponsoredTransactionRequestSchema,
+  withdrawRequestSchema,
+  createRefundRequestSchema,
+  submitRefundRequestSchema
+} = require('./schemas');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Networks where a throwaway fee payer key must never be used
+const MAINNET_NETWORKS = ['solana-mainnet'];
+
+/**
+ * Throw code with field-level errors (details.errors) unless value matches schema.
+ * path prefixes the reported fields, for schemas of a nested value.
+ */
+function assertValid(schema, value, code, path = '') {
+  if (!schema) {
+    return;
+  }
+
+  const errors = validate(schema, value, path);
+  if (errors.length > 0) {
+    throw new FacilitatorError(code, `Invalid request: ${formatErrors(errors)}`, { errors });
+  }
+}
+
+/**
+ * The payment requirements a sponsored transaction is for: paymentRequirements, or
+ * the entry of accepts (a 402's list) for the asset the client picked.
+ */
+function selectRequirements({ paymentRequirements, accepts, asset }) {
+  if (paymentRequirements) {
+    return paymentRequirements;
+  }
+  if (!accepts) {
+    throw new FacilitatorError(ErrorCode.INVALID_REQUEST, 'Invalid request: paymentRequirements is required', {
+      errors: [{ field: 'paymentRequirements', message: 'is required' }]
+    });
+  }
+
+  const matching = asset === undefined && accepts.length === 1 ?
+    accepts :
+    accepts.filter(requirements => requirements.asset === asset);
+  if (matching.length !== 1) {
+    throw new FacilitatorError(
+      ErrorCode.ASSET_NOT_ACCEPTED,
+      asset === undefined ? 'Pick one of the accepted assets with asset' : `Asset ${asset} is not accepted once in accepts`,
+      { assets: accepts.map(requirements => requirements.asset) }
+    );
+  }
+  return matching[0];
+}
+
+/**
+ * Log a failed verify or settle: expected rejections as warnings, the rest as errors with the stack
+ */
+function logFailure(msg, failure, error) {
+  if (failure.code === ErrorCode.INTERNAL_ERROR) {
+    logger.error(msg, { errorReason: failure.code, error });
+  } else {
+    logger.warn(msg, { errorReason: failure.code, error: failure.message });
+  }
+}
+
+/**
+ * An x402 facilitator without a web server: verify, settle, sponsored transactions
+ * and supported kinds as plain async functions, for any scheme and network in its
+ * registry. createFacilitatorRouter() (facilitator/express.js) serves it over HTTP.
+ *
+ * verify() and settle() resolve to x402 responses, failures included; the
+ * sponsored transaction functions throw FacilitatorError.
+ */
+class Facilitator {
+  constructor({
+    connections = {},
+    rpcPools = {},
+    signers,
+    feePayers = new FeePayerPool(signers || []),
+    ledger = new SettlementLedger(),
+    sponsoredTransactions = new SponsoredTransactionStore(),
+    sponsorshipPolicy = new SponsorshipPolicy(),
+    settlementQueue = new SettlementQueue(),
+    paymentIntents = new PaymentIntentStore(),
+    computeBudget = new ComputeBudgetPlanner(),
+    receipts = new ReceiptIssuer({ signer: feePayers.signers[0] }),
+    // A BalanceStore enables the "prepaid" scheme, with deposits held by the escrow signer
+    balances = null,
+    escrow = null,
+    settlementMode = 'sync',
+    networks = {},
+    schemes = [],
+    monitorFeePayers = true
+  } = {}) {
+    if (feePayers.ephemeral) {
+      const mainnets = Object.keys(connections).filter(network => MAINNET_NETWORKS.includes(network));
+      if (mainnets.length > 0) {
+        throw new Error(`Refusing to serve ${mainnets.join(', ')} with an ephemeral facilitator key; configure a signer`);
+      }
+    }
+    // Deposits held by a fee payer could be spent by any transaction it co-signs
+    if (balances && !escrow) {
+      throw new Error('Prepaid balances need an escrow signer');
+    }
+    if (escrow && feePayers.has(escrow.publicKey)) {
+      throw new Error('The escrow key must not be one of the fee payer keys');
+    }
+
+    this.connections = connections;
+    this.rpcPools = rpcPools;
+    this.feePayers = feePayers;
+    this.ledger = ledger;
+    this.sponsoredTransactions = sponsoredTransactions;
+    this.sponsorshipPolicy = sponsorshipPolicy;
+    this.settlementQueue = settlementQueue;
+    this.paymentIntents = paymentIntents;
+    this.computeBudget = computeBudget;
+    this.receipts = receipts;
+    this.balances = balances;
+    this.escrow = escrow;
+    this.settlementMode = settlementMode;
+
+    // Async settlements get their receipt once, when they are confirmed
+    this.settlementQueue.addConfirmedListener(async settlement => ({ receipt: await this.issueReceipt(settlement) }));
+    // Deposits handed to the queue after timing out are credited once they confirm
+    this.queuedDeposits = new Set();
+    this.settlementQueue.addConfirmedListener(async settlement => {
+      if (this.queuedDeposits.delete(settlement.id)) {
+        await this.creditDeposit(settlement);
+      }
+    });
+
+    this.registry = new SchemeRegistry();
+    this.refunds = new Refunds(this);
+    for (const [name, connection] of Object.entries(connections)) {
+      this.registry.registerNetwork(name, { family: 'solana', connection, rpcPool: rpcPools[name] || null });
+    }
+    for (const [name, network] of Object.entries(networks)) {
+      this.registry.registerNetwork(name, network);
+    }
+
+    this.registry.registerScheme(new ExactSolanaScheme(this));
+    if (balances) {
+      this.registry.registerScheme(new PrepaidSolanaScheme(this));
+    }
+    for (const plugin of schemes) {
+      this.registry.registerScheme(plugin);
+    }
+
+    // Balances of every fee payer key, with low-balance alerts
+    if (monitorFeePayers) {
+      this.feePayers.startMonitoring(connections);
+    }
+  }
+
+  get supportedNetworks() {
+    return [...this.registry.networks.keys()];
+  }
+
+  /**
+   * Validate a verify or settle request: its schema, an x402 version and scheme
+   * this facilitator supports, a paymentPayload for the same scheme and network as
+   * paymentRequirements, and the scheme's own payload and requirements schemas.
+   * Returns the scheme plugin and network that handle it.
+   */
+  checkPaymentRequest(schema, request) {
+    assertValid(schema, request, ErrorCode.INVALID_REQUEST);
+    const { x402Version, paymentPayload, paymentRequirements } = request;
+
+    for (const version of [x402Version, paymentPayload.x402Version]) {
+      if (version !== undefined && !X402_VERSIONS.includes(version)) {
+        throw new FacilitatorError(
+          ErrorCode.UNSUPPORTED_X402_VERSION,
+          `Unsupported x402Version ${version}, this facilitator speaks ${X402_VERSIONS.join(', ')}`,
+          { x402Versions: X402_VERSIONS }
+        );
+      }
+    }
+
+    if (paymentPayload.scheme !== paymentRequirements.scheme) {
+      throw new FacilitatorError(
+        ErrorCode.SCHEME_MISMATCH,
+        `paymentPayload.scheme ${paymentPayload.scheme} does not match paymentRequirements.scheme ${paymentRequirements.scheme}`
+      );
+    }
+    if (paymentPayload.network !== paymentRequirements.network) {
+      throw new FacilitatorError(
+        ErrorCode.NETWORK_MISMATCH,
+        `paymentPayload.network ${paymentPayload.network} does not match paymentRequirements.network ${paymentRequirements.network}`
+      );
+    }
+
+    const { plugin, network } = this.registry.resolve(paymentRequirements.scheme, paymentRequirements.network);
+    assertValid(plugin.payloadSchema, paymentPayload.payload, ErrorCode.INVALID_PAYLOAD, 'paymentPayload.payload');
+    assertValid(plugin.requirementsSchema, paymentRequirements, ErrorCode.INVALID_PAYMENT_REQUIREMENTS, 'paymentRequirements');
+
+    return { plugin, network };
+  }
+
+  /**
+   * Check a payment without settling it: { isValid, invalidReason, payer, ... }.
+   * With reserve: true a valid payment is also held for settle() with the
+   * reservation's ID ({ reservation: { id, expiresAt } }), so it can be settled
+   * once the route it pays for succeeded, and released otherwise.
+   */
+  async verify(request = {}) {
+    const labels = { format: 'unknown', network: 'unknown' };
+    const context = { format: 'unknown' };
+
+    try {
+      const { plugin, network } = this.checkPaymentRequest(verifyRequestSchema, request);
+      const { paymentPayload, paymentRequirements, reserve } = request;
+      context.network = network;
+      labels.network = network.name;
+
+      if (reserve && !plugin.reserve) {
+        throw new FacilitatorError(ErrorCode.UNSUPPORTED_SCHEME, `Scheme ${plugin.scheme} can't reserve payments for deferred settlement`);
+      }
+      const result = reserve ?
+        await plugin.reserve({ paymentPayload, paymentRequirements }, context) :
+        await plugin.verify({ paymentPayload, paymentRequirements }, context);
+      labels.format = context.format;
+      metrics.verifications.inc({ ...labels, result: 'valid' });
+
+      return { isValid: true, invalidReason: null, ...result };
+    } catch (error) {
+      labels.format = context.format;
+      const failure = fromThrownError(error);
+      metrics.verifications.inc({ ...labels, result: failure.code });
+      logFailure('Verification failed', failure, error);
+
+      return {
+        isValid: false,
+        invalidReason: failure.code,
+        message: failure.message,
+        retryable: failure.retryable,
+        ...failure.details
+      };
+    }
+  }
+
+  /**
+   * Settle a payment: { success, errorReason, transaction, network, payer, receipt, ... }.
+   * With async (default: settlementMode) the result is { success: true, pending: true,
+   * settlementId } once the transaction is broadcast; follow it with getSettlement().
+   * A payment reserved at verify() is settled with its reservationId.
+   */
+  async settle(request = {}) {
+    const labels = { format: 'unknown', network: 'unknown', mode: 'sync' };
+    const context = { format: 'unknown', mode: 'sync' };
+
+    try {
+      const { plugin, network } = this.checkPaymentRequest(settleRequestSchema, request);
+      const { paymentPayload, paymentRequirements, reservationId, webhookUrl, async } = request;
+      context.network = network;
+      labels.network = network.name;
+      if (webhookUrl) {
+        this.settlementQueue.checkWebhookUrl(webhookUrl);
+      }
+
+      const result = await plugin.settle({
+        paymentPayload,
+        paymentRequirements,
+        reservationId,
+        webhookUrl,
+        async: async ?? this.settlementMode === 'async'
+      }, context);
+
+      Object.assign(labels, { format: context.format, mode: context.mode });
+      metrics.settlements.inc({ ...labels, result: result.pending ? 'queued' : 'settled' });
+
+      if (!result.pending) {
+        result.receipt = await this.issueReceipt({
+          resource: paymentRequirements.resource,
+          payTo: paymentRequirements.payTo,
+          amount: paymentRequirements.maxAmountRequired,
+          asset: paymentRequirements.asset,
+          ...result
+        });
+      }
+
+      return { success: true, errorReason: null, ...result };
+    } catch (error) {
+      Object.assign(labels, { format: context.format, mode: context.mode });
+      const failure = fromThrownError(error);
+      metrics.settlements.inc({ ...labels, result: failure.code });
+      logFailure('Settlement failed', failure, error);
+
+      return {
+        success: false,
+        errorReason: failure.code,
+        message: failure.message,
+        retryable: failure.retryable,
+        transaction: null,
+        network: request?.paymentPayload?.network ?? null,
+        payer: null,
+        ...failure.details
+      };
+    }
+  }
+
+  /**
+   * A payment reserved at verify() and not settled yet, or null.
+   */
+  getReservation(id) {
+    const hold = this.ledger.findHold(id);
+    if (!hold) {
+      return null;
+    }
+    const { keys, ...reservation } = hold;
+    return reservation;
+  }
+
+  /**
+   * Release a reserved payment without settling it, e.g. after the route it pays
+   * for failed: it can't be settled with the reservation ID any more. Throws
+   * unknown_reservation if it was already settled, released or expired.
+   */
+  releaseReservation(id) {
+    const hold = this.ledger.releaseHold(id);
+    if (!hold) {
+      throw new FacilitatorError(ErrorCode.UNKNOWN_RESERVATION, `Unknown or expired reservation: ${id}`);
+    }
+
+    logger.info('Payment reservation released', { reservationId: id, payer: hold.payer });
+    const { keys, ...reservation } = hold;
+    return { success: true, released: true, reservation };
+  }
+
+  /**
+   * A signed receipt of a settled payment, or null if it couldn't be signed:
+   * the payment went through either way.
+   */
+  async issueReceipt(settlement) {
+    try {
+      return await this.receipts.issue(settlement);
+    } catch (error) {
+      logger.error('Could not sign settlement receipt', { transaction: settlement.transaction, error });
+      return null;
+    }
+  }
+
+  /**
+   * A transaction the facilitator pays the fees of, for the user to sign.
+   * request is { userPublicKey, paymentRequirements, transactionVersion,
+   * addressLookupTables, durableNonce, ip }; instead of paymentRequirements it
+   * can have the accepts list of a 402 and the asset the user pays with.
+   */
+  async createSponsoredTransaction(request = {}) {
+    try {
+      assertValid(createSponsoredTransactionRequestSchema, request, ErrorCode.INVALID_REQUEST);
+      const paymentRequirements = selectRequirements(request);
+
+      const { plugin, network } = this.registry.resolve(paymentRequirements.scheme, paymentRequirements.network);
+      assertValid(plugin.requirementsSchema, paymentRequirements, ErrorCode.INVALID_PAYMENT_REQUIREMENTS, 'paymentRequirements');
+      if (!plugin.createSponsoredTransaction) {
+        throw new FacilitatorError(ErrorCode.UNSUPPORTED_SCHEME, `Scheme ${plugin.scheme} has no sponsored transactions`);
+      }
+
+      return await plugin.createSponsoredTransaction({ ...request, paymentRequirements }, { network });
+    } catch (error) {
+      throw this.sponsorshipFailure('Error creating sponsored transaction', 'Failed to create sponsored transaction', error);
+    }
+  }
+
+  /**
+   * Rebuild an expired sponsored transaction for the same payment intent.
+   * request is { intentId, userPublicKey, ip }.
+   */
+  async refreshSponsoredTransaction(request = {}) {
+    try {
+      assertValid(refreshSponsoredTransactionRequestSchema, request, ErrorCode.INVALID_REQUEST);
+      const { intentId, userPublicKey } = request;
+
+      const intent = this.paymentIntents.get(intentId);
+      if (!intent || intent.userPublicKey !== userPublicKey) {
+        throw new FacilitatorError(ErrorCode.UNKNOWN_PAYMENT_INTENT, `Unknown or expired payment intent: ${intentId}`);
+      }
+
+      const { paymentRequirements } = intent;
+      const { plugin, network } = this.registry.resolve(paymentRequirements.scheme, paymentRequirements.network);
+      if (!plugin.refreshSponsoredTransaction) {
+        throw new FacilitatorError(ErrorCode.UNSUPPORTED_SCHEME, `Scheme ${plugin.scheme} has no sponsored transactions`);
+      }
+
+      return await plugin.refreshSponsoredTransaction(intent, request, { network });
+    } catch (error) {
+      throw this.sponsorshipFailure('Error refreshing sponsored transaction', 'Failed to refresh sponsored transaction', error);
+    }
+  }
+
+  /**
+   * Top up a prepaid balance: request is a settle request for an "exact" payment to
+   * the escrow key, settled synchronously and credited to the payer's account.
+   * Resolves to the settlement and the account; throws FacilitatorError. A deposit
+   * not confirmed in time throws confirmation_timeout with its settlementId, and is
+   * credited if the settlement queue then sees it confirmed.
+   */
+  async deposit(request = {}) {
+    const escrow = this.prepaidEscrow();
+
+    try {
+      assertValid(settleRequestSchema, request, ErrorCode.INVALID_REQUEST);
+      const { paymentRequirements } = request;
+      if (paymentRequirements.scheme !== 'exact') {
+        throw new FacilitatorError(ErrorCode.UNSUPPORTED_SCHEME, 'Deposits are "exact" payments');
+      }
+      if (paymentRequirements.payTo !== escrow) {
+        throw new FacilitatorError(ErrorCode.WRONG_RECIPIENT, `Deposits are paid to the escrow key ${escrow}`, { escrow });
+      }
+
+      const settlement = await this.settle({ ...request, webhookUrl: undefined, async: false });
+      if (!settlement.success) {
+        const { settlementId, statusUrl, transaction } = settlement;
+        if (settlementId) {
+          this.queuedDeposits.add(settlementId);
+        }
+        throw new FacilitatorError(settlement.errorReason, settlement.message, settlementId ? { settlementId, statusUrl, transaction } : {});
+      }
+
+      const account = await this.creditDeposit({
+        ...settlement,
+        asset: paymentRequirements.asset,
+        amount: paymentRequirements.maxAmountRequired
+      });
+      return { ...settlement, account };
+    } catch (error) {
+      throw fromThrownError(error);
+    }
+  }
+
+  /**
+   * Credit a settled deposit to its payer's account; resolves to the account.
+   */
+  async creditDeposit({ payer, network, asset, amount, transaction }) {
+    const account = await this.balances.credit({ payer, network, asset, amount, transaction });
+    logger.info('Deposit credited', { payer, amount, balance: account.balance });
+    return account;
+  }
+
+  /**
+   * The prepaid accounts of an address: its balance on each network and asset.
+   */
+  async getBalances(address) {
+    const escrow = this.prepaidEscrow();
+    return { address, escrow, accounts: await this.balances.accounts(address) };
+  }
+
+  /**
+   * Pay out part of a prepaid balance, to a payer as a refund or to a payTo as its
+   * earnings. request is { withdrawal: { address, network, asset, amount, nonce,
+   * expiresAt }, signature } with the withdrawal signed by address. Resolves to the
+   * withdrawal (state and transaction) and the account; throws FacilitatorError.
+   */
+  async withdraw(request = {}) {
+    this.prepaidEscrow();
+
+    try {
+      assertValid(withdrawRequestSchema, request, ErrorCode.INVALID_REQUEST);
+      const { network, plugin } = this.registry.resolve('prepaid', request.withdrawal.network);
+      return { success: true, ...(await plugin.withdraw(request, { network })) };
+    } catch (error) {
+      throw fromThrownError(error);
+    }
+  }
+
+  /**
+   * Build a refund of a settled payment for the merchant (its payTo) to sign.
+   * request is { refund, signature, ip }, refund being { transaction, amount,
+   * sponsored, reason, nonce, expiresAt } signed by payTo (signRefundRequest): the
+   * settled transaction signature, the amount in base units (default: all that is
+   * left to refund) and whether the facilitator pays the fee (default true). Resolves
+   * to { refundId, transaction, signer, refund, settlement }; throws FacilitatorError.
+   */
+  async createRefund(request = {}) {
+    try {
+      assertValid(createRefundRequestSchema, request, ErrorCode.INVALID_REQUEST);
+      return await this.refunds.create(request);
+    } catch (error) {
+      throw fromThrownError(error);
+    }
+  }
+
+  /**
+   * Broadcast a refund once the merchant signed it. request is { transaction }, the
+   * transaction from createRefund() with the merchant's signature added. Resolves to
+   * the refund and its settlement; throws FacilitatorError.
+   */
+  async submitRefund(id, request = {}) {
+    try {
+      assertValid(submitRefundRequestSchema, request, ErrorCode.INVALID_REQUEST);
+      return await this.refunds.submit(id, request);
+    } catch (error) {
+      throw fromThrownError(error);
+    }
+  }
+
+  /**
+   * A refund and the settlement it refunds, or null if unknown.
+   */
+  getRefund(id) {
+    return this.refunds.get(id);
+  }
+
+  // Prepaid endpoints need a balance store; returns the escrow address
+  prepaidEscrow() {
+    if (!this.balances) {
+      throw new FacilitatorError(ErrorCode.UNSUPPORTED_SCHEME, 'Prepaid balances are not enabled on this facilitator');
+    }
+    return this.escrow.publicKey.toBase58();
+  }
+
+  // Unexpected errors building a sponsored transaction are reported as bad requests
+  sponsorshipFailure(msg, prefix, error) {
+    if (error instanceof FacilitatorError) {
+      return error;
+    }
+    logger.error(msg, { error });
+    return new FacilitatorError(ErrorCode.INVALID_REQUEST, `${prefix}: ${error.message}`);
+  }
+
+  /**
+   * Supported (scheme, network) kinds, and the sponsorship budget left (for a user if given).
+   */
+  supported({ userPublicKey } = {}) {
+    return {
+      kinds: X402_VERSIONS.flatMap(x402Version => this.registry.kinds().map(({ plugin, network }) => ({
+        x402Version,
+        scheme: plugin.scheme,
+        network: network.name,
+        ...plugin.describe(network)
+      }))),
+      sponsorship: this.sponsorshipPolicy.status(userPublicKey),
+      receipts: this.receipts.describe()
+    };
+  }
+
+  /**
+   * An async settlement's status, or null if unknown. Confirmed settlements carry a receipt.
+   */
+  async getSettlement(id) {
+    return this.settlementQueue.get(id);
+  }
+
+  health() {
+    return {
+      status: 'healthy',
+      service: 'real-solana-x402-facilitator',
+      timestamp: new Date().toISOString(),
+      supportedNetworks: this.supportedNetworks,
+      rpc: Object.fromEntries(Object.entries(this.rpcPools).map(([network, pool]) => [network, pool.status()])),
+      mode: 'REAL_SETTLEMENT_WITH_GAS_SPONSORSHIP',
+      facilitatorPublicKey: this.feePayers.signers[0].publicKey.toBase58(),
+      feePayers: this.feePayers.status(),
+      sponsorship: this.sponsorshipPolicy.status(),
+      receipts: this.receipts.describe(),
+      priorityFees: this.computeBudget.status(),
+      features: [
+        'transaction broadcasting',
+        'facilitator gas sponsorship',
+        'authorization format support',
+        'full payload support'
+      ],
+      note: 'This facilitator can pay gas fees for users via sponsored transactions',
+      payloadFormats: [
+        'minimal (signature + transaction)',
+        'full (with payer, amount, etc.)',
+        'authorization_only (from middleware)',
+        'facilitator_sponsored (facilitator pays gas)'
+      ],
+      schemes: [...new Set(this.registry.schemes.map(plugin => plugin.scheme))]
+    };
+  }
+
+  /**
+   * Stop background work (fee payer balance checks, RPC health checks).
+   */
+  close() {
+    this.feePayers.stopMonitoring();
+    for (const pool of Object.values(this.rpcPools)) {
+      pool.close();
+    }
+  }
+}
+
+/**
+ * A facilitator from explicit components; see the Facilitator constructor.
+ * connections and signers (or a feePayers pool) are required, everything
+ * else falls back to in-memory defaults.
+ */
+function createFacilitator(config) {
+  return new Facilitator(config);
+}
+
+/**
+ * A facilitator configured like the standalone server: RPC endpoints, signers,
+ * ledger, sponsorship policy, nonce accounts, priority fees and receipts from the environment
+ * (see the README), plus any overrides in config.
+ */
+async function createFacilitatorFromEnv(env = process.env, config = {}) {
+  const signers = await createSignersFromEnv(env);
+  const { connections, pools } = createConnectionsFromEnv(env);
+
+  const ephemeral = signers.some(signer => signer.ephemeral);
+
+  // Mainnet only came from the default RPC config: serve the test networks only
+  // (asking for it in FACILITATOR_NETWORKS is refused by the Facilitator instead)
+  if (ephemeral && !env.FACILITATOR_NETWORKS) {
+    for (const network of MAINNET_NETWORKS) {
+      pools[network]?.close();
+      delete connections[network];
+      delete pools[network];
+    }
+  }
+
+  const facilitator = createFacilitator({
+    connections,
+    rpcPools: pools,
+    feePayers: createFeePayerPoolFromEnv(signers, env),
+    ledger: createLedgerFromEnv(env),
+    sponsoredTransactions: createSponsoredTransactionStoreFromEnv(env),
+    sponsorshipPolicy: createSponsorshipPolicyFromEnv(env),
+    settlementQueue: createSettlementQueueFromEnv(env),
+    paymentIntents: createPaymentIntentStoreFromEnv(env),
+    computeBudget: createComputeBudgetPlannerFromEnv(env),
+    receipts: createReceiptIssuerFromEnv(signers, env),
+    balances: createBalanceStoreFromEnv(env),
+    escrow: createEscrowSignerFromEnv(signers, env),
+    // 'sync' waits for confirmation inside settle, 'async' answers right away with a settlement ID
+    settlementMode: env.SETTLEMENT_MODE || 'sync',
+    ...config
+  });
+
+  if (ephemeral) {
+    logger.warn('No facilitator signer configured, using an ephemeral key (mainnet disabled). Set FACILITATOR_KEYSTORE_FILE, FACILITATOR_KEYPAIR_FILE or REMOTE_SIGNER_URL for production use');
+  }
+
+  return facilitator;
+}
+
+module.exports = {
+  MAINNET_NETWORKS,
+  Facilitator,
+  createFacilitator,
+  createFacilitatorFromEnv
+};
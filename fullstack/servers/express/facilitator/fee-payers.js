@@ -0,0 +1,216 @@
+const { PublicKey } = require('@solana/web3.js');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The facilitator's fee payer keys. Each sponsored transaction gets the key with
+ * the least recent load that still has enough SOL on the network, and balances are
+ * polled so a key running low raises an alert (log, plus an optional webhook).
+ */
+class FeePayerPool {
+  constructor(signers, {
+    minBalanceLamports = 5000000,
+    lowBalanceLamports = 100000000,
+    balanceCheckIntervalMs = 60000,
+    alertWebhookUrl = null,
+    now = () => Date.now()
+  } = {}) {
+    if (signers.length === 0) {
+      throw new Error('The fee payer pool needs at least one signer');
+    }
+
+    this.minBalanceLamports = minBalanceLamports;
+    this.lowBalanceLamports = lowBalanceLamports;
+    this.balanceCheckIntervalMs = balanceCheckIntervalMs;
+    this.alertWebhookUrl = alertWebhookUrl;
+    this.now = now;
+    this.timer = null;
+
+    this.entries = new Map();
+    for (const signer of signers) {
+      const key = signer.publicKey.toBase58();
+      if (this.entries.has(key)) {
+        throw new Error(`Fee payer ${key} is configured twice`);
+      }
+      // balances and lowBalance are per network; a balance is null until first checked
+      this.entries.set(key, { signer, balances: {}, lowBalance: {}, uses: [] });
+    }
+  }
+
+  get signers() {
+    return [...this.entries.values()].map(entry => entry.signer);
+  }
+
+  get ephemeral() {
+    return this.signers.some(signer => signer.ephemeral);
+  }
+
+  /**
+   * The pool's signer for a public key, or null if the key isn't in the pool.
+   */
+  get(publicKey) {
+    const entry = this.entries.get(new PublicKey(publicKey).toBase58());
+    return entry ? entry.signer : null;
+  }
+
+  has(publicKey) {
+    return this.get(publicKey) !== null;
+  }
+
+  recentUses(entry) {
+    const cutoff = this.now() - MINUTE_MS;
+    entry.uses = entry.uses.filter(usedAt => usedAt > cutoff);
+    return entry.uses.length;
+  }
+
+  /**
+   * Keys that can pay on a network: balance unknown yet, or at least minBalanceLamports.
+   */
+  available(network) {
+    return [...this.entries.values()].filter(entry => {
+      const balance = entry.balances[network];
+      return balance === undefined || balance === null || balance >= this.minBalanceLamports;
+    });
+  }
+
+  /**
+   * Pick the fee payer for a new transaction on a network: fewest transactions in
+   * the last minute, then highest balance. Returns null when every key is too low.
+   */
+  select(network) {
+    const [entry] = this.available(network).sort((a, b) =>
+      this.recentUses(a) - this.recentUses(b) ||
+      (b.balances[network] ?? 0) - (a.balances[network] ?? 0));
+
+    if (!entry) {
+      return null;
+    }
+
+    entry.uses.push(this.now());
+    return entry.signer;
+  }
+
+  /**
+   * Record a transaction paid by a specific key (e.g. the authority of a nonce account).
+   */
+  use(publicKey) {
+    const entry = this.entries.get(new PublicKey(publicKey).toBase58());
+    if (entry) {
+      entry.uses.push(this.now());
+    }
+  }
+
+  /**
+   * Fetch every key's balance on every network and alert on keys below lowBalanceLamports.
+   */
+  async refreshBalances(connections) {
+    await Promise.all([...this.entries.values()].flatMap(entry =>
+      Object.entries(connections).map(async ([network, connection]) => {
+        try {
+          entry.balances[network] = await connection.getBalance(entry.signer.publicKey, 'confirmed');
+        } catch (error) {
+          logger.warn('Could not fetch fee payer balance', { network, publicKey: entry.signer.publicKey, error: error.message });
+          return;
+        }
+        metrics.feePayerBalance.set({ public_key: entry.signer.publicKey.toBase58(), network }, entry.balances[network]);
+        await this.checkBalance(entry, network);
+      })));
+  }
+
+  async checkBalance(entry, network) {
+    const balance = entry.balances[network];
+    const low = balance < this.lowBalanceLamports;
+
+    // Alert once when a key goes low, again only after it was topped up
+    if (low && !entry.lowBalance[network]) {
+      logger.warn('Fee payer balance low', {
+        network,
+        publicKey: entry.signer.publicKey,
+        balanceLamports: balance,
+        thresholdLamports: this.lowBalanceLamports
+      });
+      await this.alert({
+        event: 'fee_payer.low_balance',
+        publicKey: entry.signer.publicKey.toBase58(),
+        network,
+        balanceLamports: balance,
+        thresholdLamports: this.lowBalanceLamports
+      });
+    }
+    entry.lowBalance[network] = low;
+  }
+
+  async alert(body) {
+    if (!this.alertWebhookUrl) {
+      return;
+    }
+
+    try {
+      const response = await fetch(this.alertWebhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        logger.warn('Fee payer alert webhook rejected the alert', { status: response.status });
+      }
+    } catch (error) {
+      logger.warn('Fee payer alert webhook failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Check balances now and then every balanceCheckIntervalMs.
+   */
+  startMonitoring(connections) {
+    this.refreshBalances(connections);
+    if (this.balanceCheckIntervalMs > 0 && !this.timer) {
+      this.timer = setInterval(() => this.refreshBalances(connections), this.balanceCheckIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stopMonitoring() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Keys with their balances and load, for /supported and /health.
+   */
+  status(network) {
+    const available = new Set(this.available(network).map(entry => entry.signer.publicKey.toBase58()));
+
+    return [...this.entries.values()].map(entry => ({
+      publicKey: entry.signer.publicKey.toBase58(),
+      source: entry.signer.source,
+      active: network ? available.has(entry.signer.publicKey.toBase58()) : undefined,
+      balances: network ? { [network]: entry.balances[network] ?? null } : entry.balances,
+      lowBalance: Object.keys(entry.lowBalance).filter(name => entry.lowBalance[name]),
+      transactionsLastMinute: this.recentUses(entry)
+    }));
+  }
+}
+
+/**
+ * Build the pool from FEE_PAYER_MIN_BALANCE_LAMPORTS, FEE_PAYER_LOW_BALANCE_LAMPORTS,
+ * FEE_PAYER_BALANCE_CHECK_SECONDS and FEE_PAYER_ALERT_WEBHOOK_URL.
+ */
+function createFeePayerPoolFromEnv(signers, env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+  return new FeePayerPool(signers, {
+    minBalanceLamports: number(env.FEE_PAYER_MIN_BALANCE_LAMPORTS, 5000000),
+    lowBalanceLamports: number(env.FEE_PAYER_LOW_BALANCE_LAMPORTS, 100000000),
+    balanceCheckIntervalMs: number(env.FEE_PAYER_BALANCE_CHECK_SECONDS, 60) * 1000,
+    alertWebhookUrl: env.FEE_PAYER_ALERT_WEBHOOK_URL || null
+  });
+}
+
+module.exports = {
+  FeePayerPool,
+  createFeePayerPoolFromEnv
+};
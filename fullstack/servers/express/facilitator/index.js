@@ -0,0 +1,30 @@
+// The facilitator as a library: embed it in another server, or mount its router under a prefix
+const { Facilitator, createFacilitator, createFacilitatorFromEnv } = require('./facilitator');
+const { createFacilitatorRouter } = require('./express');
+const { SchemeRegistry } = require('./registry');
+const { ExactSolanaScheme } = require('./schemes/exact-solana');
+const { PrepaidSolanaScheme, signPrepaidMessage } = require('./schemes/prepaid-solana');
+const { BalanceStore } = require('./balances');
+const { RefundState, signRefundRequest } = require('./refunds');
+const { ErrorCode, FacilitatorError } = require('./errors');
+const { ReceiptIssuer, ReceiptError, verifyReceipt, acceptReceipts } = require('./receipts');
+
+module.exports = {
+  Facilitator,
+  createFacilitator,
+  createFacilitatorFromEnv,
+  createFacilitatorRouter,
+  SchemeRegistry,
+  ExactSolanaScheme,
+  PrepaidSolanaScheme,
+  BalanceStore,
+  signPrepaidMessage,
+  RefundState,
+  signRefundRequest,
+  ErrorCode,
+  FacilitatorError,
+  ReceiptIssuer,
+  ReceiptError,
+  verifyReceipt,
+  acceptReceipts
+};
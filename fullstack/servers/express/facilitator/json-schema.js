@@ -0,0 +1,105 @@
+/**
+ * A small JSON Schema validator covering the keywords the request schemas use:
+ * type, enum, pattern, minLength, maxLength, minimum, required, properties and items.
+ */
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, errors) {
+  const field = path || '(body)';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.map(describeValue).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema.description ? `must be ${schema.description}` : `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: childPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        check(property, value[key], childPath(path, key), errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, childPath(path, index), errors));
+  }
+}
+
+/**
+ * Every way value breaks schema, as [{ field, message }] with dotted field
+ * paths (e.g. "paymentPayload.network"); empty when it is valid.
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
+
+/**
+ * One line for a list of validation errors, e.g.
+ * "paymentPayload.network is required; paymentRequirements.payTo must not be empty".
+ */
+function formatErrors(errors) {
+  return errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+}
+
+module.exports = {
+  validate,
+  formatErrors
+};
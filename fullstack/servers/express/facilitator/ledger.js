@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ErrorCode, FacilitatorError } = require('./errors');
+
+/**
+ * Default ledger store: everything lives in process memory and is lost on restart.
+ *
+ * A store is any object with async get(key), set(key, value) and delete(key),
+ * so a database-backed store can be dropped in without touching the ledger.
+ */
+class MemoryLedgerStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Persistent store backed by an append-only JSON lines file.
+ * The file is replayed into memory on startup.
+ */
+class FileLedgerStore extends MemoryLedgerStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        const { op, key, value } = JSON.parse(line);
+        if (op === 'set') {
+          this.entries.set(key, value);
+        } else if (op === 'delete') {
+          this.entries.delete(key);
+        }
+      }
+    } else {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+  }
+
+  async set(key, value) {
+    await super.set(key, value);
+    await fs.promises.appendFile(this.filePath, JSON.stringify({ op: 'set', key, value }) + '\n');
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    await fs.promises.appendFile(this.filePath, JSON.stringify({ op: 'delete', key }) + '\n');
+  }
+}
+
+class ReplayError extends Error {
+  constructor(message, { inFlight = false } = {}) {
+    super(message);
+    this.name = 'ReplayError';
+    this.code = 'replay';
+    // Another request is settling the same payment right now
+    this.inFlight = inFlight;
+  }
+}
+
+/**
+ * Record of every settlement, keyed by transaction signature and payment nonce.
+ * A signature or nonce can only ever be settled once.
+ */
+class SettlementLedger {
+  constructor(store = new MemoryLedgerStore(), { now = () => Date.now() } = {}) {
+    this.store = store;
+    this.now = now;
+    // Keys being settled right now, checked synchronously so two
+    // concurrent /settle calls for the same payment can't both pass
+    this.inFlight = new Set();
+    // Payments verified and held for a later /settle (deferred settlement), by
+    // hold ID, and the hold ID of each of their keys
+    this.holds = new Map();
+    this.heldKeys = new Map();
+  }
+
+  static keysFor({ signature, nonce }) {
+    const keys = [`signature:${signature}`];
+    if (nonce) {
+      keys.push(`nonce:${nonce}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Look up the settlement recorded for a signature, if any.
+   */
+  async find(signature) {
+    return this.store.get(`signature:${signature}`);
+  }
+
+  /**
+   * Throw a ReplayError if the signature or nonce was already settled or is being settled.
+   */
+  async assertUnused({ signature, nonce }) {
+    const keys = SettlementLedger.keysFor({ signature, nonce });
+    this.assertNotInFlight(keys);
+    await this.assertNotStored(keys);
+  }
+
+  /**
+   * Claim a signature/nonce for settlement. Must be followed by commit() or release().
+   * A payment held by hold() can only be claimed with its holdId, which ends the hold;
+   * a holdId that is unknown, expired or holds another payment throws
+   * unknown_reservation.
+   */
+  async reserve({ signature, nonce }, { holdId = null } = {}) {
+    const keys = SettlementLedger.keysFor({ signature, nonce });
+    if (holdId) {
+      const hold = this.findHold(holdId);
+      if (!hold || hold.keys.join() !== keys.join()) {
+        throw new FacilitatorError(ErrorCode.UNKNOWN_RESERVATION, `Unknown or expired reservation for this payment: ${holdId}`);
+      }
+    }
+    this.assertNotInFlight(keys, holdId);
+    if (holdId) {
+      this.releaseHold(holdId);
+    }
+    keys.forEach(key => this.inFlight.add(key));
+
+    try {
+      await this.assertNotStored(keys);
+    } catch (error) {
+      keys.forEach(key => this.inFlight.delete(key));
+      throw error;
+    }
+  }
+
+  assertNotInFlight(keys, holdId = null) {
+    this.expireHolds();
+
+    const settling = keys.find(key => this.inFlight.has(key));
+    if (settling) {
+      throw new ReplayError(`Payment ${settling} is already being settled`, { inFlight: true });
+    }
+
+    const held = keys.find(key => this.heldKeys.has(key) && this.heldKeys.get(key) !== holdId);
+    if (held) {
+      const { expiresAt } = this.holds.get(this.heldKeys.get(held));
+      throw new ReplayError(`Payment ${held} is held for settlement until ${expiresAt}`, { inFlight: true });
+    }
+  }
+
+  async assertNotStored(keys) {
+    for (const key of keys) {
+      const existing = await this.store.get(key);
+      if (existing) {
+        throw new ReplayError(`Payment ${key} was already settled at ${existing.settledAt}`);
+      }
+    }
+  }
+
+  /**
+   * Persist a successful settlement and drop the reservation.
+   * The record should carry payer, payTo, amount, mint, network and resource.
+   */
+  async commit({ signature, nonce }, record) {
+    const keys = SettlementLedger.keysFor({ signature, nonce });
+    const entry = {
+      ...record,
+      signature,
+      nonce: nonce || null,
+      settledAt: new Date(this.now()).toISOString()
+    };
+
+    try {
+      for (const key of keys) {
+        await this.store.set(key, entry);
+      }
+    } finally {
+      keys.forEach(key => this.inFlight.delete(key));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Add or replace a refund (matched by id) on a settlement's record, under every
+   * key of the settlement, and index it by refund ID. Returns the updated record.
+   */
+  async saveRefund(signature, refund) {
+    const entry = await this.find(signature);
+    const refunds = (entry.refunds || []).filter(existing => existing.id !== refund.id);
+    const updated = { ...entry, refunds: [...refunds, refund] };
+
+    for (const key of SettlementLedger.keysFor({ signature, nonce: entry.nonce })) {
+      await this.store.set(key, updated);
+    }
+    await this.store.set(`refund:${refund.id}`, { signature });
+    return updated;
+  }
+
+  /**
+   * A refund and the record of the settlement it refunds, or null.
+   */
+  async findRefund(id) {
+    const index = await this.store.get(`refund:${id}`);
+    const settlement = index && await this.find(index.signature);
+    const refund = settlement?.refunds?.find(existing => existing.id === id);
+    return refund ? { refund, settlement } : null;
+  }
+
+  /**
+   * Drop a reservation after a failed settlement so the payment can be retried.
+   */
+  release({ signature, nonce }) {
+    SettlementLedger.keysFor({ signature, nonce }).forEach(key => this.inFlight.delete(key));
+  }
+
+  /**
+   * Hold a verified payment for ttlSeconds: nothing else can settle it meanwhile,
+   * only a reserve() with the hold's ID. details are kept on the hold. Throws a
+   * ReplayError if the payment was settled, is being settled or is already held.
+   */
+  async hold({ signature, nonce }, { ttlSeconds, details = {} }) {
+    const keys = SettlementLedger.keysFor({ signature, nonce });
+    this.assertNotInFlight(keys);
+
+    const hold = {
+      ...details,
+      id: crypto.randomUUID(),
+      keys,
+      expiresAt: new Date(this.now() + ttlSeconds * 1000).toISOString()
+    };
+    this.holds.set(hold.id, hold);
+    keys.forEach(key => this.heldKeys.set(key, hold.id));
+
+    try {
+      await this.assertNotStored(keys);
+    } catch (error) {
+      this.releaseHold(hold.id);
+      throw error;
+    }
+    return hold;
+  }
+
+  /**
+   * A hold that hasn't expired, or null.
+   */
+  findHold(id) {
+    this.expireHolds();
+    return this.holds.get(id) || null;
+  }
+
+  /**
+   * End a hold so the payment can be settled by anyone again. Returns the hold, or
+   * null if there was none (unknown, expired or already claimed).
+   */
+  releaseHold(id) {
+    const hold = this.holds.get(id);
+    if (!hold) {
+      return null;
+    }
+
+    this.holds.delete(id);
+    hold.keys.forEach(key => this.heldKeys.delete(key));
+    return hold;
+  }
+
+  // Holds nobody settled in time end by themselves
+  expireHolds() {
+    for (const hold of this.holds.values()) {
+      if (Date.parse(hold.expiresAt) <= this.now()) {
+        this.releaseHold(hold.id);
+      }
+    }
+  }
+}
+
+/**
+ * Build the ledger from the environment: LEDGER_FILE enables the persistent
+ * file store, otherwise settlements are only kept in memory.
+ */
+function createLedgerFromEnv(env = process.env) {
+  if (env.LEDGER_FILE) {
+    return new SettlementLedger(new FileLedgerStore(env.LEDGER_FILE));
+  }
+  return new SettlementLedger(new MemoryLedgerStore());
+}
+
+module.exports = {
+  MemoryLedgerStore,
+  FileLedgerStore,
+  ReplayError,
+  SettlementLedger,
+  createLedgerFromEnv
+};
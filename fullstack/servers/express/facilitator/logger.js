@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50 };
+
+// Signed transactions, signatures over them and credentials; never written to logs
+const DEFAULT_REDACT_KEYS = [
+  'transaction',
+  'facilitatorTransaction',
+  'userSignature',
+  'signedTransaction',
+  'secretKey',
+  'privateKey',
+  'password',
+  'token',
+  'authorization',
+  'x-payment'
+];
+
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 8;
+
+// Incoming request IDs are echoed back and logged, so only accept plain ones
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The current request's ID, for log lines written anywhere while handling it
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * One JSON object per line: time, level, msg, the request ID when there is one,
+ * the logger's bindings and the line's fields. Keys in redactKeys are replaced at
+ * any depth, matched case-insensitively.
+ */
+class Logger {
+  constructor({ level = 'info', redactKeys = DEFAULT_REDACT_KEYS, bindings = {}, write = line => process.stdout.write(line) } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    this.level = level;
+    this.redactKeys = new Set(redactKeys.map(key => key.toLowerCase()));
+    this.bindings = bindings;
+    this.write = write;
+  }
+
+  child(bindings) {
+    const child = Object.create(this);
+    child.bindings = { ...this.bindings, ...bindings };
+    return child;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context && { requestId: context.requestId }),
+      ...this.bindings,
+      ...fields
+    };
+
+    this.write(JSON.stringify(this.redact(entry, 0)) + '\n');
+  }
+
+  redact(value, depth) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'bigint' ? value.toString() : value;
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[truncated]';
+    }
+    if (typeof value.toJSON === 'function') {
+      return this.redact(value.toJSON(), depth + 1);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      this.redactKeys.has(key.toLowerCase()) && item !== null && item !== undefined ? REDACTED : this.redact(item, depth + 1)
+    ]));
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+/**
+ * Express middleware: take the caller's X-Request-Id (a resource server forwarding
+ * its own) or make one, echo it on the response, tag every log line written while
+ * handling the request with it, and log the request once it completes.
+ */
+function requestLogging(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      logger.info('request completed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+      });
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+/**
+ * The ID of the request being handled, or null outside of one.
+ */
+function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+/**
+ * Run fn outside of any request, so timers it starts don't carry the current request ID.
+ */
+function detached(fn) {
+  return requestContext.exit(fn);
+}
+
+/**
+ * Logger from LOG_LEVEL (debug, info, warn or error; default info) and LOG_REDACT_KEYS
+ * (comma-separated field names to redact on top of the defaults).
+ */
+function createLoggerFromEnv(env = process.env) {
+  const extraKeys = (env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+  return new Logger({
+    level: (env.LOG_LEVEL || 'info').toLowerCase(),
+    redactKeys: [...DEFAULT_REDACT_KEYS, ...extraKeys],
+    bindings: { service: 'x402-facilitator' }
+  });
+}
+
+// Shared by the facilitator and its modules
+const logger = createLoggerFromEnv();
+
+module.exports = {
+  LEVELS,
+  DEFAULT_REDACT_KEYS,
+  Logger,
+  logger,
+  requestLogging,
+  currentRequestId,
+  detached,
+  createLoggerFromEnv
+};
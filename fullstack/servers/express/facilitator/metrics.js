@@ -0,0 +1,192 @@
+// Prometheus metrics in the text exposition format, served by GET /metrics
+
+const DEFAULT_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base of every metric: a name, help text, label names and one value per label set.
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  key(labels) {
+    const unknown = Object.keys(labels).find(name => !this.labelNames.includes(name));
+    if (unknown) {
+      throw new Error(`Metric ${this.name} has no label "${unknown}"`);
+    }
+    return JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+  }
+
+  labelsFor(key) {
+    return Object.fromEntries(JSON.parse(key).map((value, index) => [this.labelNames[index], value]));
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(...this.renderValue(this.labelsFor(key), value));
+    }
+    return lines.join('\n');
+  }
+
+  renderValue(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    const series = this.values.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+    this.values.set(key, series);
+  }
+
+  renderValue(labels, { counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+const registry = new Registry();
+
+// The facilitator's metrics, shared by its modules
+const metrics = {
+  verifications: registry.counter({
+    name: 'x402_verify_total',
+    help: 'Payment verifications by payload format, network and result (valid or the error code)',
+    labelNames: ['format', 'network', 'result']
+  }),
+  settlements: registry.counter({
+    name: 'x402_settle_total',
+    help: 'Settlement requests by payload format, network, mode and result (settled, queued or the error code)',
+    labelNames: ['format', 'network', 'mode', 'result']
+  }),
+  asyncSettlements: registry.counter({
+    name: 'x402_async_settlements_total',
+    help: 'Queued settlements by network and outcome (confirmed or the error code)',
+    labelNames: ['network', 'result']
+  }),
+  confirmationSeconds: registry.histogram({
+    name: 'x402_settlement_confirmation_seconds',
+    help: 'Time from broadcast to confirmation of settled transactions',
+    labelNames: ['network', 'mode']
+  }),
+  sponsoredLamports: registry.counter({
+    name: 'x402_sponsored_lamports_total',
+    help: 'Lamports the facilitator paid in fees for settled sponsored transactions, by network and kind (base_fee or priority_fee)',
+    labelNames: ['network', 'kind']
+  }),
+  rpcErrors: registry.counter({
+    name: 'x402_rpc_errors_total',
+    help: 'Failed RPC calls by network and endpoint',
+    labelNames: ['network', 'endpoint']
+  }),
+  feePayerBalance: registry.gauge({
+    name: 'x402_fee_payer_balance_lamports',
+    help: 'Last fetched balance of each fee payer key by network',
+    labelNames: ['public_key', 'network']
+  })
+};
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  metrics
+};
@@ -0,0 +1,131 @@
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getAccountLenForMint,
+  getAssociatedTokenAddressSync,
+  unpackMint
+} = require('@solana/spl-token');
+
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+// paymentRequirements.asset value for payments in native SOL; maxAmountRequired is then in lamports
+const NATIVE_SOL_ASSET = 'SOL';
+const LAMPORTS_DECIMALS = 9;
+
+function isNativeSol(asset) {
+  return asset === NATIVE_SOL_ASSET;
+}
+
+function isTokenProgram(programId) {
+  return TOKEN_PROGRAM_IDS.some(tokenProgramId => tokenProgramId.equals(programId));
+}
+
+/**
+ * Fetch a mint and the token program that owns it (SPL Token or Token-2022).
+ */
+async function loadMint(connection, mintAddress) {
+  const mintInfo = await connection.getAccountInfo(mintAddress, 'confirmed');
+
+  if (!mintInfo) {
+    throw new Error(`Mint ${mintAddress.toBase58()} not found`);
+  }
+
+  if (!isTokenProgram(mintInfo.owner)) {
+    throw new Error(`Account ${mintAddress.toBase58()} is not a token mint (owner ${mintInfo.owner.toBase58()})`);
+  }
+
+  return {
+    programId: mintInfo.owner,
+    mint: unpackMint(mintAddress, mintInfo, mintInfo.owner)
+  };
+}
+
+/**
+ * Instructions that move paymentRequirements.maxAmountRequired of the asset from
+ * the payer to payTo: a transferChecked on the mint's own token program, preceded
+ * by an idempotent create of payTo's associated token account when it doesn't exist yet.
+ *
+ * The account creation is paid by feePayer; its rent is returned as rentLamports.
+ */
+async function buildTokenPaymentInstructions(connection, { payer, paymentRequirements, feePayer }) {
+  const mintAddress = new PublicKey(paymentRequirements.asset);
+  const payTo = new PublicKey(paymentRequirements.payTo);
+  const { programId, mint } = await loadMint(connection, mintAddress);
+
+  const payerTokenAccount = getAssociatedTokenAddressSync(mintAddress, payer, false, programId);
+  const recipientTokenAccount = getAssociatedTokenAddressSync(mintAddress, payTo, true, programId);
+
+  const instructions = [];
+  let rentLamports = 0;
+
+  const recipientAccountInfo = await connection.getAccountInfo(recipientTokenAccount, 'confirmed');
+  if (!recipientAccountInfo) {
+    rentLamports = await connection.getMinimumBalanceForRentExemption(getAccountLenForMint(mint));
+    instructions.push(createAssociatedTokenAccountIdempotentInstruction(
+      feePayer,
+      recipientTokenAccount,
+      payTo,
+      mintAddress,
+      programId
+    ));
+  }
+
+  instructions.push(createTransferCheckedInstruction(
+    payerTokenAccount,
+    mintAddress,
+    recipientTokenAccount,
+    payer, // User is authority for token transfer
+    BigInt(paymentRequirements.maxAmountRequired),
+    mint.decimals,
+    [],
+    programId
+  ));
+
+  return {
+    instructions,
+    rentLamports,
+    programId,
+    createsRecipientAccount: rentLamports > 0
+  };
+}
+
+/**
+ * A single SystemProgram transfer of maxAmountRequired lamports from the payer to payTo.
+ */
+function buildNativePaymentInstructions({ payer, paymentRequirements }) {
+  return {
+    instructions: [SystemProgram.transfer({
+      fromPubkey: payer, // User is authority for the lamport transfer
+      toPubkey: new PublicKey(paymentRequirements.payTo),
+      lamports: BigInt(paymentRequirements.maxAmountRequired)
+    })],
+    rentLamports: 0,
+    programId: SystemProgram.programId,
+    createsRecipientAccount: false
+  };
+}
+
+/**
+ * Payment instructions for whatever paymentRequirements.asset is: native SOL or an SPL / Token-2022 mint.
+ */
+async function buildPaymentInstructions(connection, options) {
+  if (isNativeSol(options.paymentRequirements.asset)) {
+    return buildNativePaymentInstructions(options);
+  }
+  return buildTokenPaymentInstructions(connection, options);
+}
+
+module.exports = {
+  TOKEN_PROGRAM_IDS,
+  NATIVE_SOL_ASSET,
+  LAMPORTS_DECIMALS,
+  isNativeSol,
+  isTokenProgram,
+  loadMint,
+  buildTokenPaymentInstructions,
+  buildNativePaymentInstructions,
+  buildPaymentInstructions
+};
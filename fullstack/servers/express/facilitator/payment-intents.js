@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+/**
+ * What a user asked the facilitator to sponsor (payer, paymentRequirements and
+ * transaction options), so an expired transaction can be rebuilt for the same payment.
+ *
+ * Also hands out the facilitator's durable nonce accounts: each one backs at most
+ * one live intent at a time.
+ */
+class PaymentIntentStore {
+  constructor({
+    ttlMs = 10 * 60 * 1000,
+    nonceAccounts = [],
+    nonceTtlMs = 24 * 60 * 60 * 1000
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.nonceAccounts = nonceAccounts.map(account => new PublicKey(account));
+    this.nonceTtlMs = nonceTtlMs;
+    this.intents = new Map();
+  }
+
+  get durableNonceEnabled() {
+    return this.nonceAccounts.length > 0;
+  }
+
+  /**
+   * A nonce account no live intent is using, or null if they are all taken.
+   */
+  availableNonceAccount() {
+    this.prune();
+    const leased = new Set([...this.intents.values()]
+      .filter(intent => intent.nonceAccount)
+      .map(intent => intent.nonceAccount.toBase58()));
+
+    return this.nonceAccounts.find(account => !leased.has(account.toBase58())) || null;
+  }
+
+  create({ userPublicKey, paymentRequirements, options = {}, nonceAccount = null }) {
+    this.prune();
+    const intent = {
+      id: crypto.randomUUID(),
+      userPublicKey,
+      paymentRequirements,
+      options,
+      nonceAccount,
+      transactionKey: null,
+      signature: null,
+      lastValidBlockHeight: null,
+      // Transactions built for it earlier, as { signature, lastValidBlockHeight }
+      superseded: [],
+      expiresAt: Date.now() + (nonceAccount ? this.nonceTtlMs : this.ttlMs)
+    };
+
+    this.intents.set(intent.id, intent);
+    return intent;
+  }
+
+  get(id) {
+    const intent = this.intents.get(id);
+    if (!intent || intent.expiresAt < Date.now()) {
+      return null;
+    }
+    return intent;
+  }
+
+  /**
+   * Point an intent at the transaction most recently built for it (signature is
+   * its fee payer signature). The one it replaces is kept in superseded: it was
+   * signed by the facilitator too and can land until its lastValidBlockHeight.
+   */
+  update(id, { transactionKey, signature, lastValidBlockHeight }) {
+    const intent = this.get(id);
+    if (intent) {
+      if (intent.signature) {
+        intent.superseded.push({ signature: intent.signature, lastValidBlockHeight: intent.lastValidBlockHeight });
+      }
+      intent.transactionKey = transactionKey;
+      intent.signature = signature;
+      intent.lastValidBlockHeight = lastValidBlockHeight;
+    }
+  }
+
+  /**
+   * Drop an intent once its payment is settled, freeing its nonce account.
+   */
+  complete(id) {
+    this.intents.delete(id);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, intent] of this.intents) {
+      if (intent.expiresAt < now) {
+        this.intents.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Build the store from PAYMENT_INTENT_TTL_SECONDS, FACILITATOR_NONCE_ACCOUNTS
+ * (comma-separated nonce accounts whose authority is the facilitator key) and
+ * NONCE_INTENT_TTL_SECONDS.
+ */
+function createPaymentIntentStoreFromEnv(env = process.env) {
+  return new PaymentIntentStore({
+    ttlMs: Number(env.PAYMENT_INTENT_TTL_SECONDS || 600) * 1000,
+    nonceAccounts: env.FACILITATOR_NONCE_ACCOUNTS ?
+      env.FACILITATOR_NONCE_ACCOUNTS.split(',').map(account => account.trim()).filter(Boolean) :
+      [],
+    nonceTtlMs: Number(env.NONCE_INTENT_TTL_SECONDS || 86400) * 1000
+  });
+}
+
+module.exports = {
+  PaymentIntentStore,
+  createPaymentIntentStoreFromEnv
+};
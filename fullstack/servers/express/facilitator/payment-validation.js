@@ -0,0 +1,347 @@
+const { PublicKey, SystemInstruction, SystemProgram } = require('@solana/web3.js');
+const {
+  TokenInstruction,
+  decodeInstruction,
+  getAssociatedTokenAddressSync
+} = require('@solana/spl-token');
+const { TOKEN_PROGRAM_IDS, isNativeSol, isTokenProgram } = require('./payment-instructions');
+const { ErrorCode } = require('./errors');
+
+/**
+ * invalidReason codes returned when a payment does not match its paymentRequirements
+ */
+const InvalidReason = {
+  INVALID_REQUIREMENTS: ErrorCode.INVALID_PAYMENT_REQUIREMENTS,
+  MISSING_TRANSFER: ErrorCode.MISSING_TRANSFER,
+  MULTIPLE_TRANSFERS: ErrorCode.MULTIPLE_TRANSFERS,
+  UNSUPPORTED_TOKEN_INSTRUCTION: ErrorCode.UNSUPPORTED_TOKEN_INSTRUCTION,
+  UNSUPPORTED_SYSTEM_INSTRUCTION: ErrorCode.UNSUPPORTED_SYSTEM_INSTRUCTION,
+  WRONG_MINT: ErrorCode.WRONG_MINT,
+  WRONG_RECIPIENT: ErrorCode.WRONG_RECIPIENT,
+  WRONG_AUTHORITY: ErrorCode.WRONG_AUTHORITY,
+  INVALID_AMOUNT: ErrorCode.INVALID_AMOUNT
+};
+
+function invalid(invalidReason, message) {
+  return { isValid: false, invalidReason, message };
+}
+
+/**
+ * Parse the asset, payTo and amount out of paymentRequirements.
+ * Throws if any of them is missing or malformed.
+ * For native SOL, mint is null and amount is in lamports.
+ */
+function parseRequirements(paymentRequirements) {
+  const native = isNativeSol(paymentRequirements.asset);
+  const mint = native ? null : new PublicKey(paymentRequirements.asset);
+  const payTo = new PublicKey(paymentRequirements.payTo);
+  const amount = BigInt(paymentRequirements.maxAmountRequired);
+
+  if (amount <= 0n) {
+    throw new Error('maxAmountRequired must be positive');
+  }
+
+  return { native, mint, payTo, amount };
+}
+
+function describeAsset(required) {
+  return required.native ? 'SOL' : required.mint.toBase58();
+}
+
+/**
+ * payTo's associated token account for the mint under the given token program
+ */
+function recipientTokenAccountFor(required, programId) {
+  return getAssociatedTokenAddressSync(required.mint, required.payTo, true, programId);
+}
+
+/**
+ * Decode every SPL Token and Token-2022 instruction of a transaction.
+ * Only Transfer and TransferChecked are accepted; any other token instruction
+ * (approve, setAuthority, closeAccount, ...) makes the payment invalid.
+ */
+function decodeTokenTransfers(instructions) {
+  const transfers = [];
+
+  for (const instruction of instructions) {
+    if (!isTokenProgram(instruction.programId)) {
+      continue;
+    }
+
+    let decoded;
+    try {
+      decoded = decodeInstruction(instruction, instruction.programId);
+    } catch (error) {
+      return { error: invalid(InvalidReason.UNSUPPORTED_TOKEN_INSTRUCTION, `Could not decode token instruction: ${error.message}`) };
+    }
+
+    const type = decoded.data.instruction;
+    if (type !== TokenInstruction.Transfer && type !== TokenInstruction.TransferChecked) {
+      return { error: invalid(InvalidReason.UNSUPPORTED_TOKEN_INSTRUCTION, `Token instruction ${TokenInstruction[type]} is not allowed in a payment`) };
+    }
+
+    transfers.push({
+      programId: instruction.programId,
+      source: decoded.keys.source.pubkey,
+      destination: decoded.keys.destination.pubkey,
+      authority: decoded.keys.owner.pubkey,
+      mint: decoded.keys.mint ? decoded.keys.mint.pubkey : null,
+      amount: decoded.data.amount
+    });
+  }
+
+  return { transfers };
+}
+
+/**
+ * Decode every System Program instruction of a transaction.
+ * Only Transfer is accepted in a native SOL payment, plus the AdvanceNonceAccount
+ * that opens a durable nonce transaction.
+ */
+function decodeNativeTransfers(instructions) {
+  const transfers = [];
+
+  for (const [index, instruction] of instructions.entries()) {
+    if (!instruction.programId.equals(SystemProgram.programId)) {
+      continue;
+    }
+
+    let type;
+    try {
+      type = SystemInstruction.decodeInstructionType(instruction);
+    } catch (error) {
+      return { error: invalid(InvalidReason.UNSUPPORTED_SYSTEM_INSTRUCTION, `Could not decode system instruction: ${error.message}`) };
+    }
+
+    if (type === 'AdvanceNonceAccount' && index === 0) {
+      continue;
+    }
+
+    if (type !== 'Transfer') {
+      return { error: invalid(InvalidReason.UNSUPPORTED_SYSTEM_INSTRUCTION, `System instruction ${type} is not allowed in a payment`) };
+    }
+
+    const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+    transfers.push({
+      programId: SystemProgram.programId,
+      source: fromPubkey,
+      destination: toPubkey,
+      authority: fromPubkey,
+      mint: null,
+      amount: BigInt(lamports)
+    });
+  }
+
+  return { transfers };
+}
+
+/**
+ * Validate that a transaction's instructions contain exactly one SPL transfer of
+ * paymentRequirements.maxAmountRequired of paymentRequirements.asset
+ * into the associated token account of paymentRequirements.payTo
+ * (or, for native SOL, exactly one SystemProgram transfer to payTo).
+ *
+ * When expectedAuthority is given, the transfer must be signed by it.
+ */
+function validateTransferInstructions(instructions, paymentRequirements, { expectedAuthority } = {}) {
+  let required;
+  try {
+    required = parseRequirements(paymentRequirements);
+  } catch (error) {
+    return invalid(InvalidReason.INVALID_REQUIREMENTS, `Invalid paymentRequirements: ${error.message}`);
+  }
+
+  const { transfers, error } = required.native ?
+    decodeNativeTransfers(instructions) :
+    decodeTokenTransfers(instructions);
+  if (error) {
+    return error;
+  }
+
+  if (transfers.length === 0) {
+    return invalid(InvalidReason.MISSING_TRANSFER, `Transaction contains no ${required.native ? 'SOL' : 'SPL token'} transfer`);
+  }
+
+  if (transfers.length > 1) {
+    return invalid(InvalidReason.MULTIPLE_TRANSFERS, `Transaction contains ${transfers.length} token transfers, expected exactly 1`);
+  }
+
+  const [transfer] = transfers;
+
+  if (transfer.mint && !transfer.mint.equals(required.mint)) {
+    return invalid(InvalidReason.WRONG_MINT, `Transfer mint ${transfer.mint.toBase58()} does not match asset ${required.mint.toBase58()}`);
+  }
+
+  // The destination ATA is derived from the mint and token program, so this also
+  // pins the mint for plain Transfer. SOL goes straight to the payTo wallet.
+  const expectedDestination = required.native ?
+    required.payTo :
+    recipientTokenAccountFor(required, transfer.programId);
+  if (!transfer.destination.equals(expectedDestination)) {
+    return invalid(InvalidReason.WRONG_RECIPIENT, `Transfer destination ${transfer.destination.toBase58()} is not the ${describeAsset(required)} account of payTo ${required.payTo.toBase58()}`);
+  }
+
+  if (transfer.amount !== required.amount) {
+    return invalid(InvalidReason.INVALID_AMOUNT, `Transfer amount ${transfer.amount} does not match required amount ${required.amount}`);
+  }
+
+  if (expectedAuthority && !transfer.authority.equals(new PublicKey(expectedAuthority))) {
+    return invalid(InvalidReason.WRONG_AUTHORITY, `Transfer authority ${transfer.authority.toBase58()} does not match payer ${expectedAuthority}`);
+  }
+
+  return {
+    isValid: true,
+    invalidReason: null,
+    payer: transfer.authority.toBase58(),
+    transfer
+  };
+}
+
+/**
+ * Native SOL counterpart of validateSettledTransfer, using pre/post lamport balances.
+ */
+function validateSettledNativeTransfer(transactionInfo, required, expectedPayer) {
+  const meta = transactionInfo.meta || {};
+  const accountKeys = transactionInfo.transaction.message
+    .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .map(key => key.toBase58());
+
+  const lamportChange = address => {
+    const index = accountKeys.indexOf(address);
+    if (index === -1) {
+      return 0n;
+    }
+    return BigInt(meta.postBalances[index]) - BigInt(meta.preBalances[index]);
+  };
+
+  const payTo = required.payTo.toBase58();
+  const received = lamportChange(payTo);
+  if (received <= 0n) {
+    return invalid(InvalidReason.WRONG_RECIPIENT, `payTo ${payTo} did not receive any SOL`);
+  }
+
+  if (received !== required.amount) {
+    return invalid(InvalidReason.INVALID_AMOUNT, `payTo received ${received} lamports, required amount is ${required.amount}`);
+  }
+
+  if (expectedPayer) {
+    // The fee payer (first account) also paid the transaction fee
+    const fee = accountKeys[0] === expectedPayer ? BigInt(meta.fee || 0) : 0n;
+    const sent = -lamportChange(expectedPayer) - fee;
+    if (sent !== required.amount) {
+      return invalid(InvalidReason.WRONG_AUTHORITY, `Payer ${expectedPayer} did not send the payment`);
+    }
+  }
+
+  return {
+    isValid: true,
+    invalidReason: null,
+    payer: expectedPayer || null
+  };
+}
+
+function tokenBalanceOf(balances, owner, mint) {
+  const entry = (balances || []).find(balance => balance.owner === owner && balance.mint === mint);
+  return entry ? BigInt(entry.uiTokenAmount.amount) : 0n;
+}
+
+/**
+ * Validate an already-confirmed transaction (as returned by getTransaction)
+ * using its token balance changes: payTo must have received exactly
+ * maxAmountRequired of the asset, taken from expectedPayer when given.
+ */
+function validateSettledTransfer(transactionInfo, paymentRequirements, { expectedPayer } = {}) {
+  let required;
+  try {
+    required = parseRequirements(paymentRequirements);
+  } catch (error) {
+    return invalid(InvalidReason.INVALID_REQUIREMENTS, `Invalid paymentRequirements: ${error.message}`);
+  }
+
+  if (required.native) {
+    return validateSettledNativeTransfer(transactionInfo, required, expectedPayer);
+  }
+
+  const meta = transactionInfo.meta || {};
+  const mint = required.mint.toBase58();
+  const payTo = required.payTo.toBase58();
+
+  const mintTouched = [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]
+    .some(balance => balance.mint === mint);
+  if (!mintTouched) {
+    return invalid(InvalidReason.WRONG_MINT, `Transaction did not move any ${mint}`);
+  }
+
+  const received = tokenBalanceOf(meta.postTokenBalances, payTo, mint) - tokenBalanceOf(meta.preTokenBalances, payTo, mint);
+  if (received <= 0n) {
+    return invalid(InvalidReason.WRONG_RECIPIENT, `payTo ${payTo} did not receive any ${mint}`);
+  }
+
+  if (received !== required.amount) {
+    return invalid(InvalidReason.INVALID_AMOUNT, `payTo received ${received}, required amount is ${required.amount}`);
+  }
+
+  if (expectedPayer) {
+    const sent = tokenBalanceOf(meta.preTokenBalances, expectedPayer, mint) - tokenBalanceOf(meta.postTokenBalances, expectedPayer, mint);
+    if (sent !== required.amount) {
+      return invalid(InvalidReason.WRONG_AUTHORITY, `Payer ${expectedPayer} did not send the payment`);
+    }
+  }
+
+  return {
+    isValid: true,
+    invalidReason: null,
+    payer: expectedPayer || null
+  };
+}
+
+/**
+ * Check the self-declared fields of "full" and "authorization_only" payloads
+ * (amount, mint, recipient) against paymentRequirements.
+ */
+function validatePayloadClaims(transactionData, paymentRequirements) {
+  let required;
+  try {
+    required = parseRequirements(paymentRequirements);
+  } catch (error) {
+    return invalid(InvalidReason.INVALID_REQUIREMENTS, `Invalid paymentRequirements: ${error.message}`);
+  }
+
+  const { amount, mint, recipient } = transactionData;
+
+  if (amount !== undefined && amount !== null) {
+    let claimed;
+    try {
+      claimed = BigInt(amount);
+    } catch {
+      return invalid(InvalidReason.INVALID_AMOUNT, `Payload amount ${amount} is not an integer amount in base units`);
+    }
+    if (claimed !== required.amount) {
+      return invalid(InvalidReason.INVALID_AMOUNT, `Payload amount ${amount} does not match required amount ${required.amount}`);
+    }
+  }
+
+  if (mint && mint !== describeAsset(required)) {
+    return invalid(InvalidReason.WRONG_MINT, `Payload mint ${mint} does not match asset ${describeAsset(required)}`);
+  }
+
+  // Recipient may be given either as the payTo wallet or as its token account
+  const recipients = [
+    required.payTo,
+    ...(required.native ? [] : TOKEN_PROGRAM_IDS.map(programId => recipientTokenAccountFor(required, programId)))
+  ].map(address => address.toBase58());
+  if (recipient && !recipients.includes(recipient)) {
+    return invalid(InvalidReason.WRONG_RECIPIENT, `Payload recipient ${recipient} does not match payTo ${required.payTo.toBase58()}`);
+  }
+
+  return { isValid: true, invalidReason: null };
+}
+
+module.exports = {
+  InvalidReason,
+  validateTransferInstructions,
+  validateSettledTransfer,
+  validatePayloadClaims
+};
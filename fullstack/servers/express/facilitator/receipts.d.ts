@@ -0,0 +1,69 @@
+// Types of facilitator/receipts.js for the TypeScript resource server
+import type { Request, RequestHandler } from 'express';
+
+export const RECEIPT_HEADER: string;
+
+export interface ReceiptClaims {
+  iss: string;
+  iat: number;
+  exp: number;
+  resource: string | null;
+  network: string;
+  payer: string;
+  payTo: string;
+  amount: string;
+  asset: string;
+  transaction: string;
+}
+
+export type ReceiptErrorReason =
+  | 'malformed'
+  | 'unknown_issuer'
+  | 'invalid_signature'
+  | 'expired'
+  | 'wrong_resource'
+  | 'wrong_payee'
+  | 'insufficient_amount';
+
+// What a receipt has to cover: amount in base units of asset (a mint, or "SOL")
+export interface ReceiptPrice {
+  amount: string | number | bigint;
+  asset: string;
+}
+
+export class ReceiptError extends Error {
+  reason: ReceiptErrorReason;
+}
+
+export function verifyReceipt(
+  token: string,
+  options: {
+    issuers: string | string[];
+    resource?: string | ((resource: string | null) => boolean);
+    payTo?: string | string[];
+    price?: ReceiptPrice | ReceiptPrice[];
+    now?: number;
+  }
+): ReceiptClaims;
+
+export function acceptReceipts(
+  paywall: RequestHandler,
+  options: {
+    issuers?: string | string[];
+    payTo: string;
+    price:
+      | ReceiptPrice
+      | ReceiptPrice[]
+      | ((req: Request) => Promise<ReceiptPrice | ReceiptPrice[]> | ReceiptPrice | ReceiptPrice[]);
+    resource?: (req: Request) => string;
+    header?: string;
+  }
+): RequestHandler;
+
+declare global {
+  namespace Express {
+    interface Request {
+      receipt?: ReceiptClaims;
+    }
+  }
+}
@@ -0,0 +1,269 @@
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { KeypairSigner, loadKeypairFile } = require('./signers');
+const { verifyEd25519 } = require('./transactions');
+const { logger } = require('./logger');
+
+const DEFAULT_RECEIPT_TTL_SECONDS = 24 * 60 * 60;
+const RECEIPT_HEADER = 'X-PAYMENT-RECEIPT';
+
+// Issued-at times this far in the future, or expiries this far in the past, are tolerated
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const ReceiptErrorReason = {
+  MALFORMED: 'malformed',
+  UNKNOWN_ISSUER: 'unknown_issuer',
+  INVALID_SIGNATURE: 'invalid_signature',
+  EXPIRED: 'expired',
+  WRONG_RESOURCE: 'wrong_resource',
+  WRONG_PAYEE: 'wrong_payee',
+  INSUFFICIENT_AMOUNT: 'insufficient_amount'
+};
+
+class ReceiptError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ReceiptError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * JSON with object keys sorted at every level and no whitespace, so the same
+ * claims always serialize to the same bytes.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function encodeSegment(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+function decodeJsonSegment(segment) {
+  const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('not a JSON object');
+  }
+  return value;
+}
+
+/**
+ * Signs settlement receipts: compact JWTs (alg EdDSA) over canonical JSON claims
+ *
+ *   iss          base58 public key of the signing key
+ *   iat, exp     issue and expiry time, in seconds
+ *   resource     paymentRequirements.resource
+ *   network, payer, payTo, amount (base units), asset (mint or "SOL")
+ *   transaction  the settled transaction signature
+ *
+ * Resource servers check them with verifyReceipt() and the issuer key alone.
+ */
+class ReceiptIssuer {
+  constructor({ signer, ttlSeconds = DEFAULT_RECEIPT_TTL_SECONDS }) {
+    this.signer = signer;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  get issuer() {
+    return this.signer.publicKey.toBase58();
+  }
+
+  async issue({ resource, network, payer, payTo, amount, asset, transaction }, now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000);
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: this.issuer };
+    const claims = {
+      iss: this.issuer,
+      iat: issuedAt,
+      exp: issuedAt + this.ttlSeconds,
+      resource: resource || null,
+      network,
+      payer,
+      payTo,
+      amount: String(amount),
+      asset,
+      transaction
+    };
+
+    const signingInput = `${encodeSegment(canonicalJson(header))}.${encodeSegment(canonicalJson(claims))}`;
+    const signature = await this.signer.sign(Buffer.from(signingInput));
+    return `${signingInput}.${encodeSegment(signature)}`;
+  }
+
+  /**
+   * What resource servers need to check receipts, for /supported.
+   */
+  describe() {
+    return { issuer: this.issuer, algorithm: 'EdDSA', ttlSeconds: this.ttlSeconds };
+  }
+}
+
+/**
+ * Check a receipt without any network call. issuers are the base58 public keys
+ * trusted to sign receipts; resource, when given, is the resource the receipt must
+ * be for (a string, or a function of the receipt's resource returning a boolean).
+ * payTo, when given, is the address (or addresses) the payment must have gone to,
+ * and price ({ amount, asset } in base units, or a list of them) what it must have
+ * covered: at least the amount of the asset it was paid in.
+ * Returns the claims, or throws ReceiptError with a ReceiptErrorReason.
+ */
+function verifyReceipt(token, { issuers, resource, payTo, price, now = Date.now() }) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new ReceiptError(ReceiptErrorReason.MALFORMED, 'A receipt has three dot-separated segments');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeJsonSegment(segments[0]);
+    claims = decodeJsonSegment(segments[1]);
+  } catch (error) {
+    throw new ReceiptError(ReceiptErrorReason.MALFORMED, `Could not decode receipt: ${error.message}`);
+  }
+  if (header.alg !== 'EdDSA' || typeof claims.exp !== 'number') {
+    throw new ReceiptError(ReceiptErrorReason.MALFORMED, `Unsupported receipt algorithm ${header.alg}`);
+  }
+
+  if (![].concat(issuers).includes(claims.iss)) {
+    throw new ReceiptError(ReceiptErrorReason.UNKNOWN_ISSUER, `Receipt issuer ${claims.iss} is not trusted`);
+  }
+
+  const signature = Buffer.from(segments[2], 'base64url');
+  const signingInput = Buffer.from(`${segments[0]}.${segments[1]}`);
+  if (signature.length !== 64 || !verifyEd25519(signingInput, signature, new PublicKey(claims.iss))) {
+    throw new ReceiptError(ReceiptErrorReason.INVALID_SIGNATURE, 'Receipt signature is invalid');
+  }
+
+  const nowSeconds = now / 1000;
+  if (claims.exp + CLOCK_TOLERANCE_SECONDS < nowSeconds) {
+    throw new ReceiptError(ReceiptErrorReason.EXPIRED, `Receipt expired at ${new Date(claims.exp * 1000).toISOString()}`);
+  }
+  if (claims.iat - CLOCK_TOLERANCE_SECONDS > nowSeconds) {
+    throw new ReceiptError(ReceiptErrorReason.MALFORMED, 'Receipt is issued in the future');
+  }
+
+  if (resource !== undefined) {
+    const matches = typeof resource === 'function' ? resource(claims.resource) : claims.resource === resource;
+    if (!matches) {
+      throw new ReceiptError(ReceiptErrorReason.WRONG_RESOURCE, `Receipt is for ${claims.resource}`);
+    }
+  }
+
+  if (payTo !== undefined && ![].concat(payTo).includes(claims.payTo)) {
+    throw new ReceiptError(ReceiptErrorReason.WRONG_PAYEE, `Receipt is for a payment to ${claims.payTo}`);
+  }
+
+  if (price !== undefined) {
+    const required = [].concat(price).find(entry => entry.asset === claims.asset);
+    if (!required) {
+      throw new ReceiptError(ReceiptErrorReason.INSUFFICIENT_AMOUNT, `Receipt is for a payment in ${claims.asset}, which is not accepted`);
+    }
+    if (!/^\d+$/.test(claims.amount) || BigInt(claims.amount) < BigInt(required.amount)) {
+      throw new ReceiptError(ReceiptErrorReason.INSUFFICIENT_AMOUNT, `Receipt is for ${claims.amount} of ${claims.asset}, the price is ${required.amount}`);
+    }
+  }
+
+  return claims;
+}
+
+// Whether a receipt's resource URL is at or under an Express mount path
+function underPath(resource, mountPath) {
+  if (!resource) {
+    return false;
+  }
+  const { pathname } = new URL(resource, 'http://localhost');
+  const base = mountPath.replace(/\/+$/, '');
+  return base === '' || pathname === base || pathname.startsWith(`${base}/`);
+}
+
+/**
+ * Express middleware letting a valid receipt (in the X-PAYMENT-RECEIPT header)
+ * through instead of asking for a new payment; anything else goes to paywall.
+ * The claims are available as req.receipt. A receipt has to be for a payment to
+ * payTo of at least the route's price: { amount, asset } (amount in base units),
+ * a list of them, or a function of the request returning either. By default a
+ * receipt unlocks every route under the path it is mounted on; resource(req),
+ * returning the resource URL a receipt must be for, narrows that down.
+ */
+function acceptReceipts(paywall, { issuers, payTo, price, resource, header = RECEIPT_HEADER } = {}) {
+  if (!payTo || !price) {
+    throw new Error('acceptReceipts needs the payTo and price of the route');
+  }
+  const trusted = [].concat(issuers || []);
+
+  return async (req, res, next) => {
+    const token = req.get(header);
+    if (!token || trusted.length === 0) {
+      return paywall(req, res, next);
+    }
+
+    let routePrice;
+    try {
+      routePrice = typeof price === 'function' ? await price(req) : price;
+    } catch (error) {
+      return next(error);
+    }
+
+    try {
+      req.receipt = verifyReceipt(token, {
+        issuers: trusted,
+        payTo,
+        price: routePrice,
+        resource: resource ? resource(req) : receiptResource => underPath(receiptResource, req.baseUrl)
+      });
+    } catch (error) {
+      logger.debug('Receipt rejected', { reason: error.reason, error: error.message });
+      return paywall(req, res, next);
+    }
+
+    next();
+  };
+}
+
+/**
+ * The receipt issuer of the facilitator: RECEIPT_KEYPAIR_FILE or RECEIPT_PRIVATE_KEY
+ * (base58) when set, otherwise the facilitator's first signer, with receipts valid
+ * for RECEIPT_TTL_SECONDS.
+ */
+function createReceiptIssuerFromEnv(signers, env = process.env) {
+  let signer = signers[0];
+
+  if (env.RECEIPT_KEYPAIR_FILE) {
+    signer = new KeypairSigner(loadKeypairFile(env.RECEIPT_KEYPAIR_FILE), { source: 'receipt-keypair-file' });
+  } else if (env.RECEIPT_PRIVATE_KEY) {
+    let keypair;
+    try {
+      keypair = Keypair.fromSecretKey(bs58.decode(env.RECEIPT_PRIVATE_KEY));
+    } catch {
+      throw new Error('RECEIPT_PRIVATE_KEY is not a valid base58 secret key');
+    }
+    signer = new KeypairSigner(keypair, { source: 'receipt-env' });
+  }
+
+  return new ReceiptIssuer({
+    signer,
+    ttlSeconds: Number(env.RECEIPT_TTL_SECONDS) || DEFAULT_RECEIPT_TTL_SECONDS
+  });
+}
+
+module.exports = {
+  RECEIPT_HEADER,
+  ReceiptErrorReason,
+  ReceiptError,
+  ReceiptIssuer,
+  canonicalJson,
+  verifyReceipt,
+  acceptReceipts,
+  createReceiptIssuerFromEnv
+};
@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { ErrorCode, FacilitatorError, fromThrownError } = require('./errors');
+const { buildPaymentInstructions } = require('./payment-instructions');
+const { estimateExpiry } = require('./expiry');
+const {
+  deserializeTransaction,
+  serializeTransaction,
+  serializeMessage,
+  getFirstSignature,
+  partialSign,
+  verifyEd25519,
+  verifySignatures
+} = require('./transactions');
+const { canonicalJson } = require('./receipts');
+const { isDefiniteFailure, lookupSignature, settleSolanaTransaction } = require('./schemes/exact-solana');
+const { logger } = require('./logger');
+
+const RefundState = {
+  // Built, waiting for the merchant's signature
+  PENDING: 'pending',
+  // Being broadcast
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  // Broadcast but not seen confirmed in time; it may still land
+  UNCONFIRMED: 'unconfirmed',
+  FAILED: 'failed',
+  // Never signed before its blockhash expired
+  EXPIRED: 'expired'
+};
+
+// Fee assumed for a sponsored refund whose actual fee couldn't be read
+const DEFAULT_FEE_LAMPORTS = 5000;
+
+/**
+ * The bytes the merchant signs to ask for a refund: the canonical JSON of the
+ * request's fields, prefixed so it can't pass for a prepaid message.
+ */
+function refundRequestMessage(fields) {
+  return Buffer.from(`x402-refund-request:${canonicalJson(fields)}`);
+}
+
+/**
+ * Sign a refund request ({ transaction, amount, sponsored, reason, nonce, expiresAt })
+ * with the merchant's signer (publicKey and async sign(message)): the base58 signature.
+ */
+async function signRefundRequest(fields, signer) {
+  return bs58.encode(await signer.sign(refundRequestMessage(fields)));
+}
+
+/**
+ * Refunds of settled payments on Solana: a transfer of the settled asset from
+ * payTo back to the payer, for the whole amount or part of it. The facilitator
+ * builds the transaction (and pays its fee when sponsored), the merchant signs
+ * it as transfer authority, and the facilitator broadcasts it.
+ *
+ * Refunds are kept on the settlement's ledger record (refunds), and a payment
+ * can't be refunded past its amount: refunds that went out, or may still go
+ * out, count against it.
+ */
+class Refunds {
+  constructor({ ledger, feePayers, sponsorshipPolicy, registry, balances = null, escrow = null, now = () => Date.now() }) {
+    this.ledger = ledger;
+    this.feePayers = feePayers;
+    this.balances = balances;
+    this.escrow = escrow;
+    this.sponsorshipPolicy = sponsorshipPolicy;
+    this.registry = registry;
+    this.now = now;
+    // Ledger updates run one at a time, so two refunds can't both take the same amount
+    this.queue = Promise.resolve();
+  }
+
+  exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether a refund still counts against the payment: sent, or pending and signable.
+   */
+  isOutstanding(refund) {
+    if (refund.state === RefundState.PENDING) {
+      return Date.parse(refund.expiresAt) > this.now();
+    }
+    return [RefundState.SUBMITTED, RefundState.CONFIRMED, RefundState.UNCONFIRMED].includes(refund.state);
+  }
+
+  /**
+   * What is left to refund of a settlement, in base units.
+   */
+  refundable(settlement) {
+    const taken = (settlement.refunds || [])
+      .filter(refund => this.isOutstanding(refund))
+      .reduce((sum, refund) => sum + BigInt(refund.amount), 0n);
+    return BigInt(settlement.amount) - taken;
+  }
+
+  /**
+   * The refunds of a settlement and what is left to refund.
+   */
+  summarize(settlement) {
+    const refunded = (settlement.refunds || [])
+      .filter(refund => refund.state === RefundState.CONFIRMED)
+      .reduce((sum, refund) => sum + BigInt(refund.amount), 0n);
+
+    return {
+      transaction: settlement.signature,
+      payer: settlement.payer,
+      payTo: settlement.payTo,
+      amount: settlement.amount,
+      asset: settlement.mint,
+      network: settlement.network,
+      refunded: String(refunded),
+      refundable: String(this.refundable(settlement)),
+      refunds: settlement.refunds || []
+    };
+  }
+
+  /**
+   * Throw invalid_signature unless the request is signed by the settlement's payTo.
+   */
+  assertSignedByMerchant(fields, signature, settlement) {
+    let valid;
+    try {
+      valid = verifyEd25519(refundRequestMessage(fields), Buffer.from(bs58.decode(signature)), new PublicKey(settlement.payTo));
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      throw new FacilitatorError(ErrorCode.INVALID_SIGNATURE, `The refund request is not signed by ${settlement.payTo}`);
+    }
+  }
+
+  /**
+   * Throw facilitator_account if the payment went to one of the facilitator's keys:
+   * a fee payer would sign the refund transfer along with its fee, and deposits to
+   * escrow are paid back with a signed withdrawal instead.
+   */
+  async assertRefundable(settlement) {
+    if (this.feePayers.has(settlement.payTo)) {
+      throw new FacilitatorError(ErrorCode.FACILITATOR_ACCOUNT, `payTo ${settlement.payTo} is one of the facilitator's fee payer keys`);
+    }
+    const deposit = this.escrow?.publicKey.toBase58() === settlement.payTo ||
+      Boolean(this.balances && await this.balances.findDeposit(settlement.signature));
+    if (deposit) {
+      throw new FacilitatorError(ErrorCode.FACILITATOR_ACCOUNT, `Transaction ${settlement.signature} is a prepaid deposit; withdraw the balance instead`);
+    }
+  }
+
+  /**
+   * The fee payer of a sponsored refund, within the sponsorship policy.
+   */
+  sponsor(network, { payTo, ip }) {
+    const policyCheck = this.sponsorshipPolicy.check({ ip, userPublicKey: payTo, payTo });
+    if (!policyCheck.allowed) {
+      throw new FacilitatorError(
+        policyCheck.retryAfterSeconds ? ErrorCode.RATE_LIMITED : ErrorCode.SPONSORSHIP_DENIED,
+        policyCheck.message,
+        { reason: policyCheck.reason, retryAfterSeconds: policyCheck.retryAfterSeconds, fallback: 'merchant_pays_fee' }
+      );
+    }
+
+    const feePayer = this.feePayers.select(network);
+    if (!feePayer) {
+      throw new FacilitatorError(ErrorCode.FEE_PAYER_UNAVAILABLE, 'No fee payer key has enough SOL', { fallback: 'merchant_pays_fee' });
+    }
+    return feePayer;
+  }
+
+  /**
+   * Build a refund of a settled payment, for the merchant (payTo) to sign. request is
+   * { refund: { transaction, amount, sponsored, reason, nonce, expiresAt }, signature, ip },
+   * signed by payTo (signRefundRequest): transaction is the settled transaction
+   * signature, amount (base units) defaults to everything left to refund, sponsored
+   * (default true) has the facilitator pay the fee, and a nonce is only used once
+   * per payment, before expiresAt (seconds).
+   */
+  create({ refund: fields, signature: requestSignature, ip = null }) {
+    const { transaction: signature, amount, sponsored = true, reason = null, nonce, expiresAt: requestExpiresAt } = fields;
+
+    return this.exclusive(async () => {
+      const settlement = await this.ledger.find(signature);
+      if (!settlement) {
+        throw new FacilitatorError(ErrorCode.UNKNOWN_SETTLEMENT, `No settled payment with transaction ${signature}`);
+      }
+
+      this.assertSignedByMerchant(fields, requestSignature, settlement);
+      if (requestExpiresAt * 1000 <= this.now()) {
+        throw new FacilitatorError(ErrorCode.EXPIRED, `The refund request expired at ${new Date(requestExpiresAt * 1000).toISOString()}`);
+      }
+      if ((settlement.refunds || []).some(refund => refund.nonce === nonce)) {
+        throw new FacilitatorError(ErrorCode.REPLAY, `Refund request ${nonce} was already used`);
+      }
+      await this.assertRefundable(settlement);
+
+      const refundable = this.refundable(settlement);
+      const refundAmount = amount === undefined ? refundable : BigInt(amount);
+      if (refundAmount <= 0n || refundAmount > refundable) {
+        throw new FacilitatorError(
+          ErrorCode.INVALID_AMOUNT,
+          `Refund of ${refundAmount} is not between 1 and the ${refundable} left to refund`,
+          { refundable: String(refundable) }
+        );
+      }
+
+      const { name: network, connection } = this.registry.network(settlement.network);
+      const merchant = new PublicKey(settlement.payTo);
+      const feePayer = sponsored ? this.sponsor(network, { payTo: settlement.payTo, ip }) : null;
+      const feePayerKey = feePayer ? feePayer.publicKey : merchant;
+
+      const { instructions } = await buildPaymentInstructions(connection, {
+        payer: merchant,
+        paymentRequirements: { asset: settlement.mint, payTo: settlement.payer, maxAmountRequired: String(refundAmount) },
+        feePayer: feePayerKey
+      });
+
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+      const refundTransaction = new Transaction().add(...instructions);
+      refundTransaction.recentBlockhash = blockhash;
+      refundTransaction.feePayer = feePayerKey;
+      if (feePayer) {
+        await partialSign(refundTransaction, feePayer);
+      }
+
+      const { expiresAt } = await estimateExpiry(connection, lastValidBlockHeight);
+      const refund = {
+        id: crypto.randomUUID(),
+        nonce,
+        amount: String(refundAmount),
+        reason,
+        state: RefundState.PENDING,
+        feePaidBy: feePayer ? 'facilitator' : 'merchant',
+        feePayer: feePayerKey.toBase58(),
+        message: serializeMessage(refundTransaction).toString('base64'),
+        transaction: null,
+        createdAt: new Date(this.now()).toISOString(),
+        expiresAt,
+        lastValidBlockHeight
+      };
+      const updated = await this.ledger.saveRefund(signature, refund);
+
+      logger.info('Refund created', { settlement: signature, refundId: refund.id, amount: refund.amount, feePaidBy: refund.feePaidBy });
+
+      return {
+        refundId: refund.id,
+        transaction: serializeTransaction(refundTransaction).toString('base64'),
+        signer: settlement.payTo,
+        refund,
+        settlement: this.summarize(updated)
+      };
+    });
+  }
+
+  /**
+   * Broadcast a refund transaction signed by the merchant. It has to be exactly the
+   * transaction create() built, with every signature valid, before its blockhash
+   * expires.
+   */
+  async submit(id, { transaction: signedTransaction }) {
+    const { refund, signature, network, transaction } = await this.exclusive(async () => {
+      const found = await this.ledger.findRefund(id);
+      if (!found) {
+        throw new FacilitatorError(ErrorCode.UNKNOWN_REFUND, `Unknown refund: ${id}`);
+      }
+
+      const { refund: pending, settlement } = found;
+      if (pending.state !== RefundState.PENDING) {
+        throw new FacilitatorError(ErrorCode.REPLAY, `Refund ${id} is already ${pending.state}`);
+      }
+      if (!this.isOutstanding(pending)) {
+        await this.ledger.saveRefund(settlement.signature, { ...pending, state: RefundState.EXPIRED });
+        throw new FacilitatorError(ErrorCode.EXPIRED, `Refund ${id} expired at ${pending.expiresAt}; create a new one`);
+      }
+
+      let signed;
+      try {
+        signed = deserializeTransaction(signedTransaction);
+      } catch (error) {
+        throw new FacilitatorError(ErrorCode.INVALID_PAYLOAD, `Refund transaction does not decode: ${error.message}`);
+      }
+      if (serializeMessage(signed).toString('base64') !== pending.message) {
+        throw new FacilitatorError(ErrorCode.SPONSORED_TRANSACTION_MODIFIED, 'Refund transaction differs from the one the facilitator built');
+      }
+      // Only the merchant can complete it; anything else would fail on chain and use the refund up
+      if (!verifySignatures(signed)) {
+        throw new FacilitatorError(ErrorCode.INVALID_SIGNATURE, `Refund transaction is not signed by ${settlement.payTo}`);
+      }
+
+      const submitted = { ...pending, state: RefundState.SUBMITTED };
+      await this.ledger.saveRefund(settlement.signature, submitted);
+      return {
+        refund: submitted,
+        signature: settlement.signature,
+        network: this.registry.network(settlement.network),
+        transaction: signed
+      };
+    });
+
+    // Known before sending, so a refund that may have gone out can still be looked up
+    const sent = bs58.encode(getFirstSignature(transaction));
+    let result;
+    let failure = null;
+    try {
+      result = await settleSolanaTransaction(network.connection, serializeTransaction(transaction).toString('base64'));
+    } catch (error) {
+      failure = fromThrownError(error);
+    }
+
+    let state;
+    if (!failure) {
+      state = result.confirmed ? RefundState.CONFIRMED : RefundState.UNCONFIRMED;
+    } else if (isDefiniteFailure(failure)) {
+      state = RefundState.FAILED;
+    } else {
+      // A timeout or RPC error after the send: the refund counts until it can't land any more
+      const landed = await lookupSignature(network.connection, sent);
+      state = { confirmed: RefundState.CONFIRMED, failed: RefundState.FAILED, unknown: RefundState.UNCONFIRMED }[landed.state];
+      failure = landed.error ?? (state === RefundState.UNCONFIRMED ? failure : null);
+    }
+
+    const completed = {
+      ...refund,
+      state,
+      transaction: state === RefundState.FAILED && !result ? null : sent,
+      errorReason: failure?.code ?? null,
+      completedAt: new Date(this.now()).toISOString()
+    };
+    const updated = await this.exclusive(() => this.ledger.saveRefund(signature, completed));
+
+    if (state !== RefundState.FAILED && refund.feePaidBy === 'facilitator') {
+      this.sponsorshipPolicy.record({ userPublicKey: updated.payTo, lamports: result?.fees ?? DEFAULT_FEE_LAMPORTS });
+    }
+    if (state === RefundState.FAILED) {
+      logger.warn('Refund failed', { settlement: signature, refundId: id, errorReason: failure.code, error: failure.message });
+      throw failure;
+    }
+
+    logger.info('Refund sent', { settlement: signature, refundId: id, transaction: sent, state, errorReason: completed.errorReason });
+    return { refund: completed, settlement: this.summarize(updated) };
+  }
+
+  /**
+   * Settle an unconfirmed refund once its transaction is seen: confirmed, failed on
+   * chain, or failed because its blockhash expired without it landing. Returns the
+   * refund and its settlement as they are now.
+   */
+  async reconcile({ refund, settlement }) {
+    if (refund.state !== RefundState.UNCONFIRMED || !refund.transaction) {
+      return { refund, settlement };
+    }
+
+    const { connection } = this.registry.network(settlement.network);
+    const landed = await lookupSignature(connection, refund.transaction);
+    let state = { confirmed: RefundState.CONFIRMED, failed: RefundState.FAILED }[landed.state];
+    if (!state && refund.lastValidBlockHeight) {
+      const blockHeight = await connection.getBlockHeight('confirmed').catch(() => null);
+      state = blockHeight !== null && blockHeight > refund.lastValidBlockHeight ? RefundState.FAILED : null;
+    }
+    if (!state) {
+      return { refund, settlement };
+    }
+
+    return this.exclusive(async () => {
+      const current = await this.ledger.findRefund(refund.id);
+      if (current.refund.state !== RefundState.UNCONFIRMED) {
+        return current;
+      }
+      const updated = { ...current.refund, state, errorReason: landed.error?.code ?? (state === RefundState.FAILED ? ErrorCode.EXPIRED : null) };
+      logger.info('Unconfirmed refund settled', { settlement: settlement.signature, refundId: refund.id, state });
+      return { refund: updated, settlement: await this.ledger.saveRefund(settlement.signature, updated) };
+    });
+  }
+
+  /**
+   * A refund and its settlement, or null. An unconfirmed refund is looked up on
+   * chain first.
+   */
+  async get(id) {
+    const found = await this.ledger.findRefund(id);
+    if (!found) {
+      return null;
+    }
+    const { refund, settlement } = await this.reconcile(found);
+    return { refund, settlement: this.summarize(settlement) };
+  }
+}
+
+module.exports = {
+  RefundState,
+  Refunds,
+  refundRequestMessage,
+  signRefundRequest
+};
@@ -0,0 +1,81 @@
+const { ErrorCode, FacilitatorError } = require('./errors');
+
+/**
+ * The networks a facilitator serves and the payment schemes it implements on them.
+ *
+ * A network is registered by name with whatever its schemes need, e.g.
+ * { family: 'solana', connection, rpcPool }. A scheme is a plugin object:
+ *
+ *   scheme                          name in paymentRequirements.scheme, e.g. 'exact'
+ *   supports(network)               whether it runs on a registered network
+ *   describe(network)               extra fields of its /supported kind
+ *   verify(request, context)        returns the fields of a valid verify response, throws FacilitatorError
+ *   settle(request, context)        returns the fields of a settle response (pending: true when queued)
+ *   createSponsoredTransaction(request, context)            optional
+ *   refreshSponsoredTransaction(intent, request, context)   optional
+ *   reserve(request, context)       optional, verify and hold the payment for settle (deferred settlement)
+ *   withdraw(request, context)      optional, pays out a prepaid balance (POST /withdraw)
+ *   payloadSchema, requirementsSchema   optional JSON Schemas of paymentPayload.payload and
+ *                                       paymentRequirements, checked before verify and settle
+ *
+ * context is { network, format, mode }; schemes set format (and mode for settle)
+ * for metrics and logs.
+ */
+class SchemeRegistry {
+  constructor() {
+    this.networks = new Map();
+    this.schemes = [];
+  }
+
+  registerNetwork(name, network = {}) {
+    if (this.networks.has(name)) {
+      throw new Error(`Network ${name} is already registered`);
+    }
+    this.networks.set(name, { ...network, name });
+    return this;
+  }
+
+  registerScheme(plugin) {
+    for (const method of ['supports', 'describe', 'verify', 'settle']) {
+      if (typeof plugin[method] !== 'function') {
+        throw new Error(`Scheme ${plugin.scheme} is missing ${method}()`);
+      }
+    }
+    this.schemes.push(plugin);
+    return this;
+  }
+
+  network(name) {
+    const network = this.networks.get(name);
+    if (!network) {
+      throw new FacilitatorError(ErrorCode.UNSUPPORTED_NETWORK, `Unsupported network: ${name}`);
+    }
+    return network;
+  }
+
+  /**
+   * The scheme plugin for a scheme name on a network; throws unsupported_network
+   * or unsupported_scheme.
+   */
+  resolve(scheme, networkName) {
+    const network = this.network(networkName);
+    const plugin = this.schemes.find(candidate => candidate.scheme === scheme && candidate.supports(network));
+    if (!plugin) {
+      throw new FacilitatorError(ErrorCode.UNSUPPORTED_SCHEME, `Unsupported scheme ${scheme} on ${network.name}`);
+    }
+    return { plugin, network };
+  }
+
+  /**
+   * Every supported (scheme, network) pair, in registration order.
+   */
+  kinds() {
+    return this.schemes.flatMap(plugin => [...this.networks.values()]
+      .filter(network => plugin.supports(network))
+      .map(network => ({ plugin, network })));
+  }
+}
+
+module.exports = {
+  SchemeRegistry
+};
@@ -0,0 +1,61 @@
+// Local stand-in for a remote signer (HSM, KMS or signing service), speaking the
+// protocol RemoteSigner expects. It signs whatever it is sent: development only.
+//
+//   REMOTE_SIGNER_KEYPAIR_FILE=~/.config/solana/id.json node facilitator/remote-signer-stub.js
+const express = require('express');
+const { Keypair } = require('@solana/web3.js');
+const { KeypairSigner, loadKeypairFile } = require('./signers');
+
+/**
+ * Express app serving GET /public-key and POST /sign for a signer.
+ * Requests must carry `Authorization: Bearer <token>` when a token is set.
+ */
+function createRemoteSignerStub(signer, { token = null } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (token && req.get('authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  });
+
+  app.get('/public-key', (req, res) => {
+    res.json({ publicKey: signer.publicKey.toBase58() });
+  });
+
+  app.post('/sign', async (req, res) => {
+    const { publicKey, message } = req.body || {};
+
+    if (publicKey !== signer.publicKey.toBase58()) {
+      return res.status(400).json({ error: `Unknown key: ${publicKey}` });
+    }
+    if (typeof message !== 'string') {
+      return res.status(400).json({ error: 'Missing base64 message' });
+    }
+
+    const signature = await signer.sign(Buffer.from(message, 'base64'));
+    res.json({ signature: Buffer.from(signature).toString('base64') });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = process.env.REMOTE_SIGNER_PORT || 3012;
+  const keypair = process.env.REMOTE_SIGNER_KEYPAIR_FILE ?
+    loadKeypairFile(process.env.REMOTE_SIGNER_KEYPAIR_FILE) :
+    Keypair.generate();
+  const signer = new KeypairSigner(keypair, { source: 'remote-signer-stub' });
+
+  createRemoteSignerStub(signer, { token: process.env.REMOTE_SIGNER_TOKEN || null }).listen(port, () => {
+    console.log(`✍️ Remote signer stub running on port ${port}`);
+    console.log(`🔑 Signing as ${signer.publicKey.toBase58()}`);
+  });
+}
+
+module.exports = {
+  createRemoteSignerStub
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { Connection } = require('@solana/web3.js');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Used for every network the config file and environment don't override
+const DEFAULT_RPC_CONFIG = {
+  'solana-devnet': { endpoints: [{ url: 'https://api.devnet.solana.com' }] },
+  'solana-mainnet': { endpoints: [{ url: 'https://api.mainnet-beta.solana.com' }] },
+  'solana-testnet': { endpoints: [{ url: 'https://api.testnet.solana.com' }] },
+  'solana-localnet': { endpoints: [{ url: 'http://127.0.0.1:8899', wsUrl: 'ws://127.0.0.1:8900' }] }
+};
+
+const NODE_UNHEALTHY = -32005;
+
+/**
+ * Whether an RPC error means the endpoint itself is unusable (network failure,
+ * rate limit, 5xx, unhealthy node), as opposed to a request the cluster rejected.
+ */
+function isEndpointError(error) {
+  if (error.name === 'SolanaJSONRPCError') {
+    return error.code === NODE_UNHEALTHY;
+  }
+  if (error.name === 'SendTransactionError') {
+    return false;
+  }
+  const message = `${error.message} ${error.cause?.code || ''}`;
+  return /fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|^(429|5\d\d) /.test(message);
+}
+
+// Endpoint URLs often carry API keys; never show more than the host
+function redactUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch {
+    return '[invalid url]';
+  }
+}
+
+/**
+ * The RPC endpoints of one network. Calls go to a healthy endpoint, either always
+ * the first one ("failover") or rotating ("round-robin"), and move on to the next
+ * endpoint when one is unreachable. Unhealthy endpoints are re-checked in the background.
+ */
+class RpcPool {
+  constructor(network, {
+    endpoints,
+    commitment = 'confirmed',
+    strategy = 'failover',
+    healthCheckIntervalMs = 30000
+  }) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error(`No RPC endpoints configured for ${network}`);
+    }
+
+    this.network = network;
+    this.strategy = strategy;
+    this.next = 0;
+    this.endpoints = endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: true,
+      failures: 0,
+      lastError: null,
+      connection: new Connection(endpoint.url, {
+        commitment: endpoint.commitment || commitment,
+        wsEndpoint: endpoint.wsUrl,
+        // Rate limited? Move to the next endpoint rather than backing off on this one
+        disableRetryOnRateLimit: endpoints.length > 1
+      })
+    }));
+
+    if (healthCheckIntervalMs > 0) {
+      this.healthCheckTimer = setInterval(() => this.checkHealth(), healthCheckIntervalMs);
+      this.healthCheckTimer.unref();
+    }
+  }
+
+  /**
+   * Next endpoint to try, preferring healthy ones not tried yet for this call.
+   */
+  pick(tried) {
+    const untried = this.endpoints.filter(endpoint => !tried.has(endpoint));
+    const healthy = untried.filter(endpoint => endpoint.healthy);
+    const candidates = healthy.length > 0 ? healthy : untried;
+
+    if (this.strategy === 'round-robin') {
+      this.next = (this.next + 1) % candidates.length;
+      return candidates[this.next];
+    }
+    return candidates[0];
+  }
+
+  markHealthy(endpoint) {
+    if (!endpoint.healthy) {
+      logger.info('RPC endpoint healthy again', { network: this.network, endpoint: redactUrl(endpoint.url) });
+    }
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.lastError = null;
+  }
+
+  markUnhealthy(endpoint, error) {
+    metrics.rpcErrors.inc({ network: this.network, endpoint: redactUrl(endpoint.url) });
+    if (endpoint.healthy) {
+      logger.warn('RPC endpoint failed', { network: this.network, endpoint: redactUrl(endpoint.url), error: error.message });
+    }
+    endpoint.healthy = false;
+    endpoint.failures += 1;
+    endpoint.lastError = error.message;
+  }
+
+  /**
+   * Call a Connection method, failing over to the other endpoints on endpoint errors.
+   */
+  invoke(method, args) {
+    const tried = new Set();
+
+    const attempt = () => {
+      const endpoint = this.pick(tried);
+      tried.add(endpoint);
+
+      const result = endpoint.connection[method](...args);
+      if (!result || typeof result.then !== 'function') {
+        return result;
+      }
+
+      return result.then(
+        value => {
+          this.markHealthy(endpoint);
+          return value;
+        },
+        error => {
+          if (!isEndpointError(error)) {
+            throw error;
+          }
+          this.markUnhealthy(endpoint, error);
+          if (tried.size >= this.endpoints.length) {
+            throw error;
+          }
+          return attempt();
+        }
+      );
+    };
+
+    return attempt();
+  }
+
+  /**
+   * Stop the background health checks.
+   */
+  close() {
+    clearInterval(this.healthCheckTimer);
+    this.healthCheckTimer = null;
+  }
+
+  async checkHealth() {
+    await Promise.all(this.endpoints
+      .filter(endpoint => !endpoint.healthy)
+      .map(endpoint => endpoint.connection.getSlot()
+        .then(() => this.markHealthy(endpoint))
+        .catch(error => this.markUnhealthy(endpoint, error))));
+  }
+
+  /**
+   * Endpoint health for /health, without API keys.
+   */
+  status() {
+    return {
+      strategy: this.strategy,
+      endpoints: this.endpoints.map(endpoint => ({
+        url: redactUrl(endpoint.url),
+        healthy: endpoint.healthy,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError
+      }))
+    };
+  }
+
+  /**
+   * A Connection-compatible object whose calls go through the pool.
+   */
+  connection() {
+    const primary = this.endpoints[0].connection;
+    return new Proxy(primary, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function') {
+          return value;
+        }
+        return (...args) => this.invoke(property, args);
+      }
+    });
+  }
+}
+
+/**
+ * Read the RPC config: defaults, then RPC_CONFIG_FILE (JSON, same shape as
+ * DEFAULT_RPC_CONFIG), then <NETWORK>_RPC_URLS env variables such as
+ * SOLANA_DEVNET_RPC_URLS=https://a,https://b.
+ */
+function loadRpcConfig(env = process.env) {
+  const config = { ...DEFAULT_RPC_CONFIG };
+
+  if (env.RPC_CONFIG_FILE) {
+    const file = JSON.parse(fs.readFileSync(path.resolve(env.RPC_CONFIG_FILE), 'utf8'));
+    Object.assign(config, file);
+  }
+
+  for (const network of Object.keys(config)) {
+    const urls = env[`${network.toUpperCase().replace(/-/g, '_')}_RPC_URLS`];
+    if (urls) {
+      config[network] = {
+        ...config[network],
+        endpoints: urls.split(',').map(url => ({ url: url.trim() })).filter(endpoint => endpoint.url)
+      };
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Build one pooled connection per configured network, or only for the
+ * comma-separated FACILITATOR_NETWORKS when set.
+ */
+function createConnectionsFromEnv(env = process.env) {
+  const config = loadRpcConfig(env);
+  const pools = {};
+  const connections = {};
+
+  const networks = env.FACILITATOR_NETWORKS ?
+    env.FACILITATOR_NETWORKS.split(',').map(network => network.trim()).filter(Boolean) :
+    Object.keys(config);
+
+  for (const network of networks) {
+    const networkConfig = config[network];
+    if (!networkConfig) {
+      throw new Error(`No RPC endpoints configured for ${network}`);
+    }
+
+    pools[network] = new RpcPool(network, {
+      strategy: env.RPC_STRATEGY,
+      ...networkConfig
+    });
+    connections[network] = pools[network].connection();
+  }
+
+  return { connections, pools };
+}
+
+module.exports = {
+  DEFAULT_RPC_CONFIG,
+  RpcPool,
+  isEndpointError,
+  loadRpcConfig,
+  createConnectionsFromEnv
+};
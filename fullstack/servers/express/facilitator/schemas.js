@@ -0,0 +1,158 @@
+/**
+ * JSON Schemas of the facilitator's request bodies. These cover what every scheme
+ * shares; scheme plugins add their own payload and paymentRequirements schemas.
+ */
+
+// x402 protocol versions this facilitator speaks, advertised in /supported
+const X402_VERSIONS = [1];
+
+const BASE58_ADDRESS = {
+  type: 'string',
+  pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$',
+  description: 'a base58 address'
+};
+
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+
+const paymentPayloadSchema = {
+  type: 'object',
+  required: ['x402Version', 'scheme', 'network', 'payload'],
+  properties: {
+    x402Version: { type: 'integer' },
+    scheme: NON_EMPTY_STRING,
+    network: NON_EMPTY_STRING,
+    payload: { type: 'object' }
+  }
+};
+
+const paymentRequirementsSchema = {
+  type: 'object',
+  required: ['scheme', 'network'],
+  properties: {
+    scheme: NON_EMPTY_STRING,
+    network: NON_EMPTY_STRING,
+    maxAmountRequired: { type: 'string', pattern: '^[0-9]+$', description: 'an integer string in base units' },
+    resource: { type: 'string' },
+    description: { type: 'string' },
+    mimeType: { type: 'string' },
+    payTo: NON_EMPTY_STRING,
+    asset: NON_EMPTY_STRING,
+    maxTimeoutSeconds: { type: 'integer', minimum: 0 },
+    extra: { type: ['object', 'null'] }
+  }
+};
+
+// POST /verify
+const verifyRequestSchema = {
+  type: 'object',
+  required: ['paymentPayload', 'paymentRequirements'],
+  properties: {
+    x402Version: { type: 'integer' },
+    paymentPayload: paymentPayloadSchema,
+    paymentRequirements: paymentRequirementsSchema,
+    // Hold the payment for a later /settle with the reservation's ID (deferred settlement)
+    reserve: { type: 'boolean' }
+  }
+};
+
+// POST /settle
+const settleRequestSchema = {
+  ...verifyRequestSchema,
+  properties: {
+    ...verifyRequestSchema.properties,
+    reservationId: NON_EMPTY_STRING,
+    webhookUrl: { type: 'string', pattern: '^https?://', description: 'an http(s) URL' },
+    async: { type: 'boolean' }
+  }
+};
+
+// POST /create-sponsored-transaction
+const createSponsoredTransactionRequestSchema = {
+  type: 'object',
+  // paymentRequirements, or accepts and the asset picked from it
+  required: ['userPublicKey'],
+  properties: {
+    userPublicKey: BASE58_ADDRESS,
+    paymentRequirements: paymentRequirementsSchema,
+    accepts: { type: 'array', items: paymentRequirementsSchema },
+    asset: NON_EMPTY_STRING,
+    transactionVersion: { enum: ['legacy', 0] },
+    addressLookupTables: { type: 'array', items: BASE58_ADDRESS },
+    durableNonce: { type: 'boolean' }
+  }
+};
+
+// POST /refresh-sponsored-transaction
+const refreshSponsoredTransactionRequestSchema = {
+  type: 'object',
+  required: ['intentId', 'userPublicKey'],
+  properties: {
+    intentId: NON_EMPTY_STRING,
+    userPublicKey: BASE58_ADDRESS
+  }
+};
+
+// POST /withdraw: a withdrawal from a prepaid balance, signed by the account's address
+const withdrawRequestSchema = {
+  type: 'object',
+  required: ['withdrawal', 'signature'],
+  properties: {
+    withdrawal: {
+      type: 'object',
+      required: ['address', 'network', 'asset', 'amount', 'nonce', 'expiresAt'],
+      properties: {
+        address: BASE58_ADDRESS,
+        network: NON_EMPTY_STRING,
+        asset: NON_EMPTY_STRING,
+        amount: { type: 'string', pattern: '^[1-9][0-9]*$', description: 'a positive integer string in base units' },
+        nonce: { type: 'string', minLength: 8, maxLength: 128 },
+        expiresAt: { type: 'integer', minimum: 0 }
+      }
+    },
+    signature: NON_EMPTY_STRING
+  }
+};
+
+// POST /refunds
+const createRefundRequestSchema = {
+  type: 'object',
+  required: ['refund', 'signature'],
+  properties: {
+    refund: {
+      type: 'object',
+      required: ['transaction', 'nonce', 'expiresAt'],
+      properties: {
+        transaction: NON_EMPTY_STRING,
+        amount: { type: 'string', pattern: '^[1-9][0-9]*$', description: 'a positive integer string in base units' },
+        sponsored: { type: 'boolean' },
+        reason: { type: 'string', maxLength: 256 },
+        nonce: { type: 'string', minLength: 8, maxLength: 128 },
+        expiresAt: { type: 'integer', minimum: 0 }
+      }
+    },
+    signature: NON_EMPTY_STRING
+  }
+};
+
+// POST /refunds/:id/submit
+const submitRefundRequestSchema = {
+  type: 'object',
+  required: ['transaction'],
+  properties: {
+    transaction: NON_EMPTY_STRING
+  }
+};
+
+module.exports = {
+  X402_VERSIONS,
+  BASE58_ADDRESS,
+  paymentPayloadSchema,
+  paymentRequirementsSchema,
+  verifyRequestSchema,
+  settleRequestSchema,
+  createSponsoredTransactionRequestSchema,
+  refreshSponsoredTransactionRequestSchema,
+  withdrawRequestSchema,
+  createRefundRequestSchema,
+  submitRefundRequestSchema
+};
@@ -0,0 +1,1282 @@
+const { PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const {
+  validateTransferInstructions,
+  validateSettledTransfer,
+  validatePayloadClaims
+} = require('../payment-validation');
+const { MS_PER_BLOCK, estimateExpiry, checkTransactionExpiry } = require('../expiry');
+const { readComputeBudget } = require('../compute-budget');
+const { ErrorCode, FacilitatorError, fromTransactionError, fromThrownError } = require('../errors');
+const {
+  TOKEN_PROGRAM_IDS,
+  NATIVE_SOL_ASSET,
+  LAMPORTS_DECIMALS,
+  buildPaymentInstructions
+} = require('../payment-instructions');
+const {
+  isVersioned,
+  deserializeTransaction,
+  serializeTransaction,
+  getFeePayer,
+  getRecentBlockhash,
+  getSignatures,
+  getFirstSignature,
+  verifySignatures,
+  getInstructions,
+  getProgramIds,
+  resolveLookupTables,
+  simulateTransaction,
+  buildVersionedTransaction,
+  partialSign,
+  getVersion
+} = require('../transactions');
+const { BASE58_ADDRESS } = require('../schemas');
+const { logger } = require('../logger');
+const { metrics } = require('../metrics');
+
+// How close to expiry a sponsored transaction has to be before it can be refreshed
+const REFRESH_WINDOW_MS = 30000;
+
+// How long a payment is held for deferred settlement when maxTimeoutSeconds isn't set
+const DEFAULT_RESERVATION_SECONDS = 60;
+
+const BASE58_SIGNATURE = { type: 'string', pattern: '^[1-9A-HJ-NP-Za-km-z]{64,88}$', description: 'a base58 signature' };
+const BASE64_TRANSACTION = { type: 'string', pattern: '^[A-Za-z0-9+/]+={0,2}$', description: 'a base64 transaction' };
+const BASE_UNITS = { type: ['string', 'integer'], pattern: '^[0-9]+$', minimum: 0, description: 'an integer amount in base units' };
+
+// Field types of every payload format; which format a payload is in is decided by extractTransactionData
+const PAYLOAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    signature: BASE58_SIGNATURE,
+    transaction: BASE64_TRANSACTION,
+    userSignature: BASE58_SIGNATURE,
+    facilitatorTransaction: BASE64_TRANSACTION,
+    userPublicKey: BASE58_ADDRESS,
+    payer: BASE58_ADDRESS,
+    amount: BASE_UNITS,
+    mint: { type: 'string' },
+    recipient: BASE58_ADDRESS,
+    blockhash: { type: 'string' },
+    memo: { type: 'string' },
+    authorization: {
+      type: 'object',
+      required: ['from', 'to', 'value'],
+      properties: {
+        from: BASE58_ADDRESS,
+        to: BASE58_ADDRESS,
+        value: BASE_UNITS,
+        nonce: { type: 'string' }
+      }
+    }
+  }
+};
+
+const REQUIREMENTS_SCHEMA = {
+  type: 'object',
+  required: ['maxAmountRequired', 'payTo', 'asset'],
+  properties: {
+    payTo: BASE58_ADDRESS,
+    asset: {
+      type: 'string',
+      pattern: `^(${NATIVE_SOL_ASSET}|[1-9A-HJ-NP-Za-km-z]{32,44})$`,
+      description: `"${NATIVE_SOL_ASSET}" or a base58 mint address`
+    }
+  }
+};
+
+/**
+ * Lamports the facilitator will pay to land a sponsored transaction, priority fee included
+ */
+async function estimateSponsoredLamports(connection, transaction, priorityFeeLamports = 0) {
+  try {
+    const message = isVersioned(transaction) ? transaction.message : transaction.compileMessage();
+    const { value } = await connection.getFeeForMessage(message, 'confirmed');
+    if (typeof value === 'number') {
+      return value;
+    }
+  } catch (error) {
+    logger.warn('Could not estimate fee, using 5000 lamports per signature', { error: error.message });
+  }
+  return 5000 * getSignatures(transaction).length + priorityFeeLamports;
+}
+
+/**
+ * Helper to determine payload format and extract transaction data
+ */
+function extractTransactionData(paymentPayload) {
+  const payload = paymentPayload.payload;
+
+  if (!payload) {
+    throw new Error('Missing payload in payment');
+  }
+
+  // facilitator_sponsored: the user's signature on a transaction the facilitator built and pays for
+  if (payload.userSignature && payload.facilitatorTransaction && payload.userPublicKey) {
+    return {
+      userSignature: payload.userSignature,
+      facilitatorTransaction: payload.facilitatorTransaction,
+      userPublicKey: payload.userPublicKey,
+      format: 'facilitator_sponsored'
+    };
+  }
+
+  // Check if it's a minimal format (just signature + transaction)
+  if (payload.signature && payload.transaction && !payload.payer) {
+    return {
+      signature: payload.signature,
+      transaction: payload.transaction,
+      format: 'minimal'
+    };
+  }
+
+  // Check if it's full format (with all fields)
+  if (payload.signature && payload.transaction && payload.payer) {
+    return {
+      signature: payload.signature,
+      transaction: payload.transaction,
+      payer: payload.payer,
+      amount: payload.amount,
+      mint: payload.mint,
+      recipient: payload.recipient,
+      blockhash: payload.blockhash,
+      memo: payload.memo,
+      format: 'full'
+    };
+  }
+
+  // Handle authorization format (converted from middleware)
+  if (payload.signature && payload.authorization && !payload.transaction) {
+    logger.debug('Detected authorization format from middleware');
+
+    return {
+      signature: payload.signature,
+      payer: payload.authorization.from,
+      recipient: payload.authorization.to,
+      amount: payload.authorization.value,
+      memo: payload.authorization.nonce,
+      format: 'authorization_only'
+    };
+  }
+
+  const availableFields = Object.keys(payload);
+  throw new Error(`Unrecognized payload format. Available fields: ${availableFields.join(', ')}. Expected: signature + transaction (+ optional payer, amount, etc.)`);
+}
+
+/**
+ * Validate the transfer carried by a payment against paymentRequirements
+ * (mint, payTo token account, amount and authority).
+ * authorization_only payloads are checked against their confirmed on-chain transaction.
+ */
+async function validatePayment(connection, transactionData, paymentRequirements, confirmedTransaction) {
+  const claims = validatePayloadClaims(transactionData, paymentRequirements);
+  if (!claims.isValid) {
+    return claims;
+  }
+
+  if (transactionData.format === 'authorization_only') {
+    return validateSettledTransfer(confirmedTransaction, paymentRequirements, {
+      expectedPayer: transactionData.payer
+    });
+  }
+
+  const sponsored = transactionData.format === 'facilitator_sponsored';
+  const encoded = sponsored ? transactionData.facilitatorTransaction : transactionData.transaction;
+  const tx = deserializeTransaction(encoded);
+  const instructions = await getInstructions(connection, tx);
+
+  return validateTransferInstructions(instructions, paymentRequirements, {
+    expectedAuthority: sponsored ? transactionData.userPublicKey : transactionData.payer
+  });
+}
+
+/**
+ * Decode a paymentPayload into its transaction data and the transaction to check or
+ * broadcast (null for authorization_only, which is already on chain). Throws invalid_payload.
+ */
+function parsePayload(paymentPayload) {
+  try {
+    const transactionData = extractTransactionData(paymentPayload);
+    const encoded = transactionData.format === 'facilitator_sponsored' ?
+      transactionData.facilitatorTransaction :
+      transactionData.transaction;
+
+    return {
+      transactionData,
+      tx: transactionData.format !== 'authorization_only' && encoded ? deserializeTransaction(encoded) : null
+    };
+  } catch (error) {
+    throw new FacilitatorError(ErrorCode.INVALID_PAYLOAD, `Invalid payload format: ${error.message}`);
+  }
+}
+
+/**
+ * A transaction the wallet already submitted (authorization_only); throws
+ * transaction_not_found until it is confirmed, or the reason it failed on chain.
+ */
+async function getConfirmedTransaction(connection, signature) {
+  const existingTx = await connection.getTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  });
+
+  if (!existingTx) {
+    throw new FacilitatorError(
+      ErrorCode.TRANSACTION_NOT_FOUND,
+      'Transaction not found on blockchain - payment may not have been submitted yet'
+    );
+  }
+
+  if (existingTx.meta?.err) {
+    const { message } = existingTx.transaction;
+    const programIds = message.compiledInstructions.map(instruction => message.staticAccountKeys[instruction.programIdIndex]);
+    throw fromTransactionError(existingTx.meta.err, programIds);
+  }
+
+  return existingTx;
+}
+
+/**
+ * Ledger key of a payment: the transaction signature (the fee payer's signature,
+ * which is the on-chain transaction id) plus the payment nonce when the payload has one.
+ */
+function paymentKeyFor(transactionData) {
+  if (transactionData.format === 'authorization_only') {
+    return { signature: transactionData.signature, nonce: transactionData.memo };
+  }
+
+  const encoded = transactionData.format === 'facilitator_sponsored' ?
+    transactionData.facilitatorTransaction :
+    transactionData.transaction;
+  const feePayerSignature = getFirstSignature(deserializeTransaction(encoded));
+
+  return {
+    signature: feePayerSignature ? bs58.encode(feePayerSignature) : (transactionData.signature || transactionData.userSignature),
+    nonce: transactionData.memo
+  };
+}
+
+/**
+ * Ledger record of a settled payment
+ */
+function ledgerRecordFor({ format, payer, network, paymentRequirements }, result) {
+  return {
+    format,
+    payer,
+    payTo: paymentRequirements.payTo,
+    amount: paymentRequirements.maxAmountRequired,
+    mint: paymentRequirements.asset,
+    network,
+    resource: paymentRequirements.resource || null,
+    confirmedSignature: result.signature,
+    slot: result.slot,
+    blockTime: result.blockTime,
+    fees: result.fees,
+    priorityFeeLamports: result.priorityFeeLamports ?? null
+  };
+}
+
+/**
+ * Count the fees of a settled sponsored transaction, split into base and priority fee
+ */
+function recordSponsoredFees(network, fees, priorityFeeLamports) {
+  if (typeof fees !== 'number') {
+    return;
+  }
+  const priorityFee = Math.min(priorityFeeLamports || 0, fees);
+  metrics.sponsoredLamports.inc({ network, kind: 'base_fee' }, fees - priorityFee);
+  metrics.sponsoredLamports.inc({ network, kind: 'priority_fee' }, priorityFee);
+}
+
+/**
+ * Check signatures and send a transaction once, without waiting for confirmation
+ */
+async function broadcastTransaction(connection, transactionBase64, { skipPreflight = false, maxRetries = 3 } = {}) {
+  // Decode and broadcast transaction (legacy or versioned)
+  const transactionBuffer = Buffer.from(transactionBase64, 'base64');
+  const transaction = deserializeTransaction(transactionBase64);
+
+  if (!verifySignatures(transaction)) {
+    throw new FacilitatorError(ErrorCode.INVALID_SIGNATURE, 'Transaction is missing signatures or has an invalid signature');
+  }
+
+  logger.info('Broadcasting transaction', { feePayer: getFeePayer(transaction), version: getVersion(transaction) });
+
+  let signature;
+  try {
+    signature = await connection.sendRawTransaction(
+      transactionBuffer,
+      {
+        skipPreflight,
+        preflightCommitment: 'confirmed',
+        maxRetries
+      }
+    );
+  } catch (sendError) {
+    // Preflight rejections carry the simulation error; give it an error code
+    throw fromThrownError(sendError, getProgramIds(transaction));
+  }
+
+  logger.info('Transaction broadcast', { signature });
+
+  return {
+    signature,
+    rawTransaction: transactionBuffer,
+    transaction
+  };
+}
+
+/**
+ * Settlement helper using proper Solana methods
+ */
+async function settleSolanaTransaction(connection, transactionBase64, options = {}) {
+  const {
+    skipPreflight = false,
+    maxRetries = 3,
+    timeout = 30000
+  } = options;
+
+  const { signature, transaction } = await broadcastTransaction(connection, transactionBase64, { skipPreflight, maxRetries });
+
+  // Wait for confirmation with timeout
+  const startTime = Date.now();
+  let confirmed = false;
+  let confirmationStatus = 'processed';
+  let slot = null;
+  let blockTime = null;
+  let fees = null;
+
+  while (Date.now() - startTime < timeout && !confirmed) {
+    try {
+      const status = await connection.getSignatureStatus(signature, {
+        searchTransactionHistory: true
+      });
+
+      if (status.value) {
+        confirmationStatus = status.value.confirmationStatus || 'processed';
+
+        if (status.value.err) {
+          throw fromTransactionError(status.value.err, getProgramIds(transaction));
+        }
+
+        if (confirmationStatus === 'confirmed' || confirmationStatus === 'finalized') {
+          confirmed = true;
+
+          // Get transaction details
+          try {
+            const txInfo = await connection.getTransaction(signature, {
+              commitment: 'confirmed',
+              maxSupportedTransactionVersion: 0
+            });
+            slot = txInfo?.slot;
+            blockTime = txInfo?.blockTime;
+            fees = txInfo?.meta?.fee;
+          } catch (detailError) {
+            logger.warn('Could not fetch transaction details', { signature, error: detailError.message });
+          }
+          break;
+        }
+      }
+
+      // Wait before next check
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    } catch (statusError) {
+      // A failed transaction won't change; only retry status lookups that errored
+      if (statusError instanceof FacilitatorError) {
+        throw statusError;
+      }
+      logger.warn('Status check error', { signature, error: statusError.message });
+    }
+  }
+
+  return {
+    signature,
+    confirmed,
+    confirmationStatus,
+    slot,
+    blockTime,
+    fees,
+    confirmationSeconds: (Date.now() - startTime) / 1000
+  };
+}
+
+/**
+ * Whether a settleSolanaTransaction() failure means the transaction can't land: a
+ * rejection before it was sent (signatures, preflight) or on chain. Timeouts and
+ * RPC errors can come after it was sent, and then it may still land.
+ */
+function isDefiniteFailure(error) {
+  return error instanceof FacilitatorError && !error.retryable && error.code !== ErrorCode.REPLAY;
+}
+
+/**
+ * Where a sent transaction stands: { state: 'confirmed' }, { state: 'failed', error }
+ * when it landed with an error, or { state: 'unknown' } when it isn't seen confirmed
+ * (yet) or the lookup failed.
+ */
+async function lookupSignature(connection, signature) {
+  let status;
+  try {
+    ({ value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true }));
+  } catch (error) {
+    logger.warn('Status check error', { signature, error: error.message });
+    return { state: 'unknown' };
+  }
+
+  if (status?.err) {
+    return { state: 'failed', error: fromTransactionError(status.err) };
+  }
+  if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+    return { state: 'confirmed' };
+  }
+  return { state: 'unknown' };
+}
+
+/**
+ * The x402 "exact" scheme on Solana networks: a single SPL Token / Token-2022
+ * transferChecked or SystemProgram transfer of exactly maxAmountRequired to payTo.
+ * Payloads come in four formats (facilitator_sponsored, minimal, full and
+ * authorization_only), and the facilitator can build and pay for the transaction
+ * itself (sponsored transactions).
+ */
+class ExactSolanaScheme {
+  constructor({
+    feePayers,
+    ledger,
+    sponsoredTransactions,
+    sponsorshipPolicy,
+    settlementQueue,
+    paymentIntents,
+    computeBudget,
+    escrow = null
+  }) {
+    this.scheme = 'exact';
+    this.payloadSchema = PAYLOAD_SCHEMA;
+    this.requirementsSchema = REQUIREMENTS_SCHEMA;
+    this.feePayers = feePayers;
+    this.ledger = ledger;
+    this.sponsoredTransactions = sponsoredTransactions;
+    this.sponsorshipPolicy = sponsorshipPolicy;
+    this.settlementQueue = settlementQueue;
+    this.paymentIntents = paymentIntents;
+    this.computeBudget = computeBudget;
+    this.escrow = escrow;
+  }
+
+  supports(network) {
+    return network.family === 'solana';
+  }
+
+  describe(network) {
+    const feePayers = this.feePayers.available(network.name);
+
+    return {
+      // Whether sponsored transactions can be created right now
+      facilitatorPaysGas: this.sponsorshipPolicy.hasGlobalBudget() && feePayers.length > 0,
+      facilitatorPublicKey: this.feePayers.signers[0].publicKey.toBase58(),
+      // Any of these can be the fee payer of a sponsored transaction
+      feePayers: feePayers.map(entry => entry.signer.publicKey.toBase58()),
+      extra: {
+        // Native SOL (asset "SOL", amounts in lamports) and any SPL Token / Token-2022 mint
+        assets: [
+          { asset: NATIVE_SOL_ASSET, type: 'native', decimals: LAMPORTS_DECIMALS },
+          ...TOKEN_PROGRAM_IDS.map(tokenProgramId => ({
+            asset: '<mint address>',
+            type: 'spl-token',
+            programId: tokenProgramId.toBase58()
+          }))
+        ],
+        // Long-lived payment requests can ask for a durable nonce transaction
+        durableNonce: this.paymentIntents.durableNonceEnabled
+      }
+    };
+  }
+
+  async verify({ paymentPayload, paymentRequirements }, context) {
+    const { name: network, connection } = context.network;
+    let programIds = [];
+
+    try {
+      const { transactionData, tx } = parsePayload(paymentPayload);
+      const { signature, format } = transactionData;
+      context.format = format;
+      programIds = tx ? getProgramIds(tx) : [];
+      let payment;
+
+      await this.ledger.assertUnused(paymentKeyFor(transactionData));
+
+      if (format === 'facilitator_sponsored') {
+        // Verify one of the facilitator's keys is the fee payer
+        if (!this.feePayers.has(getFeePayer(tx))) {
+          throw new FacilitatorError(ErrorCode.WRONG_FEE_PAYER, 'Transaction fee payer is not the facilitator');
+        }
+
+        // An expired blockhash (or advanced nonce) can never land; say so before anything else
+        const expiry = await checkTransactionExpiry(connection, tx);
+        if (!expiry.isValid) {
+          throw FacilitatorError.fromResult(expiry);
+        }
+
+        // Verify it is exactly the transaction we co-signed, now signed by the user
+        const sponsoredCheck = this.sponsoredTransactions.verify(tx, transactionData.userPublicKey);
+        if (!sponsoredCheck.isValid) {
+          throw FacilitatorError.fromResult(sponsoredCheck);
+        }
+        await this.assertNoEarlierTransaction(connection, sponsoredCheck.intentId);
+
+        // Verify the transfer pays what was asked, to whom it was asked
+        payment = await validatePayment(connection, transactionData, paymentRequirements);
+        if (!payment.isValid) {
+          throw FacilitatorError.fromResult(payment);
+        }
+        this.assertNotFacilitatorTransfer(payment.transfer);
+
+        // Simulate transaction
+        const simulation = await simulateTransaction(connection, tx);
+
+        if (simulation.value.err) {
+          throw fromTransactionError(simulation.value.err, programIds);
+        }
+
+      }
+      // Handle other formats as before...
+      else if (format === 'authorization_only') {
+        // The wallet already submitted it; check it on chain
+        const existingTx = await getConfirmedTransaction(connection, signature);
+
+        payment = await validatePayment(connection, transactionData, paymentRequirements, existingTx);
+        if (!payment.isValid) {
+          throw FacilitatorError.fromResult(payment);
+        }
+      } else {
+        // Handle full transaction formats (minimal/full)
+        if (!tx) {
+          throw new FacilitatorError(ErrorCode.INVALID_PAYLOAD, 'Missing transaction data for full verification');
+        }
+
+        const expiry = await checkTransactionExpiry(connection, tx);
+        if (!expiry.isValid) {
+          throw FacilitatorError.fromResult(expiry);
+        }
+
+        payment = await validatePayment(connection, transactionData, paymentRequirements);
+        if (!payment.isValid) {
+          throw FacilitatorError.fromResult(payment);
+        }
+        this.assertNotFacilitatorTransfer(payment.transfer);
+
+        // Simulate transaction to check if it would succeed
+        const simulation = await simulateTransaction(connection, tx);
+
+        if (simulation.value.err) {
+          throw fromTransactionError(simulation.value.err, programIds);
+        }
+
+        // Verify transaction hasn't been executed yet
+        let existingTx = null;
+        try {
+          existingTx = await connection.getTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+          });
+        } catch (err) {
+          // Transaction not found is good - means it hasn't been executed
+        }
+
+        if (existingTx) {
+          throw new FacilitatorError(ErrorCode.REPLAY, 'Transaction already executed on blockchain');
+        }
+      }
+
+      const payer = payment.payer || transactionData.payer || 'unknown';
+      logger.info('Payment verified', { network, format, payer });
+
+      return {
+        payer,
+        gasSponsoredByFacilitator: format === 'facilitator_sponsored'
+      };
+    } catch (error) {
+      throw fromThrownError(error, programIds);
+    }
+  }
+
+  /**
+   * Verify a payment and hold it for a later settle() with the reservation's ID, for
+   * maxTimeoutSeconds: the resource server settles once its handler succeeded, or
+   * releases the reservation if it failed.
+   */
+  async reserve({ paymentPayload, paymentRequirements }, context) {
+    const result = await this.verify({ paymentPayload, paymentRequirements }, context);
+    const { transactionData } = parsePayload(paymentPayload);
+
+    const hold = await this.ledger.hold(paymentKeyFor(transactionData), {
+      ttlSeconds: paymentRequirements.maxTimeoutSeconds || DEFAULT_RESERVATION_SECONDS,
+      details: {
+        scheme: this.scheme,
+        network: context.network.name,
+        payer: result.payer,
+        payTo: paymentRequirements.payTo,
+        amount: paymentRequirements.maxAmountRequired,
+        asset: paymentRequirements.asset,
+        resource: paymentRequirements.resource || null
+      }
+    });
+    logger.info('Payment reserved', { network: context.network.name, payer: result.payer, reservationId: hold.id, expiresAt: hold.expiresAt });
+
+    return { ...result, reservation: { id: hold.id, expiresAt: hold.expiresAt } };
+  }
+
+  async settle({ paymentPayload, paymentRequirements, webhookUrl, async: requestedAsync, reservationId = null }, context) {
+    const { name: network, connection } = context.network;
+    let paymentKey;
+    let programIds = [];
+
+    try {
+      const { transactionData, tx } = parsePayload(paymentPayload);
+      const { transaction, signature, format } = transactionData;
+      context.format = format;
+      programIds = tx ? getProgramIds(tx) : [];
+
+      // Transactions already on chain (authorization_only) have nothing to wait for
+      const asyncSettlement = format !== 'authorization_only' && requestedAsync;
+
+      context.mode = asyncSettlement ? 'async' : 'sync';
+      logger.info('Settlement starting', { network, format, mode: context.mode });
+
+      let result;
+      let payment;
+
+      // Never broadcast a transfer that doesn't match what the resource server asked for
+      if (format !== 'authorization_only') {
+        if (!tx) {
+          throw new FacilitatorError(ErrorCode.INVALID_PAYLOAD, 'Missing transaction data for settlement');
+        }
+
+        payment = await validatePayment(connection, transactionData, paymentRequirements);
+        if (!payment.isValid) {
+          throw FacilitatorError.fromResult(payment);
+        }
+        this.assertNotFacilitatorTransfer(payment.transfer);
+      }
+
+      // Claim the signature/nonce so the same payment can't unlock a second request
+      // (a payment reserved at /verify is claimed with its reservation ID)
+      const key = paymentKeyFor(transactionData);
+      await this.ledger.reserve(key, { holdId: reservationId });
+      paymentKey = key;
+
+      // Only broadcast the exact message we co-signed, never a client-altered one
+      let intentId = null;
+      if (format === 'facilitator_sponsored') {
+        const sponsoredCheck = this.sponsoredTransactions.verify(tx, transactionData.userPublicKey);
+        if (!sponsoredCheck.isValid) {
+          throw FacilitatorError.fromResult(sponsoredCheck);
+        }
+        intentId = sponsoredCheck.intentId;
+        await this.assertNoEarlierTransaction(connection, intentId);
+      }
+
+      let priorityFeeLamports = null;
+
+      if (tx) {
+        // Fail with a clear reason instead of a "blockhash not found" from the RPC
+        const expiry = await checkTransactionExpiry(connection, tx);
+        if (!expiry.isValid) {
+          throw FacilitatorError.fromResult(expiry);
+        }
+
+        // Priority fee set by the transaction's ComputeBudget instructions
+        priorityFeeLamports = readComputeBudget(await getInstructions(connection, tx)).priorityFeeLamports;
+      }
+
+      if (asyncSettlement) {
+        const broadcast = await broadcastTransaction(
+          connection,
+          format === 'facilitator_sponsored' ? transactionData.facilitatorTransaction : transaction
+        );
+        const payer = payment.payer || transactionData.payer || 'unknown';
+
+        const settlement = this.queueSettlement({
+          connection,
+          network,
+          broadcast,
+          programIds,
+          webhookUrl,
+          paymentKey,
+          format,
+          payer,
+          paymentRequirements,
+          priorityFeeLamports,
+          tx,
+          intentId
+        });
+        paymentKey = null;
+
+        logger.info('Settlement queued', { settlementId: settlement.id, signature: broadcast.signature });
+
+        return {
+          pending: true,
+          settlementId: settlement.id,
+          statusUrl: `/settlements/${settlement.id}`,
+          state: settlement.state,
+          transaction: broadcast.signature,
+          network,
+          payer,
+          gasSponsoredByFacilitator: format === 'facilitator_sponsored',
+          userPaidGas: format !== 'facilitator_sponsored'
+        };
+      }
+
+      if (format === 'authorization_only') {
+        // For authorization format, transaction was already submitted by wallet
+        const existingTx = await getConfirmedTransaction(connection, signature);
+
+        payment = await validatePayment(connection, transactionData, paymentRequirements, existingTx);
+        if (!payment.isValid) {
+          throw FacilitatorError.fromResult(payment);
+        }
+
+        result = {
+          signature: signature,
+          confirmed: true,
+          confirmationStatus: 'confirmed',
+          slot: existingTx.slot,
+          blockTime: existingTx.blockTime,
+          fees: existingTx.meta?.fee
+        };
+      } else {
+        // Broadcast the transaction (the facilitator-sponsored one co-signed here) and wait for it
+        const sent = format === 'facilitator_sponsored' ? transactionData.facilitatorTransaction : transaction;
+        try {
+          result = await settleSolanaTransaction(connection, sent, {
+            skipPreflight: false,
+            maxRetries: 3,
+            timeout: 30000
+          });
+        } catch (error) {
+          if (isDefiniteFailure(fromThrownError(error, programIds))) {
+            throw error;
+          }
+          // An RPC error after the send started: it may have gone out all the same
+          logger.warn('Settlement broadcast ended in an error', { network, error: error.message });
+          result = { signature: bs58.encode(getFirstSignature(deserializeTransaction(sent))), confirmed: false, confirmationStatus: null };
+        }
+
+        if (!result.confirmed) {
+          // It can still land, so the payment stays reserved: the settlement queue
+          // commits it once it confirms and releases it only if it fails or expires
+          const settlement = this.queueSettlement({
+            connection,
+            network,
+            broadcast: {
+              signature: result.signature,
+              rawTransaction: Buffer.from(sent, 'base64'),
+              transaction: deserializeTransaction(sent)
+            },
+            programIds,
+            webhookUrl,
+            paymentKey,
+            format,
+            payer: payment.payer || transactionData.payer || 'unknown',
+            paymentRequirements,
+            priorityFeeLamports,
+            tx,
+            intentId
+          });
+          paymentKey = null;
+
+          throw new FacilitatorError(
+            ErrorCode.CONFIRMATION_TIMEOUT,
+            `Transaction ${result.signature} not confirmed within timeout. Status: ${result.confirmationStatus ?? 'unknown'}; follow it at /settlements/${settlement.id}`,
+            { transaction: result.signature, settlementId: settlement.id, statusUrl: `/settlements/${settlement.id}` }
+          );
+        }
+
+        if (format === 'facilitator_sponsored') {
+          this.sponsoredTransactions.forget(tx);
+          this.paymentIntents.complete(intentId);
+          recordSponsoredFees(network, result.fees, priorityFeeLamports);
+        }
+      }
+
+      const payer = payment.payer || transactionData.payer || 'unknown';
+      result.priorityFeeLamports = priorityFeeLamports;
+      await this.ledger.commit(paymentKey, ledgerRecordFor({ format, payer, network, paymentRequirements }, result));
+      paymentKey = null;
+
+      if (result.confirmationSeconds !== undefined) {
+        metrics.confirmationSeconds.observe({ network, mode: 'sync' }, result.confirmationSeconds);
+      }
+      logger.info('Payment settled', {
+        network,
+        format,
+        signature: result.signature,
+        confirmationStatus: result.confirmationStatus,
+        slot: result.slot,
+        fees: result.fees,
+        priorityFeeLamports
+      });
+
+      return {
+        transaction: result.signature,
+        network: network,
+        payer,
+        confirmationStatus: result.confirmationStatus,
+        slot: result.slot,
+        blockTime: result.blockTime,
+        fees: result.fees,
+        priorityFeeLamports,
+        gasSponsoredByFacilitator: format === 'facilitator_sponsored',
+        userPaidGas: format !== 'facilitator_sponsored'
+      };
+    } catch (error) {
+      if (paymentKey) {
+        this.ledger.release(paymentKey);
+      }
+      throw fromThrownError(error, programIds);
+    }
+  }
+
+  /**
+   * Track a broadcast payment in the settlement queue, which owns its ledger
+   * reservation (paymentKey) from then on: committed once the transaction
+   * confirms, released if it fails or expires. Returns the settlement.
+   */
+  queueSettlement({
+    connection,
+    network,
+    broadcast,
+    programIds,
+    webhookUrl,
+    paymentKey,
+    format,
+    payer,
+    paymentRequirements,
+    priorityFeeLamports,
+    tx,
+    intentId
+  }) {
+    return this.settlementQueue.enqueue({
+      connection,
+      network,
+      signature: broadcast.signature,
+      rawTransaction: broadcast.rawTransaction,
+      programIds,
+      isExpired: async () => !(await checkTransactionExpiry(connection, broadcast.transaction)).isValid,
+      webhookUrl,
+      details: {
+        payer,
+        format,
+        resource: paymentRequirements.resource || null,
+        payTo: paymentRequirements.payTo,
+        amount: paymentRequirements.maxAmountRequired,
+        asset: paymentRequirements.asset,
+        priorityFeeLamports,
+        gasSponsoredByFacilitator: format === 'facilitator_sponsored'
+      },
+      onConfirmed: async job => {
+        await this.ledger.commit(paymentKey, ledgerRecordFor(
+          { format, payer, network, paymentRequirements },
+          { signature: job.transaction, slot: job.slot, blockTime: job.blockTime, fees: job.fees, priorityFeeLamports }
+        ));
+        metrics.asyncSettlements.inc({ network, result: 'confirmed' });
+        metrics.confirmationSeconds.observe({ network, mode: 'async' }, (Date.now() - Date.parse(job.createdAt)) / 1000);
+        if (format === 'facilitator_sponsored') {
+          recordSponsoredFees(network, job.fees, priorityFeeLamports);
+          this.sponsoredTransactions.forget(tx);
+          this.paymentIntents.complete(intentId);
+        }
+      },
+      onFailed: async job => {
+        metrics.asyncSettlements.inc({ network, result: job.errorReason });
+        await this.ledger.release(paymentKey);
+      }
+    });
+  }
+
+  /**
+   * Create a payment transaction with a facilitator key as the fee payer.
+   * Pass { version: 0, addressLookupTables } for a v0 transaction using lookup tables,
+   * and a nonceAccount to build a durable nonce transaction instead of a blockhash-bound one.
+   * Also returns the rent the facilitator pays if payTo's token account has to be created,
+   * the compute budget (limit, price and priority fee) it was given, and the last block
+   * height the blockhash is valid for (null with a durable nonce).
+   * The fee payer is picked from the pool (or is the nonce account's authority).
+   * Throws facilitator_account if userPublicKey or payTo is one of the facilitator's keys.
+   */
+  async createFacilitatorPaidTransaction(
+    connection,
+    userPublicKey,
+    paymentRequirements,
+    { version = 'legacy', addressLookupTables = [], nonceAccount = null, intentId = null } = {}
+  ) {
+    // The fee payer signature would also authorize a transfer out of the facilitator's own key
+    this.assertNotFacilitatorKey(userPublicKey, 'userPublicKey');
+    this.assertNotFacilitatorKey(paymentRequirements.payTo, 'payTo');
+
+    let blockhash;
+    let lastValidBlockHeight = null;
+    let feePayer;
+    const nonceInstructions = [];
+
+    if (nonceAccount) {
+      // Durable nonce: the stored nonce stands in for the blockhash, and the transaction
+      // stays valid until the nonce is advanced, which its first instruction does
+      const nonce = await connection.getNonce(nonceAccount, 'confirmed');
+      if (!nonce) {
+        throw new Error(`Nonce account ${nonceAccount.toBase58()} not found`);
+      }
+      // Its authority has to sign, so it also pays the fees
+      feePayer = this.feePayers.get(nonce.authorizedPubkey);
+      if (!feePayer) {
+        throw new Error(`Nonce account ${nonceAccount.toBase58()} is not controlled by the facilitator`);
+      }
+      this.feePayers.use(feePayer.publicKey);
+      blockhash = nonce.nonce;
+      nonceInstructions.push(SystemProgram.nonceAdvance({
+        noncePubkey: nonceAccount,
+        authorizedPubkey: feePayer.publicKey
+      }));
+    } else {
+      feePayer = this.feePayers.select(paymentRequirements.network);
+      if (!feePayer) {
+        throw new Error(`No facilitator fee payer has enough SOL on ${paymentRequirements.network}`);
+      }
+      // Get recent blockhash
+      ({ blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed'));
+    }
+
+    // SystemProgram transfer for native SOL; SPL Token or Token-2022 transferChecked,
+    // plus payTo's ATA creation if it's missing, for everything else
+    const payment = await buildPaymentInstructions(connection, {
+      payer: new PublicKey(userPublicKey),
+      paymentRequirements,
+      feePayer: feePayer.publicKey
+    });
+    const { rentLamports, programId } = payment;
+    const addressLookupTableAccounts = version === 0 ?
+      await resolveLookupTables(connection, addressLookupTables) :
+      [];
+
+    // Compute unit limit from simulation and a priority fee, so the payment lands under congestion
+    const budget = await this.computeBudget.plan(connection, {
+      payerKey: feePayer.publicKey,
+      recentBlockhash: blockhash,
+      instructions: payment.instructions,
+      addressLookupTableAccounts
+    });
+
+    // AdvanceNonceAccount has to stay the first instruction of a durable nonce transaction
+    const instructions = [...nonceInstructions, ...budget.instructions, ...payment.instructions];
+
+    let transaction;
+
+    if (version === 0) {
+      // v0 message: the fee payer is the first static key, the user signs as transfer authority
+      transaction = buildVersionedTransaction({
+        payerKey: feePayer.publicKey,
+        recentBlockhash: blockhash,
+        instructions,
+        addressLookupTableAccounts
+      });
+    } else {
+      transaction = new Transaction().add(...instructions);
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = feePayer.publicKey;
+
+      // The user signs as the transfer authority
+      const userPubKey = new PublicKey(userPublicKey);
+      if (!transaction.signatures.find(sig => sig.publicKey.equals(userPubKey))) {
+        transaction.signatures.push({
+          publicKey: userPubKey,
+          signature: null // User will sign this
+        });
+      }
+    }
+
+    logger.debug('Sponsored transaction built', {
+      feePayer: feePayer.publicKey,
+      user: userPublicKey,
+      signers: getSignatures(transaction).length,
+      version: getVersion(transaction),
+      program: programId,
+      // Rent for payTo's token account, paid by the facilitator
+      rentLamports,
+      nonceAccount,
+      computeUnitLimit: budget.computeUnitLimit,
+      microLamports: budget.microLamports,
+      priorityFeeLamports: budget.priorityFeeLamports
+    });
+
+    // Facilitator signs first (for fee payment, and as nonce authority)
+    await partialSign(transaction, feePayer);
+
+    const transactionKey = this.sponsoredTransactions.remember(transaction, userPublicKey, {
+      intentId,
+      ...(nonceAccount && { ttlMs: this.paymentIntents.nonceTtlMs })
+    });
+
+    return {
+      transaction,
+      rentLamports,
+      lastValidBlockHeight,
+      transactionKey,
+      feePayer,
+      computeBudget: {
+        computeUnitLimit: budget.computeUnitLimit,
+        microLamports: budget.microLamports,
+        priorityFeeLamports: budget.priorityFeeLamports
+      }
+    };
+  }
+
+  /**
+   * Whether address is one of the facilitator's own keys: a fee payer (which also
+   * signs as durable nonce authority) or the escrow key holding prepaid deposits.
+   */
+  isFacilitatorKey(address) {
+    return this.feePayers.has(address) || Boolean(this.escrow?.publicKey.equals(new PublicKey(address)));
+  }
+
+  /**
+   * Throw facilitator_account if address is one of the facilitator's keys.
+   * role names the field in the message.
+   */
+  assertNotFacilitatorKey(address, role) {
+    if (this.isFacilitatorKey(address)) {
+      throw new FacilitatorError(ErrorCode.FACILITATOR_ACCOUNT, `${role} ${address} is one of the facilitator's own keys`);
+    }
+  }
+
+  /**
+   * Throw facilitator_account if a payment transfer moves funds out of one of the
+   * facilitator's keys, as its source or its authority.
+   */
+  assertNotFacilitatorTransfer({ source, authority }) {
+    this.assertNotFacilitatorKey(source.toBase58(), 'Transfer source');
+    this.assertNotFacilitatorKey(authority.toBase58(), 'Transfer authority');
+  }
+
+  /**
+   * A refreshed payment intent's earlier transactions carry the facilitator's
+   * signature too, and the user can still send them until their blockhash expires.
+   * Throw settlement_in_progress while one of them can land and replay if one
+   * did, so that the payment is never made twice.
+   */
+  async assertNoEarlierTransaction(connection, intentId) {
+    const intent = intentId ? this.paymentIntents.get(intentId) : null;
+    if (!intent || intent.superseded.length === 0) {
+      return;
+    }
+
+    // Expired first: one that can't land any more can't land between the two lookups
+    const blockHeight = await connection.getBlockHeight('confirmed');
+    const live = intent.superseded.find(entry => entry.lastValidBlockHeight >= blockHeight);
+    if (live) {
+      const { expiresAt } = await estimateExpiry(connection, live.lastValidBlockHeight);
+      throw new FacilitatorError(
+        ErrorCode.SETTLEMENT_IN_PROGRESS,
+        `The transaction this one replaced can land until block ${live.lastValidBlockHeight}, retry once it expired`,
+        { expiresAt }
+      );
+    }
+
+    const { value: statuses } = await connection.getSignatureStatuses(
+      intent.superseded.map(entry => entry.signature),
+      { searchTransactionHistory: true }
+    );
+    if (statuses.some(status => status && !status.err)) {
+      throw new FacilitatorError(ErrorCode.REPLAY, 'An earlier transaction for this payment intent already landed');
+    }
+  }
+
+  /**
+   * Throw if the sponsorship policy refuses a request: the client has to pay its own gas
+   */
+  checkSponsorship({ ip, userPublicKey, payTo }) {
+    const policyCheck = this.sponsorshipPolicy.check({ ip, userPublicKey, payTo });
+    if (policyCheck.allowed) {
+      return;
+    }
+
+    logger.warn('Gas sponsorship denied', { userPublicKey, reason: policyCheck.reason });
+
+    throw new FacilitatorError(
+      policyCheck.retryAfterSeconds ? ErrorCode.RATE_LIMITED : ErrorCode.SPONSORSHIP_DENIED,
+      policyCheck.message,
+      {
+        reason: policyCheck.reason,
+        retryAfterSeconds: policyCheck.retryAfterSeconds,
+        fallback: 'user_self_broadcast',
+        feePaidBy: 'user',
+        message: 'Gas sponsorship is not available for this request. Sign and broadcast the payment yourself.'
+      }
+    );
+  }
+
+  /**
+   * Build the facilitator-paid transaction for a payment intent, charge it to the
+   * sponsorship budget and describe it, including when it stops being valid
+   */
+  async sponsorIntent(connection, intent) {
+    const { userPublicKey, paymentRequirements, options, nonceAccount } = intent;
+
+    // Create transaction with facilitator as fee payer
+    const {
+      transaction,
+      rentLamports,
+      lastValidBlockHeight,
+      transactionKey,
+      feePayer,
+      computeBudget: budget
+    } = await this.createFacilitatorPaidTransaction(
+      connection,
+      userPublicKey,
+      paymentRequirements,
+      { ...options, nonceAccount, intentId: intent.id }
+    );
+    this.paymentIntents.update(intent.id, {
+      transactionKey,
+      signature: bs58.encode(getFirstSignature(transaction)),
+      lastValidBlockHeight
+    });
+
+    // Fees (priority fee included) plus the rent of a new payTo token account all come out of the budget
+    const sponsoredLamports = await estimateSponsoredLamports(connection, transaction, budget.priorityFeeLamports) + rentLamports;
+    this.sponsorshipPolicy.record({ userPublicKey, lamports: sponsoredLamports, priorityFeeLamports: budget.priorityFeeLamports });
+
+    // Blockhash-bound transactions expire with their blockhash, durable nonce ones with the intent
+    const expiry = nonceAccount ?
+      { lastValidBlockHeight: null, expiresAt: new Date(intent.expiresAt).toISOString() } :
+      await estimateExpiry(connection, lastValidBlockHeight);
+
+    logger.info('Facilitator-sponsored transaction created', {
+      intentId: intent.id,
+      feePayer: getFeePayer(transaction),
+      userPublicKey,
+      amount: paymentRequirements.maxAmountRequired,
+      asset: paymentRequirements.asset,
+      expiresAt: expiry.expiresAt
+    });
+
+    return {
+      success: true,
+      transaction: serializeTransaction(transaction).toString('base64'),
+      transactionVersion: getVersion(transaction),
+      facilitatorPublicKey: feePayer.publicKey.toBase58(),
+      message: 'Transaction created with facilitator as fee payer. User needs to sign for token transfer authority.',
+      blockhash: getRecentBlockhash(transaction),
+      intentId: intent.id,
+      lastValidBlockHeight: expiry.lastValidBlockHeight,
+      expiresAt: expiry.expiresAt,
+      durableNonce: Boolean(nonceAccount),
+      nonceAccount: nonceAccount ? nonceAccount.toBase58() : null,
+      feePaidBy: 'facilitator',
+      sponsoredLamports,
+      computeBudget: budget,
+      createsRecipientAccount: rentLamports > 0
+    };
+  }
+
+  async createSponsoredTransaction({
+    userPublicKey,
+    paymentRequirements,
+    transactionVersion = 'legacy',
+    addressLookupTables = [],
+    durableNonce = false,
+    ip = null
+  }, context) {
+    const { name: network, connection } = context.network;
+
+    if (transactionVersion !== 'legacy' && transactionVersion !== 0) {
+      throw new FacilitatorError(ErrorCode.INVALID_REQUEST, `Unsupported transactionVersion: ${transactionVersion} (expected "legacy" or 0)`);
+    }
+
+    // Every fee payer key is out of SOL: the client has to pay its own gas
+    if (this.feePayers.available(network).length === 0) {
+      throw new FacilitatorError(ErrorCode.FEE_PAYER_UNAVAILABLE, `No facilitator fee payer has enough SOL on ${network}`, {
+        fallback: 'user_self_broadcast',
+        feePaidBy: 'user'
+      });
+    }
+
+    // Long-lived payment requests use one of the facilitator's durable nonce accounts
+    let nonceAccount = null;
+    if (durableNonce) {
+      if (!this.paymentIntents.durableNonceEnabled) {
+        throw new FacilitatorError(ErrorCode.INVALID_REQUEST, 'Durable nonce transactions are not enabled on this facilitator');
+      }
+
+      nonceAccount = this.paymentIntents.availableNonceAccount();
+      if (!nonceAccount) {
+        throw new FacilitatorError(
+          ErrorCode.DURABLE_NONCE_UNAVAILABLE,
+          'All durable nonce accounts are in use, retry later or request a blockhash-bound transaction'
+        );
+      }
+    }
+
+    this.assertNotFacilitatorKey(userPublicKey, 'userPublicKey');
+    this.assertNotFacilitatorKey(paymentRequirements.payTo, 'payTo');
+
+    // Out of budget or rate limited: the client has to pay its own gas
+    this.checkSponsorship({ ip, userPublicKey, payTo: paymentRequirements.payTo });
+
+    const intent = this.paymentIntents.create({
+      userPublicKey,
+      paymentRequirements,
+      options: { version: transactionVersion, addressLookupTables },
+      nonceAccount
+    });
+
+    try {
+      return await this.sponsorIntent(connection, intent);
+    } catch (error) {
+      this.paymentIntents.complete(intent.id);
+      throw error;
+    }
+  }
+
+  // Rebuild an expired (or about to expire) sponsored transaction for the same payment intent
+  async refreshSponsoredTransaction(intent, { userPublicKey, ip = null }, context) {
+    const { connection } = context.network;
+
+    if (intent.nonceAccount) {
+      throw new FacilitatorError(ErrorCode.INVALID_REQUEST, 'Durable nonce transactions do not expire and need no refresh');
+    }
+
+    const { expiresAt, blocksRemaining } = await estimateExpiry(connection, intent.lastValidBlockHeight);
+
+    // Two live transactions for one payment could both be signed and land
+    if (blocksRemaining * MS_PER_BLOCK > REFRESH_WINDOW_MS) {
+      throw new FacilitatorError(
+        ErrorCode.REFRESH_TOO_EARLY,
+        'The current transaction is still valid, sign it or retry closer to its expiry',
+        { expiresAt }
+      );
+    }
+
+    this.checkSponsorship({ ip, userPublicKey, payTo: intent.paymentRequirements.payTo });
+
+    const previousKey = intent.transactionKey;
+    const response = await this.sponsorIntent(connection, intent);
+    if (previousKey !== intent.transactionKey) {
+      this.sponsoredTransactions.forgetKey(previousKey);
+    }
+
+    logger.info('Payment intent refreshed', { intentId: intent.id });
+
+    return response;
+  }
+}
+
+module.exports = {
+  REFRESH_WINDOW_MS,
+  ExactSolanaScheme,
+  extractTransactionData,
+  broadcastTransaction,
+  settleSolanaTransaction,
+  isDefiniteFailure,
+  lookupSignature
+};
@@ -0,0 +1,265 @@
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { ErrorCode, FacilitatorError, fromThrownError } = require('../errors');
+const { buildPaymentInstructions } = require('../payment-instructions');
+const { verifyEd25519, serializeTransaction, partialSign, getFirstSignature } = require('../transactions');
+const { canonicalJson } = require('../receipts');
+const { isDefiniteFailure, lookupSignature, settleSolanaTransaction } = require('./exact-solana');
+const { BASE58_ADDRESS } = require('../schemas');
+const { logger } = require('../logger');
+
+const BASE58_SIGNATURE = { type: 'string', pattern: '^[1-9A-HJ-NP-Za-km-z]{64,88}$', description: 'a base58 signature' };
+const BASE_UNITS = { type: 'string', pattern: '^[1-9][0-9]*$', description: 'a positive integer string in base units' };
+const NONCE = { type: 'string', minLength: 8, maxLength: 128 };
+
+const VOUCHER_SCHEMA = {
+  type: 'object',
+  required: ['payer', 'payTo', 'network', 'asset', 'amount', 'nonce', 'expiresAt'],
+  properties: {
+    payer: BASE58_ADDRESS,
+    payTo: BASE58_ADDRESS,
+    network: { type: 'string', minLength: 1 },
+    asset: { type: 'string', minLength: 1 },
+    amount: BASE_UNITS,
+    nonce: NONCE,
+    expiresAt: { type: 'integer', minimum: 0 },
+    resource: { type: 'string' }
+  }
+};
+
+const PAYLOAD_SCHEMA = {
+  type: 'object',
+  required: ['voucher', 'signature'],
+  properties: {
+    voucher: VOUCHER_SCHEMA,
+    signature: BASE58_SIGNATURE
+  }
+};
+
+const REQUIREMENTS_SCHEMA = {
+  type: 'object',
+  required: ['maxAmountRequired', 'payTo', 'asset'],
+  properties: {
+    payTo: BASE58_ADDRESS
+  }
+};
+
+/**
+ * The bytes signed for a voucher or a withdrawal: what it is, then the canonical
+ * JSON of its fields, so one can never pass for the other.
+ */
+function prepaidMessage(kind, fields) {
+  return Buffer.from(`x402-prepaid-${kind}:${canonicalJson(fields)}`);
+}
+
+/**
+ * Sign a voucher or withdrawal ('voucher' or 'withdrawal') with a signer (publicKey
+ * and async sign(message), e.g. a KeypairSigner): the base58 signature.
+ */
+async function signPrepaidMessage(kind, fields, signer) {
+  return bs58.encode(await signer.sign(prepaidMessage(kind, fields)));
+}
+
+/**
+ * Throw invalid_signature unless signature (base58) is address's over the fields.
+ */
+function assertSignedBy(kind, fields, signature, address) {
+  let valid;
+  try {
+    valid = verifyEd25519(prepaidMessage(kind, fields), Buffer.from(bs58.decode(signature)), new PublicKey(address));
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new FacilitatorError(ErrorCode.INVALID_SIGNATURE, `The ${kind} is not signed by ${address}`);
+  }
+}
+
+/**
+ * Prepaid payments on Solana networks ("prepaid" scheme): the payer deposits once
+ * to the escrow key (POST /deposit), then pays each request with a voucher, a
+ * message signed by the payer's key that moves maxAmountRequired off-chain from
+ * their balance to payTo. /verify debits the voucher, /settle records it (and
+ * debits it if /verify didn't), and nothing goes on chain until an account is
+ * paid out with a signed withdrawal (POST /withdraw).
+ *
+ *   payload: { voucher: { payer, payTo, network, asset, amount, nonce, expiresAt, resource }, signature }
+ *
+ * expiresAt is in seconds; a nonce is only ever debited once.
+ */
+class PrepaidSolanaScheme {
+  constructor({ balances, escrow, now = () => Date.now() }) {
+    this.scheme = 'prepaid';
+    this.payloadSchema = PAYLOAD_SCHEMA;
+    this.requirementsSchema = REQUIREMENTS_SCHEMA;
+    this.balances = balances;
+    this.escrow = escrow;
+    this.now = now;
+  }
+
+  supports(network) {
+    return network.family === 'solana';
+  }
+
+  describe() {
+    return {
+      extra: {
+        // Deposits are transfers to this key, through POST /deposit
+        escrow: this.escrow.publicKey.toBase58()
+      }
+    };
+  }
+
+  assertNotExpired(kind, expiresAt) {
+    if (expiresAt * 1000 <= this.now()) {
+      throw new FacilitatorError(ErrorCode.EXPIRED, `The ${kind} expired at ${new Date(expiresAt * 1000).toISOString()}`);
+    }
+  }
+
+  /**
+   * The voucher of a payment, checked against the payment requirements, its expiry
+   * and the payer's signature.
+   */
+  checkVoucher({ paymentPayload, paymentRequirements }, context) {
+    const { voucher, signature } = paymentPayload.payload;
+    context.format = 'voucher';
+
+    const mismatches = [
+      [voucher.network, context.network.name, ErrorCode.NETWORK_MISMATCH, 'network'],
+      [voucher.payTo, paymentRequirements.payTo, ErrorCode.WRONG_RECIPIENT, 'payTo'],
+      [voucher.asset, paymentRequirements.asset, ErrorCode.WRONG_MINT, 'asset'],
+      [voucher.amount, paymentRequirements.maxAmountRequired, ErrorCode.INVALID_AMOUNT, 'amount'],
+      [voucher.resource ?? paymentRequirements.resource, paymentRequirements.resource, ErrorCode.INVALID_PAYLOAD, 'resource']
+    ];
+    for (const [actual, expected, code, field] of mismatches) {
+      if (actual !== expected) {
+        throw new FacilitatorError(code, `Voucher ${field} ${actual} does not match the payment requirements (${expected})`);
+      }
+    }
+
+    this.assertNotExpired('voucher', voucher.expiresAt);
+    assertSignedBy('voucher', voucher, signature, voucher.payer);
+    return voucher;
+  }
+
+  /**
+   * Debit a voucher; an insufficient balance says where to deposit more.
+   */
+  async debit(voucher) {
+    try {
+      return await this.balances.debit(voucher);
+    } catch (error) {
+      if (error.code === ErrorCode.INSUFFICIENT_BALANCE) {
+        error.details.escrow = this.escrow.publicKey.toBase58();
+      }
+      throw error;
+    }
+  }
+
+  async verify(request, context) {
+    const voucher = this.checkVoucher(request, context);
+    const { account } = await this.debit(voucher);
+
+    logger.info('Voucher debited', {
+      network: voucher.network,
+      payer: voucher.payer,
+      payTo: voucher.payTo,
+      amount: voucher.amount,
+      balance: account.balance
+    });
+
+    return { payer: voucher.payer, balance: account.balance };
+  }
+
+  async settle(request, context) {
+    context.mode = 'sync';
+    const voucher = this.checkVoucher(request, context);
+
+    // A voucher verified before was debited then; settling it only records that
+    const debit = await this.balances.findDebit(voucher);
+    if (!debit) {
+      await this.debit(voucher);
+    } else if (['payer', 'payTo', 'network', 'asset', 'amount'].some(field => debit[field] !== voucher[field])) {
+      throw new FacilitatorError(ErrorCode.REPLAY, `Voucher nonce ${voucher.nonce} was already used`);
+    }
+    await this.balances.markSettled(voucher);
+
+    const account = await this.balances.account({ address: voucher.payer, network: voucher.network, asset: voucher.asset });
+    return {
+      // Nothing went on chain: the voucher nonce identifies the payment
+      transaction: null,
+      voucher: voucher.nonce,
+      network: voucher.network,
+      payer: voucher.payer,
+      balance: account.balance
+    };
+  }
+
+  /**
+   * Pay an account's balance out of escrow: { withdrawal, signature } where the
+   * withdrawal ({ address, network, asset, amount, nonce, expiresAt }) is signed by
+   * the account's address. The amount is taken from the balance first and put back
+   * only if the transfer can't have gone out: it failed before it was sent, was
+   * rejected, or is seen failed on chain. A transfer sent but not seen confirmed,
+   * including one whose send or confirmation ended in a timeout or RPC error, stays
+   * taken (state 'unconfirmed') since it may still land.
+   */
+  async withdraw({ withdrawal, signature }, { network }) {
+    this.assertNotExpired('withdrawal', withdrawal.expiresAt);
+    assertSignedBy('withdrawal', withdrawal, signature, withdrawal.address);
+
+    await this.balances.reserveWithdrawal(withdrawal);
+
+    const { connection } = network;
+    let transaction;
+    try {
+      const { instructions } = await buildPaymentInstructions(connection, {
+        payer: this.escrow.publicKey,
+        paymentRequirements: { asset: withdrawal.asset, payTo: withdrawal.address, maxAmountRequired: withdrawal.amount },
+        feePayer: this.escrow.publicKey
+      });
+
+      const { blockhash } = await connection.getLatestBlockhash('confirmed');
+      transaction = new Transaction().add(...instructions);
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = this.escrow.publicKey;
+      await partialSign(transaction, this.escrow);
+    } catch (error) {
+      await this.balances.completeWithdrawal(withdrawal.nonce, { state: 'failed' });
+      throw fromThrownError(error);
+    }
+
+    const sent = bs58.encode(getFirstSignature(transaction));
+    let state;
+    try {
+      const result = await settleSolanaTransaction(connection, serializeTransaction(transaction).toString('base64'));
+      state = result.confirmed ? 'confirmed' : 'unconfirmed';
+    } catch (error) {
+      const failure = fromThrownError(error);
+      // A timeout or RPC error may come after the send: only a known failure gives the balance back
+      const landed = isDefiniteFailure(failure) ? { state: 'failed' } : await lookupSignature(connection, sent);
+      state = { confirmed: 'confirmed', failed: 'failed', unknown: 'unconfirmed' }[landed.state];
+      if (state === 'failed') {
+        await this.balances.completeWithdrawal(withdrawal.nonce, { state, transaction: landed.error ? sent : null });
+        throw landed.error ?? failure;
+      }
+      logger.warn('Withdrawal sent without a confirmation', { network: network.name, address: withdrawal.address, signature: sent, errorReason: failure.code });
+    }
+
+    logger.info('Withdrawal paid out', {
+      network: network.name,
+      address: withdrawal.address,
+      amount: withdrawal.amount,
+      signature: sent,
+      state
+    });
+
+    return this.balances.completeWithdrawal(withdrawal.nonce, { state, transaction: sent });
+  }
+}
+
+module.exports = {
+  PrepaidSolanaScheme,
+  prepaidMessage,
+  signPrepaidMessage
+};
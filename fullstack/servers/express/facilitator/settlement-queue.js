@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const dns = require('dns/promises');
+const net = require('net');
+const { ErrorCode, FacilitatorError, fromTransactionError } = require('./errors');
+const { logger, currentRequestId, detached } = require('./logger');
+
+const SettlementState = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FINALIZED: 'finalized',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+const FINAL_STATES = [SettlementState.FINALIZED, SettlementState.FAILED, SettlementState.EXPIRED];
+
+// Loopback, private, link-local and other non-public ranges a webhook must not reach
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is loopback, private or otherwise not on the public internet.
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Background settlement: tracks broadcast transactions until they are finalized,
+ * re-broadcasting them while they can still land, so /settle can
+ * answer right away instead of polling inside the HTTP request.
+ *
+ * The webhookUrl of a /settle request comes from whoever calls it, so it is only
+ * accepted on one of webhookHosts (none by default) and never POSTed to a
+ * loopback or private address.
+ */
+class SettlementQueue {
+  constructor({
+    pollIntervalMs = 2000,
+    retentionMs = 60 * 60 * 1000,
+    webhookAttempts = 3,
+    webhookHosts = []
+  } = {}) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.retentionMs = retentionMs;
+    this.webhookAttempts = webhookAttempts;
+    this.webhookHosts = webhookHosts.map(host => host.toLowerCase());
+    this.jobs = new Map();
+    this.confirmedListeners = [];
+    this.timer = null;
+  }
+
+  /**
+   * Run listener(settlement) once for every settlement that gets confirmed; the
+   * fields it resolves to (e.g. a receipt) are kept with the settlement.
+   */
+  addConfirmedListener(listener) {
+    this.confirmedListeners.push(listener);
+  }
+
+  /**
+   * Throw invalid_request unless url can get settlement webhooks: http(s), on one of
+   * the allowed hosts, and not a loopback or private address.
+   */
+  checkWebhookUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new FacilitatorError(ErrorCode.INVALID_REQUEST, 'webhookUrl is not a valid URL');
+    }
+
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) {
+      throw new FacilitatorError(ErrorCode.INVALID_REQUEST, 'webhookUrl must be a plain http(s) URL');
+    }
+    if (!this.webhookHosts.includes(host)) {
+      throw new FacilitatorError(ErrorCode.INVALID_REQUEST, `Settlement webhooks to ${host} are not allowed`, {
+        allowedHosts: this.webhookHosts
+      });
+    }
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+      throw new FacilitatorError(ErrorCode.INVALID_REQUEST, `Settlement webhooks to ${host} are not allowed: not a public address`);
+    }
+  }
+
+  /**
+   * Track an already-broadcast transaction.
+   *
+   * isExpired() tells whether the transaction can no longer land (expired blockhash
+   * or advanced durable nonce). onConfirmed(job) runs once the transaction is
+   * confirmed, onFailed(job) when it fails or expires. webhookUrl (checked with
+   * checkWebhookUrl() first) gets a POST when the settlement is finalized or fails. programIds (the transaction's instruction
+   * program IDs) turn a failed transaction's custom program error into an error code.
+   */
+  enqueue({ connection, network, signature, rawTransaction, programIds = [], isExpired, webhookUrl, details = {}, onConfirmed, onFailed }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      state: SettlementState.PENDING,
+      network,
+      signature,
+      details,
+      webhookUrl: webhookUrl || null,
+      confirmationStatus: null,
+      slot: null,
+      blockTime: null,
+      fees: null,
+      error: null,
+      errorReason: null,
+      broadcasts: 1,
+      createdAt: now,
+      updatedAt: now,
+      // Not part of the public view
+      connection,
+      rawTransaction,
+      programIds,
+      // The /settle request that queued it, for logs and webhooks
+      requestId: currentRequestId(),
+      isExpired,
+      onConfirmed,
+      onFailed
+    };
+
+    this.jobs.set(job.id, job);
+    this.schedule();
+
+    return this.view(job);
+  }
+
+  /**
+   * Public state of a settlement, or null if unknown.
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.view(job) : null;
+  }
+
+  view(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      network: job.network,
+      transaction: job.signature,
+      confirmationStatus: job.confirmationStatus,
+      slot: job.slot,
+      blockTime: job.blockTime,
+      fees: job.fees,
+      error: job.error,
+      errorReason: job.errorReason,
+      broadcasts: job.broadcasts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      ...job.details
+    };
+  }
+
+  schedule() {
+    if (this.timer) {
+      return;
+    }
+    // Polling serves every job, not the request that happened to start it
+    this.timer = detached(() => setTimeout(() => {
+      this.timer = null;
+      this.tick().finally(() => {
+        if (this.activeJobs().length > 0) {
+          this.schedule();
+        }
+      });
+    }, this.pollIntervalMs));
+    this.timer.unref();
+  }
+
+  log(job) {
+    return logger.child({ ...(job.requestId && { requestId: job.requestId }), settlementId: job.id });
+  }
+
+  activeJobs() {
+    return [...this.jobs.values()].filter(job => !FINAL_STATES.includes(job.state));
+  }
+
+  async tick() {
+    this.prune();
+    await Promise.all(this.activeJobs().map(job => this.poll(job).catch(error => {
+      this.log(job).warn('Settlement status check error', { error: error.message });
+    })));
+  }
+
+  async poll(job) {
+    const { value: status } = await job.connection.getSignatureStatus(job.signature, {
+      searchTransactionHistory: true
+    });
+
+    if (status && status.err) {
+      return this.fail(job, SettlementState.FAILED, fromTransactionError(status.err, job.programIds));
+    }
+
+    if (!status) {
+      // Not seen by the cluster (yet): re-broadcast until it expires
+      if (await job.isExpired()) {
+        return this.fail(job, SettlementState.EXPIRED, new FacilitatorError(ErrorCode.EXPIRED, 'Transaction expired before it landed'));
+      }
+
+      await job.connection.sendRawTransaction(job.rawTransaction, { skipPreflight: true, maxRetries: 0 });
+      job.broadcasts += 1;
+      this.touch(job);
+      return;
+    }
+
+    job.confirmationStatus = status.confirmationStatus || 'processed';
+
+    if (job.state === SettlementState.PENDING && (job.confirmationStatus === 'confirmed' || job.confirmationStatus === 'finalized')) {
+      await this.loadDetails(job);
+      // Before the state changes, so a confirmed settlement always has them
+      for (const listener of this.confirmedListeners) {
+        Object.assign(job.details, await listener(this.view(job)));
+      }
+      job.state = SettlementState.CONFIRMED;
+      this.touch(job);
+      this.log(job).info('Settlement confirmed', { signature: job.signature, slot: job.slot });
+
+      if (job.onConfirmed) {
+        await job.onConfirmed(this.view(job));
+      }
+    }
+
+    if (job.confirmationStatus === 'finalized') {
+      job.state = SettlementState.FINALIZED;
+      this.touch(job);
+      this.log(job).info('Settlement finalized', { signature: job.signature });
+      await this.notify(job, 'settlement.finalized');
+    }
+  }
+
+  async loadDetails(job) {
+    try {
+      const txInfo = await job.connection.getTransaction(job.signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      job.slot = txInfo?.slot ?? null;
+      job.blockTime = txInfo?.blockTime ?? null;
+      job.fees = txInfo?.meta?.fee ?? null;
+    } catch (detailError) {
+      this.log(job).warn('Could not fetch transaction details', { signature: job.signature, error: detailError.message });
+    }
+  }
+
+  async fail(job, state, error) {
+    job.state = state;
+    job.error = error.message;
+    job.errorReason = error.code;
+    this.touch(job);
+    this.log(job).warn('Settlement failed', { state, errorReason: error.code, error: error.message });
+
+    if (job.onFailed) {
+      await job.onFailed(this.view(job));
+    }
+    await this.notify(job, 'settlement.failed');
+  }
+
+  touch(job) {
+    job.updatedAt = new Date().toISOString();
+  }
+
+  async notify(job, event) {
+    if (!job.webhookUrl) {
+      return;
+    }
+
+    // An allowed host can still resolve to an internal address
+    const { hostname } = new URL(job.webhookUrl);
+    const addresses = await dns.lookup(hostname.replace(/^\[(.*)\]$/, '$1'), { all: true }).catch(() => []);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      this.log(job).warn('Settlement webhook not sent: its host resolves to a private address', { host: hostname });
+      return;
+    }
+
+    const body = JSON.stringify({ event, settlement: this.view(job) });
+
+    for (let attempt = 1; attempt <= this.webhookAttempts; attempt++) {
+      try {
+        const response = await fetch(job.webhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(job.requestId && { 'X-Request-Id': job.requestId })
+          },
+          body,
+          // A redirect could point anywhere, the allowed hosts included
+          redirect: 'error',
+          signal: AbortSignal.timeout(5000)
+        });
+        if (response.ok) {
+          return;
+        }
+        this.log(job).warn('Settlement webhook rejected the event', { status: response.status, attempt });
+      } catch (error) {
+        this.log(job).warn('Settlement webhook failed', { error: error.message, attempt });
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (FINAL_STATES.includes(job.state) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * The settlement queue, with SETTLEMENT_WEBHOOK_HOSTS (comma-separated host names)
+ * as the hosts a /settle webhookUrl may point to.
+ */
+function createSettlementQueueFromEnv(env = process.env) {
+  return new SettlementQueue({
+    webhookHosts: (env.SETTLEMENT_WEBHOOK_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+  });
+}
+
+module.exports = {
+  SettlementState,
+  SettlementQueue,
+  createSettlementQueueFromEnv,
+  isPrivateAddress
+};
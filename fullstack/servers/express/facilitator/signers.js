@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { verifyEd25519 } = require('./transactions');
+
+// DER prefix of an Ed25519 PKCS#8 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+/**
+ * Signs with a secret key held in memory. The key is kept as a node KeyObject
+ * and is never exposed again after construction.
+ */
+class KeypairSigner {
+  constructor(keypair, { source, ephemeral = false }) {
+    this.publicKey = keypair.publicKey;
+    this.source = source;
+    this.ephemeral = ephemeral;
+    this.privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  async sign(message) {
+    return crypto.sign(null, message, this.privateKey);
+  }
+
+  // Keep the key out of console.log / JSON.stringify of the signer
+  toJSON() {
+    return { source: this.source, publicKey: this.publicKey.toBase58(), ephemeral: this.ephemeral };
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `KeypairSigner(${this.source}, ${this.publicKey.toBase58()})`;
+  }
+}
+
+/**
+ * Signs through an HTTP remote signer:
+ *   GET  {url}/public-key -> { publicKey }
+ *   POST {url}/sign { publicKey, message (base64) } -> { signature (base64) }
+ * with an optional bearer token. Every returned signature is checked before use.
+ */
+class RemoteSigner {
+  constructor({ url, publicKey, token = null, timeoutMs = 5000 }) {
+    this.url = url.replace(/\/+$/, '');
+    this.publicKey = new PublicKey(publicKey);
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.source = 'remote';
+    this.ephemeral = false;
+  }
+
+  /**
+   * Ask the remote signer which key it signs with.
+   */
+  static async connect({ url, token = null, timeoutMs = 5000 }) {
+    const base = url.replace(/\/+$/, '');
+    const body = await RemoteSigner.request(`${base}/public-key`, { token, timeoutMs });
+    return new RemoteSigner({ url: base, publicKey: body.publicKey, token, timeoutMs });
+  }
+
+  static async request(url, { token, timeoutMs, body }) {
+    const response = await fetch(url, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Remote signer answered ${response.status} for ${new URL(url).pathname}`);
+    }
+    return response.json();
+  }
+
+  async sign(message) {
+    const { signature } = await RemoteSigner.request(`${this.url}/sign`, {
+      token: this.token,
+      timeoutMs: this.timeoutMs,
+      body: { publicKey: this.publicKey.toBase58(), message: Buffer.from(message).toString('base64') }
+    });
+
+    const bytes = Buffer.from(signature || '', 'base64');
+    if (bytes.length !== 64 || !verifyEd25519(message, bytes, this.publicKey)) {
+      throw new Error('Remote signer returned an invalid signature');
+    }
+    return bytes;
+  }
+
+  toJSON() {
+    return { source: this.source, publicKey: this.publicKey.toBase58(), url: new URL(this.url).origin };
+  }
+}
+
+/**
+ * Read a Solana CLI keypair file (a JSON array of the 64 secret key bytes).
+ */
+function loadKeypairFile(filePath) {
+  const bytes = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  if (!Array.isArray(bytes) || bytes.length !== 64) {
+    throw new Error(`${filePath} is not a Solana CLI keypair file`);
+  }
+  return Keypair.fromSecretKey(Uint8Array.from(bytes));
+}
+
+function deriveKeystoreKey(password, salt, { N, r, p }) {
+  return crypto.scryptSync(password, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Encrypt a 64-byte secret key with a password (scrypt + AES-256-GCM).
+ */
+function encryptKeystore(secretKey, password) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKeystoreKey(password, salt, SCRYPT_PARAMS), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey: Keypair.fromSecretKey(Uint8Array.from(secretKey)).publicKey.toBase58(),
+    kdf: 'scrypt',
+    kdfParams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a keystore made by encryptKeystore. Throws on a wrong password.
+ */
+function decryptKeystore(keystore, password) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore format');
+  }
+
+  const { salt, ...params } = keystore.kdfParams;
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKeystoreKey(password, Buffer.from(salt, 'base64'), params),
+    Buffer.from(keystore.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(keystore.authTag, 'base64'));
+
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64')), decipher.final()]);
+  } catch {
+    throw new Error('Could not decrypt keystore: wrong password or corrupted file');
+  }
+
+  const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  if (keypair.publicKey.toBase58() !== keystore.publicKey) {
+    throw new Error('Keystore public key does not match its secret key');
+  }
+  return keypair;
+}
+
+function list(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Build the facilitator's fee payer signers from every key configured in
+ * FACILITATOR_KEYSTORE_FILE (+ FACILITATOR_KEYSTORE_PASSWORD), FACILITATOR_KEYPAIR_FILE,
+ * REMOTE_SIGNER_URL (+ REMOTE_SIGNER_TOKEN) and FACILITATOR_PRIVATE_KEY (base58).
+ * Each of them takes a comma-separated list. With no key at all a single ephemeral
+ * key is generated. A configured key that can't be loaded is an error, never a
+ * silent fallback.
+ */
+async function createSignersFromEnv(env = process.env) {
+  const signers = [];
+
+  const keystoreFiles = list(env.FACILITATOR_KEYSTORE_FILE);
+  if (keystoreFiles.length > 0 && !env.FACILITATOR_KEYSTORE_PASSWORD) {
+    throw new Error('FACILITATOR_KEYSTORE_PASSWORD is required to unlock FACILITATOR_KEYSTORE_FILE');
+  }
+  for (const file of keystoreFiles) {
+    const keystore = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    signers.push(new KeypairSigner(decryptKeystore(keystore, env.FACILITATOR_KEYSTORE_PASSWORD), { source: 'keystore' }));
+  }
+
+  for (const file of list(env.FACILITATOR_KEYPAIR_FILE)) {
+    signers.push(new KeypairSigner(loadKeypairFile(file), { source: 'keypair-file' }));
+  }
+
+  for (const url of list(env.REMOTE_SIGNER_URL)) {
+    signers.push(await RemoteSigner.connect({ url, token: env.REMOTE_SIGNER_TOKEN || null }));
+  }
+
+  for (const [index, secretKey] of list(env.FACILITATOR_PRIVATE_KEY).entries()) {
+    let keypair;
+    try {
+      keypair = Keypair.fromSecretKey(bs58.decode(secretKey));
+    } catch {
+      throw new Error(`FACILITATOR_PRIVATE_KEY entry ${index + 1} is not a valid base58 secret key`);
+    }
+    signers.push(new KeypairSigner(keypair, { source: 'env' }));
+  }
+
+  if (signers.length === 0) {
+    signers.push(new KeypairSigner(Keypair.generate(), { source: 'ephemeral', ephemeral: true }));
+  }
+
+  return signers;
+}
+
+module.exports = {
+  KeypairSigner,
+  RemoteSigner,
+  loadKeypairFile,
+  encryptKeystore,
+  decryptKeystore,
+  createSignersFromEnv
+};
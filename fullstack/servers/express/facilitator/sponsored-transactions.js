@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { PublicKey, ComputeBudgetProgram, SystemProgram } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID
+} = require('@solana/spl-token');
+const {
+  getProgramIds,
+  serializeMessage,
+  verifySignatures
+} = require('./transactions');
+const { ErrorCode } = require('./errors');
+
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+// Programs a facilitator-paid transaction may call unless SPONSOR_ALLOWED_PROGRAMS says otherwise
+const DEFAULT_ALLOWED_PROGRAM_IDS = [
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  SystemProgram.programId,
+  ComputeBudgetProgram.programId,
+  MEMO_PROGRAM_ID
+];
+
+const SponsoredInvalidReason = {
+  PROGRAM_NOT_ALLOWED: ErrorCode.PROGRAM_NOT_ALLOWED,
+  TOO_MANY_INSTRUCTIONS: ErrorCode.TOO_MANY_INSTRUCTIONS,
+  UNKNOWN_TRANSACTION: ErrorCode.UNKNOWN_SPONSORED_TRANSACTION,
+  EXPIRED: ErrorCode.EXPIRED,
+  INVALID_SIGNATURES: ErrorCode.INVALID_SIGNATURE
+};
+
+function invalid(invalidReason, message) {
+  return { isValid: false, invalidReason, message };
+}
+
+/**
+ * Remembers every transaction the facilitator has co-signed as fee payer, so that
+ * only those exact messages (plus the user's signature) are ever broadcast.
+ * Entries are keyed by the hash of the message, so a user can hold several
+ * transactions built on the same blockhash.
+ */
+class SponsoredTransactionStore {
+  constructor({
+    ttlMs = 120000,
+    allowedProgramIds = DEFAULT_ALLOWED_PROGRAM_IDS,
+    maxInstructions = 6
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.allowedProgramIds = allowedProgramIds.map(programId => new PublicKey(programId));
+    this.maxInstructions = maxInstructions;
+    this.messages = new Map();
+  }
+
+  static keyFor(transaction) {
+    return crypto.createHash('sha256').update(serializeMessage(transaction)).digest('hex');
+  }
+
+  /**
+   * Check a transaction against the program allow-list and instruction limit.
+   */
+  checkInstructions(transaction) {
+    const programIds = getProgramIds(transaction);
+
+    if (programIds.length > this.maxInstructions) {
+      return invalid(SponsoredInvalidReason.TOO_MANY_INSTRUCTIONS, `Transaction has ${programIds.length} instructions, at most ${this.maxInstructions} can be sponsored`);
+    }
+
+    const disallowed = programIds.find(
+      programId => !this.allowedProgramIds.some(allowed => allowed.equals(programId))
+    );
+    if (disallowed) {
+      return invalid(SponsoredInvalidReason.PROGRAM_NOT_ALLOWED, `Program ${disallowed.toBase58()} is not allowed in sponsored transactions`);
+    }
+
+    return { isValid: true, invalidReason: null };
+  }
+
+  /**
+   * Record the message of a freshly built, facilitator-signed transaction and
+   * return its key. ttlMs overrides the store TTL (durable nonce transactions live
+   * longer); intentId links it to the payment intent it was built for.
+   * Throws if the transaction breaks the instruction policy.
+   */
+  remember(transaction, userPublicKey, { ttlMs = this.ttlMs, intentId = null } = {}) {
+    const check = this.checkInstructions(transaction);
+    if (!check.isValid) {
+      throw new Error(`${check.invalidReason}: ${check.message}`);
+    }
+
+    this.prune();
+    const key = SponsoredTransactionStore.keyFor(transaction);
+    this.messages.set(key, {
+      userPublicKey,
+      intentId,
+      expiresAt: Date.now() + ttlMs
+    });
+    return key;
+  }
+
+  /**
+   * Check that a transaction returned by a client is exactly one we built for
+   * this user, with every signature (ours and the user's) present and valid.
+   */
+  verify(transaction, userPublicKey) {
+    const check = this.checkInstructions(transaction);
+    if (!check.isValid) {
+      return check;
+    }
+
+    // Any change to the message changes its hash, so a modified transaction is unknown too
+    const entry = this.messages.get(SponsoredTransactionStore.keyFor(transaction));
+    if (!entry || entry.userPublicKey !== userPublicKey) {
+      return invalid(SponsoredInvalidReason.UNKNOWN_TRANSACTION, 'Transaction was not created by this facilitator for this user, or was modified');
+    }
+
+    if (entry.expiresAt < Date.now()) {
+      return invalid(SponsoredInvalidReason.EXPIRED, 'Sponsored transaction has expired, request a new one');
+    }
+
+    if (!verifySignatures(transaction)) {
+      return invalid(SponsoredInvalidReason.INVALID_SIGNATURES, 'Transaction is missing the user signature or has an invalid signature');
+    }
+
+    return { isValid: true, invalidReason: null, intentId: entry.intentId };
+  }
+
+  /**
+   * Drop a transaction once it has been settled.
+   */
+  forget(transaction) {
+    this.forgetKey(SponsoredTransactionStore.keyFor(transaction));
+  }
+
+  /**
+   * Drop a transaction by the key remember() returned, e.g. once it has been replaced.
+   */
+  forgetKey(key) {
+    this.messages.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.messages) {
+      if (entry.expiresAt < now) {
+        this.messages.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Build the store from SPONSORED_TX_TTL_SECONDS, SPONSOR_ALLOWED_PROGRAMS
+ * (comma-separated program IDs) and SPONSOR_MAX_INSTRUCTIONS.
+ */
+function createSponsoredTransactionStoreFromEnv(env = process.env) {
+  return new SponsoredTransactionStore({
+    ttlMs: Number(env.SPONSORED_TX_TTL_SECONDS || 120) * 1000,
+    allowedProgramIds: env.SPONSOR_ALLOWED_PROGRAMS ?
+      env.SPONSOR_ALLOWED_PROGRAMS.split(',').map(programId => programId.trim()).filter(Boolean) :
+      DEFAULT_ALLOWED_PROGRAM_IDS,
+    maxInstructions: Number(env.SPONSOR_MAX_INSTRUCTIONS || 6)
+  });
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_PROGRAM_IDS,
+  SponsoredInvalidReason,
+  SponsoredTransactionStore,
+  createSponsoredTransactionStoreFromEnv
+};
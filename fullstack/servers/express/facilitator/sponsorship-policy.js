@@ -0,0 +1,179 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const SponsorshipDeniedReason = {
+  PAYTO_NOT_ALLOWED: 'payto_not_allowed',
+  IP_RATE_LIMITED: 'ip_rate_limited',
+  USER_RATE_LIMITED: 'user_rate_limited',
+  PAYER_BUDGET_EXHAUSTED: 'payer_budget_exhausted',
+  GLOBAL_BUDGET_EXHAUSTED: 'global_budget_exhausted'
+};
+
+function startOfUtcDay(now) {
+  return Math.floor(now / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Limits on how much gas the facilitator sponsors: lamports per payer per day,
+ * a global daily cap, requests per minute per IP and per user, and an optional
+ * payTo allow-list. A limit of 0 disables that limit.
+ */
+class SponsorshipPolicy {
+  constructor({
+    perPayerDailyLamports = 0,
+    globalDailyLamports = 0,
+    perIpPerMinute = 0,
+    perUserPerMinute = 0,
+    allowedPayTo = null,
+    estimatedLamportsPerTransaction = 10000,
+    now = () => Date.now()
+  } = {}) {
+    this.perPayerDailyLamports = perPayerDailyLamports;
+    this.globalDailyLamports = globalDailyLamports;
+    this.perIpPerMinute = perIpPerMinute;
+    this.perUserPerMinute = perUserPerMinute;
+    this.allowedPayTo = allowedPayTo && allowedPayTo.length ? new Set(allowedPayTo) : null;
+    this.estimatedLamportsPerTransaction = estimatedLamportsPerTransaction;
+    this.now = now;
+
+    this.day = startOfUtcDay(now());
+    this.globalSpent = 0;
+    this.globalPriorityFees = 0;
+    this.payerSpent = new Map();
+    this.requestWindows = new Map();
+  }
+
+  rollDay() {
+    const day = startOfUtcDay(this.now());
+    if (day !== this.day) {
+      this.day = day;
+      this.globalSpent = 0;
+      this.globalPriorityFees = 0;
+      this.payerSpent.clear();
+    }
+  }
+
+  /**
+   * Count one request for a key and return whether it is still under the per-minute limit.
+   */
+  hit(key, limit) {
+    if (!limit) {
+      return true;
+    }
+
+    const now = this.now();
+    let window = this.requestWindows.get(key);
+    if (!window || now - window.startedAt >= MINUTE_MS) {
+      window = { startedAt: now, count: 0 };
+      this.requestWindows.set(key, window);
+    }
+
+    window.count += 1;
+    return window.count <= limit;
+  }
+
+  /**
+   * Decide whether a sponsorship request may go ahead. Counts the request
+   * against the rate limits, but does not spend budget; call record() for that.
+   */
+  check({ ip, userPublicKey, payTo }) {
+    this.rollDay();
+
+    if (this.allowedPayTo && !this.allowedPayTo.has(payTo)) {
+      return { allowed: false, reason: SponsorshipDeniedReason.PAYTO_NOT_ALLOWED, message: `Gas is not sponsored for payments to ${payTo}` };
+    }
+
+    if (ip && !this.hit(`ip:${ip}`, this.perIpPerMinute)) {
+      return { allowed: false, reason: SponsorshipDeniedReason.IP_RATE_LIMITED, message: 'Too many sponsorship requests from this IP', retryAfterSeconds: 60 };
+    }
+
+    if (!this.hit(`user:${userPublicKey}`, this.perUserPerMinute)) {
+      return { allowed: false, reason: SponsorshipDeniedReason.USER_RATE_LIMITED, message: 'Too many sponsorship requests for this user', retryAfterSeconds: 60 };
+    }
+
+    const cost = this.estimatedLamportsPerTransaction;
+
+    if (this.perPayerDailyLamports && (this.payerSpent.get(userPublicKey) || 0) + cost > this.perPayerDailyLamports) {
+      return { allowed: false, reason: SponsorshipDeniedReason.PAYER_BUDGET_EXHAUSTED, message: 'Daily gas sponsorship budget for this user is used up' };
+    }
+
+    if (this.globalDailyLamports && this.globalSpent + cost > this.globalDailyLamports) {
+      return { allowed: false, reason: SponsorshipDeniedReason.GLOBAL_BUDGET_EXHAUSTED, message: 'Daily gas sponsorship budget of the facilitator is used up' };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Spend lamports from the payer's and the global daily budget.
+   * priorityFeeLamports is the part of lamports that went to priority fees.
+   */
+  record({ userPublicKey, lamports, priorityFeeLamports = 0 }) {
+    this.rollDay();
+    this.globalSpent += lamports;
+    this.globalPriorityFees += priorityFeeLamports;
+    this.payerSpent.set(userPublicKey, (this.payerSpent.get(userPublicKey) || 0) + lamports);
+  }
+
+  /**
+   * Remaining budget, for /supported and /health. Limits that are disabled are reported as null.
+   */
+  status(userPublicKey) {
+    this.rollDay();
+
+    const status = {
+      globalDailyLamports: this.globalDailyLamports || null,
+      globalRemainingLamports: this.globalDailyLamports ? Math.max(0, this.globalDailyLamports - this.globalSpent) : null,
+      globalSpentLamports: this.globalSpent,
+      globalPriorityFeesLamports: this.globalPriorityFees,
+      perPayerDailyLamports: this.perPayerDailyLamports || null,
+      requestsPerMinute: {
+        perIp: this.perIpPerMinute || null,
+        perUser: this.perUserPerMinute || null
+      },
+      allowedPayTo: this.allowedPayTo ? [...this.allowedPayTo] : null,
+      resetsAt: new Date(this.day + DAY_MS).toISOString()
+    };
+
+    if (userPublicKey) {
+      status.payerRemainingLamports = this.perPayerDailyLamports ?
+        Math.max(0, this.perPayerDailyLamports - (this.payerSpent.get(userPublicKey) || 0)) :
+        null;
+    }
+
+    return status;
+  }
+
+  /**
+   * Whether the global budget still covers at least one more transaction.
+   */
+  hasGlobalBudget() {
+    this.rollDay();
+    return !this.globalDailyLamports || this.globalSpent + this.estimatedLamportsPerTransaction <= this.globalDailyLamports;
+  }
+}
+
+/**
+ * Build the policy from SPONSOR_PAYER_DAILY_LAMPORTS, SPONSOR_GLOBAL_DAILY_LAMPORTS,
+ * SPONSOR_IP_REQUESTS_PER_MINUTE, SPONSOR_USER_REQUESTS_PER_MINUTE and
+ * SPONSOR_ALLOWED_PAYTO (comma-separated merchant addresses).
+ */
+function createSponsorshipPolicyFromEnv(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+  return new SponsorshipPolicy({
+    perPayerDailyLamports: number(env.SPONSOR_PAYER_DAILY_LAMPORTS, 100000),
+    globalDailyLamports: number(env.SPONSOR_GLOBAL_DAILY_LAMPORTS, 10000000),
+    perIpPerMinute: number(env.SPONSOR_IP_REQUESTS_PER_MINUTE, 30),
+    perUserPerMinute: number(env.SPONSOR_USER_REQUESTS_PER_MINUTE, 10),
+    allowedPayTo: env.SPONSOR_ALLOWED_PAYTO ?
+      env.SPONSOR_ALLOWED_PAYTO.split(',').map(address => address.trim()).filter(Boolean) :
+      null
+  });
+}
+
+module.exports = {
+  SponsorshipDeniedReason,
+  SponsorshipPolicy,
+  createSponsorshipPolicyFromEnv
+};
@@ -0,0 +1,241 @@
+// Helpers that work the same on legacy Transactions and v0 VersionedTransactions
+const crypto = require('crypto');
+const {
+  PublicKey,
+  SYSTEM_INSTRUCTION_LAYOUTS,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+
+const SIGNATURE_LENGTH = 64;
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows it
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function isVersioned(transaction) {
+  return transaction instanceof VersionedTransaction;
+}
+
+/**
+ * Decode a base64 wire transaction into a legacy Transaction or a VersionedTransaction.
+ */
+function deserializeTransaction(base64) {
+  const bytes = Buffer.from(base64, 'base64');
+  const versioned = VersionedTransaction.deserialize(bytes);
+
+  if (versioned.version === 'legacy') {
+    return Transaction.from(bytes);
+  }
+  return versioned;
+}
+
+/**
+ * Encode a (possibly partially signed) transaction for the wire.
+ */
+function serializeTransaction(transaction) {
+  if (isVersioned(transaction)) {
+    return Buffer.from(transaction.serialize());
+  }
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false });
+}
+
+function getFeePayer(transaction) {
+  if (isVersioned(transaction)) {
+    return transaction.message.staticAccountKeys[0];
+  }
+  return transaction.feePayer;
+}
+
+function getRecentBlockhash(transaction) {
+  if (isVersioned(transaction)) {
+    return transaction.message.recentBlockhash;
+  }
+  return transaction.recentBlockhash;
+}
+
+function serializeMessage(transaction) {
+  if (isVersioned(transaction)) {
+    return Buffer.from(transaction.message.serialize());
+  }
+  return transaction.serializeMessage();
+}
+
+/**
+ * Public keys that must sign, with their signature (null when missing).
+ */
+function getSignatures(transaction) {
+  if (isVersioned(transaction)) {
+    const signerCount = transaction.message.header.numRequiredSignatures;
+    return transaction.message.staticAccountKeys.slice(0, signerCount).map((publicKey, index) => {
+      const signature = transaction.signatures[index];
+      const present = signature && signature.some(byte => byte !== 0);
+      return { publicKey, signature: present ? Buffer.from(signature) : null };
+    });
+  }
+  return transaction.signatures.map(({ publicKey, signature }) => ({ publicKey, signature }));
+}
+
+/**
+ * The fee payer's signature, which is the transaction id once broadcast. Null if not signed yet.
+ */
+function getFirstSignature(transaction) {
+  const [first] = getSignatures(transaction);
+  return first ? first.signature : null;
+}
+
+function verifyEd25519(message, signature, publicKey) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.verify(null, message, key, signature);
+}
+
+/**
+ * Whether every required signature is present and valid.
+ */
+function verifySignatures(transaction) {
+  if (!isVersioned(transaction)) {
+    return transaction.verifySignatures(true);
+  }
+
+  const message = serializeMessage(transaction);
+  return getSignatures(transaction).every(({ publicKey, signature }) =>
+    signature && signature.length === SIGNATURE_LENGTH && verifyEd25519(message, signature, publicKey));
+}
+
+/**
+ * Program IDs of every instruction, in order. Programs are always static keys,
+ * so this needs no lookup table resolution.
+ */
+function getProgramIds(transaction) {
+  if (isVersioned(transaction)) {
+    const { staticAccountKeys, compiledInstructions } = transaction.message;
+    return compiledInstructions.map(instruction => staticAccountKeys[instruction.programIdIndex]);
+  }
+  return transaction.instructions.map(instruction => instruction.programId);
+}
+
+/**
+ * The nonce account of a durable nonce transaction (one whose first instruction is
+ * a System Program AdvanceNonceAccount), or null for a blockhash-bound transaction.
+ */
+function getDurableNonceAccount(transaction) {
+  let programId;
+  let data;
+  let nonceAccount;
+
+  if (isVersioned(transaction)) {
+    const [first] = transaction.message.compiledInstructions;
+    if (!first) {
+      return null;
+    }
+    const { staticAccountKeys } = transaction.message;
+    programId = staticAccountKeys[first.programIdIndex];
+    data = Buffer.from(first.data);
+    nonceAccount = staticAccountKeys[first.accountKeyIndexes[0]];
+  } else {
+    const [first] = transaction.instructions;
+    if (!first) {
+      return null;
+    }
+    programId = first.programId;
+    data = first.data;
+    nonceAccount = first.keys[0]?.pubkey;
+  }
+
+  const advancesNonce = programId.equals(SystemProgram.programId) &&
+    data.length >= 4 &&
+    data.readUInt32LE(0) === SYSTEM_INSTRUCTION_LAYOUTS.AdvanceNonceAccount.index;
+
+  return advancesNonce && nonceAccount ? nonceAccount : null;
+}
+
+/**
+ * Fetch the address lookup tables a v0 message refers to.
+ */
+async function resolveLookupTables(connection, addresses) {
+  return Promise.all(addresses.map(async address => {
+    const { value } = await connection.getAddressLookupTable(new PublicKey(address));
+    if (!value) {
+      throw new Error(`Address lookup table ${new PublicKey(address).toBase58()} not found`);
+    }
+    return value;
+  }));
+}
+
+/**
+ * Decompiled instructions of a transaction, with lookup table accounts resolved.
+ */
+async function getInstructions(connection, transaction) {
+  if (!isVersioned(transaction)) {
+    return transaction.instructions;
+  }
+
+  const lookups = transaction.message.addressTableLookups;
+  const addressLookupTableAccounts = lookups.length > 0 ?
+    await resolveLookupTables(connection, lookups.map(lookup => lookup.accountKey)) :
+    [];
+
+  return TransactionMessage.decompile(transaction.message, { addressLookupTableAccounts }).instructions;
+}
+
+/**
+ * Simulate without checking signatures, so partially signed transactions can be simulated.
+ */
+async function simulateTransaction(connection, transaction) {
+  if (isVersioned(transaction)) {
+    return connection.simulateTransaction(transaction, { commitment: 'confirmed', sigVerify: false });
+  }
+  return connection.simulateTransaction(transaction);
+}
+
+/**
+ * Build a v0 transaction, compiling the given lookup tables into its message.
+ */
+function buildVersionedTransaction({ payerKey, recentBlockhash, instructions, addressLookupTableAccounts = [] }) {
+  const message = new TransactionMessage({ payerKey, recentBlockhash, instructions })
+    .compileToV0Message(addressLookupTableAccounts);
+  return new VersionedTransaction(message);
+}
+
+/**
+ * Add a signer's signature (see signers.js), leaving the other signatures in place.
+ */
+async function partialSign(transaction, signer) {
+  const signature = await signer.sign(serializeMessage(transaction));
+  transaction.addSignature(signer.publicKey, Buffer.from(signature));
+}
+
+/**
+ * "legacy" or the numeric message version.
+ */
+function getVersion(transaction) {
+  if (isVersioned(transaction)) {
+    return transaction.version;
+  }
+  return 'legacy';
+}
+
+module.exports = {
+  isVersioned,
+  deserializeTransaction,
+  serializeTransaction,
+  getFeePayer,
+  getRecentBlockhash,
+  serializeMessage,
+  getSignatures,
+  getFirstSignature,
+  verifyEd25519,
+  verifySignatures,
+  getProgramIds,
+  getDurableNonceAccount,
+  getInstructions,
+  resolveLookupTables,
+  simulateTransaction,
+  buildVersionedTransaction,
+  partialSign,
+  getVersion
+};
@@ -0,0 +1,25 @@
+// Types of paywall/assets.js for the TypeScript resource server
+import type { Price } from './pricing.js';
+
+export interface AcceptedAsset {
+  asset: string;
+  symbol?: string;
+  decimals: number;
+}
+
+export interface PriceOracle {
+  usdPrice(asset: AcceptedAsset): Promise<number | null>;
+}
+
+export const DEFAULT_PRICE_TABLE: Record<string, number>;
+
+export class StaticPriceOracle implements PriceOracle {
+  constructor(prices?: Record<string, number>);
+  prices: Record<string, number>;
+  usdPrice(asset: AcceptedAsset): Promise<number | null>;
+}
+
+export function parseUsd(price: string | number): number;
+export function convertUsd(usd: number, usdPerUnit: number, decimals: number): bigint;
+export function priceInAssets(price: string | number, assets: AcceptedAsset[], oracle: PriceOracle): Promise<Array<Price & { amount: string }>>;
+export function createPriceOracleFromEnv(env?: NodeJS.ProcessEnv): PriceOracle;
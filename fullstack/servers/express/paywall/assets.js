@@ -0,0 +1,114 @@
+/**
+ * Price conversion for routes accepting several assets: the route has a USD price,
+ * and each accepted asset ({ asset, symbol, decimals }: a mint or 'SOL') gets the
+ * amount of it worth that price, from a price oracle.
+ *
+ * A price oracle is any object with an async usdPrice(acceptedAsset) returning the
+ * USD price of one whole unit of the asset (e.g. one USDC, one SOL), or null when
+ * it has none.
+ */
+
+// Oracle prices are kept to this many decimals, USD prices to micro-dollars
+const ORACLE_PRICE_DECIMALS = 12;
+const USD_DECIMALS = 6;
+
+// Offline prices, in USD per whole unit, used when no table is configured
+const DEFAULT_PRICE_TABLE = {
+  USDC: 1,
+  USDT: 1,
+  SOL: 150
+};
+
+/**
+ * A price oracle reading a fixed table of USD prices keyed by symbol or asset
+ * address, for offline use and tests.
+ */
+class StaticPriceOracle {
+  constructor(prices = DEFAULT_PRICE_TABLE) {
+    this.prices = { ...prices };
+  }
+
+  async usdPrice({ asset, symbol }) {
+    return this.prices[symbol] ?? this.prices[asset] ?? null;
+  }
+}
+
+/**
+ * A USD price as a number: 0.01, '0.01' and '$0.01' are the same price.
+ */
+function parseUsd(price) {
+  const usd = typeof price === 'number' ? price : Number(String(price).trim().replace(/^\$/, ''));
+  if (!Number.isFinite(usd) || usd <= 0) {
+    throw new Error(`Invalid USD price: ${price}`);
+  }
+  return usd;
+}
+
+/**
+ * The amount of an asset, in base units, worth usd at usdPerUnit, rounded up so
+ * the payment covers the price.
+ */
+function convertUsd(usd, usdPerUnit, decimals) {
+  const micros = BigInt(Math.round(usd * 10 ** USD_DECIMALS));
+  const unitPrice = BigInt(Math.round(usdPerUnit * 10 ** ORACLE_PRICE_DECIMALS));
+  if (unitPrice <= 0n) {
+    throw new Error(`Invalid oracle price: ${usdPerUnit}`);
+  }
+
+  const numerator = micros * 10n ** BigInt(decimals + ORACLE_PRICE_DECIMALS - USD_DECIMALS);
+  return (numerator + unitPrice - 1n) / unitPrice;
+}
+
+/**
+ * The price of a route in each accepted asset the oracle can price, in order:
+ * [{ amount, asset }] with amount a base units string, as a Number can't hold
+ * every amount of a token with many decimals exactly. The first one is the route's
+ * default. Throws if none of the assets has a price.
+ */
+async function priceInAssets(price, assets, oracle) {
+  const usd = parseUsd(price);
+  const prices = [];
+
+  for (const accepted of assets) {
+    const usdPerUnit = await oracle.usdPrice(accepted);
+    if (usdPerUnit) {
+      prices.push({
+        amount: convertUsd(usd, usdPerUnit, accepted.decimals).toString(),
+        asset: accepted.asset
+      });
+    }
+  }
+
+  if (prices.length === 0) {
+    throw new Error(`No price for any of ${assets.map(accepted => accepted.symbol || accepted.asset).join(', ')}`);
+  }
+  return prices;
+}
+
+/**
+ * A static price oracle with the prices of PRICE_TABLE ("SYMBOL=usd" pairs,
+ * comma-separated, e.g. "SOL=150,BONK=0.00002"), on top of the default table.
+ */
+function createPriceOracleFromEnv(env = process.env) {
+  const prices = { ...DEFAULT_PRICE_TABLE };
+
+  for (const entry of (env.PRICE_TABLE || '').split(',').map(pair => pair.trim()).filter(Boolean)) {
+    const [key, value] = entry.split('=').map(part => part.trim());
+    const usd = Number(value);
+    if (!key || !Number.isFinite(usd) || usd <= 0) {
+      throw new Error(`Invalid PRICE_TABLE entry: ${entry}`);
+    }
+    prices[key] = usd;
+  }
+
+  return new StaticPriceOracle(prices);
+}
+
+module.exports = {
+  DEFAULT_PRICE_TABLE,
+  StaticPriceOracle,
+  parseUsd,
+  convertUsd,
+  priceInAssets,
+  createPriceOracleFromEnv
+};
@@ -0,0 +1,28 @@
+// Types of paywall/deferred.js for the TypeScript resource server
+import type { Request, RequestHandler } from 'express';
+import type { Price, PriceQuotes } from './pricing.js';
+
+export function deferSettlement(
+  paywall: RequestHandler,
+  options: {
+    facilitatorUrl: string;
+    payTo: string;
+    network: string;
+    price: Price | Price[] | ((req: Request) => Promise<Price | Price[]> | Price | Price[]);
+    description?: string;
+    maxTimeoutSeconds?: number;
+    resource?: (req: Request) => string;
+    /** The quotes of the paywall's dynamicPricing, to check payments against */
+    quotes?: PriceQuotes;
+    /** The resource quotes are issued for; default req.originalUrl */
+    quoteResource?: (req: Request) => string;
+  }
+): RequestHandler;
+
+declare global {
+  namespace Express {
+    interface Request {
+      payment?: { payer: string; reservationId: string };
+    }
+  }
+}
@@ -0,0 +1,256 @@
+const { PublicKey, SystemInstruction, SystemProgram } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { isNativeSol, isTokenProgram } = require('../facilitator/payment-instructions');
+const { readCookie } = require('./http');
+const { decodePayment, paymentInstructions } = require('./payments');
+const { QUOTE_HEADER, QUOTE_COOKIE } = require('./pricing');
+
+const PAYMENT_RESPONSE_HEADER = 'X-PAYMENT-RESPONSE';
+
+// How long a payment is held while the route runs, when the price doesn't say
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+function encodeHeader(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+/**
+ * Whether instructions transfer asset to payTo: a System Program transfer for
+ * SOL, or a token instruction on payTo's associated token account of the mint.
+ */
+function transfersTo(instructions, asset, payTo) {
+  const recipient = new PublicKey(payTo);
+  if (isNativeSol(asset)) {
+    return instructions.some(instruction => {
+      try {
+        return instruction.programId.equals(SystemProgram.programId) &&
+          SystemInstruction.decodeInstructionType(instruction) === 'Transfer' &&
+          SystemInstruction.decodeTransfer(instruction).toPubkey.equals(recipient);
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  return instructions.some(instruction => {
+    if (!isTokenProgram(instruction.programId)) {
+      return false;
+    }
+    const account = getAssociatedTokenAddressSync(new PublicKey(asset), recipient, true, instruction.programId);
+    return instruction.keys.some(({ pubkey }) => pubkey.equals(account));
+  });
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+/**
+ * Hold back everything the route writes, headers included, and call onEnd(body)
+ * instead of ending the response; onEnd sends it (or something else) with res.end.
+ * The status and headers of a writeHead() are kept on res, and flushHeaders()
+ * waits for the end, so the status can still change when the payment fails.
+ */
+function bufferResponse(res, onEnd) {
+  const { write, end, writeHead, flushHeaders } = res;
+  const chunks = [];
+  const collect = (chunk, encoding) => {
+    if (chunk) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+  };
+
+  res.writeHead = function (statusCode, statusMessage, headers) {
+    if (typeof statusMessage !== 'string') {
+      [statusMessage, headers] = [undefined, statusMessage];
+    }
+    res.statusCode = statusCode;
+    if (statusMessage) {
+      res.statusMessage = statusMessage;
+    }
+    // Headers come as an object, [name, value] pairs or a flat [name, value, ...] list
+    const entries = !Array.isArray(headers) ? Object.entries(headers || {}) :
+      Array.isArray(headers[0]) ? headers : headers.flatMap((item, i) => i % 2 ? [] : [[item, headers[i + 1]]]);
+    for (const [name, value] of entries) {
+      res.setHeader(name, value);
+    }
+    return res;
+  };
+  res.flushHeaders = function () {};
+  res.write = function (chunk, encoding, callback) {
+    collect(chunk, encoding);
+    (typeof encoding === 'function' ? encoding : callback)?.();
+    return true;
+  };
+  res.end = function (chunk, encoding, callback) {
+    if (typeof chunk === 'function') {
+      [chunk, callback] = [null, chunk];
+    }
+    collect(chunk, encoding);
+    Object.assign(res, { write, end, writeHead, flushHeaders });
+    onEnd(Buffer.concat(chunks)).then(
+      () => (typeof encoding === 'function' ? encoding : callback)?.(),
+      error => res.destroy(error)
+    );
+    return res;
+  };
+}
+
+/**
+ * Express middleware settling "exact" payments only once the route succeeded
+ * (deferred settlement), in front of a route's paywall.
+ *
+ * An X-PAYMENT is verified by the facilitator with reserve: true, which checks the
+ * payment and holds it so nothing else can settle it. The route then runs with
+ * req.payment ({ payer, reservationId }) while its response is held back. A 2xx
+ * is settled with the reservation, then sent with the settle response in
+ * X-PAYMENT-RESPONSE; if settling fails the payer gets a 402 with the reason
+ * instead of the content. Any other status releases the reservation and is sent
+ * as is, with X-PAYMENT-RESPONSE saying nothing was settled. A payment the
+ * facilitator rejects gets a 402 with its reason. Requests without an X-PAYMENT
+ * (or for another scheme) go to paywall, which asks for payment as before.
+ *
+ * Only the response waits for the payment: the route itself runs before it is
+ * settled, so whatever else it does (writes, calls, emails) happens even when the
+ * payment then fails. Put routes with such side effects behind the paywall itself.
+ *
+ * price is { amount, asset } (amount in base units) or a list of them, one per
+ * accepted asset, or a function of the request returning either. The payment
+ * is checked against the price of the asset its transaction transfers to payTo,
+ * or the first one.
+ *
+ * When the paywall quotes its prices (dynamicPricing), pass the same quotes (a
+ * PriceQuotes) and quoteResource: a payment is then checked against the signed
+ * quote sent back with it (X-PAYMENT-QUOTE, or the x402-quote cookie), whose
+ * amount must be in base units, and one without a valid quote goes to paywall
+ * unpaid, for a new quote.
+ */
+function deferSettlement(paywall, {
+  facilitatorUrl,
+  payTo,
+  network,
+  price,
+  description = '',
+  maxTimeoutSeconds = DEFAULT_TIMEOUT_SECONDS,
+  resource = req => `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+  quotes = null,
+  quoteResource = req => req.originalUrl
+}) {
+  const facilitator = facilitatorUrl.replace(/\/+$/, '');
+
+  // The quoted price of a payment, or null without a valid quote
+  function quotedPrice(req) {
+    const token = req.get(QUOTE_HEADER) || readCookie(req, QUOTE_COOKIE);
+    const { quote } = token ? quotes.verify(token, quoteResource(req)) : {};
+    return quote ? { amount: quote.amount, asset: quote.asset } : null;
+  }
+
+  async function requirementsFor(req, paymentPayload, quoted) {
+    let entry = quoted;
+    if (!entry) {
+      const prices = [].concat(typeof price === 'function' ? await price(req) : price);
+      const instructions = paymentInstructions(paymentPayload);
+      entry = (instructions && prices.find(({ asset }) => transfersTo(instructions, asset, payTo))) || prices[0];
+    }
+    const { amount, asset } = entry;
+    return {
+      scheme: 'exact',
+      network,
+      maxAmountRequired: String(amount),
+      resource: resource(req),
+      description,
+      mimeType: 'application/json',
+      payTo,
+      asset,
+      maxTimeoutSeconds
+    };
+  }
+
+  return async (req, res, next) => {
+    const header = req.get('X-PAYMENT');
+    const paymentPayload = header ? decodePayment(header) : null;
+    if (paymentPayload?.scheme !== 'exact') {
+      return paywall(req, res, next);
+    }
+
+    const quoted = quotes ? quotedPrice(req) : null;
+    if (quotes && !quoted) {
+      // Unquoted payments are not priced again: the payer gets a quote to pay against
+      delete req.headers['x-payment'];
+      return paywall(req, res, next);
+    }
+
+    let paymentRequirements;
+    let verification;
+    try {
+      paymentRequirements = await requirementsFor(req, paymentPayload, quoted);
+      verification = await postJson(`${facilitator}/verify`, {
+        x402Version: paymentPayload.x402Version,
+        paymentPayload,
+        paymentRequirements,
+        reserve: true
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!verification.isValid) {
+      return res.status(402).json({
+        x402Version: 1,
+        error: verification.invalidReason,
+        message: verification.message,
+        accepts: [paymentRequirements]
+      });
+    }
+
+    const { payer, reservation } = verification;
+    req.payment = { payer, reservationId: reservation.id };
+
+    bufferResponse(res, async body => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        const released = await postJson(`${facilitator}/reservations/${reservation.id}/release`, {}).catch(() => null);
+        res.setHeader(PAYMENT_RESPONSE_HEADER, encodeHeader({
+          success: false,
+          errorReason: 'handler_failed',
+          message: `The route answered ${res.statusCode}; the payment was not settled`,
+          transaction: null,
+          network,
+          payer,
+          reservationId: reservation.id,
+          released: Boolean(released?.released)
+        }));
+        return res.end(body);
+      }
+
+      const settlement = await postJson(`${facilitator}/settle`, {
+        x402Version: paymentPayload.x402Version,
+        paymentPayload,
+        paymentRequirements,
+        reservationId: reservation.id
+      }).catch(error => ({ success: false, errorReason: 'internal_error', message: error.message }));
+
+      res.setHeader(PAYMENT_RESPONSE_HEADER, encodeHeader(settlement));
+      if (settlement.success) {
+        return res.end(body);
+      }
+
+      // Not paid after all: the content stays with the server
+      res.status(402).type('json').json({
+        x402Version: 1,
+        error: settlement.errorReason,
+        message: settlement.message,
+        accepts: [paymentRequirements]
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  deferSettlement
+};
@@ -0,0 +1,29 @@
+/**
+ * The value of a cookie of the request, or null.
+ */
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Run callback just before the response headers are written.
+ */
+function beforeHeaders(res, callback) {
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    res.writeHead = writeHead;
+    callback();
+    return writeHead.apply(this, args);
+  };
+}
+
+module.exports = {
+  readCookie,
+  beforeHeaders
+};
@@ -0,0 +1,111 @@
+const { SystemInstruction, SystemProgram, TransactionMessage } = require('@solana/web3.js');
+const { TokenInstruction, decodeInstruction } = require('@solana/spl-token');
+const { isVersioned, deserializeTransaction } = require('../facilitator/transactions');
+const { NATIVE_SOL_ASSET, isTokenProgram } = require('../facilitator/payment-instructions');
+
+/**
+ * The payment of an X-PAYMENT header, or null if it doesn't decode.
+ */
+function decodePayment(header) {
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The instructions of a transaction, or null if they can't be read here (a v0
+ * message using lookup tables, which only a node can resolve).
+ */
+function transactionInstructions(transaction) {
+  try {
+    return isVersioned(transaction) ? TransactionMessage.decompile(transaction.message).instructions : transaction.instructions;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The instructions of a payment's transaction, or null if it doesn't decode here.
+ */
+function paymentInstructions(paymentPayload) {
+  const { transaction, facilitatorTransaction } = paymentPayload?.payload || {};
+  try {
+    return transactionInstructions(deserializeTransaction(facilitatorTransaction || transaction));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The transfers of a list of instructions: { programId, source, destination,
+ * authority, asset, amount } for each System Program transfer (asset 'SOL') and
+ * token TransferChecked. Other instructions of those programs come back as null,
+ * except a durable nonce advance.
+ */
+function decodeTransfers(instructions) {
+  return instructions.flatMap(instruction => {
+    try {
+      if (instruction.programId.equals(SystemProgram.programId)) {
+        const type = SystemInstruction.decodeInstructionType(instruction);
+        if (type === 'AdvanceNonceAccount') {
+          return [];
+        }
+        if (type !== 'Transfer') {
+          return [null];
+        }
+        const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+        return [{
+          programId: SystemProgram.programId,
+          source: fromPubkey,
+          destination: toPubkey,
+          authority: fromPubkey,
+          asset: NATIVE_SOL_ASSET,
+          amount: BigInt(lamports)
+        }];
+      }
+
+      if (isTokenProgram(instruction.programId)) {
+        const decoded = decodeInstruction(instruction, instruction.programId);
+        if (decoded.data.instruction !== TokenInstruction.TransferChecked) {
+          return [null];
+        }
+        return [{
+          programId: instruction.programId,
+          source: decoded.keys.source.pubkey,
+          destination: decoded.keys.destination.pubkey,
+          authority: decoded.keys.owner.pubkey,
+          asset: decoded.keys.mint.pubkey.toBase58(),
+          amount: decoded.data.amount
+        }];
+      }
+    } catch {
+      return [null];
+    }
+    return [];
+  });
+}
+
+/**
+ * What a payment paid, from its transaction: { payer, asset, amount } (amount a
+ * base units string), or null unless it decodes to exactly one transfer.
+ */
+function paidTransfer(paymentPayload) {
+  const instructions = paymentInstructions(paymentPayload);
+  const transfers = instructions ? decodeTransfers(instructions) : [];
+  if (transfers.length !== 1 || !transfers[0]) {
+    return null;
+  }
+
+  const [{ authority, asset, amount }] = transfers;
+  return { payer: authority.toBase58(), asset, amount: String(amount) };
+}
+
+module.exports = {
+  decodePayment,
+  transactionInstructions,
+  paymentInstructions,
+  decodeTransfers,
+  paidTransfer
+};
@@ -0,0 +1,25 @@
+// Types of paywall/prepaid.js for the TypeScript resource server
+import type { Request, RequestHandler } from 'express';
+import type { Price } from './pricing.js';
+
+export const PREPAID_SCHEME: string;
+
+export function acceptPrepaid(
+  paywall: RequestHandler,
+  options: {
+    facilitatorUrl: string;
+    payTo: string;
+    network: string;
+    price: Price | ((req: Request) => Promise<Price> | Price);
+    description?: string;
+    resource?: (req: Request) => string;
+  }
+): RequestHandler;
+
+declare global {
+  namespace Express {
+    interface Request {
+      prepaid?: { payer: string; balance: string };
+    }
+  }
+}
@@ -0,0 +1,142 @@
+const PREPAID_SCHEME = 'prepaid';
+
+// How long a voucher for the route's payment requirements should be valid for
+const VOUCHER_TIMEOUT_SECONDS = 60;
+
+function decodePayment(header) {
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Express middleware taking prepaid payments (the facilitator's "prepaid" scheme)
+ * in front of a route's paywall, for calls too small or too frequent to settle on
+ * chain one by one.
+ *
+ * An X-PAYMENT carrying a voucher is debited from the payer's balance with one
+ * /verify call to the facilitator, and the request goes on with req.prepaid
+ * ({ payer, balance }) and the balance left in X-PAYMENT-RESPONSE. A voucher the
+ * balance can't cover gets a 402 with error insufficient_balance, the balance,
+ * the amount required and where to deposit; other rejected vouchers get a 402
+ * with the facilitator's reason. Anything else goes to paywall, with the prepaid
+ * payment requirements added to the accepts of its JSON 402 when the facilitator
+ * has the "prepaid" scheme on the network.
+ *
+ * price is { amount, asset } (amount in base units), or a function of the request
+ * returning one.
+ */
+function acceptPrepaid(paywall, {
+  facilitatorUrl,
+  payTo,
+  network,
+  price,
+  description = '',
+  resource = req => `${req.protocol}://${req.get('host')}${req.originalUrl}`
+}) {
+  const facilitator = facilitatorUrl.replace(/\/+$/, '');
+  let escrow;
+
+  // The escrow key deposits go to, from the facilitator's "prepaid" kind (null if it has none)
+  async function escrowAddress() {
+    if (escrow === undefined) {
+      const { kinds = [] } = await fetch(`${facilitator}/supported`).then(response => response.json());
+      const kind = kinds.find(entry => entry.scheme === PREPAID_SCHEME && entry.network === network);
+      escrow = kind?.extra?.escrow || null;
+    }
+    return escrow;
+  }
+
+  async function requirementsFor(req) {
+    const { amount, asset } = typeof price === 'function' ? await price(req) : price;
+    return {
+      scheme: PREPAID_SCHEME,
+      network,
+      maxAmountRequired: String(amount),
+      resource: resource(req),
+      description,
+      mimeType: 'application/json',
+      payTo,
+      asset,
+      maxTimeoutSeconds: VOUCHER_TIMEOUT_SECONDS,
+      extra: { escrow: await escrowAddress().catch(() => null), deposit: `${facilitator}/deposit` }
+    };
+  }
+
+  // Add the prepaid requirements to a JSON 402 from the paywall
+  function offerPrepaid(res, requirements) {
+    const json = res.json;
+    res.json = function (body) {
+      res.json = json;
+      if (res.statusCode === 402 && body && typeof body === 'object') {
+        const key = Array.isArray(body.accepts) || !body.paymentRequirements ? 'accepts' : 'paymentRequirements';
+        body = { ...body, [key]: [...[].concat(body[key] || []), requirements] };
+      }
+      return json.call(this, body);
+    };
+  }
+
+  return async (req, res, next) => {
+    let requirements;
+    try {
+      requirements = await requirementsFor(req);
+    } catch (error) {
+      return next(error);
+    }
+
+    const header = req.get('X-PAYMENT');
+    const paymentPayload = header ? decodePayment(header) : null;
+    if (paymentPayload?.scheme !== PREPAID_SCHEME) {
+      // Only offered while the facilitator takes prepaid payments on the network
+      if (requirements.extra.escrow) {
+        offerPrepaid(res, requirements);
+      }
+      return paywall(req, res, next);
+    }
+
+    let verification;
+    try {
+      const response = await fetch(`${facilitator}/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ x402Version: paymentPayload.x402Version, paymentPayload, paymentRequirements: requirements })
+      });
+      verification = await response.json();
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!verification.isValid) {
+      const { invalidReason, message, balance, required, escrow: depositTo } = verification;
+      return res.status(402).json({
+        x402Version: 1,
+        error: invalidReason,
+        message,
+        ...(invalidReason === 'insufficient_balance' && {
+          balance,
+          required,
+          deposit: { url: `${facilitator}/deposit`, escrow: depositTo }
+        }),
+        accepts: [requirements]
+      });
+    }
+
+    req.prepaid = { payer: verification.payer, balance: verification.balance };
+    res.setHeader('X-PAYMENT-RESPONSE', Buffer.from(JSON.stringify({
+      success: true,
+      transaction: null,
+      network,
+      payer: verification.payer,
+      voucher: paymentPayload.payload?.voucher?.nonce ?? null,
+      balance: verification.balance
+    })).toString('base64'));
+    next();
+  };
+}
+
+module.exports = {
+  PREPAID_SCHEME,
+  acceptPrepaid
+};
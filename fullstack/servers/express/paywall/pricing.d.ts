@@ -0,0 +1,37 @@
+// Types of paywall/pricing.js for the TypeScript resource server
+import type { Request, RequestHandler } from 'express';
+
+export const QUOTE_HEADER: string;
+export const QUOTE_COOKIE: string;
+
+export type QuoteRejectedReason = 'malformed' | 'invalid_signature' | 'expired' | 'wrong_resource' | 'wrong_payer';
+
+export interface Price {
+  amount: string | number;
+  asset: string;
+  // Only this payer key can pay at this price
+  payer?: string;
+}
+
+export interface PriceQuote extends Price {
+  resource: string;
+  exp: number;
+}
+
+export class PriceQuotes {
+  constructor(options?: { secret?: string | Buffer; ttlSeconds?: number; now?: () => number });
+  ttlSeconds: number;
+  issue(quote: Price & { resource: string }): string;
+  verify(token: string, resource: string, options?: { payer?: string | null }): { quote?: PriceQuote; reason?: QuoteRejectedReason };
+}
+
+export function dynamicPricing(
+  createPaywall: (price: Price) => RequestHandler,
+  options: {
+    price: (req: Request) => Promise<Price | Price[]> | Price | Price[];
+    quotes?: PriceQuotes;
+    resource?: (req: Request) => string;
+  }
+): RequestHandler;
+
+export function createPriceQuotesFromEnv(env?: NodeJS.ProcessEnv): PriceQuotes;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { readCookie } = require('./http');
+const { TokenErrorReason, signToken, decodeToken } = require('./tokens');
+const { decodePayment, paidTransfer } = require('./payments');
+
+const QUOTE_HEADER = 'X-PAYMENT-QUOTE';
+const QUOTE_COOKIE = 'x402-quote';
+
+const QuoteRejectedReason = {
+  ...TokenErrorReason,
+  EXPIRED: 'expired',
+  WRONG_RESOURCE: 'wrong_resource',
+  WRONG_PAYER: 'wrong_payer'
+};
+
+// Paywalls kept per distinct price; the oldest is dropped past this many
+const MAX_CACHED_PAYWALLS = 100;
+
+/**
+ * Signed price quotes: the amount and asset computed for a resource, valid for
+ * ttlSeconds. A payment is checked against its quote, so the price can't change
+ * between the 402 and the payment, and the payer can't pick another one. A quote
+ * with a payer (e.g. a discount for the payer of an earlier receipt) only pays
+ * for a payment from that key.
+ */
+class PriceQuotes {
+  constructor({ secret = crypto.randomBytes(32), ttlSeconds = 300, now = () => Date.now() } = {}) {
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+    this.now = now;
+  }
+
+  issue({ resource, amount, asset, payer }) {
+    return signToken(this.secret, {
+      resource,
+      amount,
+      asset,
+      ...(payer && { payer }),
+      exp: Math.floor(this.now() / 1000) + this.ttlSeconds
+    });
+  }
+
+  /**
+   * The quote of a token for a resource, paid by payer (the payer key of the
+   * payment, if known), as { quote }, or { reason } (a QuoteRejectedReason).
+   */
+  verify(token, resource, { payer = null } = {}) {
+    const { claims, reason } = decodeToken(this.secret, token);
+    if (!claims) {
+      return { reason };
+    }
+    if (claims.resource !== resource) {
+      return { reason: QuoteRejectedReason.WRONG_RESOURCE };
+    }
+    if (claims.payer && claims.payer !== payer) {
+      return { reason: QuoteRejectedReason.WRONG_PAYER };
+    }
+    if (claims.exp * 1000 <= this.now()) {
+      return { reason: QuoteRejectedReason.EXPIRED };
+    }
+
+    return { quote: claims };
+  }
+}
+
+/**
+ * Put the quotes in the payment requirements of a JSON 402 body, as extra.quote.
+ * The paywall's requirements are for the first price; each other price gets a
+ * copy of them with its own asset and amount (in base units).
+ */
+function bindQuotes(res, prices, tokens) {
+  const json = res.json;
+  res.json = function (body) {
+    res.json = json;
+    if (res.statusCode === 402 && body && typeof body === 'object') {
+      const key = Array.isArray(body.accepts) ? 'accepts' : 'paymentRequirements';
+      const requirements = [].concat(body[key] || []);
+      if (requirements.length > 0) {
+        const bind = (entry, quote) => ({ ...entry, extra: { ...entry.extra, quote } });
+        const quoted = [
+          ...requirements.map(entry => bind(entry, tokens[0])),
+          ...prices.slice(1).map(({ amount, asset }, i) => bind({
+            ...requirements[0],
+            asset,
+            maxAmountRequired: String(amount)
+          }, tokens[i + 1]))
+        ];
+        body = { ...body, [key]: Array.isArray(body[key]) || quoted.length > 1 ? quoted : quoted[0] };
+      }
+    }
+    return json.call(this, body);
+  };
+}
+
+/**
+ * Express middleware pricing each request with price(req), an async function
+ * returning { amount, asset } (amount in the payment middleware's price format,
+ * asset a mint or 'SOL'). createPaywall({ amount, asset }) builds the payment
+ * middleware charging that price. A price with a payer (a base58 key) is only
+ * for that payer: its quote doesn't pay for a payment from any other key.
+ *
+ * price(req) can also return several prices, one per accepted asset (see
+ * priceInAssets), the first being the default: the 402 then lists them all in
+ * accepts. Amounts after the first must be in base units.
+ *
+ * Each price is quoted in the 402 response as a signed quote in extra.quote of
+ * its payment requirements; the default one is also in the X-PAYMENT-QUOTE
+ * header and the x402-quote cookie. A payment (X-PAYMENT) sent back with the
+ * quote of the requirements it pays (X-PAYMENT-QUOTE, or the cookie) is verified
+ * and settled at the quoted price and asset, not a recomputed one; without a
+ * valid quote it gets a new 402.
+ */
+function dynamicPricing(createPaywall, { price, quotes = new PriceQuotes(), resource = req => req.originalUrl } = {}) {
+  if (typeof price !== 'function') {
+    throw new Error('Dynamic pricing needs a price function');
+  }
+
+  const paywalls = new Map();
+  const paywallFor = ({ amount, asset }) => {
+    const key = JSON.stringify([amount, asset]);
+    if (!paywalls.has(key)) {
+      if (paywalls.size >= MAX_CACHED_PAYWALLS) {
+        paywalls.delete(paywalls.keys().next().value);
+      }
+      paywalls.set(key, createPaywall({ amount, asset }));
+    }
+    return paywalls.get(key);
+  };
+
+  return async (req, res, next) => {
+    const quoted = resource(req);
+
+    if (req.get('X-PAYMENT')) {
+      const token = req.get(QUOTE_HEADER) || readCookie(req, QUOTE_COOKIE);
+      const payer = paidTransfer(decodePayment(req.get('X-PAYMENT')))?.payer;
+      const { quote } = token ? quotes.verify(token, quoted, { payer }) : {};
+      if (quote) {
+        return paywallFor(quote)(req, res, next);
+      }
+      // Unquoted payments are not priced again: the payer gets a quote to pay against
+      delete req.headers['x-payment'];
+    }
+
+    let prices;
+    try {
+      prices = [].concat(await price(req));
+    } catch (error) {
+      return next(error);
+    }
+
+    const tokens = prices.map(({ amount, asset, payer }) => quotes.issue({ resource: quoted, amount, asset, payer }));
+    res.setHeader(QUOTE_HEADER, tokens[0]);
+    res.append('Set-Cookie', [
+      `${QUOTE_COOKIE}=${tokens[0]}`,
+      `Path=${req.baseUrl || '/'}`,
+      `Max-Age=${quotes.ttlSeconds}`,
+      'HttpOnly',
+      'SameSite=Lax',
+      ...(req.secure ? ['Secure'] : [])
+    ].join('; '));
+    bindQuotes(res, prices, tokens);
+
+    paywallFor(prices[0])(req, res, next);
+  };
+}
+
+/**
+ * Price quotes signed with QUOTE_SECRET (random when unset, so quotes end with the
+ * process) and valid for QUOTE_TTL_SECONDS.
+ */
+function createPriceQuotesFromEnv(env = process.env) {
+  return new PriceQuotes({
+    secret: env.QUOTE_SECRET || crypto.randomBytes(32),
+    ttlSeconds: Number(env.QUOTE_TTL_SECONDS || 300)
+  });
+}
+
+module.exports = {
+  QUOTE_HEADER,
+  QUOTE_COOKIE,
+  QuoteRejectedReason,
+  PriceQuotes,
+  dynamicPricing,
+  createPriceQuotesFromEnv
+};
@@ -0,0 +1,60 @@
+// Types of paywall/refunds.js for the TypeScript resource server
+import type { Request, RequestHandler } from 'express';
+
+/** A key that signs messages, e.g. a KeypairSigner of facilitator/signers.js */
+export interface MerchantSigner {
+  publicKey: { toBase58(): string };
+  sign(message: Uint8Array): Promise<Uint8Array>;
+}
+
+export interface Refund {
+  id: string;
+  /** Nonce of the merchant's signed refund request */
+  nonce: string;
+  amount: string;
+  reason: string | null;
+  state: 'pending' | 'submitted' | 'confirmed' | 'unconfirmed' | 'failed' | 'expired';
+  feePaidBy: 'facilitator' | 'merchant';
+  transaction: string | null;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export interface RefundResult {
+  refund: Refund;
+  settlement: {
+    transaction: string;
+    payer: string;
+    payTo: string;
+    amount: string;
+    asset: string;
+    network: string;
+    refunded: string;
+    refundable: string;
+    refunds: Refund[];
+  };
+}
+
+export function refundPayment(
+  facilitatorUrl: string,
+  merchant: MerchantSigner,
+  request: {
+    transaction: string;
+    /** Payer and asset of the payment, which the refund goes back to */
+    payer: string;
+    asset: string;
+    /** In base units */
+    amount: string | number | bigint;
+    sponsored?: boolean;
+    reason?: string;
+  }
+): Promise<RefundResult>;
+
+export function refundOnError(options: {
+  facilitatorUrl: string;
+  merchant: MerchantSigner;
+  sponsored?: boolean;
+  onRefund?: (outcome: { req: Request; transaction: string; result: RefundResult | null; error: Error | null }) => void;
+}): RequestHandler;
+
+export function createMerchantSignerFromEnv(env?: Record<string, string | undefined>): MerchantSigner | null;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { ComputeBudgetProgram, Keypair, PublicKey } = require('@solana/web3.js');
+const { ASSOCIATED_TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const { KeypairSigner, loadKeypairFile } = require('../facilitator/signers');
+const { deserializeTransaction, serializeTransaction, partialSign, getFeePayer } = require('../facilitator/transactions');
+const { isNativeSol } = require('../facilitator/payment-instructions');
+const { signRefundRequest } = require('../facilitator/refunds');
+const { logger } = require('../facilitator/logger');
+const { decodePayment, decodeTransfers, paidTransfer, transactionInstructions } = require('./payments');
+
+const PAYMENT_RESPONSE_HEADER = 'X-PAYMENT-RESPONSE';
+
+// How long the facilitator accepts a signed refund request
+const REQUEST_TTL_SECONDS = 60;
+
+/**
+ * The on-chain transaction of the payment settled for a response, from the settle
+ * response the payment middleware put in X-PAYMENT-RESPONSE, or null. Prepaid
+ * voucher payments have no transaction: nothing went on chain to refund.
+ */
+function settledTransaction(res) {
+  const header = res.getHeader(PAYMENT_RESPONSE_HEADER);
+  if (!header) {
+    return null;
+  }
+
+  try {
+    const settlement = JSON.parse(Buffer.from(String(header), 'base64').toString('utf8'));
+    return settlement.success && settlement.transaction ? settlement.transaction : null;
+  } catch {
+    return null;
+  }
+}
+
+async function getJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}`);
+  }
+  return response.json();
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw Object.assign(new Error(result.error || `${url} answered ${response.status}`), { errorReason: result.errorReason });
+  }
+  return result;
+}
+
+/**
+ * Throw unless a refund transaction does exactly what the merchant asked for: one
+ * transfer of amount of asset from the merchant's wallet (or its associated token
+ * account) to the payer's, its fee paid by one of feePayers, and besides that only
+ * compute budget instructions and the creation of the payer's token account.
+ */
+function assertRefundTransaction(transaction, { merchant, payer, asset, amount, feePayers }) {
+  const feePayer = getFeePayer(transaction);
+  if (!feePayers.some(key => key.equals(feePayer))) {
+    throw new Error(`Refund fee payer ${feePayer.toBase58()} is not a facilitator key`);
+  }
+
+  const instructions = transactionInstructions(transaction);
+  if (!instructions) {
+    throw new Error('Refund transaction does not decode');
+  }
+
+  const native = isNativeSol(asset);
+  const transfers = [];
+  for (const instruction of instructions) {
+    if (instruction.programId.equals(ComputeBudgetProgram.programId)) {
+      continue;
+    }
+    if (!native && instruction.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+      // Idempotent create of the payer's account for the mint, funded by the fee payer
+      const [funder, account, owner, mint, , tokenProgram] = instruction.keys.map(({ pubkey }) => pubkey);
+      const expected = tokenProgram && getAssociatedTokenAddressSync(new PublicKey(asset), payer, true, tokenProgram);
+      const creates = instruction.data.length === 1 && instruction.data[0] === 1 && expected?.equals(account) &&
+        funder.equals(feePayer) && owner.equals(payer) && mint.toBase58() === asset;
+      if (!creates) {
+        throw new Error('Refund transaction creates an account other than the payer\'s token account');
+      }
+      continue;
+    }
+
+    const [transfer] = decodeTransfers([instruction]);
+    if (!transfer) {
+      throw new Error(`Refund transaction calls ${instruction.programId.toBase58()} for something other than the refund`);
+    }
+    transfers.push(transfer);
+  }
+
+  if (transfers.length !== 1) {
+    throw new Error(`Refund transaction has ${transfers.length} transfers instead of one`);
+  }
+  const [{ programId, source, destination, authority, asset: refunded, amount: refundedAmount }] = transfers;
+  const [from, to] = native ?
+    [merchant, payer] :
+    [merchant, payer].map(owner => getAssociatedTokenAddressSync(new PublicKey(asset), owner, true, programId));
+  if (refunded !== asset || !authority.equals(merchant) || !source.equals(from) || !destination.equals(to)) {
+    throw new Error(`Refund transaction does not move ${asset} from ${merchant.toBase58()} to ${payer.toBase58()}`);
+  }
+  if (refundedAmount !== BigInt(amount)) {
+    throw new Error(`Refund transaction moves ${refundedAmount} instead of ${amount}`);
+  }
+}
+
+/**
+ * The fee payer keys a facilitator lists in GET /supported.
+ */
+async function facilitatorFeePayers(facilitator) {
+  const { kinds = [] } = await getJson(`${facilitator}/supported`);
+  return kinds.flatMap(kind => kind.feePayers || []).map(key => new PublicKey(key));
+}
+
+/**
+ * Refund a settled payment through the facilitator: ask it for the refund
+ * transaction with a request signed by the merchant's key (the payTo of the
+ * payment), check it, sign it with that key too and have it broadcast.
+ *
+ * request is { transaction, payer, asset, amount, sponsored, reason }: the settled
+ * transaction signature, the payer and asset of the payment (as the merchant knows
+ * them) and the amount to refund in base units, plus sponsored and reason as for
+ * POST /refunds. The merchant only signs a transfer of exactly that back to the
+ * payer, its fee paid by a facilitator key (by the merchant when sponsored is
+ * false). Resolves to the facilitator's answer: the refund and its settlement.
+ */
+async function refundPayment(facilitatorUrl, merchant, { payer, asset, ...request }) {
+  if (!payer || !asset || request.amount === undefined) {
+    throw new Error('A refund needs the payer, asset and amount it pays back');
+  }
+
+  const facilitator = facilitatorUrl.replace(/\/+$/, '');
+  const refund = {
+    ...request,
+    amount: String(request.amount),
+    nonce: crypto.randomUUID(),
+    expiresAt: Math.floor(Date.now() / 1000) + REQUEST_TTL_SECONDS
+  };
+  const created = await postJson(`${facilitator}/refunds`, {
+    refund,
+    signature: await signRefundRequest(refund, merchant)
+  });
+
+  if (created.signer !== merchant.publicKey.toBase58()) {
+    throw new Error(`Refund has to be signed by ${created.signer}, not the merchant key ${merchant.publicKey.toBase58()}`);
+  }
+
+  const transaction = deserializeTransaction(created.transaction);
+  assertRefundTransaction(transaction, {
+    merchant: new PublicKey(merchant.publicKey.toBase58()),
+    payer: new PublicKey(payer),
+    asset,
+    amount: refund.amount,
+    feePayers: request.sponsored === false ?
+      [new PublicKey(merchant.publicKey.toBase58())] :
+      await facilitatorFeePayers(facilitator)
+  });
+  await partialSign(transaction, merchant);
+  return postJson(`${facilitator}/refunds/${created.refundId}/submit`, {
+    transaction: serializeTransaction(transaction).toString('base64')
+  });
+}
+
+function logRefund({ req, transaction, result, error }) {
+  const fields = { settlement: transaction, method: req.method, path: req.originalUrl };
+  if (error) {
+    logger.warn('Refund after a failed request failed', { ...fields, errorReason: error.errorReason, error: error.message });
+  } else {
+    logger.info('Refunded a failed request', { ...fields, refundId: result.refund.id, amount: result.refund.amount, state: result.refund.state });
+  }
+}
+
+/**
+ * Express middleware refunding a paid request in full when its response is a 5xx:
+ * the payer paid and got nothing. Put it in front of the payment middleware so it
+ * sees the X-PAYMENT-RESPONSE that middleware sets; the payer, asset and amount
+ * refunded are read from the transaction of the request's X-PAYMENT. merchant is the signer of the
+ * route's payTo (e.g. from createMerchantSignerFromEnv()), sponsored has the
+ * facilitator pay the refund's fee, and onRefund({ req, transaction, result, error })
+ * is told how each refund went, after the response was sent.
+ */
+function refundOnError({ facilitatorUrl, merchant, sponsored = true, onRefund = logRefund }) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      const transaction = res.statusCode >= 500 ? settledTransaction(res) : null;
+      if (!transaction) {
+        return;
+      }
+
+      const reason = `${req.method} ${req.originalUrl} answered ${res.statusCode}`;
+      const paid = paidTransfer(decodePayment(req.get('X-PAYMENT') || ''));
+      const refund = paid ?
+        refundPayment(facilitatorUrl, merchant, { transaction, ...paid, sponsored, reason }) :
+        Promise.reject(new Error('The payment of the request does not decode to a single transfer'));
+      refund.then(
+        result => onRefund({ req, transaction, result, error: null }),
+        error => onRefund({ req, transaction, result: null, error })
+      );
+    });
+    next();
+  };
+}
+
+/**
+ * The merchant key refund requests and transactions are signed with:
+ * MERCHANT_KEYPAIR_FILE or MERCHANT_PRIVATE_KEY (base58), or null when neither is
+ * set (no refunds).
+ */
+function createMerchantSignerFromEnv(env = process.env) {
+  if (env.MERCHANT_KEYPAIR_FILE) {
+    return new KeypairSigner(loadKeypairFile(env.MERCHANT_KEYPAIR_FILE), { source: 'merchant-keypair-file' });
+  }
+  if (env.MERCHANT_PRIVATE_KEY) {
+    let keypair;
+    try {
+      keypair = Keypair.fromSecretKey(bs58.decode(env.MERCHANT_PRIVATE_KEY));
+    } catch {
+      throw new Error('MERCHANT_PRIVATE_KEY is not a valid base58 secret key');
+    }
+    return new KeypairSigner(keypair, { source: 'merchant-env' });
+  }
+  return null;
+}
+
+module.exports = {
+  refundPayment,
+  refundOnError,
+  createMerchantSignerFromEnv
+};
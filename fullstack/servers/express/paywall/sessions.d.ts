@@ -0,0 +1,51 @@
+// Types of paywall/sessions.js for the TypeScript resource server
+import type { RequestHandler } from 'express';
+
+export const SESSION_COOKIE: string;
+export const SESSION_TOKEN_HEADER: string;
+
+export type SessionDeniedReason =
+  | 'malformed'
+  | 'invalid_signature'
+  | 'wrong_scope'
+  | 'unknown_session'
+  | 'expired'
+  | 'revoked'
+  | 'request_limit_reached';
+
+export interface AccessSession {
+  id: string;
+  payer: string;
+  scope: string;
+  transaction: string | null;
+  createdAt: number;
+  expiresAt: number;
+  maxRequests: number | null;
+  requests: number;
+  revoked: boolean;
+}
+
+export class SessionStore {
+  constructor(options?: { now?: () => number });
+  get(id: string): AccessSession | null;
+  revoke(id: string): boolean;
+  revokePayer(payer: string): number;
+}
+
+export class AccessSessions {
+  constructor(options?: { secret?: string | Buffer; store?: SessionStore });
+  store: SessionStore;
+  verify(token: string, scope: string): { session?: AccessSession; reason?: SessionDeniedReason };
+  protect(paywall: RequestHandler, options: { durationSeconds: number; maxRequests?: number; scope?: string }): RequestHandler;
+  revokeHandler(): RequestHandler;
+}
+
+export function createAccessSessionsFromEnv(env?: NodeJS.ProcessEnv): AccessSessions;
+
+declare global {
+  namespace Express {
+    interface Request {
+      accessSession?: AccessSession;
+    }
+  }
+}
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { readCookie, beforeHeaders } = require('./http');
+const { TokenErrorReason, signToken, decodeToken } = require('./tokens');
+
+const SESSION_COOKIE = 'x402-session';
+const SESSION_TOKEN_HEADER = 'X-ACCESS-TOKEN';
+const PAYMENT_RESPONSE_HEADER = 'X-PAYMENT-RESPONSE';
+
+const SessionDeniedReason = {
+  ...TokenErrorReason,
+  WRONG_SCOPE: 'wrong_scope',
+  UNKNOWN: 'unknown_session',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+  EXHAUSTED: 'request_limit_reached'
+};
+
+/**
+ * Server-side state of access sessions, in memory: each session's expiry, request
+ * count and revocation. A token is only honored while its session is here, so
+ * revoking (or restarting the server) ends it whatever the token says.
+ */
+class SessionStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.sessions = new Map();
+  }
+
+  create({ payer, scope, transaction, durationSeconds, maxRequests }) {
+    this.prune();
+
+    const createdAt = this.now();
+    const session = {
+      id: crypto.randomUUID(),
+      payer,
+      scope,
+      transaction: transaction || null,
+      createdAt,
+      expiresAt: createdAt + durationSeconds * 1000,
+      maxRequests: maxRequests || null,
+      requests: 0,
+      revoked: false
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Count a request against a session: { session } while it grants access,
+   * otherwise { reason } (a SessionDeniedReason).
+   */
+  use(id) {
+    const session = this.sessions.get(id);
+
+    if (!session) {
+      return { reason: SessionDeniedReason.UNKNOWN };
+    }
+    if (session.revoked) {
+      return { reason: SessionDeniedReason.REVOKED };
+    }
+    if (session.expiresAt <= this.now()) {
+      return { reason: SessionDeniedReason.EXPIRED };
+    }
+    if (session.maxRequests && session.requests >= session.maxRequests) {
+      return { reason: SessionDeniedReason.EXHAUSTED };
+    }
+
+    session.requests++;
+    return { session };
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  revoke(id) {
+    const session = this.sessions.get(id);
+    if (session) {
+      session.revoked = true;
+    }
+    return Boolean(session);
+  }
+
+  /**
+   * Revoke every session of a payer; returns how many there were.
+   */
+  revokePayer(payer) {
+    let revoked = 0;
+    for (const session of this.sessions.values()) {
+      if (session.payer === payer && !session.revoked) {
+        session.revoked = true;
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  // Expired sessions stay around for a while so their tokens are reported as expired
+  prune() {
+    const cutoff = this.now() - 24 * 60 * 60 * 1000;
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt < cutoff) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * The settle response the payment middleware put in X-PAYMENT-RESPONSE, if it succeeded.
+ */
+function settledPayment(res) {
+  const header = res.getHeader(PAYMENT_RESPONSE_HEADER);
+  if (!header || res.statusCode >= 400) {
+    return null;
+  }
+
+  try {
+    const settlement = JSON.parse(Buffer.from(String(header), 'base64').toString('utf8'));
+    return settlement.success && settlement.payer ? settlement : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Time-bound access after payment: once a request under a route is paid for,
+ * the payer gets a session for that route (a signed token in the x402-session
+ * cookie and the X-ACCESS-TOKEN response header) lasting durationSeconds or
+ * maxRequests requests, whichever comes first. Tokens are HMAC-signed with
+ * secret, and the SessionStore decides whether they still grant access.
+ */
+class AccessSessions {
+  constructor({ secret = crypto.randomBytes(32), store = new SessionStore() } = {}) {
+    this.secret = secret;
+    this.store = store;
+  }
+
+  issue(session) {
+    return signToken(this.secret, {
+      sid: session.id,
+      payer: session.payer,
+      scope: session.scope,
+      exp: Math.floor(session.expiresAt / 1000)
+    });
+  }
+
+  /**
+   * The claims of a token signed with this secret ({ sid, payer, scope, exp }), or { reason }.
+   */
+  decode(token) {
+    return decodeToken(this.secret, token);
+  }
+
+  /**
+   * Check a token for a scope and count the request: { session } or { reason }.
+   */
+  verify(token, scope) {
+    const { claims, reason } = this.decode(token);
+    if (!claims) {
+      return { reason };
+    }
+    if (claims.scope !== scope) {
+      return { reason: SessionDeniedReason.WRONG_SCOPE };
+    }
+
+    return this.store.use(claims.sid);
+  }
+
+  /**
+   * Express middleware: requests with a valid session token (cookie or
+   * Authorization: Bearer) go through with req.accessSession set, the rest go to
+   * paywall. scope defaults to the path the middleware is mounted on.
+   */
+  protect(paywall, { durationSeconds, maxRequests = 0, scope } = {}) {
+    if (!durationSeconds) {
+      throw new Error('Access sessions need a durationSeconds');
+    }
+
+    return (req, res, next) => {
+      const sessionScope = scope || req.baseUrl || '/';
+      const token = bearerToken(req) || readCookie(req, SESSION_COOKIE);
+
+      if (token) {
+        const { session } = this.verify(token, sessionScope);
+        if (session) {
+          req.accessSession = session;
+          return next();
+        }
+      }
+
+      // A paid request starts a session for the next ones
+      beforeHeaders(res, () => {
+        const settlement = settledPayment(res);
+        if (!settlement) {
+          return;
+        }
+
+        const session = this.store.create({
+          payer: settlement.payer,
+          scope: sessionScope,
+          transaction: settlement.transaction,
+          durationSeconds,
+          maxRequests
+        });
+        // The paid request is the session's first
+        this.store.use(session.id);
+
+        const issued = this.issue(session);
+        res.setHeader(SESSION_TOKEN_HEADER, issued);
+        res.append('Set-Cookie', [
+          `${SESSION_COOKIE}=${issued}`,
+          `Path=${sessionScope}`,
+          `Max-Age=${durationSeconds}`,
+          'HttpOnly',
+          'SameSite=Lax',
+          ...(req.secure ? ['Secure'] : [])
+        ].join('; '));
+      });
+
+      paywall(req, res, next);
+    };
+  }
+
+  /**
+   * Express handler ending the session of the request's token (log out).
+   */
+  revokeHandler() {
+    return (req, res) => {
+      const token = bearerToken(req) || readCookie(req, SESSION_COOKIE);
+      const { claims } = token ? this.decode(token) : {};
+
+      if (!claims) {
+        return res.json({ revoked: false });
+      }
+
+      res.append('Set-Cookie', `${SESSION_COOKIE}=; Path=${claims.scope}; Max-Age=0`);
+      res.json({ revoked: this.store.revoke(claims.sid) });
+    };
+  }
+}
+
+/**
+ * Access sessions signed with SESSION_SECRET; without it a random secret is used,
+ * which is fine as sessions live in memory and end with the process anyway.
+ */
+function createAccessSessionsFromEnv(env = process.env) {
+  return new AccessSessions({
+    secret: env.SESSION_SECRET || crypto.randomBytes(32)
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TOKEN_HEADER,
+  SessionDeniedReason,
+  SessionStore,
+  AccessSessions,
+  createAccessSessionsFromEnv
+};
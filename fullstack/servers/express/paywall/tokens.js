@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Also the reasons of SessionDeniedReason and QuoteRejectedReason
+const TokenErrorReason = {
+  MALFORMED: 'malformed',
+  INVALID_SIGNATURE: 'invalid_signature'
+};
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * A token carrying claims: their base64url JSON and its HMAC-SHA256 with secret.
+ */
+function signToken(secret, claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+/**
+ * The claims of a token signed with secret, as { claims }, or { reason } (a TokenErrorReason).
+ */
+function decodeToken(secret, token) {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return { reason: TokenErrorReason.MALFORMED };
+  }
+
+  const expected = Buffer.from(sign(secret, payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { reason: TokenErrorReason.INVALID_SIGNATURE };
+  }
+
+  try {
+    return { claims: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) };
+  } catch {
+    return { reason: TokenErrorReason.MALFORMED };
+  }
+}
+
+module.exports = {
+  TokenErrorReason,
+  signToken,
+  decodeToken
+};
@@ -3,24 +3,74 @@ import express from 'express';
 import cors from 'cors';
 import { solanaPaymentMiddleware } from '@cheapay/x402-express';
 import { TokenMint } from '@cheapay/x402';
+import { acceptReceipts, verifyReceipt } from './facilitator/receipts.js';
+import { createAccessSessionsFromEnv } from './paywall/sessions.js';
+import { createPriceQuotesFromEnv, dynamicPricing } from './paywall/pricing.js';
+import { createPriceOracleFromEnv, priceInAssets } from './paywall/assets.js';
+import { acceptPrepaid } from './paywall/prepaid.js';
+import { createMerchantSignerFromEnv, refundOnError } from './paywall/refunds.js';
+import { deferSettlement } from './paywall/deferred.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 const PAYMENT_RECIPIENT = '58bAvxQ9kAMxemwNNaYt3zHBckduj2coV3zeypUrMsuV';
 
+// Receipt keys of the facilitator (receipts.issuer in its /supported). A receipt from
+// an earlier payment, sent back in X-PAYMENT-RECEIPT, unlocks the route until it expires
+const RECEIPT_ISSUERS = (process.env.RECEIPT_ISSUERS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+// One payment for /api/premium grants a session for SESSION_DURATION_SECONDS (0: pay per request),
+// capped at SESSION_MAX_REQUESTS requests (0: no cap)
+const SESSION_DURATION_SECONDS = Number(process.env.SESSION_DURATION_SECONDS ?? 3600);
+const SESSION_MAX_REQUESTS = Number(process.env.SESSION_MAX_REQUESTS ?? 0);
+const sessions = createAccessSessionsFromEnv();
+
+// Signs the prices quoted by dynamically priced routes
+const quotes = createPriceQuotesFromEnv();
+
+// USD prices of the accepted assets (PRICE_TABLE, on top of a built-in offline table)
+const priceOracle = createPriceOracleFromEnv();
+
+// Assets /api/premium accepts, the first being the default: USDC and SOL, plus USDT and
+// a project token when their devnet mints are configured
+const PREMIUM_ASSETS = [
+  { asset: TokenMint.USDC.devnet, symbol: 'USDC', decimals: 6 },
+  { asset: 'SOL', symbol: 'SOL', decimals: 9 },
+  ...(process.env.USDT_MINT ? [{ asset: process.env.USDT_MINT, symbol: 'USDT', decimals: 6 }] : []),
+  ...(process.env.PROJECT_TOKEN_MINT ? [{
+    asset: process.env.PROJECT_TOKEN_MINT,
+    symbol: process.env.PROJECT_TOKEN_SYMBOL || 'PROJECT',
+    decimals: Number(process.env.PROJECT_TOKEN_DECIMALS || 6)
+  }] : [])
+];
+
+// DEFERRED_SETTLEMENT=true settles payments to /api/premium and /api/sol-premium only once
+// the route answered 2xx: the payment is reserved at /verify and released if the route fails
+const DEFERRED_SETTLEMENT = process.env.DEFERRED_SETTLEMENT === 'true';
+
 app.use(cors());
 app.use(express.json());
 
-// Middleware with paywall UI (facilitator sponsored)
-app.use('/api/premium', solanaPaymentMiddleware({
+// Paid requests answered with a 5xx are refunded in full, signed with the key of
+// PAYMENT_RECIPIENT (MERCHANT_KEYPAIR_FILE or MERCHANT_PRIVATE_KEY) and fee-sponsored
+const merchant = createMerchantSignerFromEnv();
+if (merchant) {
+  app.use(['/api/premium', '/api/sol-premium', '/api/reports'], refundOnError({
+    facilitatorUrl: 'http://localhost:3011',
+    merchant
+  }));
+}
+
+// Middleware with paywall UI (facilitator sponsored): $0.01 in any of PREMIUM_ASSETS
+const premiumPaywall = acceptReceipts(dynamicPricing(({ amount, asset }) => solanaPaymentMiddleware({
   payTo: PAYMENT_RECIPIENT,
   routes: {
     '/*': {
-      price: '$0.01',
+      price: amount,
       network: 'solana-devnet',
-      mint: TokenMint.USDC.devnet,
-      description: 'Access premium API (USDC, devnet)',
+      mint: asset,
+      description: 'Access premium API ($0.01, devnet)',
       maxTimeoutSeconds: 120
     }
   },
@@ -34,6 +84,34 @@ app.use('/api/premium', solanaPaymentMiddleware({
     enableUserSelfBroadcast: false
   },
   mode: 'fullscreen'
+}), { price: () => priceInAssets('$0.01', PREMIUM_ASSETS, priceOracle), quotes }), {
+  issuers: RECEIPT_ISSUERS,
+  payTo: PAYMENT_RECIPIENT,
+  price: () => priceInAssets('$0.01', PREMIUM_ASSETS, priceOracle)
+});
+
+// With deferred settlement, paid requests are verified and settled around the route and
+// the paywall only answers the unpaid ones
+const premiumPayment = DEFERRED_SETTLEMENT ? deferSettlement(premiumPaywall, {
+  facilitatorUrl: 'http://localhost:3011',
+  payTo: PAYMENT_RECIPIENT,
+  network: 'solana-devnet',
+  price: () => priceInAssets('$0.01', PREMIUM_ASSETS, priceOracle),
+  quotes,
+  description: 'Access premium API ($0.01, devnet)',
+  maxTimeoutSeconds: 120
+}) : premiumPaywall;
+
+// Payers with a prepaid balance at the facilitator pay each call with a voucher instead,
+// debited off-chain at the default price
+app.use('/api/premium', acceptPrepaid(SESSION_DURATION_SECONDS > 0 ?
+  sessions.protect(premiumPayment, { durationSeconds: SESSION_DURATION_SECONDS, maxRequests: SESSION_MAX_REQUESTS }) :
+  premiumPayment, {
+  facilitatorUrl: 'http://localhost:3011',
+  payTo: PAYMENT_RECIPIENT,
+  network: 'solana-devnet',
+  price: async () => (await priceInAssets('$0.01', PREMIUM_ASSETS, priceOracle))[0],
+  description: 'Access premium API ($0.01 from a prepaid balance, devnet)'
 }));
 
 app.get('/api/premium/data', (req, res) => {
@@ -45,6 +123,115 @@ app.get('/api/premium/data', (req, res) => {
   });
 });
 
+// Native SOL payment: asset 'SOL', price in lamports (0.001 SOL)
+const solPremiumPaywall = acceptReceipts(solanaPaymentMiddleware({
+  payTo: PAYMENT_RECIPIENT,
+  routes: {
+    '/*': {
+      price: 1000000,
+      network: 'solana-devnet',
+      mint: 'SOL',
+      description: 'Access premium API (SOL, devnet)',
+      maxTimeoutSeconds: 120
+    }
+  },
+  facilitator: {
+    url: 'http://localhost:3011',
+    broadcastMode: 'facilitator_sponsored'
+  },
+  paywall: {
+    appName: 'Solana Paywall Server',
+    walletAdapters: ['phantom', 'solflare', 'backpack'],
+    enableUserSelfBroadcast: false
+  },
+  mode: 'fullscreen'
+}), { issuers: RECEIPT_ISSUERS, payTo: PAYMENT_RECIPIENT, price: { amount: 1000000, asset: 'SOL' } });
+
+app.use('/api/sol-premium', DEFERRED_SETTLEMENT ? deferSettlement(solPremiumPaywall, {
+  facilitatorUrl: 'http://localhost:3011',
+  payTo: PAYMENT_RECIPIENT,
+  network: 'solana-devnet',
+  price: { amount: 1000000, asset: 'SOL' },
+  description: 'Access premium API (SOL, devnet)',
+  maxTimeoutSeconds: 120
+}) : solPremiumPaywall);
+
+app.get('/api/sol-premium', (req, res) => {
+  res.json({
+    message: '✅ Bạn đã thanh toán bằng SOL để xem nội dung này.',
+    timestamp: new Date().toISOString(),
+    network: 'solana-devnet',
+    token: 'SOL'
+  });
+});
+
+// Metered USDC pricing: 0.001 USDC per row requested (?rows=, 10 by default, up to 1000),
+// 20% off for returning payers showing a receipt of an earlier payment to us, of a report
+// of one row at least. The discount is quoted for the receipt's payer only, so a receipt
+// passed on to someone else doesn't get them the lower price
+async function reportPrice(req: express.Request) {
+  const rows = Math.min(Math.max(Math.floor(Number(req.query.rows) || 10), 1), 1000);
+  let receipt;
+  try {
+    receipt = verifyReceipt(req.get('X-PAYMENT-RECEIPT') ?? '', {
+      issuers: RECEIPT_ISSUERS,
+      payTo: PAYMENT_RECIPIENT,
+      price: { amount: 800, asset: TokenMint.USDC.devnet }
+    });
+  } catch {
+    // No receipt, or not a valid one: full price
+    return { amount: rows * 1000, asset: TokenMint.USDC.devnet };
+  }
+  return { amount: Math.round(rows * 1000 * 0.8), asset: TokenMint.USDC.devnet, payer: receipt.payer };
+}
+
+app.use('/api/reports', acceptReceipts(dynamicPricing(({ amount, asset }) => solanaPaymentMiddleware({
+  payTo: PAYMENT_RECIPIENT,
+  routes: {
+    '/*': {
+      price: amount,
+      network: 'solana-devnet',
+      mint: asset,
+      description: 'Rows of the premium report (USDC, devnet)',
+      maxTimeoutSeconds: 120
+    }
+  },
+  facilitator: {
+    url: 'http://localhost:3011',
+    broadcastMode: 'facilitator_sponsored'
+  },
+  mode: 'fullscreen'
+}), { price: reportPrice, quotes }), {
+  issuers: RECEIPT_ISSUERS,
+  payTo: PAYMENT_RECIPIENT,
+  price: reportPrice,
+  // A receipt only unlocks the exact report it paid for
+  resource: req => `${req.protocol}://${req.get('host')}${req.originalUrl}`
+}));
+
+app.get('/api/reports', (req, res) => {
+  res.json({
+    rows: Number(req.query.rows) || 10,
+    timestamp: new Date().toISOString(),
+    network: 'solana-devnet',
+    token: 'USDC'
+  });
+});
+
+// Ends the session of the cookie or bearer token sent along
+app.post('/sessions/logout', sessions.revokeHandler());
+
+// Revoke every session of a payer, e.g. after a refund or chargeback
+app.post('/admin/sessions/revoke', (req, res) => {
+  if (!process.env.SESSION_ADMIN_TOKEN || req.get('Authorization') !== `Bearer ${process.env.SESSION_ADMIN_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!req.body?.payer) {
+    return res.status(400).json({ error: 'Missing payer' });
+  }
+  res.json({ revoked: sessions.store.revokePayer(req.body.payer) });
+});
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -60,7 +247,7 @@ const groupedEndpoints = [
     endpoints: [
       {
         path: '/api/premium/data',
-        desc: '$0.01 USDC (Facilitator pays gas, devnet)'
+        desc: '$0.01 in USDC, SOL or other accepted tokens, or from a prepaid balance (Facilitator pays gas, devnet)'
       },
       {
         path: '/api/self-pay/data',
@@ -74,6 +261,10 @@ const groupedEndpoints = [
         path: '/api/usdc-premium',
         desc: '1 USDC (Facilitator sponsored, devnet)'
       },
+      {
+        path: '/api/reports?rows=100',
+        desc: '0.001 USDC per row, 20% off for returning payers (Facilitator sponsored, devnet)'
+      },
       {
         path: '/api/devnet/usdc-premium/data',
         desc: '1 USDC (Facilitator sponsored, devnet, new endpoint)'
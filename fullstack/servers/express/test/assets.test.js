@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { StaticPriceOracle, convertUsd, priceInAssets, createPriceOracleFromEnv } = require('../paywall/assets');
+const { PriceQuotes, dynamicPricing } = require('../paywall/pricing');
+
+const USDC = { asset: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU', symbol: 'USDC', decimals: 6 };
+const SOL = { asset: 'SOL', symbol: 'SOL', decimals: 9 };
+const BONK = { asset: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', decimals: 5 };
+
+describe('multi-asset prices', () => {
+  it('converts a USD price into base units of each asset, rounding up', async () => {
+    assert.equal(convertUsd(0.01, 1, 6), 10000n);
+    assert.equal(convertUsd(0.01, 150, 9), 66667n);
+    assert.equal(convertUsd(0.01, 0.00002, 5), 50000000n);
+
+    const oracle = new StaticPriceOracle({ USDC: 1, SOL: 150 });
+    assert.deepEqual(await priceInAssets('$0.01', [USDC, SOL, BONK], oracle), [
+      { amount: '10000', asset: USDC.asset },
+      { amount: '66667', asset: 'SOL' }
+    ]);
+    await assert.rejects(priceInAssets('$0.01', [BONK], oracle), /No price for any of BONK/);
+    await assert.rejects(priceInAssets('free', [USDC], oracle), /Invalid USD price/);
+  });
+
+  it('reads the static price table from the environment', async () => {
+    const oracle = createPriceOracleFromEnv({ PRICE_TABLE: 'SOL=200, BONK=0.00002' });
+    assert.equal(await oracle.usdPrice(SOL), 200);
+    assert.equal(await oracle.usdPrice(BONK), 0.00002);
+    assert.equal(await oracle.usdPrice(USDC), 1);
+    assert.throws(() => createPriceOracleFromEnv({ PRICE_TABLE: 'SOL=cheap' }), /Invalid PRICE_TABLE entry/);
+  });
+
+  describe('on a route', () => {
+    let charged;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      charged = [];
+      const oracle = new StaticPriceOracle({ USDC: 1, SOL: 150, BONK: 0.00002 });
+
+      // Stands in for the x402 payment middleware of one asset
+      const createPaywall = ({ amount, asset }) => (req, res, next) => {
+        if (!req.get('X-PAYMENT')) {
+          return res.status(402).json({
+            x402Version: 1,
+            accepts: [{ scheme: 'exact', network: 'solana-devnet', maxAmountRequired: String(amount), asset, payTo: 'M' }]
+          });
+        }
+        charged.push({ amount, asset });
+        next();
+      };
+
+      const app = express();
+      app.use('/api/premium', dynamicPricing(createPaywall, {
+        price: () => priceInAssets('$0.01', [USDC, SOL, BONK], oracle),
+        quotes: new PriceQuotes({ secret: 'test-secret' })
+      }));
+      app.get('/api/premium/data', (req, res) => res.json({ ok: true }));
+
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('lists every accepted asset in the 402 and settles the one the payment picks', async () => {
+      const required = await fetch(`${baseUrl}/api/premium/data`);
+      assert.equal(required.status, 402);
+      const { accepts } = await required.json();
+
+      assert.deepEqual(accepts.map(({ asset, maxAmountRequired }) => [asset, maxAmountRequired]), [
+        [USDC.asset, '10000'],
+        ['SOL', '66667'],
+        [BONK.asset, '50000000']
+      ]);
+      assert.ok(accepts.every(({ payTo, extra }) => payTo === 'M' && extra.quote));
+      assert.equal(required.headers.get('X-PAYMENT-QUOTE'), accepts[0].extra.quote);
+
+      const bonk = accepts.find(({ asset }) => asset === BONK.asset);
+      const paid = await fetch(`${baseUrl}/api/premium/data`, {
+        headers: { 'X-PAYMENT': 'paid', 'X-PAYMENT-QUOTE': bonk.extra.quote }
+      });
+      assert.equal(paid.status, 200);
+      assert.deepEqual(charged, [{ amount: '50000000', asset: BONK.asset }]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The planner logs when it falls back; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, SystemProgram } = require('@solana/web3.js');
+const {
+  ComputeBudgetPlanner,
+  createComputeBudgetPlannerFromEnv,
+  readComputeBudget
+} = require('../facilitator/compute-budget');
+
+const payerKey = Keypair.generate().publicKey;
+const transfer = SystemProgram.transfer({ fromPubkey: payerKey, toPubkey: Keypair.generate().publicKey, lamports: 1000 });
+const TRANSACTION = { payerKey, recentBlockhash: Keypair.generate().publicKey.toBase58(), instructions: [transfer] };
+
+// A connection simulating unitsConsumed units, with the given recent prioritization fees
+function fakeConnection({ unitsConsumed = 1000, fees = [] } = {}) {
+  return {
+    async simulateTransaction() {
+      if (unitsConsumed instanceof Error) {
+        throw unitsConsumed;
+      }
+      return { value: { err: null, unitsConsumed } };
+    },
+    async getRecentPrioritizationFees() {
+      if (fees instanceof Error) {
+        throw fees;
+      }
+      return fees.map(prioritizationFee => ({ slot: 1, prioritizationFee }));
+    }
+  };
+}
+
+describe('compute budget', () => {
+  it('adds nothing with the "none" strategy', async () => {
+    const plan = await new ComputeBudgetPlanner({ strategy: 'none' }).plan(fakeConnection(), TRANSACTION);
+    assert.deepEqual(plan, { instructions: [], computeUnitLimit: null, microLamports: 0, priorityFeeLamports: 0 });
+  });
+
+  it('sets the simulated units plus the margin, at a fixed price under the cap', async () => {
+    const planner = new ComputeBudgetPlanner({ strategy: 'fixed', fixedMicroLamports: 5000, maxMicroLamports: 2000 });
+    const plan = await planner.plan(fakeConnection({ unitsConsumed: 1000 }), TRANSACTION);
+
+    assert.deepEqual(
+      [plan.computeUnitLimit, plan.microLamports, plan.priorityFeeLamports],
+      [1200, 2000, 3]
+    );
+    // What the facilitator reads back from the transaction at settle time
+    assert.deepEqual(readComputeBudget([...plan.instructions, transfer]), {
+      computeUnitLimit: 1200,
+      microLamports: 2000,
+      priorityFeeLamports: 3
+    });
+  });
+
+  it('pays a percentile of recent fees, never above the cap', async () => {
+    const planner = new ComputeBudgetPlanner({ percentile: 75, maxMicroLamports: 100 });
+
+    assert.equal((await planner.plan(fakeConnection({ fees: [40, 10, 30, 20] }), TRANSACTION)).microLamports, 30);
+    assert.equal((await planner.plan(fakeConnection({ fees: [400, 100, 300, 200] }), TRANSACTION)).microLamports, 100);
+
+    // No recent fees: only the compute unit limit
+    const quiet = await planner.plan(fakeConnection({ fees: [] }), TRANSACTION);
+    assert.equal(quiet.microLamports, 0);
+    assert.equal(quiet.instructions.length, 1);
+  });
+
+  it('falls back to the fixed price and default units when the RPC calls fail', async () => {
+    const planner = new ComputeBudgetPlanner({ fixedMicroLamports: 50, fallbackComputeUnits: 150000 });
+    const plan = await planner.plan(
+      fakeConnection({ unitsConsumed: new Error('fetch failed'), fees: new Error('fetch failed') }),
+      TRANSACTION
+    );
+    assert.deepEqual([plan.computeUnitLimit, plan.microLamports], [150000, 50]);
+  });
+
+  it('reads its settings from the environment', () => {
+    const planner = createComputeBudgetPlannerFromEnv({
+      PRIORITY_FEE_STRATEGY: 'fixed',
+      PRIORITY_FEE_MICROLAMPORTS: '250',
+      PRIORITY_FEE_MAX_MICROLAMPORTS: '500'
+    });
+    assert.deepEqual(planner.status(), { strategy: 'fixed', fixedMicroLamports: 250, percentile: 75, maxMicroLamports: 500 });
+
+    assert.throws(() => createComputeBudgetPlannerFromEnv({ PRIORITY_FEE_STRATEGY: 'auction' }), /Unknown priority fee strategy: auction/);
+  });
+});
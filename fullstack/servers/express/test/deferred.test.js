@@ -0,0 +1,275 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, LAMPORTS_PER_SOL, SystemProgram } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { createFacilitator, createFacilitatorRouter } = require('../facilitator');
+const { deferSettlement } = require('../paywall/deferred');
+const { PriceQuotes } = require('../paywall/pricing');
+const {
+  NETWORK,
+  buildTransaction,
+  fundedKeypair,
+  paymentInstruction,
+  paymentPayload,
+  paymentRequirements,
+  sendAndConfirm,
+  signatureOf,
+  startCluster
+} = require('./harness/fixtures');
+
+const PRICE = 1000000n;
+
+describe('deferred settlement', () => {
+  let cluster;
+  let facilitator;
+  let payTo;
+  let servers;
+  let facilitatorUrl;
+  let resourceUrl;
+  let quotes;
+  // Keys of the payers, by address
+  const payers = new Map();
+
+  async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  before(async () => {
+    cluster = await startCluster();
+    servers = [];
+
+    const feePayer = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    payTo = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+
+    facilitator = createFacilitator({
+      connections: { [NETWORK]: cluster.connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      monitorFeePayers: false
+    });
+    const facilitatorApp = express();
+    facilitatorApp.use(createFacilitatorRouter(facilitator));
+    facilitatorUrl = await listen(facilitatorApp);
+
+    // Stands in for the x402 payment middleware of the route: always a 402
+    const paywall = (req, res) => res.status(402).json({ x402Version: 1, accepts: [] });
+    const app = express();
+    app.use('/api', deferSettlement(paywall, {
+      facilitatorUrl,
+      payTo: payTo.publicKey.toBase58(),
+      network: NETWORK,
+      price: { amount: PRICE, asset: 'SOL' }
+    }));
+    app.get('/api/ok', (req, res) => res.json({ payer: req.payment.payer }));
+    app.get('/api/broken', (req, res) => res.status(500).json({ error: 'boom' }));
+    // Spends the payer's SOL while the payment is held, so settling it fails
+    app.get('/api/drain', async (req, res) => {
+      const payer = payers.get(req.payment.payer);
+      const balance = await cluster.connection.getBalance(payer.publicKey);
+      await sendAndConfirm(cluster.connection, [
+        SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: balance - 5000 })
+      ], [payer]);
+      res.json({ secret: 'content' });
+    });
+    // Sends its headers before the body, then fails to be paid like /api/drain when asked to
+    app.get('/api/streamed', async (req, res) => {
+      if (req.query.drain) {
+        const payer = payers.get(req.payment.payer);
+        const balance = await cluster.connection.getBalance(payer.publicKey);
+        await sendAndConfirm(cluster.connection, [
+          SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: balance - 5000 })
+        ], [payer]);
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain', 'X-Report': 'streamed' });
+      res.flushHeaders();
+      res.write('secret ');
+      res.end('content');
+    });
+    // SOL is the second accepted asset: payments are priced by what they transfer
+    app.use('/assets', deferSettlement(paywall, {
+      facilitatorUrl,
+      payTo: payTo.publicKey.toBase58(),
+      network: NETWORK,
+      price: [{ amount: 1n, asset: Keypair.generate().publicKey.toBase58() }, { amount: PRICE, asset: 'SOL' }]
+    }));
+    app.get('/assets/ok', (req, res) => res.json({ payer: req.payment.payer }));
+    // Priced by the quote sent with the payment only
+    quotes = new PriceQuotes();
+    app.use('/quoted', deferSettlement(paywall, {
+      facilitatorUrl,
+      payTo: payTo.publicKey.toBase58(),
+      network: NETWORK,
+      price: () => Promise.reject(new Error('payments are priced by their quote')),
+      quotes
+    }));
+    app.get('/quoted/ok', (req, res) => res.json({ payer: req.payment.payer }));
+    resourceUrl = await listen(app);
+  });
+
+  after(async () => {
+    facilitator?.close();
+    for (const server of servers) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    await cluster?.stop();
+  });
+
+  // A payment of PRICE lamports to payTo from a new payer, as an X-PAYMENT header and a verify request
+  async function payment() {
+    const payer = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    const transaction = await buildTransaction(cluster.connection, [
+      paymentInstruction({ payer: payer.publicKey, payTo: payTo.publicKey, asset: 'SOL', amount: PRICE })
+    ], [payer]);
+    const payload = paymentPayload({
+      signature: signatureOf(transaction, payer.publicKey),
+      transaction: transaction.serialize().toString('base64')
+    });
+    payers.set(payer.publicKey.toBase58(), payer);
+
+    return {
+      payer,
+      header: Buffer.from(JSON.stringify(payload)).toString('base64'),
+      request: { paymentPayload: payload, paymentRequirements: paymentRequirements({ payTo: payTo.publicKey, asset: 'SOL', amount: PRICE }) }
+    };
+  }
+
+  function get(route, header, headers = {}) {
+    return fetch(`${resourceUrl}${route}`, { headers: { ...headers, ...(header ? { 'X-PAYMENT': header } : {}) } });
+  }
+
+  function paymentResponse(response) {
+    return JSON.parse(Buffer.from(response.headers.get('X-PAYMENT-RESPONSE'), 'base64').toString());
+  }
+
+  it('settles after the route answered 2xx', async () => {
+    const { header, payer } = await payment();
+    const before = await cluster.connection.getBalance(payTo.publicKey);
+
+    const response = await get('/api/ok', header);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { payer: payer.publicKey.toBase58() });
+    const settlement = paymentResponse(response);
+    assert.equal(settlement.success, true);
+    assert.ok(settlement.transaction);
+    assert.equal(await cluster.connection.getBalance(payTo.publicKey), before + Number(PRICE));
+
+    const replay = await get('/api/ok', header);
+    assert.equal(replay.status, 402);
+    assert.equal((await replay.json()).error, 'replay');
+
+    assert.equal((await get('/api/ok')).status, 402);
+  });
+
+  it('releases the payment when the route fails', async () => {
+    const { header } = await payment();
+    const before = await cluster.connection.getBalance(payTo.publicKey);
+
+    const response = await get('/api/broken', header);
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'boom' });
+    const settlement = paymentResponse(response);
+    assert.equal(settlement.success, false);
+    assert.equal(settlement.errorReason, 'handler_failed');
+    assert.equal(settlement.released, true);
+    assert.equal(await cluster.connection.getBalance(payTo.publicKey), before);
+
+    // Released, the same payment can pay for a request that works
+    const retry = await get('/api/ok', header);
+    assert.equal(retry.status, 200);
+    assert.equal(paymentResponse(retry).success, true);
+  });
+
+  it('withholds the content when settling fails', async () => {
+    const { header } = await payment();
+
+    const response = await get('/api/drain', header);
+    assert.equal(response.status, 402);
+    const body = await response.json();
+    assert.equal(body.secret, undefined);
+    assert.equal(body.error, paymentResponse(response).errorReason);
+    assert.equal(paymentResponse(response).success, false);
+  });
+
+  it('holds back headers the route flushes early', async () => {
+    const paid = await get('/api/streamed', (await payment()).header);
+    assert.equal(paid.status, 200);
+    assert.equal(paid.headers.get('X-Report'), 'streamed');
+    assert.equal(paymentResponse(paid).success, true);
+    assert.equal(await paid.text(), 'secret content');
+
+    const unpaid = await get('/api/streamed?drain=1', (await payment()).header);
+    assert.equal(unpaid.status, 402);
+    assert.equal(paymentResponse(unpaid).success, false);
+    assert.equal((await unpaid.json()).secret, undefined);
+  });
+
+  it('holds a reserved payment for the reservation only', async () => {
+    const { request } = await payment();
+
+    const verification = await facilitator.verify({ ...request, reserve: true });
+    assert.equal(verification.isValid, true, verification.message);
+    const { id } = verification.reservation;
+    assert.equal(facilitator.getReservation(id).payer, verification.payer);
+
+    const other = await facilitator.settle(request);
+    assert.equal(other.errorReason, 'settlement_in_progress');
+
+    const release = await fetch(`${facilitatorUrl}/reservations/${id}/release`, { method: 'POST' });
+    assert.equal(release.status, 200);
+    const again = await fetch(`${facilitatorUrl}/reservations/${id}/release`, { method: 'POST' });
+    assert.equal(again.status, 404);
+    assert.equal((await again.json()).errorReason, 'unknown_reservation');
+
+    const held = await facilitator.verify({ ...request, reserve: true });
+    const settled = await facilitator.settle({ ...request, reservationId: held.reservation.id });
+    assert.equal(settled.success, true, settled.message);
+    assert.equal(facilitator.getReservation(held.reservation.id), null);
+  });
+
+  it('prices a payment by the asset it transfers', async () => {
+    const { header, payer } = await payment();
+
+    const response = await get('/assets/ok', header);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { payer: payer.publicKey.toBase58() });
+    assert.equal(paymentResponse(response).success, true);
+  });
+
+  it('checks a payment against its signed quote', async () => {
+    const { header, payer } = await payment();
+
+    const unquoted = await get('/quoted/ok', header);
+    assert.equal(unquoted.status, 402);
+    assert.equal(unquoted.headers.get('X-PAYMENT-RESPONSE'), null);
+
+    const cheap = quotes.issue({ resource: '/assets/ok', amount: String(PRICE), asset: 'SOL' });
+    assert.equal((await get('/quoted/ok', header, { 'X-PAYMENT-QUOTE': cheap })).status, 402);
+
+    const quote = quotes.issue({ resource: '/quoted/ok', amount: String(PRICE), asset: 'SOL' });
+    const response = await get('/quoted/ok', header, { 'X-PAYMENT-QUOTE': quote });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { payer: payer.publicKey.toBase58() });
+  });
+
+  it('settles a reservation only for the payment it holds', async () => {
+    const held = await facilitator.verify({ ...(await payment()).request, reserve: true });
+    const { request } = await payment();
+
+    const unknown = await facilitator.settle({ ...request, reservationId: 'nope' });
+    assert.equal(unknown.errorReason, 'unknown_reservation');
+    const other = await facilitator.settle({ ...request, reservationId: held.reservation.id });
+    assert.equal(other.errorReason, 'unknown_reservation');
+    assert.ok(facilitator.getReservation(held.reservation.id));
+
+    const settled = await facilitator.settle(request);
+    assert.equal(settled.success, true, settled.message);
+  });
+});
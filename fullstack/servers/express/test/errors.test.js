@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Connection, Keypair, SendTransactionError, SystemProgram, Transaction } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { KeypairSigner } = require('../facilitator/signers');
+const { ReplayError } = require('../facilitator/ledger');
+const {
+  ErrorCode,
+  FacilitatorError,
+  fromThrownError,
+  fromTransactionError,
+  statusFor
+} = require('../facilitator/errors');
+const { createFacilitator, createFacilitatorRouter } = require('../facilitator');
+const { NETWORK, paymentPayload, paymentRequirements, signatureOf } = require('./harness/fixtures');
+
+function preflightError(message) {
+  return new SendTransactionError({ action: 'send', signature: '', transactionMessage: message, logs: [] });
+}
+
+describe('error codes', () => {
+  it('gives every code a status and a retryable flag', () => {
+    const error = new FacilitatorError(ErrorCode.RATE_LIMITED, 'Slow down', { retryAfterSeconds: 60 });
+    assert.deepEqual(
+      [error.status, error.retryable, error.details.retryAfterSeconds],
+      [429, true, 60]
+    );
+
+    assert.equal(statusFor('expired'), 410);
+    assert.equal(statusFor('insufficient_funds'), 402);
+    assert.equal(statusFor('rpc_unavailable'), 503);
+    // Unknown codes are internal errors
+    assert.equal(statusFor('something_else'), 500);
+    assert.equal(new FacilitatorError('something_else', 'Huh').retryable, true);
+  });
+
+  it('reads transaction errors, custom program errors included', () => {
+    const programIds = [SystemProgram.programId, TOKEN_PROGRAM_ID];
+    const codeOf = err => fromTransactionError(err, programIds).code;
+
+    assert.equal(codeOf('BlockhashNotFound'), 'expired');
+    assert.equal(codeOf('AlreadyProcessed'), 'replay');
+    assert.equal(codeOf('InsufficientFundsForFee'), 'insufficient_funds');
+    assert.equal(codeOf({ InstructionError: [1, { Custom: 1 }] }), 'insufficient_funds');
+    assert.equal(codeOf({ InstructionError: [1, { Custom: 3 }] }), 'wrong_mint');
+    assert.equal(codeOf({ InstructionError: [1, { Custom: 4 }] }), 'wrong_authority');
+    assert.equal(codeOf({ InstructionError: [0, { Custom: 1 }] }), 'insufficient_funds');
+    assert.equal(codeOf({ InstructionError: [0, { Custom: 2 }] }), 'transaction_failed');
+    assert.equal(codeOf({ InstructionError: [1, 'MissingRequiredSignature'] }), 'invalid_signature');
+    assert.match(fromTransactionError({ InstructionError: [1, { Custom: 1 }] }).message, /"Custom":1/);
+  });
+
+  it('reads errors thrown by RPC calls and preflight', () => {
+    const programIds = [SystemProgram.programId, TOKEN_PROGRAM_ID];
+    const codeOf = error => fromThrownError(error, programIds).code;
+
+    assert.equal(codeOf(new Error('fetch failed')), 'rpc_unavailable');
+    assert.equal(codeOf(new ReplayError('Settled before')), 'replay');
+    assert.equal(codeOf(new ReplayError('Settling now', { inFlight: true })), 'settlement_in_progress');
+    assert.equal(codeOf(preflightError('Transaction simulation failed: Blockhash not found')), 'expired');
+    assert.equal(codeOf(preflightError('Error processing Instruction 1: custom program error: 0x1')), 'insufficient_funds');
+    assert.equal(codeOf(new Error('Something broke')), 'internal_error');
+  });
+
+  it('answers 503 rpc_unavailable when the RPC endpoint is down', async () => {
+    const payer = Keypair.generate();
+    const payTo = Keypair.generate().publicKey;
+    const transaction = new Transaction({ feePayer: payer.publicKey, recentBlockhash: Keypair.generate().publicKey.toBase58() }).add(
+      SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payTo, lamports: 1000 })
+    );
+    transaction.sign(payer);
+
+    const facilitator = createFacilitator({
+      connections: { [NETWORK]: new Connection('http://127.0.0.1:1') },
+      signers: [new KeypairSigner(Keypair.generate(), { source: 'test' })],
+      monitorFeePayers: false
+    });
+    const server = express().use(createFacilitatorRouter(facilitator)).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          paymentRequirements: paymentRequirements({ payTo, asset: 'SOL', amount: 1000 }),
+          paymentPayload: paymentPayload({
+            signature: signatureOf(transaction, payer.publicKey),
+            transaction: transaction.serialize().toString('base64')
+          })
+        })
+      });
+      const body = await response.json();
+
+      assert.equal(response.status, 503, JSON.stringify(body));
+      assert.deepEqual([body.isValid, body.invalidReason, body.retryable], [false, 'rpc_unavailable', true]);
+    } finally {
+      facilitator.close();
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+});
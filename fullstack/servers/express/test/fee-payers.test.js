@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The pool logs low balances; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { FeePayerPool } = require('../facilitator/fee-payers');
+
+const NETWORK = 'solana-localnet';
+
+function signer() {
+  return new KeypairSigner(Keypair.generate(), { source: 'test' });
+}
+
+// A connection answering getBalance from a map of base58 keys to lamports
+function fakeConnection(balances) {
+  return {
+    async getBalance(publicKey) {
+      return balances[publicKey.toBase58()];
+    }
+  };
+}
+
+describe('fee payer pool', () => {
+  it('picks the least used key, then the one with the most SOL', async () => {
+    const [low, rich, richer] = [signer(), signer(), signer()];
+    const pool = new FeePayerPool([low, rich, richer], { minBalanceLamports: LAMPORTS_PER_SOL, lowBalanceLamports: 0 });
+    await pool.refreshBalances({
+      [NETWORK]: fakeConnection({
+        [low.publicKey.toBase58()]: LAMPORTS_PER_SOL - 1,
+        [rich.publicKey.toBase58()]: 2 * LAMPORTS_PER_SOL,
+        [richer.publicKey.toBase58()]: 3 * LAMPORTS_PER_SOL
+      })
+    });
+
+    assert.deepEqual(
+      [pool.select(NETWORK), pool.select(NETWORK), pool.select(NETWORK)],
+      [richer, rich, richer]
+    );
+    assert.deepEqual(
+      pool.status(NETWORK).map(({ active, transactionsLastMinute }) => [active, transactionsLastMinute]),
+      [[false, 0], [true, 1], [true, 2]]
+    );
+    // Any key of the pool is one of the facilitator's, whether it can pay right now or not
+    assert.equal(pool.has(low.publicKey), true);
+    assert.equal(pool.has(Keypair.generate().publicKey), false);
+  });
+
+  it('has no key to offer once every key is below the minimum', async () => {
+    const only = signer();
+    const pool = new FeePayerPool([only], { minBalanceLamports: LAMPORTS_PER_SOL, lowBalanceLamports: 0 });
+
+    // Balances not checked yet don't hold a key back
+    assert.equal(pool.select(NETWORK), only);
+
+    await pool.refreshBalances({ [NETWORK]: fakeConnection({ [only.publicKey.toBase58()]: 0 }) });
+    assert.equal(pool.select(NETWORK), null);
+  });
+
+  it('alerts once when a key runs low, and again after a top-up', async () => {
+    const alerts = [];
+    const app = express().use(express.json()).post('/alerts', (req, res) => {
+      alerts.push(req.body);
+      res.sendStatus(204);
+    });
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const key = signer();
+    const balances = { [key.publicKey.toBase58()]: LAMPORTS_PER_SOL / 100 };
+    const connections = { [NETWORK]: fakeConnection(balances) };
+    const pool = new FeePayerPool([key], {
+      lowBalanceLamports: LAMPORTS_PER_SOL / 10,
+      alertWebhookUrl: `http://127.0.0.1:${server.address().port}/alerts`
+    });
+
+    try {
+      await pool.refreshBalances(connections);
+      await pool.refreshBalances(connections);
+      assert.deepEqual(alerts, [{
+        event: 'fee_payer.low_balance',
+        publicKey: key.publicKey.toBase58(),
+        network: NETWORK,
+        balanceLamports: LAMPORTS_PER_SOL / 100,
+        thresholdLamports: LAMPORTS_PER_SOL / 10
+      }]);
+      assert.deepEqual(pool.status(NETWORK)[0].lowBalance, [NETWORK]);
+
+      balances[key.publicKey.toBase58()] = LAMPORTS_PER_SOL;
+      await pool.refreshBalances(connections);
+      assert.deepEqual(pool.status(NETWORK)[0].lowBalance, []);
+
+      balances[key.publicKey.toBase58()] = 0;
+      await pool.refreshBalances(connections);
+      assert.equal(alerts.length, 2);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('refuses a key configured twice', () => {
+    const key = signer();
+    assert.throws(() => new FeePayerPool([key, key]), /is configured twice/);
+    assert.throws(() => new FeePayerPool([]), /at least one signer/);
+  });
+});
@@ -0,0 +1,62 @@
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  createMint,
+  createTokenAccount,
+  fundedKeypair,
+  mintTo,
+  startCluster
+} = require('./fixtures');
+const { startFacilitator } = require('./facilitator');
+
+const DECIMALS = 6;
+const PAYER_TOKENS = 1000000000n;
+
+/**
+ * A cluster with a test SPL token, a payer holding SOL and tokens, and a
+ * facilitator serving it. Call stop() when done.
+ */
+async function createTestEnvironment({ facilitatorEnv } = {}) {
+  const cluster = await startCluster();
+  let facilitator = null;
+
+  try {
+    const { connection } = cluster;
+    const mintAuthority = await fundedKeypair(connection, 2 * LAMPORTS_PER_SOL);
+    const mint = await createMint(connection, mintAuthority, DECIMALS);
+
+    const payer = await fundedKeypair(connection, 2 * LAMPORTS_PER_SOL);
+    const payerTokenAccount = await createTokenAccount(connection, mintAuthority, mint, payer.publicKey);
+    await mintTo(connection, mintAuthority, mint, payerTokenAccount, PAYER_TOKENS);
+
+    facilitator = await startFacilitator({ cluster, env: facilitatorEnv });
+
+    return {
+      cluster,
+      connection,
+      facilitator,
+      mintAuthority,
+      mint,
+      decimals: DECIMALS,
+      payer,
+      payerTokenAccount,
+      // A merchant wallet per test keeps balances and replay state apart
+      newMerchant: () => Keypair.generate().publicKey,
+      async stop() {
+        await facilitator.stop();
+        await cluster.stop();
+      }
+    };
+  } catch (error) {
+    if (facilitator) {
+      await facilitator.stop();
+    }
+    await cluster.stop();
+    throw error;
+  }
+}
+
+module.exports = {
+  DECIMALS,
+  PAYER_TOKENS,
+  createTestEnvironment
+};
@@ -0,0 +1,113 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { LAMPORTS_PER_SOL, Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { airdrop } = require('./fixtures');
+
+const FACILITATOR_DIR = path.resolve(__dirname, '../..');
+const STARTUP_TIMEOUT_MS = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run real-facilitator.js as a child process serving solana-localnet from rpcUrl
+ * only, with a funded fee payer key. The environment is built from scratch so a
+ * developer's .env or shell can't point the tests at a public cluster.
+ */
+async function startFacilitator({ cluster, env = {} }) {
+  const feePayer = Keypair.generate();
+  // Fund the key before starting: the facilitator checks fee payer balances on startup
+  await airdrop(cluster.connection, feePayer.publicKey, 10 * LAMPORTS_PER_SOL);
+
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  let output = '';
+
+  const child = spawn(process.execPath, ['real-facilitator.js'], {
+    cwd: FACILITATOR_DIR,
+    env: {
+      PATH: process.env.PATH,
+      FACILITATOR_PORT: String(port),
+      FACILITATOR_NETWORKS: 'solana-localnet',
+      SOLANA_LOCALNET_RPC_URLS: cluster.url,
+      FACILITATOR_PRIVATE_KEY: bs58.encode(feePayer.secretKey),
+      // Sponsored payments that create the payTo token account cost ~0.002 SOL of rent each
+      SPONSOR_PAYER_DAILY_LAMPORTS: String(LAMPORTS_PER_SOL),
+      SPONSOR_GLOBAL_DAILY_LAMPORTS: String(5 * LAMPORTS_PER_SOL),
+      LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'error',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  child.stdout.on('data', chunk => {
+    output += chunk;
+  });
+  child.stderr.on('data', chunk => {
+    output += chunk;
+  });
+  if (process.env.TEST_LOG_LEVEL) {
+    child.stdout.pipe(process.stderr);
+  }
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const facilitator = {
+    url,
+    feePayer,
+    child,
+    async request(method, route, body) {
+      const response = await fetch(url + route, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    },
+    get(route) {
+      return this.request('GET', route);
+    },
+    post(route, body) {
+      return this.request('POST', route, body);
+    },
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+      }
+      await exited;
+    }
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Facilitator exited with code ${child.exitCode}:\n${output}`);
+    }
+    try {
+      const { status } = await facilitator.get('/health');
+      if (status === 200) {
+        return facilitator;
+      }
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  await facilitator.stop();
+  throw new Error(`Facilitator did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`);
+}
+
+module.exports = {
+  startFacilitator
+};
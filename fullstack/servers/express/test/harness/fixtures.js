@@ -0,0 +1,219 @@
+const {
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  SystemProgram,
+  Transaction
+} = require('@solana/web3.js');
+const {
+  ACCOUNT_SIZE,
+  AccountLayout,
+  MINT_SIZE,
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createInitializeMint2Instruction,
+  createMintToInstruction,
+  createTransferCheckedInstruction,
+  getAssociatedTokenAddressSync
+} = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const { MockCluster } = require('./mock-cluster');
+
+const NETWORK = 'solana-localnet';
+const CONFIRM_TIMEOUT_MS = 30000;
+
+/**
+ * The cluster the tests run against: solana-test-validator when TEST_RPC_URL
+ * points at one, otherwise an in-process MockCluster. Public clusters are refused.
+ */
+async function startCluster(env = process.env) {
+  if (env.TEST_RPC_URL) {
+    const { hostname } = new URL(env.TEST_RPC_URL);
+    if (!['127.0.0.1', 'localhost', '::1', '[::1]'].includes(hostname)) {
+      throw new Error(`TEST_RPC_URL must point at a local validator, got ${hostname}`);
+    }
+    return {
+      url: env.TEST_RPC_URL,
+      mock: null,
+      connection: new Connection(env.TEST_RPC_URL, 'confirmed'),
+      stop: async () => {}
+    };
+  }
+
+  const mock = new MockCluster();
+  const url = await mock.start();
+  return {
+    url,
+    mock,
+    connection: new Connection(url, 'confirmed'),
+    stop: () => mock.stop()
+  };
+}
+
+/**
+ * Poll until a signature is confirmed; throws if the transaction failed.
+ * Polling instead of confirmTransaction keeps websockets out of the tests.
+ */
+async function waitForSignature(connection, signature) {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const { value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    if (status && status.err) {
+      throw new Error(`Transaction ${signature} failed: ${JSON.stringify(status.err)}`);
+    }
+    if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+      return status;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  throw new Error(`Transaction ${signature} not confirmed within ${CONFIRM_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Sign and send instructions with the first signer as fee payer, and wait for confirmation.
+ */
+async function sendAndConfirm(connection, instructions, signers) {
+  const transaction = await buildTransaction(connection, instructions, signers);
+  const signature = await connection.sendRawTransaction(transaction.serialize());
+  await waitForSignature(connection, signature);
+  return signature;
+}
+
+/**
+ * A signed legacy transaction with the first signer as fee payer, not sent.
+ */
+async function buildTransaction(connection, instructions, signers) {
+  const { blockhash } = await connection.getLatestBlockhash('confirmed');
+  const transaction = new Transaction({ feePayer: signers[0].publicKey, recentBlockhash: blockhash }).add(...instructions);
+  transaction.sign(...signers);
+  return transaction;
+}
+
+async function airdrop(connection, publicKey, lamports = 2 * LAMPORTS_PER_SOL) {
+  const signature = await connection.requestAirdrop(publicKey, lamports);
+  await waitForSignature(connection, signature);
+}
+
+/**
+ * A funded keypair.
+ */
+async function fundedKeypair(connection, lamports) {
+  const keypair = Keypair.generate();
+  await airdrop(connection, keypair.publicKey, lamports);
+  return keypair;
+}
+
+/**
+ * Create and initialize a mint with payer as mint authority; returns the mint address.
+ */
+async function createMint(connection, payer, decimals = 6, programId = TOKEN_PROGRAM_ID) {
+  const mint = Keypair.generate();
+  const lamports = await connection.getMinimumBalanceForRentExemption(MINT_SIZE);
+
+  await sendAndConfirm(connection, [
+    SystemProgram.createAccount({
+      fromPubkey: payer.publicKey,
+      newAccountPubkey: mint.publicKey,
+      lamports,
+      space: MINT_SIZE,
+      programId
+    }),
+    createInitializeMint2Instruction(mint.publicKey, decimals, payer.publicKey, null, programId)
+  ], [payer, mint]);
+
+  return mint.publicKey;
+}
+
+/**
+ * The owner's associated token account for mint, created if missing.
+ */
+async function createTokenAccount(connection, payer, mint, owner, programId = TOKEN_PROGRAM_ID) {
+  const address = getAssociatedTokenAddressSync(mint, owner, true, programId);
+  await sendAndConfirm(connection, [
+    createAssociatedTokenAccountIdempotentInstruction(payer.publicKey, address, owner, mint, programId)
+  ], [payer]);
+  return address;
+}
+
+async function mintTo(connection, authority, mint, destination, amount, programId = TOKEN_PROGRAM_ID) {
+  await sendAndConfirm(connection, [
+    createMintToInstruction(mint, destination, authority.publicKey, BigInt(amount), [], programId)
+  ], [authority]);
+}
+
+/**
+ * Token balance of a token account (0n if it doesn't exist).
+ */
+async function tokenBalance(connection, address) {
+  const account = await connection.getAccountInfo(address, 'confirmed');
+  if (!account) {
+    return 0n;
+  }
+  return AccountLayout.decode(account.data.subarray(0, ACCOUNT_SIZE)).amount;
+}
+
+/**
+ * The instruction a client pays with: a TransferChecked into payTo's associated
+ * token account, or a SOL transfer to payTo for asset "SOL".
+ */
+function paymentInstruction({ payer, payTo, asset, amount, decimals, programId = TOKEN_PROGRAM_ID }) {
+  if (asset === 'SOL') {
+    return SystemProgram.transfer({ fromPubkey: payer, toPubkey: payTo, lamports: BigInt(amount) });
+  }
+  return createTransferCheckedInstruction(
+    getAssociatedTokenAddressSync(asset, payer, true, programId),
+    asset,
+    getAssociatedTokenAddressSync(asset, payTo, true, programId),
+    payer,
+    BigInt(amount),
+    decimals,
+    [],
+    programId
+  );
+}
+
+function paymentRequirements({ payTo, asset, amount }) {
+  return {
+    scheme: 'exact',
+    network: NETWORK,
+    maxAmountRequired: String(amount),
+    asset: asset === 'SOL' ? 'SOL' : asset.toBase58(),
+    payTo: payTo.toBase58(),
+    resource: 'http://localhost/premium',
+    description: 'Integration test payment',
+    mimeType: 'application/json',
+    maxTimeoutSeconds: 60
+  };
+}
+
+function paymentPayload(payload) {
+  return { x402Version: 1, scheme: 'exact', network: NETWORK, payload };
+}
+
+/**
+ * The base58 signature of a signer on a transaction.
+ */
+function signatureOf(transaction, publicKey) {
+  const entry = transaction.signatures.find(({ publicKey: key }) => key.equals(publicKey));
+  return bs58.encode(entry.signature);
+}
+
+module.exports = {
+  NETWORK,
+  startCluster,
+  waitForSignature,
+  sendAndConfirm,
+  buildTransaction,
+  airdrop,
+  fundedKeypair,
+  createMint,
+  createTokenAccount,
+  mintTo,
+  tokenBalance,
+  paymentInstruction,
+  paymentRequirements,
+  paymentPayload,
+  signatureOf
+};
@@ -0,0 +1,785 @@
+const crypto = require('crypto');
+const http = require('http');
+const {
+  ComputeBudgetProgram,
+  PublicKey,
+  SystemProgram,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const {
+  ACCOUNT_SIZE,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  AccountLayout,
+  MINT_SIZE,
+  MintLayout,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync
+} = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const { verifyEd25519 } = require('../../facilitator/transactions');
+
+const MEMO_PROGRAM_IDS = [
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'
+];
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+const BLOCKHASH_VALIDITY = 150;
+
+// SPL Token custom errors
+const TokenError = {
+  INSUFFICIENT_FUNDS: 1,
+  MINT_MISMATCH: 3,
+  OWNER_MISMATCH: 4,
+  UNINITIALIZED_STATE: 17,
+  MINT_DECIMALS_MISMATCH: 18
+};
+
+// System program custom errors
+const SystemError = {
+  ACCOUNT_ALREADY_IN_USE: 0,
+  RESULT_WITH_NEGATIVE_LAMPORTS: 1
+};
+
+class InstructionFailure extends Error {
+  constructor(error) {
+    super(JSON.stringify(error));
+    this.error = error;
+  }
+}
+
+function fail(error) {
+  throw new InstructionFailure(error);
+}
+
+function rentExemptMinimum(dataLength) {
+  return (128 + dataLength) * 6960;
+}
+
+function isTokenProgram(programId) {
+  return programId.equals(TOKEN_PROGRAM_ID) || programId.equals(TOKEN_2022_PROGRAM_ID);
+}
+
+// How the validator describes a failed preflight in the JSON-RPC error message
+function describeError(err) {
+  if (err && err.InstructionError) {
+    const [index, error] = err.InstructionError;
+    const detail = error.Custom !== undefined ? `custom program error: 0x${error.Custom.toString(16)}` : error;
+    return `Error processing Instruction ${index}: ${detail}`;
+  }
+  return {
+    BlockhashNotFound: 'Blockhash not found',
+    AlreadyProcessed: 'This transaction has already been processed',
+    AccountNotFound: 'Attempt to debit an account but found no record of a prior credit.',
+    InsufficientFundsForFee: 'Insufficient funds for fee'
+  }[err] || JSON.stringify(err);
+}
+
+/**
+ * A single-node Solana cluster in memory, served over JSON-RPC. It executes the
+ * instructions x402 payments use (System transfers and account creation, SPL Token
+ * and Token-2022 mints, accounts, mintTo and transfers, associated token accounts,
+ * ComputeBudget and Memo) with their real error codes, so the facilitator and the
+ * test fixtures run unchanged against it or against solana-test-validator.
+ */
+class MockCluster {
+  constructor() {
+    this.accounts = new Map();
+    this.transactions = new Map();
+    this.blockhashes = new Map();
+    this.slot = 1;
+    this.blockHeight = 1;
+    this.server = null;
+    this.newBlockhash();
+  }
+
+  /**
+   * Serve JSON-RPC on a random local port; resolves to the URL.
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  newBlockhash() {
+    this.blockhash = bs58.encode(crypto.randomBytes(32));
+    this.blockhashes.set(this.blockhash, this.blockHeight + BLOCKHASH_VALIDITY);
+  }
+
+  /**
+   * Move past the validity window of every blockhash handed out so far.
+   */
+  expireBlockhashes() {
+    this.advance(BLOCKHASH_VALIDITY + 1);
+  }
+
+  advance(blocks = 1) {
+    this.slot += blocks;
+    this.blockHeight += blocks;
+    this.newBlockhash();
+  }
+
+  // --- Accounts ---
+
+  getAccount(address) {
+    return this.accounts.get(address.toBase58()) || null;
+  }
+
+  setAccount(address, account) {
+    this.accounts.set(address.toBase58(), account);
+  }
+
+  airdrop(address, lamports) {
+    const account = this.getAccount(address) || { lamports: 0, owner: SystemProgram.programId, data: Buffer.alloc(0), executable: false };
+    account.lamports += Number(lamports);
+    this.setAccount(address, account);
+
+    const signature = bs58.encode(crypto.randomBytes(64));
+    this.transactions.set(signature, { slot: this.slot, err: null, airdrop: true });
+    return signature;
+  }
+
+  tokenAccount(address) {
+    const account = this.getAccount(address);
+    if (!account || !isTokenProgram(account.owner) || account.data.length < ACCOUNT_SIZE) {
+      return null;
+    }
+    return AccountLayout.decode(account.data.subarray(0, ACCOUNT_SIZE));
+  }
+
+  // --- Transaction processing ---
+
+  /**
+   * Run a serialized transaction. Without commit nothing changes (simulation);
+   * with commit the fee is charged even if an instruction fails, like on chain.
+   */
+  process(wireTransaction, { sigVerify = true, replaceRecentBlockhash = false, commit = true } = {}) {
+    const transaction = VersionedTransaction.deserialize(wireTransaction);
+    const { message } = transaction;
+    const signature = bs58.encode(transaction.signatures[0]);
+    const result = { signature, transaction, err: null, fee: 0, unitsConsumed: 0 };
+
+    if (message.addressTableLookups && message.addressTableLookups.length > 0) {
+      throw new Error('The mock cluster does not support address lookup tables');
+    }
+
+    const keys = message.staticAccountKeys;
+    const { numRequiredSignatures } = message.header;
+
+    if (sigVerify) {
+      const messageBytes = message.serialize();
+      for (let index = 0; index < numRequiredSignatures; index++) {
+        if (!verifyEd25519(messageBytes, Buffer.from(transaction.signatures[index]), keys[index])) {
+          result.signatureFailure = true;
+          return result;
+        }
+      }
+    }
+
+    if (!replaceRecentBlockhash && !this.isBlockhashValid(message.recentBlockhash)) {
+      result.err = 'BlockhashNotFound';
+      return result;
+    }
+
+    if (this.transactions.has(signature)) {
+      result.err = 'AlreadyProcessed';
+      return result;
+    }
+
+    // Accounts are copied, then written back only when committing a successful transaction
+    const working = new Map();
+    const load = address => {
+      const key = address.toBase58();
+      if (!working.has(key)) {
+        const account = this.accounts.get(key);
+        working.set(key, account ? { ...account, data: Buffer.from(account.data) } : null);
+      }
+      return working.get(key);
+    };
+    const store = (address, account) => working.set(address.toBase58(), account);
+
+    const preBalances = keys.map(key => (this.getAccount(key) || { lamports: 0 }).lamports);
+    const preTokenBalances = this.tokenBalances(keys, key => this.getAccount(key));
+
+    const instructions = message.compiledInstructions.map(instruction => ({
+      programId: keys[instruction.programIdIndex],
+      accounts: instruction.accountKeyIndexes.map(index => ({
+        pubkey: keys[index],
+        isSigner: index < numRequiredSignatures
+      })),
+      data: Buffer.from(instruction.data)
+    }));
+
+    // Fee: base fee per signature plus the priority fee set through ComputeBudget
+    let computeUnitLimit = 200000 * instructions.filter(ix => !ix.programId.equals(ComputeBudgetProgram.programId)).length;
+    let microLamports = 0n;
+    for (const instruction of instructions) {
+      if (instruction.programId.equals(ComputeBudgetProgram.programId)) {
+        if (instruction.data[0] === 2) {
+          computeUnitLimit = instruction.data.readUInt32LE(1);
+        } else if (instruction.data[0] === 3) {
+          microLamports = instruction.data.readBigUInt64LE(1);
+        }
+      }
+    }
+    const priorityFee = Number((BigInt(computeUnitLimit) * microLamports + 999999n) / 1000000n);
+    result.fee = LAMPORTS_PER_SIGNATURE * numRequiredSignatures + priorityFee;
+
+    const feePayer = load(keys[0]);
+    if (!feePayer) {
+      result.err = 'AccountNotFound';
+      return result;
+    }
+    if (feePayer.lamports < result.fee) {
+      result.err = 'InsufficientFundsForFee';
+      return result;
+    }
+    feePayer.lamports -= result.fee;
+    const feePayerAfterFee = { ...feePayer };
+
+    for (const [index, instruction] of instructions.entries()) {
+      try {
+        this.execute(instruction, load, store);
+        result.unitsConsumed += 1500;
+      } catch (error) {
+        if (!(error instanceof InstructionFailure)) {
+          throw error;
+        }
+        result.err = { InstructionError: [index, error.error] };
+        break;
+      }
+    }
+
+    if (result.err) {
+      // Only the fee sticks
+      working.clear();
+      working.set(keys[0].toBase58(), feePayerAfterFee);
+    }
+
+    const lookup = key => (working.has(key.toBase58()) ? working.get(key.toBase58()) : this.getAccount(key));
+    result.postBalances = keys.map(key => (lookup(key) || { lamports: 0 }).lamports);
+    result.preBalances = preBalances;
+    result.preTokenBalances = preTokenBalances;
+    result.postTokenBalances = this.tokenBalances(keys, lookup);
+
+    if (commit) {
+      for (const [key, account] of working) {
+        if (account) {
+          this.accounts.set(key, account);
+        } else {
+          this.accounts.delete(key);
+        }
+      }
+      this.slot += 1;
+      this.transactions.set(signature, {
+        slot: this.slot,
+        blockTime: Math.floor(Date.now() / 1000),
+        err: result.err,
+        transaction,
+        meta: {
+          err: result.err,
+          fee: result.fee,
+          preBalances: result.preBalances,
+          postBalances: result.postBalances,
+          preTokenBalances: result.preTokenBalances,
+          postTokenBalances: result.postTokenBalances,
+          computeUnitsConsumed: result.unitsConsumed
+        }
+      });
+    }
+
+    return result;
+  }
+
+  tokenBalances(keys, lookup) {
+    const balances = [];
+    keys.forEach((key, accountIndex) => {
+      const account = lookup(key);
+      if (!account || !isTokenProgram(account.owner) || account.data.length < ACCOUNT_SIZE) {
+        return;
+      }
+      const tokenAccount = AccountLayout.decode(account.data.subarray(0, ACCOUNT_SIZE));
+      const mintAccount = lookup(tokenAccount.mint);
+      const decimals = mintAccount ? MintLayout.decode(mintAccount.data.subarray(0, MINT_SIZE)).decimals : 0;
+      const amount = tokenAccount.amount.toString();
+      balances.push({
+        accountIndex,
+        mint: tokenAccount.mint.toBase58(),
+        owner: tokenAccount.owner.toBase58(),
+        programId: account.owner.toBase58(),
+        uiTokenAmount: {
+          amount,
+          decimals,
+          uiAmount: Number(amount) / 10 ** decimals,
+          uiAmountString: String(Number(amount) / 10 ** decimals)
+        }
+      });
+    });
+    return balances;
+  }
+
+  execute(instruction, load, store) {
+    const { programId } = instruction;
+
+    if (programId.equals(ComputeBudgetProgram.programId) || MEMO_PROGRAM_IDS.includes(programId.toBase58())) {
+      return;
+    }
+    if (programId.equals(SystemProgram.programId)) {
+      return this.executeSystem(instruction, load, store);
+    }
+    if (isTokenProgram(programId)) {
+      return this.executeToken(instruction, load, store);
+    }
+    if (programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+      return this.executeAssociatedToken(instruction, load, store);
+    }
+    fail('UnsupportedProgramId');
+  }
+
+  executeSystem({ accounts, data }, load, store) {
+    const kind = data.readUInt32LE(0);
+    const [from, to] = accounts;
+    if (!from.isSigner) {
+      fail('MissingRequiredSignature');
+    }
+    const source = load(from.pubkey);
+
+    if (kind === 0) {
+      // CreateAccount
+      const lamports = Number(data.readBigUInt64LE(4));
+      const space = Number(data.readBigUInt64LE(12));
+      const owner = new PublicKey(data.subarray(20, 52));
+      if (!to.isSigner) {
+        fail('MissingRequiredSignature');
+      }
+      if (load(to.pubkey)) {
+        fail({ Custom: SystemError.ACCOUNT_ALREADY_IN_USE });
+      }
+      if (!source || source.lamports < lamports) {
+        fail({ Custom: SystemError.RESULT_WITH_NEGATIVE_LAMPORTS });
+      }
+      source.lamports -= lamports;
+      store(to.pubkey, { lamports, owner, data: Buffer.alloc(space), executable: false });
+      return;
+    }
+
+    if (kind === 2) {
+      // Transfer
+      const lamports = Number(data.readBigUInt64LE(4));
+      if (!source || source.lamports < lamports) {
+        fail({ Custom: SystemError.RESULT_WITH_NEGATIVE_LAMPORTS });
+      }
+      source.lamports -= lamports;
+      const destination = load(to.pubkey) || { lamports: 0, owner: SystemProgram.programId, data: Buffer.alloc(0), executable: false };
+      destination.lamports += lamports;
+      store(to.pubkey, destination);
+      return;
+    }
+
+    fail('InvalidInstructionData');
+  }
+
+  executeToken({ programId, accounts, data }, load, store) {
+    const kind = data[0];
+
+    const readMint = address => {
+      const account = load(address);
+      if (!account || !account.owner.equals(programId)) {
+        fail('InvalidAccountData');
+      }
+      const mint = MintLayout.decode(account.data.subarray(0, MINT_SIZE));
+      if (!mint.isInitialized) {
+        fail({ Custom: TokenError.UNINITIALIZED_STATE });
+      }
+      return { account, mint };
+    };
+    const readTokenAccount = address => {
+      const account = load(address);
+      if (!account || !account.owner.equals(programId)) {
+        fail('InvalidAccountData');
+      }
+      const tokenAccount = AccountLayout.decode(account.data.subarray(0, ACCOUNT_SIZE));
+      if (tokenAccount.state === 0) {
+        fail({ Custom: TokenError.UNINITIALIZED_STATE });
+      }
+      return { account, tokenAccount };
+    };
+    const writeTokenAccount = (account, tokenAccount) => AccountLayout.encode(tokenAccount, account.data);
+    const requireAuthority = (authority, expected) => {
+      if (!authority.pubkey.equals(expected)) {
+        fail({ Custom: TokenError.OWNER_MISMATCH });
+      }
+      if (!authority.isSigner) {
+        fail('MissingRequiredSignature');
+      }
+    };
+
+    if (kind === 20) {
+      // InitializeMint2: decimals, mint authority, optional freeze authority
+      const account = load(accounts[0].pubkey);
+      if (!account || !account.owner.equals(programId)) {
+        fail('InvalidAccountData');
+      }
+      const freezeAuthorityOption = data[34];
+      MintLayout.encode({
+        mintAuthorityOption: 1,
+        mintAuthority: new PublicKey(data.subarray(2, 34)),
+        supply: 0n,
+        decimals: data[1],
+        isInitialized: true,
+        freezeAuthorityOption,
+        freezeAuthority: freezeAuthorityOption ? new PublicKey(data.subarray(35, 67)) : PublicKey.default
+      }, account.data);
+      return;
+    }
+
+    if (kind === 7 || kind === 14) {
+      // MintTo / MintToChecked
+      const [mintMeta, destinationMeta, authority] = accounts;
+      const { account: mintAccount, mint } = readMint(mintMeta.pubkey);
+      const { account, tokenAccount } = readTokenAccount(destinationMeta.pubkey);
+      const amount = data.readBigUInt64LE(1);
+      if (!tokenAccount.mint.equals(mintMeta.pubkey)) {
+        fail({ Custom: TokenError.MINT_MISMATCH });
+      }
+      requireAuthority(authority, mint.mintAuthority);
+      mint.supply += amount;
+      MintLayout.encode(mint, mintAccount.data);
+      tokenAccount.amount += amount;
+      writeTokenAccount(account, tokenAccount);
+      return;
+    }
+
+    if (kind === 3 || kind === 12) {
+      // Transfer / TransferChecked
+      const checked = kind === 12;
+      const [sourceMeta, ...rest] = accounts;
+      const [mintMeta, destinationMeta, authority] = checked ? rest : [null, ...rest];
+      const amount = data.readBigUInt64LE(1);
+      const source = readTokenAccount(sourceMeta.pubkey);
+      const destination = readTokenAccount(destinationMeta.pubkey);
+
+      if (!source.tokenAccount.mint.equals(destination.tokenAccount.mint)) {
+        fail({ Custom: TokenError.MINT_MISMATCH });
+      }
+      if (checked) {
+        if (!mintMeta.pubkey.equals(source.tokenAccount.mint)) {
+          fail({ Custom: TokenError.MINT_MISMATCH });
+        }
+        if (readMint(mintMeta.pubkey).mint.decimals !== data[9]) {
+          fail({ Custom: TokenError.MINT_DECIMALS_MISMATCH });
+        }
+      }
+      requireAuthority(authority, source.tokenAccount.owner);
+      if (source.tokenAccount.amount < amount) {
+        fail({ Custom: TokenError.INSUFFICIENT_FUNDS });
+      }
+
+      source.tokenAccount.amount -= amount;
+      writeTokenAccount(source.account, source.tokenAccount);
+      // Re-read in case source and destination are the same account
+      const target = readTokenAccount(destinationMeta.pubkey);
+      target.tokenAccount.amount += amount;
+      writeTokenAccount(target.account, target.tokenAccount);
+      return;
+    }
+
+    if (kind === 18) {
+      // InitializeAccount3: owner
+      const [accountMeta, mintMeta] = accounts;
+      const account = load(accountMeta.pubkey);
+      if (!account || !account.owner.equals(programId)) {
+        fail('InvalidAccountData');
+      }
+      readMint(mintMeta.pubkey);
+      this.initializeTokenAccount(account, mintMeta.pubkey, new PublicKey(data.subarray(1, 33)));
+      return;
+    }
+
+    fail('InvalidInstructionData');
+  }
+
+  initializeTokenAccount(account, mint, owner) {
+    AccountLayout.encode({
+      mint,
+      owner,
+      amount: 0n,
+      delegateOption: 0,
+      delegate: PublicKey.default,
+      state: 1,
+      isNativeOption: 0,
+      isNative: 0n,
+      delegatedAmount: 0n,
+      closeAuthorityOption: 0,
+      closeAuthority: PublicKey.default
+    }, account.data);
+  }
+
+  executeAssociatedToken({ accounts, data }, load, store) {
+    const idempotent = data.length > 0 && data[0] === 1;
+    const [payerMeta, associatedMeta, ownerMeta, mintMeta, , tokenProgramMeta] = accounts;
+    const tokenProgramId = tokenProgramMeta.pubkey;
+
+    const expected = getAssociatedTokenAddressSync(mintMeta.pubkey, ownerMeta.pubkey, true, tokenProgramId);
+    if (!expected.equals(associatedMeta.pubkey)) {
+      fail('InvalidSeeds');
+    }
+
+    const existing = load(associatedMeta.pubkey);
+    if (existing) {
+      if (idempotent && existing.owner.equals(tokenProgramId)) {
+        return;
+      }
+      fail('IllegalOwner');
+    }
+
+    if (!payerMeta.isSigner) {
+      fail('MissingRequiredSignature');
+    }
+    const mint = load(mintMeta.pubkey);
+    if (!mint || !mint.owner.equals(tokenProgramId)) {
+      fail('IncorrectProgramId');
+    }
+
+    const payer = load(payerMeta.pubkey);
+    const rent = rentExemptMinimum(ACCOUNT_SIZE);
+    if (!payer || payer.lamports < rent) {
+      fail({ Custom: SystemError.RESULT_WITH_NEGATIVE_LAMPORTS });
+    }
+    payer.lamports -= rent;
+
+    const account = { lamports: rent, owner: tokenProgramId, data: Buffer.alloc(ACCOUNT_SIZE), executable: false };
+    this.initializeTokenAccount(account, mintMeta.pubkey, ownerMeta.pubkey);
+    store(associatedMeta.pubkey, account);
+  }
+
+  isBlockhashValid(blockhash) {
+    const lastValidBlockHeight = this.blockhashes.get(blockhash);
+    return lastValidBlockHeight !== undefined && lastValidBlockHeight >= this.blockHeight;
+  }
+
+  // --- JSON-RPC ---
+
+  handleHttp(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const requests = JSON.parse(body);
+      const responses = [].concat(requests).map(request => this.handleRpc(request));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(requests) ? responses : responses[0]));
+    });
+  }
+
+  handleRpc({ id, method, params = [] }) {
+    const handler = this.methods[method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+
+    try {
+      return { jsonrpc: '2.0', id, result: handler.call(this, ...params) };
+    } catch (error) {
+      if (error.rpcError) {
+        return { jsonrpc: '2.0', id, error: error.rpcError };
+      }
+      return { jsonrpc: '2.0', id, error: { code: -32603, message: error.message } };
+    }
+  }
+
+  context(value) {
+    return { context: { slot: this.slot, apiVersion: '2.0.0' }, value };
+  }
+
+  encodeAccount(account) {
+    if (!account) {
+      return null;
+    }
+    return {
+      data: [account.data.toString('base64'), 'base64'],
+      executable: account.executable,
+      lamports: account.lamports,
+      owner: account.owner.toBase58(),
+      rentEpoch: 0,
+      space: account.data.length
+    };
+  }
+
+  encodeTransaction({ transaction }) {
+    const { message } = transaction;
+    return {
+      signatures: transaction.signatures.map(signature => bs58.encode(signature)),
+      message: {
+        header: message.header,
+        accountKeys: message.staticAccountKeys.map(key => key.toBase58()),
+        recentBlockhash: message.recentBlockhash,
+        instructions: message.compiledInstructions.map(instruction => ({
+          programIdIndex: instruction.programIdIndex,
+          accounts: instruction.accountKeyIndexes,
+          data: bs58.encode(instruction.data),
+          stackHeight: null
+        })),
+        ...(message.version === 0 && { addressTableLookups: [] })
+      }
+    };
+  }
+}
+
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcError = { code, message, ...(data && { data }) };
+  return error;
+}
+
+MockCluster.prototype.methods = {
+  getSlot() {
+    return this.slot;
+  },
+
+  getBlockHeight() {
+    return this.blockHeight;
+  },
+
+  getHealth() {
+    return 'ok';
+  },
+
+  getLatestBlockhash() {
+    return this.context({ blockhash: this.blockhash, lastValidBlockHeight: this.blockhashes.get(this.blockhash) });
+  },
+
+  isBlockhashValid(blockhash) {
+    return this.context(this.isBlockhashValid(blockhash));
+  },
+
+  getBalance(address) {
+    const account = this.getAccount(new PublicKey(address));
+    return this.context(account ? account.lamports : 0);
+  },
+
+  getAccountInfo(address) {
+    return this.context(this.encodeAccount(this.getAccount(new PublicKey(address))));
+  },
+
+  getMultipleAccounts(addresses) {
+    return this.context(addresses.map(address => this.encodeAccount(this.getAccount(new PublicKey(address)))));
+  },
+
+  getMinimumBalanceForRentExemption(dataLength) {
+    return rentExemptMinimum(dataLength);
+  },
+
+  getFeeForMessage(encodedMessage) {
+    const bytes = Buffer.from(encodedMessage, 'base64');
+    // Versioned messages start with a 0x80 | version prefix
+    const numRequiredSignatures = bytes[0] & 0x80 ? bytes[1] : bytes[0];
+    return this.context(LAMPORTS_PER_SIGNATURE * numRequiredSignatures);
+  },
+
+  getRecentPrioritizationFees() {
+    return [];
+  },
+
+  requestAirdrop(address, lamports) {
+    return this.airdrop(new PublicKey(address), lamports);
+  },
+
+  simulateTransaction(encoded, { sigVerify = false, replaceRecentBlockhash = false } = {}) {
+    const result = this.process(Buffer.from(encoded, 'base64'), { sigVerify, replaceRecentBlockhash, commit: false });
+    if (result.signatureFailure) {
+      return this.context({ err: 'SignatureFailure', logs: [], accounts: null, unitsConsumed: 0, returnData: null });
+    }
+    return this.context({
+      err: result.err,
+      logs: [],
+      accounts: null,
+      unitsConsumed: result.unitsConsumed,
+      returnData: null
+    });
+  },
+
+  sendTransaction(encoded, { skipPreflight = false } = {}) {
+    const wireTransaction = Buffer.from(encoded, 'base64');
+
+    if (!skipPreflight) {
+      const preflight = this.process(wireTransaction, { commit: false });
+      if (preflight.signatureFailure) {
+        throw rpcError(-32003, 'Transaction signature verification failure');
+      }
+      if (preflight.err) {
+        throw rpcError(-32002, `Transaction simulation failed: ${describeError(preflight.err)}`, {
+          err: preflight.err,
+          logs: [],
+          accounts: null,
+          unitsConsumed: 0
+        });
+      }
+    }
+
+    const result = this.process(wireTransaction);
+    if (result.signatureFailure) {
+      throw rpcError(-32003, 'Transaction signature verification failure');
+    }
+    // Like a validator, silently drop transactions that can't be included at all
+    return result.signature;
+  },
+
+  getSignatureStatuses(signatures) {
+    return this.context(signatures.map(signature => {
+      const entry = this.transactions.get(signature);
+      if (!entry) {
+        return null;
+      }
+      return {
+        slot: entry.slot,
+        confirmations: null,
+        err: entry.err,
+        status: entry.err ? { Err: entry.err } : { Ok: null },
+        confirmationStatus: 'finalized'
+      };
+    }));
+  },
+
+  getTransaction(signature) {
+    const entry = this.transactions.get(signature);
+    if (!entry || entry.airdrop) {
+      return null;
+    }
+    return {
+      slot: entry.slot,
+      blockTime: entry.blockTime,
+      version: entry.transaction.message.version,
+      transaction: this.encodeTransaction(entry),
+      meta: {
+        ...entry.meta,
+        innerInstructions: [],
+        logMessages: [],
+        rewards: [],
+        loadedAddresses: { writable: [], readonly: [] },
+        status: entry.err ? { Err: entry.err } : { Ok: null }
+      }
+    };
+  }
+};
+
+module.exports = {
+  MockCluster,
+  TokenError,
+  SystemError,
+  BLOCKHASH_VALIDITY,
+  LAMPORTS_PER_SIGNATURE,
+  rentExemptMinimum
+};
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileLedgerStore, SettlementLedger, createLedgerFromEnv } = require('../facilitator/ledger');
+
+const RECORD = { payer: 'payer', payTo: 'merchant', amount: '1000', mint: 'mint', network: 'solana-devnet' };
+
+function rejectsWith(code, { inFlight = false } = {}) {
+  return error => error.code === code && Boolean(error.inFlight) === inFlight;
+}
+
+describe('settlement ledger', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('settles a signature once, and a nonce once across signatures', async () => {
+    const ledger = new SettlementLedger();
+    const payment = { signature: 'sig-1', nonce: 'nonce-1' };
+
+    await ledger.reserve(payment);
+    await assert.rejects(ledger.reserve(payment), rejectsWith('replay', { inFlight: true }));
+
+    const entry = await ledger.commit(payment, RECORD);
+    assert.equal(entry.nonce, 'nonce-1');
+    assert.deepEqual(await ledger.find('sig-1'), entry);
+
+    await assert.rejects(ledger.assertUnused(payment), rejectsWith('replay'));
+    // The same nonce in a fresh transaction is still a replay
+    await assert.rejects(ledger.reserve({ signature: 'sig-2', nonce: 'nonce-1' }), rejectsWith('replay'));
+    await ledger.assertUnused({ signature: 'sig-2' });
+  });
+
+  it('lets a released payment be settled again', async () => {
+    const ledger = new SettlementLedger();
+    const payment = { signature: 'sig-1' };
+
+    await ledger.reserve(payment);
+    ledger.release(payment);
+    await ledger.reserve(payment);
+    await ledger.commit(payment, RECORD);
+
+    assert.equal(await ledger.find('sig-2'), null);
+  });
+
+  it('keeps settlements in its file across restarts', async () => {
+    const file = path.join(directory, 'nested', 'ledger.jsonl');
+    const payment = { signature: 'sig-1', nonce: 'nonce-1' };
+
+    const ledger = createLedgerFromEnv({ LEDGER_FILE: file });
+    assert.ok(ledger.store instanceof FileLedgerStore);
+    await ledger.reserve(payment);
+    await ledger.commit(payment, RECORD);
+    await ledger.saveRefund('sig-1', { id: 'refund-1', state: 'confirmed' });
+
+    const restarted = new SettlementLedger(new FileLedgerStore(file));
+    assert.equal((await restarted.find('sig-1')).payer, 'payer');
+    assert.equal((await restarted.findRefund('refund-1')).settlement.signature, 'sig-1');
+    await assert.rejects(restarted.reserve({ signature: 'sig-2', nonce: 'nonce-1' }), rejectsWith('replay'));
+  });
+
+  it('keeps settlements in memory only without LEDGER_FILE', async () => {
+    const ledger = createLedgerFromEnv({});
+    assert.ok(!(ledger.store instanceof FileLedgerStore));
+  });
+});
@@ -0,0 +1,282 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const { KeypairSigner } = require('../facilitator/signers');
+const { buildVersionedTransaction, getSignatures } = require('../facilitator/transactions');
+const {
+  ErrorCode,
+  FacilitatorError,
+  createFacilitator,
+  createFacilitatorRouter
+} = require('../facilitator');
+const {
+  NETWORK,
+  airdrop,
+  buildTransaction,
+  createMint,
+  createTokenAccount,
+  fundedKeypair,
+  mintTo,
+  paymentInstruction,
+  paymentPayload,
+  paymentRequirements,
+  signatureOf,
+  startCluster,
+  tokenBalance
+} = require('./harness/fixtures');
+
+const AMOUNT = 1000n;
+
+// A scheme that accepts any payload carrying the agreed code, on a network of its own
+const voucherScheme = {
+  scheme: 'voucher',
+  supports: network => network.family === 'test',
+  describe: () => ({ extra: { kind: 'code' } }),
+  async verify({ paymentPayload }, context) {
+    context.format = 'code';
+    if (paymentPayload.payload.code !== 'let-me-in') {
+      throw new FacilitatorError(ErrorCode.INVALID_PAYLOAD, 'Wrong code');
+    }
+    return { payer: 'voucher-holder' };
+  },
+  async settle(request, context) {
+    await this.verify(request, context);
+    return { transaction: 'voucher-1', network: context.network.name, payer: 'voucher-holder' };
+  }
+};
+
+describe('facilitator library', () => {
+  let cluster;
+  let facilitator;
+  let server;
+  let baseUrl;
+  let mintAuthority;
+  let payer;
+  let mint;
+  let decimals;
+
+  before(async () => {
+    cluster = await startCluster();
+    const { connection } = cluster;
+
+    const feePayer = Keypair.generate();
+    await airdrop(connection, feePayer.publicKey, LAMPORTS_PER_SOL);
+
+    mintAuthority = await fundedKeypair(connection, LAMPORTS_PER_SOL);
+    decimals = 6;
+    mint = await createMint(connection, mintAuthority, decimals);
+    payer = await fundedKeypair(connection, LAMPORTS_PER_SOL);
+    await mintTo(connection, mintAuthority, mint, await createTokenAccount(connection, mintAuthority, mint, payer.publicKey), AMOUNT * 10n);
+
+    facilitator = createFacilitator({
+      connections: { [NETWORK]: connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      networks: { 'test-network': { family: 'test' } },
+      schemes: [voucherScheme],
+      monitorFeePayers: false
+    });
+
+    // Mounted under a prefix next to the host app's own routes
+    const app = express();
+    app.get('/', (req, res) => res.send('host app'));
+    app.use('/x402', createFacilitatorRouter(facilitator));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/x402`;
+  });
+
+  after(async () => {
+    facilitator?.close();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    await cluster?.stop();
+  });
+
+  async function payment() {
+    const payTo = Keypair.generate().publicKey;
+    const payToTokenAccount = await createTokenAccount(cluster.connection, mintAuthority, mint, payTo);
+    const transaction = await buildTransaction(cluster.connection, [
+      paymentInstruction({ payer: payer.publicKey, payTo, asset: mint, amount: AMOUNT, decimals })
+    ], [payer]);
+
+    return {
+      payToTokenAccount,
+      request: {
+        paymentRequirements: paymentRequirements({ payTo, asset: mint, amount: AMOUNT }),
+        paymentPayload: paymentPayload({
+          signature: signatureOf(transaction, payer.publicKey),
+          transaction: transaction.serialize().toString('base64')
+        })
+      }
+    };
+  }
+
+  it('verifies and settles through plain function calls', async () => {
+    const { payToTokenAccount, request } = await payment();
+
+    const verification = await facilitator.verify(request);
+    assert.equal(verification.isValid, true, verification.message);
+    assert.equal(verification.payer, payer.publicKey.toBase58());
+
+    const settlement = await facilitator.settle(request);
+    assert.equal(settlement.success, true, settlement.message);
+    assert.equal(await tokenBalance(cluster.connection, payToTokenAccount), AMOUNT);
+
+    const replay = await facilitator.settle(request);
+    assert.equal(replay.success, false);
+    assert.equal(replay.errorReason, 'replay');
+  });
+
+  it('verifies and settles a v0 transaction built by the client', async () => {
+    const payTo = Keypair.generate().publicKey;
+    const payToTokenAccount = await createTokenAccount(cluster.connection, mintAuthority, mint, payTo);
+    const { blockhash } = await cluster.connection.getLatestBlockhash('confirmed');
+    const transaction = buildVersionedTransaction({
+      payerKey: payer.publicKey,
+      recentBlockhash: blockhash,
+      instructions: [paymentInstruction({ payer: payer.publicKey, payTo, asset: mint, amount: AMOUNT, decimals })]
+    });
+    transaction.sign([payer]);
+
+    const request = {
+      paymentRequirements: paymentRequirements({ payTo, asset: mint, amount: AMOUNT }),
+      paymentPayload: paymentPayload({
+        signature: bs58.encode(getSignatures(transaction)[0].signature),
+        transaction: Buffer.from(transaction.serialize()).toString('base64')
+      })
+    };
+
+    const verification = await facilitator.verify(request);
+    assert.equal(verification.isValid, true, verification.message);
+    const settlement = await facilitator.settle(request);
+    assert.equal(settlement.success, true, settlement.message);
+    assert.equal(await tokenBalance(cluster.connection, payToTokenAccount), AMOUNT);
+  });
+
+  it('verifies and settles a native SOL payment in lamports', async () => {
+    const lamports = LAMPORTS_PER_SOL / 1000;
+    const payTo = Keypair.generate().publicKey;
+    const requirements = paymentRequirements({ payTo, asset: 'SOL', amount: lamports });
+    const solPayment = async amount => {
+      const transaction = await buildTransaction(cluster.connection, [
+        paymentInstruction({ payer: payer.publicKey, payTo, asset: 'SOL', amount })
+      ], [payer]);
+      return {
+        paymentRequirements: requirements,
+        paymentPayload: paymentPayload({
+          signature: signatureOf(transaction, payer.publicKey),
+          transaction: transaction.serialize().toString('base64')
+        })
+      };
+    };
+
+    assert.equal((await facilitator.verify(await solPayment(lamports - 1))).invalidReason, 'invalid_amount');
+
+    const settlement = await facilitator.settle(await solPayment(lamports));
+    assert.equal(settlement.success, true, settlement.message);
+    assert.equal(await cluster.connection.getBalance(payTo), lamports);
+
+    const [exact] = facilitator.supported().kinds;
+    assert.deepEqual(exact.extra.assets[0], { asset: 'SOL', type: 'native', decimals: 9 });
+  });
+
+  it('keeps a payment reserved when its send ends in an error', async () => {
+    const { connection } = cluster;
+    const { payToTokenAccount, request } = await payment();
+
+    // The transaction goes out, but the RPC call answers with a network error
+    const send = connection.sendRawTransaction;
+    connection.sendRawTransaction = async (...args) => {
+      connection.sendRawTransaction = send;
+      await send.apply(connection, args);
+      throw new Error('socket hang up');
+    };
+
+    const settlement = await facilitator.settle(request);
+    assert.equal(settlement.success, false);
+    assert.equal(settlement.errorReason, 'confirmation_timeout');
+    assert.equal(settlement.statusUrl, `/settlements/${settlement.settlementId}`);
+
+    const retry = await facilitator.settle(request);
+    assert.equal(retry.errorReason, 'settlement_in_progress');
+
+    // The settlement queue follows it from there and commits it once it confirms
+    let queued;
+    const deadline = Date.now() + 20000;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      queued = await facilitator.getSettlement(settlement.settlementId);
+    } while (queued.state === 'pending' && Date.now() < deadline);
+
+    assert.ok(['confirmed', 'finalized'].includes(queued.state), queued.error);
+    assert.equal(queued.transaction, settlement.transaction);
+    assert.equal(await tokenBalance(connection, payToTokenAccount), AMOUNT);
+    assert.match((await facilitator.settle(request)).message, /already settled/);
+  });
+
+  it('returns failures as x402 responses and throws for sponsored transactions', async () => {
+    const verification = await facilitator.verify({});
+    assert.deepEqual(
+      { isValid: verification.isValid, invalidReason: verification.invalidReason },
+      { isValid: false, invalidReason: 'invalid_request' }
+    );
+
+    await assert.rejects(
+      facilitator.createSponsoredTransaction({ paymentRequirements: {} }),
+      error => error instanceof FacilitatorError && error.code === 'invalid_request' && error.status === 400
+    );
+  });
+
+  it('serves the same facilitator under a router prefix', async () => {
+    const { request } = await payment();
+    const post = (route, body) => fetch(baseUrl + route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const verify = await post('/verify', request);
+    assert.equal(verify.status, 200);
+    assert.equal((await verify.json()).isValid, true);
+
+    const unknownNetwork = await post('/verify', {
+      ...request,
+      paymentPayload: { ...request.paymentPayload, network: 'solana-unknown' },
+      paymentRequirements: { ...request.paymentRequirements, network: 'solana-unknown' }
+    });
+    assert.equal(unknownNetwork.status, 400);
+    assert.equal((await unknownNetwork.json()).invalidReason, 'unsupported_network');
+
+    const health = await fetch(`${baseUrl}/health`).then(response => response.json());
+    assert.deepEqual(health.supportedNetworks, [NETWORK, 'test-network']);
+  });
+
+  it('routes payments to registered scheme plugins', async () => {
+    const { kinds } = facilitator.supported();
+    assert.deepEqual(kinds.map(kind => `${kind.scheme}:${kind.network}`), [`exact:${NETWORK}`, 'voucher:test-network']);
+
+    const request = code => ({
+      paymentPayload: { x402Version: 1, scheme: 'voucher', network: 'test-network', payload: { code } },
+      paymentRequirements: { scheme: 'voucher', network: 'test-network' }
+    });
+
+    assert.equal((await facilitator.verify(request('let-me-in'))).isValid, true);
+    assert.equal((await facilitator.verify(request('guess'))).invalidReason, 'invalid_payload');
+    assert.equal((await facilitator.settle(request('let-me-in'))).transaction, 'voucher-1');
+
+    // exact doesn't run on the test network, and voucher doesn't run on Solana
+    const exactOnTest = await facilitator.verify({
+      paymentPayload: { x402Version: 1, scheme: 'exact', network: 'test-network', payload: {} },
+      paymentRequirements: { scheme: 'exact', network: 'test-network' }
+    });
+    assert.equal(exactOnTest.invalidReason, 'unsupported_scheme');
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Connection, Keypair } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { Logger, createLoggerFromEnv, requestLogging } = require('../facilitator/logger');
+const { Registry } = require('../facilitator/metrics');
+const { createFacilitator, createFacilitatorRouter } = require('../facilitator');
+const { NETWORK } = require('./harness/fixtures');
+
+// A logger whose lines are parsed into lines[]
+function capturingLogger(options = {}) {
+  const lines = [];
+  const logger = new Logger({ write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function close(server) {
+  server.closeAllConnections();
+  server.close();
+}
+
+describe('logging', () => {
+  it('writes JSON lines at or above its level, with payload secrets redacted', () => {
+    const { logger, lines } = capturingLogger({ level: 'info', bindings: { service: 'test' } });
+
+    logger.debug('not written');
+    logger.info('Settling', {
+      payload: { transaction: 'AQID', userSignature: 'sig', payer: 'alice' },
+      headers: { Authorization: 'Bearer secret', 'X-PAYMENT': 'eyJ4' },
+      amount: 1000n,
+      error: new Error('boom')
+    });
+
+    assert.equal(lines.length, 1);
+    const [line] = lines;
+    assert.deepEqual(
+      [line.level, line.msg, line.service, line.amount, line.error.message],
+      ['info', 'Settling', 'test', '1000', 'boom']
+    );
+    assert.deepEqual(line.payload, { transaction: '[redacted]', userSignature: '[redacted]', payer: 'alice' });
+    assert.deepEqual(line.headers, { Authorization: '[redacted]', 'X-PAYMENT': '[redacted]' });
+  });
+
+  it('reads its level and extra redacted fields from the environment', () => {
+    const logger = createLoggerFromEnv({ LOG_LEVEL: 'WARN', LOG_REDACT_KEYS: 'email, phone' });
+    assert.equal(logger.level, 'warn');
+    assert.ok(logger.redactKeys.has('email') && logger.redactKeys.has('transaction'));
+
+    assert.throws(() => createLoggerFromEnv({ LOG_LEVEL: 'verbose' }), /Unknown log level "verbose"/);
+  });
+
+  it('tags the log lines of a request with the caller\'s X-Request-Id and echoes it', async () => {
+    const { logger, lines } = capturingLogger();
+    const app = express().use(requestLogging(logger)).get('/work', (req, res) => {
+      logger.info('working');
+      res.send('done');
+    });
+    const { server, url } = await listen(app);
+
+    try {
+      const forwarded = await fetch(`${url}/work`, { headers: { 'X-Request-Id': 'resource-server.42' } });
+      assert.equal(forwarded.headers.get('x-request-id'), 'resource-server.42');
+      assert.deepEqual(lines.map(line => [line.msg, line.requestId]), [['working', 'resource-server.42'], ['request completed', 'resource-server.42']]);
+      assert.equal(lines[1].status, 200);
+
+      // Anything but a plain ID is replaced, never echoed
+      const replaced = await fetch(`${url}/work`, { headers: { 'X-Request-Id': 'bad id!' } });
+      assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    } finally {
+      close(server);
+    }
+  });
+});
+
+describe('metrics', () => {
+  it('renders counters, gauges and histograms in the Prometheus text format', () => {
+    const registry = new Registry();
+    const counter = registry.counter({ name: 'test_total', help: 'Test counter', labelNames: ['result'] });
+    const gauge = registry.gauge({ name: 'test_balance', help: 'Test gauge', labelNames: ['key'] });
+    const histogram = registry.histogram({ name: 'test_seconds', help: 'Test histogram', buckets: [1, 5] });
+
+    counter.inc({ result: 'ok' });
+    counter.inc({ result: 'ok' }, 2);
+    counter.inc({ result: 'say "no"' });
+    gauge.set({ key: 'a' }, 42);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    assert.equal(registry.render(), [
+      '# HELP test_total Test counter',
+      '# TYPE test_total counter',
+      'test_total{result="ok"} 3',
+      'test_total{result="say \\"no\\""} 1',
+      '',
+      '# HELP test_balance Test gauge',
+      '# TYPE test_balance gauge',
+      'test_balance{key="a"} 42',
+      '',
+      '# HELP test_seconds Test histogram',
+      '# TYPE test_seconds histogram',
+      'test_seconds_bucket{le="1"} 1',
+      'test_seconds_bucket{le="5"} 2',
+      'test_seconds_bucket{le="+Inf"} 2',
+      'test_seconds_sum 3.5',
+      'test_seconds_count 2',
+      ''
+    ].join('\n'));
+
+    assert.throws(() => counter.inc({ status: 'ok' }), /has no label "status"/);
+    assert.throws(() => counter.inc({ result: 'ok' }, -1), /can only go up/);
+    assert.throws(() => registry.counter({ name: 'test_total', help: 'Again' }), /already registered/);
+  });
+
+  it('serves the facilitator\'s metrics on GET /metrics', async () => {
+    const facilitator = createFacilitator({
+      connections: { [NETWORK]: new Connection('http://127.0.0.1:1') },
+      signers: [new KeypairSigner(Keypair.generate(), { source: 'test' })],
+      monitorFeePayers: false
+    });
+    const { server, url } = await listen(express().use(createFacilitatorRouter(facilitator)));
+
+    try {
+      await fetch(`${url}/verify`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+
+      const response = await fetch(`${url}/metrics`);
+      assert.match(response.headers.get('content-type'), /^text\/plain;.* version=0\.0\.4/);
+      const text = await response.text();
+      for (const name of ['x402_verify_total', 'x402_settle_total', 'x402_settlement_confirmation_seconds', 'x402_sponsored_lamports_total', 'x402_rpc_errors_total', 'x402_fee_payer_balance_lamports']) {
+        assert.match(text, new RegExp(`^# TYPE ${name} `, 'm'));
+      }
+      assert.match(text, /^x402_verify_total\{[^}]*result="invalid_request"\} [1-9]/m);
+    } finally {
+      facilitator.close();
+      close(server);
+    }
+  });
+});
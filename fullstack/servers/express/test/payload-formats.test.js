@@ -0,0 +1,230 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transaction } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { verifyReceipt } = require('../facilitator/receipts');
+const { SettlementQueue } = require('../facilitator/settlement-queue');
+const { createTestEnvironment } = require('./harness/environment');
+const {
+  buildTransaction,
+  createTokenAccount,
+  paymentInstruction,
+  paymentPayload,
+  paymentRequirements,
+  sendAndConfirm,
+  signatureOf,
+  tokenBalance
+} = require('./harness/fixtures');
+
+const AMOUNT = 2500000n;
+// Enough for a new payTo wallet to be rent exempt on a real validator
+const LAMPORTS = 1000000n;
+
+describe('payload formats', () => {
+  let env;
+
+  before(async () => {
+    env = await createTestEnvironment();
+  });
+
+  after(async () => {
+    await env?.stop();
+  });
+
+  async function sponsoredPayload(requirements) {
+    const { status, body: created } = await env.facilitator.post('/create-sponsored-transaction', {
+      userPublicKey: env.payer.publicKey.toBase58(),
+      paymentRequirements: requirements
+    });
+    assert.equal(status, 200, created.error);
+
+    const transaction = Transaction.from(Buffer.from(created.transaction, 'base64'));
+    transaction.partialSign(env.payer);
+
+    return {
+      created,
+      payload: paymentPayload({
+        userSignature: signatureOf(transaction, env.payer.publicKey),
+        facilitatorTransaction: transaction.serialize().toString('base64'),
+        userPublicKey: env.payer.publicKey.toBase58()
+      })
+    };
+  }
+
+  // A payment transaction signed and paid for by the payer, not sent
+  async function clientTransaction({ payTo, asset = env.mint, amount = AMOUNT }) {
+    return buildTransaction(env.connection, [
+      paymentInstruction({ payer: env.payer.publicKey, payTo, asset, amount, decimals: env.decimals })
+    ], [env.payer]);
+  }
+
+  async function receiptIssuer() {
+    const { body } = await env.facilitator.get('/supported');
+    return body.receipts.issuer;
+  }
+
+  async function verifyAndSettle(payload, requirements, settleOptions = {}) {
+    const verify = await env.facilitator.post('/verify', { paymentPayload: payload, paymentRequirements: requirements });
+    assert.equal(verify.status, 200, verify.body.message);
+    assert.equal(verify.body.isValid, true);
+
+    return env.facilitator.post('/settle', { paymentPayload: payload, paymentRequirements: requirements, ...settleOptions });
+  }
+
+  it('settles a facilitator_sponsored SPL payment, creating the payTo token account', async () => {
+    const payTo = env.newMerchant();
+    const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+    const payerLamports = await env.connection.getBalance(env.payer.publicKey);
+
+    const { created, payload } = await sponsoredPayload(requirements);
+    assert.equal(created.feePaidBy, 'facilitator');
+    assert.equal(created.createsRecipientAccount, true);
+
+    const settle = await verifyAndSettle(payload, requirements);
+    assert.equal(settle.status, 200, settle.body.message);
+    assert.equal(settle.body.success, true);
+    assert.equal(settle.body.gasSponsoredByFacilitator, true);
+    assert.equal(settle.body.payer, env.payer.publicKey.toBase58());
+
+    const receipt = verifyReceipt(settle.body.receipt, { issuers: await receiptIssuer(), resource: requirements.resource });
+    assert.deepEqual(
+      [receipt.payer, receipt.payTo, receipt.amount, receipt.asset, receipt.transaction],
+      [env.payer.publicKey.toBase58(), payTo.toBase58(), AMOUNT.toString(), env.mint.toBase58(), settle.body.transaction]
+    );
+
+    assert.equal(await tokenBalance(env.connection, getAssociatedTokenAddressSync(env.mint, payTo, true)), AMOUNT);
+    // The facilitator paid the fees and the rent
+    assert.equal(await env.connection.getBalance(env.payer.publicKey), payerLamports);
+  });
+
+  it('settles a facilitator_sponsored SOL payment', async () => {
+    const payTo = env.newMerchant();
+    const requirements = paymentRequirements({ payTo, asset: 'SOL', amount: LAMPORTS });
+    const payerLamports = await env.connection.getBalance(env.payer.publicKey);
+
+    const { payload } = await sponsoredPayload(requirements);
+    const settle = await verifyAndSettle(payload, requirements);
+    assert.equal(settle.status, 200, settle.body.message);
+
+    assert.equal(await env.connection.getBalance(payTo), Number(LAMPORTS));
+    assert.equal(await env.connection.getBalance(env.payer.publicKey), payerLamports - Number(LAMPORTS));
+  });
+
+  it('settles a minimal payload', async () => {
+    const payTo = env.newMerchant();
+    const payToTokenAccount = await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+    const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+
+    const transaction = await clientTransaction({ payTo });
+    const payload = paymentPayload({
+      signature: signatureOf(transaction, env.payer.publicKey),
+      transaction: transaction.serialize().toString('base64')
+    });
+
+    const settle = await verifyAndSettle(payload, requirements);
+    assert.equal(settle.status, 200, settle.body.message);
+    assert.equal(settle.body.transaction, payload.payload.signature);
+    assert.equal(settle.body.userPaidGas, true);
+    assert.equal(await tokenBalance(env.connection, payToTokenAccount), AMOUNT);
+  });
+
+  it('settles a full payload', async () => {
+    const payTo = env.newMerchant();
+    const payToTokenAccount = await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+    const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+
+    const transaction = await clientTransaction({ payTo });
+    const payload = paymentPayload({
+      signature: signatureOf(transaction, env.payer.publicKey),
+      transaction: transaction.serialize().toString('base64'),
+      payer: env.payer.publicKey.toBase58(),
+      amount: AMOUNT.toString(),
+      mint: env.mint.toBase58(),
+      recipient: payTo.toBase58(),
+      blockhash: transaction.recentBlockhash,
+      memo: 'order-full'
+    });
+
+    const settle = await verifyAndSettle(payload, requirements);
+    assert.equal(settle.status, 200, settle.body.message);
+    assert.equal(settle.body.payer, env.payer.publicKey.toBase58());
+    assert.equal(await tokenBalance(env.connection, payToTokenAccount), AMOUNT);
+  });
+
+  it('settles an authorization_only payload the wallet already sent', async () => {
+    const payTo = env.newMerchant();
+    const payToTokenAccount = await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+    const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+
+    const signature = await sendAndConfirm(env.connection, [
+      paymentInstruction({ payer: env.payer.publicKey, payTo, asset: env.mint, amount: AMOUNT, decimals: env.decimals })
+    ], [env.payer]);
+    const payload = paymentPayload({
+      signature,
+      authorization: {
+        from: env.payer.publicKey.toBase58(),
+        to: payTo.toBase58(),
+        value: AMOUNT.toString(),
+        nonce: 'order-authorization'
+      }
+    });
+
+    const settle = await verifyAndSettle(payload, requirements);
+    assert.equal(settle.status, 200, settle.body.message);
+    assert.equal(settle.body.transaction, signature);
+    assert.equal(await tokenBalance(env.connection, payToTokenAccount), AMOUNT);
+  });
+
+  it('settles asynchronously and reports the settlement status', async () => {
+    const payTo = env.newMerchant();
+    const payToTokenAccount = await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+    const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+
+    const transaction = await clientTransaction({ payTo });
+    const payload = paymentPayload({
+      signature: signatureOf(transaction, env.payer.publicKey),
+      transaction: transaction.serialize().toString('base64')
+    });
+
+    const settle = await verifyAndSettle(payload, requirements, { async: true });
+    assert.equal(settle.status, 202, settle.body.message);
+    assert.equal(settle.body.pending, true);
+
+    let settlement;
+    const deadline = Date.now() + 20000;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      settlement = (await env.facilitator.get(settle.body.statusUrl)).body;
+    } while (settlement.state !== 'finalized' && settlement.state !== 'failed' && Date.now() < deadline);
+
+    assert.equal(settlement.state, 'finalized', settlement.error);
+    assert.equal(verifyReceipt(settlement.receipt, { issuers: await receiptIssuer() }).transaction, settlement.transaction);
+    // Signed once, when it was confirmed: a second later it is still the same
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.equal((await env.facilitator.get(settle.body.statusUrl)).body.receipt, settlement.receipt);
+    assert.equal(await tokenBalance(env.connection, payToTokenAccount), AMOUNT);
+  });
+
+  it('only sends settlement webhooks to allowed public hosts', async () => {
+    const payTo = env.newMerchant();
+    const payToTokenAccount = await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+    const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+    const transaction = await clientTransaction({ payTo });
+    const payload = paymentPayload({
+      signature: signatureOf(transaction, env.payer.publicKey),
+      transaction: transaction.serialize().toString('base64')
+    });
+
+    // No SETTLEMENT_WEBHOOK_HOSTS here: refused before anything is broadcast
+    const refused = await verifyAndSettle(payload, requirements, { async: true, webhookUrl: 'http://127.0.0.1:9/hook' });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.errorReason, 'invalid_request');
+    assert.equal(await tokenBalance(env.connection, payToTokenAccount), 0n);
+
+    const queue = new SettlementQueue({ webhookHosts: ['hooks.example.com', '127.0.0.1', '10.0.0.8'] });
+    assert.doesNotThrow(() => queue.checkWebhookUrl('https://hooks.example.com/settlements'));
+    for (const url of ['https://elsewhere.example.com/', 'http://127.0.0.1/', 'http://10.0.0.8/', 'ftp://hooks.example.com/', 'not a url']) {
+      assert.throws(() => queue.checkWebhookUrl(url), { code: 'invalid_request' }, url);
+    }
+  });
+});
@@ -0,0 +1,326 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { BalanceStore, createFacilitator, createFacilitatorRouter, signPrepaidMessage, signRefundRequest } = require('../facilitator');
+const { acceptPrepaid } = require('../paywall/prepaid');
+const {
+  NETWORK,
+  airdrop,
+  buildTransaction,
+  fundedKeypair,
+  paymentInstruction,
+  paymentPayload,
+  paymentRequirements,
+  signatureOf,
+  startCluster
+} = require('./harness/fixtures');
+
+const DEPOSIT = 1000000n;
+const PRICE = 400000n;
+
+describe('prepaid balances', () => {
+  let cluster;
+  let facilitator;
+  let escrow;
+  let payer;
+  let payTo;
+  let payee;
+  let nonces;
+  let servers;
+  let facilitatorUrl;
+  let resourceUrl;
+
+  async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  before(async () => {
+    cluster = await startCluster();
+    servers = [];
+    nonces = 0;
+
+    const feePayer = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    escrow = Keypair.generate();
+    await airdrop(cluster.connection, escrow.publicKey, LAMPORTS_PER_SOL);
+    payer = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    payee = Keypair.generate();
+    payTo = payee.publicKey;
+
+    facilitator = createFacilitator({
+      connections: { [NETWORK]: cluster.connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      balances: new BalanceStore(),
+      escrow: new KeypairSigner(escrow, { source: 'test' }),
+      monitorFeePayers: false
+    });
+    const facilitatorApp = express();
+    facilitatorApp.use(createFacilitatorRouter(facilitator));
+    facilitatorUrl = await listen(facilitatorApp);
+
+    // Stands in for the x402 payment middleware of the route: always a 402
+    const paywall = (req, res) => res.status(402).json({
+      x402Version: 1,
+      accepts: [{ scheme: 'exact', network: NETWORK, maxAmountRequired: '1', asset: 'SOL' }]
+    });
+    const app = express();
+    app.use('/api/premium', acceptPrepaid(paywall, {
+      facilitatorUrl,
+      payTo: payTo.toBase58(),
+      network: NETWORK,
+      price: { amount: PRICE, asset: 'SOL' }
+    }));
+    app.get('/api/premium/data', (req, res) => res.json({ payer: req.prepaid.payer }));
+    resourceUrl = await listen(app);
+  });
+
+  after(async () => {
+    facilitator?.close();
+    for (const server of servers) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    await cluster?.stop();
+  });
+
+  function post(route, body) {
+    return fetch(facilitatorUrl + route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function voucherPayment(overrides = {}) {
+    const voucher = {
+      payer: payer.publicKey.toBase58(),
+      payTo: payTo.toBase58(),
+      network: NETWORK,
+      asset: 'SOL',
+      amount: String(PRICE),
+      nonce: `voucher-${++nonces}`,
+      expiresAt: Math.floor(Date.now() / 1000) + 60,
+      ...overrides
+    };
+    const signature = await signPrepaidMessage('voucher', voucher, new KeypairSigner(payer, { source: 'test' }));
+    const payment = { x402Version: 1, scheme: 'prepaid', network: NETWORK, payload: { voucher, signature } };
+    return Buffer.from(JSON.stringify(payment)).toString('base64');
+  }
+
+  function getPremium(payment) {
+    return fetch(`${resourceUrl}/api/premium/data`, { headers: payment ? { 'X-PAYMENT': payment } : {} });
+  }
+
+  it('credits a settled deposit to the escrow key', async () => {
+    const transaction = await buildTransaction(cluster.connection, [
+      paymentInstruction({ payer: payer.publicKey, payTo: escrow.publicKey, asset: 'SOL', amount: DEPOSIT })
+    ], [payer]);
+    const deposit = {
+      paymentRequirements: paymentRequirements({ payTo: escrow.publicKey, asset: 'SOL', amount: DEPOSIT }),
+      paymentPayload: paymentPayload({
+        signature: signatureOf(transaction, payer.publicKey),
+        transaction: transaction.serialize().toString('base64')
+      })
+    };
+
+    const response = await post('/deposit', deposit);
+    const body = await response.json();
+    assert.equal(response.status, 200, body.error);
+    assert.equal(body.payer, payer.publicKey.toBase58());
+    assert.equal(body.account.balance, String(DEPOSIT));
+
+    // Even signed by the escrow key, a deposit is paid back with a withdrawal, not a refund
+    const refund = { transaction: body.transaction, nonce: 'refund-deposit', expiresAt: Math.floor(Date.now() / 1000) + 60 };
+    const signature = await signRefundRequest(refund, new KeypairSigner(escrow, { source: 'test' }));
+    const refused = await post('/refunds', { refund, signature });
+    assert.equal((await refused.json()).errorReason, 'facilitator_account');
+
+    // Deposits to any other address are refused before anything is broadcast
+    const elsewhere = await post('/deposit', {
+      ...deposit,
+      paymentRequirements: paymentRequirements({ payTo, asset: 'SOL', amount: DEPOSIT })
+    });
+    assert.equal(elsewhere.status, 400);
+    assert.equal((await elsewhere.json()).errorReason, 'wrong_recipient');
+  });
+
+  it('offers prepaid payments next to the route paywall', async () => {
+    const response = await getPremium();
+    assert.equal(response.status, 402);
+    const { accepts } = await response.json();
+    assert.deepEqual(accepts.map(entry => entry.scheme), ['exact', 'prepaid']);
+    assert.equal(accepts[1].maxAmountRequired, String(PRICE));
+    assert.equal(accepts[1].extra.escrow, escrow.publicKey.toBase58());
+  });
+
+  it('debits a voucher per call and answers 402 once the balance runs low', async () => {
+    const payment = await voucherPayment();
+    const paid = await getPremium(payment);
+    assert.equal(paid.status, 200);
+    const settled = JSON.parse(Buffer.from(paid.headers.get('X-PAYMENT-RESPONSE'), 'base64').toString());
+    assert.equal(settled.balance, String(DEPOSIT - PRICE));
+
+    const replay = await getPremium(payment);
+    assert.equal(replay.status, 402);
+    assert.equal((await replay.json()).error, 'replay');
+
+    const forged = await getPremium(await voucherPayment({ payer: Keypair.generate().publicKey.toBase58() }));
+    assert.equal((await forged.json()).error, 'invalid_signature');
+
+    assert.equal((await getPremium(await voucherPayment())).status, 200);
+
+    const low = await getPremium(await voucherPayment());
+    assert.equal(low.status, 402);
+    const body = await low.json();
+    assert.equal(body.error, 'insufficient_balance');
+    assert.equal(body.balance, String(DEPOSIT - 2n * PRICE));
+    assert.equal(body.required, String(PRICE));
+    assert.deepEqual(body.deposit, { url: `${facilitatorUrl}/deposit`, escrow: escrow.publicKey.toBase58() });
+  });
+
+  it('pays a balance back out of escrow with a signed withdrawal', async () => {
+    const balances = await fetch(`${facilitatorUrl}/balances/${payTo.toBase58()}`).then(response => response.json());
+    assert.equal(balances.accounts[0].earned, String(2n * PRICE));
+
+    const withdrawal = {
+      address: payer.publicKey.toBase58(),
+      network: NETWORK,
+      asset: 'SOL',
+      amount: String(DEPOSIT - 2n * PRICE),
+      nonce: 'withdrawal-1',
+      expiresAt: Math.floor(Date.now() / 1000) + 60
+    };
+    const signature = await signPrepaidMessage('withdrawal', withdrawal, new KeypairSigner(payer, { source: 'test' }));
+    const before = await cluster.connection.getBalance(payer.publicKey);
+
+    const response = await post('/withdraw', { withdrawal, signature });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.error);
+    assert.equal(body.withdrawal.state, 'confirmed');
+    assert.equal(body.account.balance, '0');
+    assert.equal(await cluster.connection.getBalance(payer.publicKey), before + Number(DEPOSIT - 2n * PRICE));
+
+    const replay = await post('/withdraw', { withdrawal, signature });
+    assert.equal(replay.status, 409);
+
+    // A withdrawal has to be signed by the account's own key
+    const stolen = { ...withdrawal, address: payTo.toBase58(), nonce: 'withdrawal-2' };
+    const forged = await post('/withdraw', { withdrawal: stolen, signature });
+    assert.equal((await forged.json()).errorReason, 'invalid_signature');
+  });
+
+  it('keeps a withdrawal taken when its send ended in an error', async () => {
+    const { connection } = cluster;
+    // The next send fails with a network error, after going out when sent is true
+    const failNextSend = sent => {
+      const send = connection.sendRawTransaction;
+      connection.sendRawTransaction = async (...args) => {
+        connection.sendRawTransaction = send;
+        if (sent) {
+          await send.apply(connection, args);
+        }
+        throw new Error('socket hang up');
+      };
+    };
+    const withdraw = async (nonce, amount) => {
+      const withdrawal = {
+        address: payTo.toBase58(),
+        network: NETWORK,
+        asset: 'SOL',
+        amount: String(amount),
+        nonce,
+        expiresAt: Math.floor(Date.now() / 1000) + 60
+      };
+      const signature = await signPrepaidMessage('withdrawal', withdrawal, new KeypairSigner(payee, { source: 'test' }));
+      return post('/withdraw', { withdrawal, signature }).then(response => response.json());
+    };
+
+    failNextSend(true);
+    const landed = await withdraw('payee-withdrawal-1', PRICE / 2n);
+    assert.equal(landed.withdrawal.state, 'confirmed');
+    assert.equal(landed.account.balance, String(PRICE + PRICE / 2n));
+    assert.equal(await connection.getBalance(payTo), Number(PRICE / 2n));
+
+    failNextSend(false);
+    const lost = await withdraw('payee-withdrawal-2', PRICE);
+    assert.equal(lost.withdrawal.state, 'unconfirmed');
+    assert.equal(lost.account.balance, String(PRICE / 2n));
+  });
+
+  it('credits a deposit that timed out once it confirms', async () => {
+    const { connection } = cluster;
+    const amount = DEPOSIT / 2n;
+    const transaction = await buildTransaction(connection, [
+      paymentInstruction({ payer: payer.publicKey, payTo: escrow.publicKey, asset: 'SOL', amount })
+    ], [payer]);
+
+    // The deposit goes out, but the RPC call answers with a network error
+    const send = connection.sendRawTransaction;
+    connection.sendRawTransaction = async (...args) => {
+      connection.sendRawTransaction = send;
+      await send.apply(connection, args);
+      throw new Error('socket hang up');
+    };
+
+    const response = await post('/deposit', {
+      paymentRequirements: paymentRequirements({ payTo: escrow.publicKey, asset: 'SOL', amount }),
+      paymentPayload: paymentPayload({
+        signature: signatureOf(transaction, payer.publicKey),
+        transaction: transaction.serialize().toString('base64')
+      })
+    });
+    const body = await response.json();
+    assert.equal(response.status, 504);
+    assert.equal(body.errorReason, 'confirmation_timeout');
+
+    let settlement;
+    const deadline = Date.now() + 20000;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      settlement = await fetch(facilitatorUrl + body.statusUrl).then(status => status.json());
+    } while (settlement.state === 'pending' && Date.now() < deadline);
+
+    assert.ok(['confirmed', 'finalized'].includes(settlement.state), settlement.error);
+    const { accounts } = await fetch(`${facilitatorUrl}/balances/${payer.publicKey.toBase58()}`).then(balances => balances.json());
+    assert.equal(accounts[0].balance, String(amount));
+  });
+
+  it('keeps voucher nonces apart per payer', async () => {
+    const balances = new BalanceStore();
+    const [first, second] = [Keypair.generate(), Keypair.generate()].map(key => key.publicKey.toBase58());
+    const voucher = { payTo: payTo.toBase58(), network: NETWORK, asset: 'SOL', amount: String(PRICE), nonce: 'shared' };
+    for (const payer of [first, second]) {
+      await balances.credit({ payer, network: NETWORK, asset: 'SOL', amount: DEPOSIT, transaction: `deposit-${payer}` });
+    }
+
+    await balances.debit({ ...voucher, payer: first });
+    // Another payer's voucher with the same nonce is neither a replay nor settled with it
+    const { account } = await balances.debit({ ...voucher, payer: second });
+    assert.equal(account.balance, String(DEPOSIT - PRICE));
+    await balances.markSettled({ payer: first, nonce: 'shared' });
+    assert.equal((await balances.findDebit({ payer: second, nonce: 'shared' })).settledAt, null);
+
+    await assert.rejects(balances.debit({ ...voucher, payer: first }), { code: 'replay' });
+  });
+
+  it('needs an escrow key apart from the fee payers', () => {
+    const feePayer = new KeypairSigner(payer, { source: 'test' });
+    const options = {
+      connections: { [NETWORK]: cluster.connection },
+      signers: [feePayer],
+      balances: new BalanceStore(),
+      monitorFeePayers: false
+    };
+
+    assert.throws(() => createFacilitator(options), /escrow signer/);
+    assert.throws(() => createFacilitator({ ...options, escrow: feePayer }), /must not be one of the fee payer keys/);
+  });
+});
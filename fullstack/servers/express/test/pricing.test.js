@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
+const { PriceQuotes, dynamicPricing } = require('../paywall/pricing');
+const { paymentPayload } = require('./harness/fixtures');
+
+describe('dynamic pricing', () => {
+  let clock;
+  let charged;
+  let discount;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    clock = Date.now();
+    charged = [];
+    discount = 1;
+
+    // Stands in for the x402 payment middleware: a 402 quoting its price, or a payment charged at it
+    const createPaywall = ({ amount, asset }) => (req, res, next) => {
+      if (!req.get('X-PAYMENT')) {
+        return res.status(402).json({
+          x402Version: 1,
+          accepts: [{ scheme: 'exact', maxAmountRequired: String(amount), asset, extra: { feePayer: 'F' } }]
+        });
+      }
+      charged.push({ amount, asset });
+      next();
+    };
+
+    const app = express();
+    app.use('/api/reports', dynamicPricing(createPaywall, {
+      price: async req => ({
+        amount: (Number(req.query.rows) || 10) * 1000 * discount,
+        asset: 'USDC',
+        // Stands in for a discount only the payer of an earlier receipt gets
+        ...(req.get('X-Discount-Payer') && { payer: req.get('X-Discount-Payer') })
+      }),
+      quotes: new PriceQuotes({ secret: 'test-secret', ttlSeconds: 60, now: () => clock })
+    }));
+    app.get('/api/reports', (req, res) => res.json({ rows: Number(req.query.rows) }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function get(path, headers = {}) {
+    return fetch(baseUrl + path, { headers });
+  }
+
+  async function quote(path) {
+    const response = await get(path);
+    assert.equal(response.status, 402);
+    const body = await response.json();
+    const token = response.headers.get('X-PAYMENT-QUOTE');
+    assert.equal(body.accepts[0].extra.quote, token);
+    return { token, body, cookie: response.headers.get('Set-Cookie') };
+  }
+
+  it('prices each request and quotes the price in the 402', async () => {
+    const { body, cookie } = await quote('/api/reports?rows=25');
+    assert.equal(body.accepts[0].maxAmountRequired, '25000');
+    assert.equal(body.accepts[0].extra.feePayer, 'F');
+    assert.match(cookie, /^x402-quote=[^;]+; Path=\/api\/reports; Max-Age=60; HttpOnly; SameSite=Lax$/);
+
+    assert.equal((await quote('/api/reports?rows=3')).body.accepts[0].maxAmountRequired, '3000');
+  });
+
+  it('charges a payment at its quoted price, not a recomputed one', async () => {
+    const { token, cookie } = await quote('/api/reports?rows=50');
+    discount = 0.5;
+
+    const paid = await get('/api/reports?rows=50', { 'X-PAYMENT': 'paid', 'X-PAYMENT-QUOTE': token });
+    assert.equal(paid.status, 200);
+    assert.deepEqual(charged.at(-1), { amount: 50000, asset: 'USDC' });
+
+    // Browsers send the quote back in its cookie
+    const withCookie = await get('/api/reports?rows=50', { 'X-PAYMENT': 'paid', Cookie: cookie.split(';')[0] });
+    assert.equal(withCookie.status, 200);
+    assert.deepEqual(charged.at(-1), { amount: 50000, asset: 'USDC' });
+    discount = 1;
+  });
+
+  it('only takes a payer-bound quote from that payer', async () => {
+    const returning = Keypair.generate();
+    // An X-PAYMENT carrying a transfer signed by a payer
+    const paidBy = keypair => {
+      const transaction = new Transaction({ feePayer: keypair.publicKey, recentBlockhash: Keypair.generate().publicKey.toBase58() })
+        .add(SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1000 }));
+      transaction.sign(keypair);
+      const payment = paymentPayload({ transaction: transaction.serialize().toString('base64') });
+      return Buffer.from(JSON.stringify(payment)).toString('base64');
+    };
+
+    discount = 0.8;
+    const response = await get('/api/reports?rows=5', { 'X-Discount-Payer': returning.publicKey.toBase58() });
+    const token = response.headers.get('X-PAYMENT-QUOTE');
+    discount = 1;
+
+    const chargedBefore = charged.length;
+    for (const payment of [paidBy(Keypair.generate()), 'paid']) {
+      const passedOn = await get('/api/reports?rows=5', { 'X-PAYMENT': payment, 'X-PAYMENT-QUOTE': token });
+      assert.equal(passedOn.status, 402);
+      assert.equal((await passedOn.json()).accepts[0].maxAmountRequired, '5000');
+    }
+    assert.equal(charged.length, chargedBefore);
+
+    const paid = await get('/api/reports?rows=5', { 'X-PAYMENT': paidBy(returning), 'X-PAYMENT-QUOTE': token });
+    assert.equal(paid.status, 200);
+    assert.deepEqual(charged.at(-1), { amount: 4000, asset: 'USDC' });
+  });
+
+  it('sends payments without a valid quote a new 402', async () => {
+    const chargedBefore = charged.length;
+    const { token } = await quote('/api/reports?rows=1');
+
+    // No quote, a quote for other rows, a tampered quote, an expired quote
+    const unquoted = await get('/api/reports?rows=1000', { 'X-PAYMENT': 'paid' });
+    assert.equal(unquoted.status, 402);
+    assert.equal((await unquoted.json()).accepts[0].maxAmountRequired, '1000000');
+    assert.equal((await get('/api/reports?rows=1000', { 'X-PAYMENT': 'paid', 'X-PAYMENT-QUOTE': token })).status, 402);
+
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    const cheaper = Buffer.from(JSON.stringify({ ...claims, resource: '/api/reports?rows=1000' })).toString('base64url');
+    assert.equal(
+      (await get('/api/reports?rows=1000', { 'X-PAYMENT': 'paid', 'X-PAYMENT-QUOTE': `${cheaper}.${signature}` })).status,
+      402
+    );
+
+    clock += 61000;
+    assert.equal((await get('/api/reports?rows=1', { 'X-PAYMENT': 'paid', 'X-PAYMENT-QUOTE': token })).status, 402);
+    assert.equal(charged.length, chargedBefore);
+  });
+});
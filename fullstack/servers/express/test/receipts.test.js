@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { ReceiptIssuer, acceptReceipts, verifyReceipt } = require('../facilitator');
+
+const SETTLEMENT = {
+  resource: 'http://localhost:3000/api/premium/data',
+  network: 'solana-devnet',
+  payer: Keypair.generate().publicKey.toBase58(),
+  payTo: Keypair.generate().publicKey.toBase58(),
+  amount: 10000n,
+  asset: 'SOL',
+  transaction: '5'.repeat(88)
+};
+
+function rejectsWith(reason) {
+  return error => error.name === 'ReceiptError' && error.reason === reason;
+}
+
+describe('settlement receipts', () => {
+  const issuer = new ReceiptIssuer({ signer: new KeypairSigner(Keypair.generate(), { source: 'test' }), ttlSeconds: 600 });
+  let token;
+
+  before(async () => {
+    token = await issuer.issue(SETTLEMENT);
+  });
+
+  it('verifies a receipt offline and returns its claims', () => {
+    const claims = verifyReceipt(token, { issuers: [issuer.issuer], resource: SETTLEMENT.resource });
+
+    assert.equal(claims.iss, issuer.issuer);
+    assert.equal(claims.exp - claims.iat, 600);
+    assert.deepEqual(
+      { resource: claims.resource, payer: claims.payer, amount: claims.amount, transaction: claims.transaction },
+      { resource: SETTLEMENT.resource, payer: SETTLEMENT.payer, amount: '10000', transaction: SETTLEMENT.transaction }
+    );
+  });
+
+  it('rejects tampered, untrusted, expired and misdirected receipts', async () => {
+    const [header, claims, signature] = token.split('.');
+    const richer = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(claims, 'base64url')),
+      amount: '1'
+    })).toString('base64url');
+
+    assert.throws(() => verifyReceipt(`${header}.${richer}.${signature}`, { issuers: issuer.issuer }), rejectsWith('invalid_signature'));
+    assert.throws(() => verifyReceipt(token, { issuers: Keypair.generate().publicKey.toBase58() }), rejectsWith('unknown_issuer'));
+    assert.throws(() => verifyReceipt(token, { issuers: issuer.issuer, now: Date.now() + 3600000 }), rejectsWith('expired'));
+    assert.throws(() => verifyReceipt(token, { issuers: issuer.issuer, resource: 'http://localhost:3000/other' }), rejectsWith('wrong_resource'));
+    assert.throws(() => verifyReceipt('not-a-receipt', { issuers: issuer.issuer }), rejectsWith('malformed'));
+
+    // Another key signing the same claims doesn't pass either
+    const impostor = new ReceiptIssuer({ signer: new KeypairSigner(Keypair.generate(), { source: 'test' }) });
+    const forged = (await impostor.issue(SETTLEMENT)).split('.')[2];
+    assert.throws(() => verifyReceipt(`${header}.${claims}.${forged}`, { issuers: issuer.issuer }), rejectsWith('invalid_signature'));
+  });
+
+  it('rejects receipts of payments to someone else or of less than the price', () => {
+    const price = { amount: SETTLEMENT.amount, asset: 'SOL' };
+    const claims = verifyReceipt(token, { issuers: issuer.issuer, payTo: SETTLEMENT.payTo, price });
+    assert.equal(claims.payTo, SETTLEMENT.payTo);
+
+    assert.throws(
+      () => verifyReceipt(token, { issuers: issuer.issuer, payTo: Keypair.generate().publicKey.toBase58(), price }),
+      rejectsWith('wrong_payee')
+    );
+    assert.throws(
+      () => verifyReceipt(token, { issuers: issuer.issuer, payTo: SETTLEMENT.payTo, price: { amount: SETTLEMENT.amount + 1n, asset: 'SOL' } }),
+      rejectsWith('insufficient_amount')
+    );
+    // Paid in SOL, priced in a token only
+    assert.throws(
+      () => verifyReceipt(token, { issuers: issuer.issuer, price: { amount: 1, asset: Keypair.generate().publicKey.toBase58() } }),
+      rejectsWith('insufficient_amount')
+    );
+    // Any of the accepted assets will do
+    verifyReceipt(token, { issuers: issuer.issuer, price: [{ amount: 1, asset: 'USDC' }, price] });
+  });
+
+  describe('acceptReceipts', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      const paywall = (req, res) => res.status(402).json({ error: 'Payment required' });
+      const route = { issuers: [issuer.issuer], payTo: SETTLEMENT.payTo, price: { amount: SETTLEMENT.amount, asset: 'SOL' } };
+      const app = express();
+      app.use('/api/premium', acceptReceipts(paywall, route));
+      app.get('/api/premium/data', (req, res) => res.json({ paidWith: req.receipt.transaction }));
+      app.use('/api/other', acceptReceipts(paywall, route));
+      app.get('/api/other', (req, res) => res.json({ ok: true }));
+      // Same resources, another merchant
+      app.use('/elsewhere/api/premium', acceptReceipts(paywall, { ...route, payTo: Keypair.generate().publicKey.toBase58() }));
+      app.get('/elsewhere/api/premium/data', (req, res) => res.json({ ok: true }));
+      // Priced per request, above what the receipt paid
+      app.use('/pricier/api/premium', acceptReceipts(paywall, { ...route, price: async () => ({ amount: SETTLEMENT.amount * 2n, asset: 'SOL' }) }));
+      app.get('/pricier/api/premium/data', (req, res) => res.json({ ok: true }));
+
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    function get(path, receipt) {
+      return fetch(baseUrl + path, { headers: receipt ? { 'X-PAYMENT-RECEIPT': receipt } : {} });
+    }
+
+    it('lets a valid receipt through and sends everything else to the paywall', async () => {
+      const paid = await get('/api/premium/data', token);
+      assert.equal(paid.status, 200);
+      assert.deepEqual(await paid.json(), { paidWith: SETTLEMENT.transaction });
+
+      assert.equal((await get('/api/premium/data')).status, 402);
+      assert.equal((await get('/api/premium/data', `${token}x`)).status, 402);
+      // A receipt for /api/premium/data doesn't unlock another route
+      assert.equal((await get('/api/other', token)).status, 402);
+    });
+
+    it('sends receipts of payments to another merchant or of less than the price to the paywall', async () => {
+      const foreign = await issuer.issue({ ...SETTLEMENT, resource: `${baseUrl}/elsewhere/api/premium/data` });
+      assert.equal((await get('/elsewhere/api/premium/data', foreign)).status, 402);
+
+      const underpaid = await issuer.issue({ ...SETTLEMENT, resource: `${baseUrl}/pricier/api/premium/data` });
+      assert.equal((await get('/pricier/api/premium/data', underpaid)).status, 402);
+    });
+  });
+});
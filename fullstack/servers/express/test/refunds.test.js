@@ -0,0 +1,321 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, LAMPORTS_PER_SOL, SystemProgram } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { deserializeTransaction, serializeTransaction, partialSign } = require('../facilitator/transactions');
+const { createFacilitator, createFacilitatorRouter, signRefundRequest } = require('../facilitator');
+const { refundOnError, refundPayment } = require('../paywall/refunds');
+const {
+  NETWORK,
+  buildTransaction,
+  fundedKeypair,
+  paymentInstruction,
+  paymentPayload,
+  paymentRequirements,
+  signatureOf,
+  startCluster
+} = require('./harness/fixtures');
+
+const PRICE = 1000000n;
+
+describe('refunds', () => {
+  let cluster;
+  let facilitator;
+  let merchant;
+  let servers;
+  let facilitatorUrl;
+
+  async function listen(app) {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  before(async () => {
+    cluster = await startCluster();
+    servers = [];
+
+    const feePayer = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    merchant = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+
+    facilitator = createFacilitator({
+      connections: { [NETWORK]: cluster.connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      monitorFeePayers: false
+    });
+    const app = express();
+    app.use(createFacilitatorRouter(facilitator));
+    facilitatorUrl = await listen(app);
+  });
+
+  after(async () => {
+    facilitator?.close();
+    for (const server of servers) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    await cluster?.stop();
+  });
+
+  function post(route, body) {
+    return fetch(facilitatorUrl + route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // Settle a payment of PRICE lamports to the merchant, from a new payer each time
+  async function settlePayment() {
+    const payer = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    const transaction = await buildTransaction(cluster.connection, [
+      paymentInstruction({ payer: payer.publicKey, payTo: merchant.publicKey, asset: 'SOL', amount: PRICE })
+    ], [payer]);
+    const payload = paymentPayload({
+      signature: signatureOf(transaction, payer.publicKey),
+      transaction: transaction.serialize().toString('base64')
+    });
+    const settlement = await facilitator.settle({
+      paymentRequirements: paymentRequirements({ payTo: merchant.publicKey, asset: 'SOL', amount: PRICE }),
+      paymentPayload: payload
+    });
+    assert.equal(settlement.success, true, settlement.message);
+    return { ...settlement, payer, payment: Buffer.from(JSON.stringify(payload)).toString('base64') };
+  }
+
+  // POST /refunds, the request signed by signer (the merchant by default)
+  let nonces = 0;
+  async function requestRefund(fields, signer = merchant) {
+    const refund = { ...fields, nonce: `refund-${++nonces}`, expiresAt: Math.floor(Date.now() / 1000) + 60 };
+    return post('/refunds', { refund, signature: await signRefundRequest(refund, new KeypairSigner(signer, { source: 'test' })) });
+  }
+
+  async function signAndSubmit(created) {
+    const transaction = deserializeTransaction(created.transaction);
+    await partialSign(transaction, new KeypairSigner(merchant, { source: 'test' }));
+    return post(`/refunds/${created.refundId}/submit`, { transaction: serializeTransaction(transaction).toString('base64') });
+  }
+
+  it('sends part of a payment back to the payer, the facilitator paying the fee', async () => {
+    const { transaction, payer } = await settlePayment();
+    const payerBefore = await cluster.connection.getBalance(payer.publicKey);
+    const merchantBefore = await cluster.connection.getBalance(merchant.publicKey);
+
+    const response = await requestRefund({ transaction, amount: String(PRICE / 4n), reason: 'partial outage' });
+    const created = await response.json();
+    assert.equal(response.status, 200, created.error);
+    assert.equal(created.signer, merchant.publicKey.toBase58());
+    assert.equal(created.refund.state, 'pending');
+    assert.equal(created.refund.feePaidBy, 'facilitator');
+    assert.equal(created.settlement.refundable, String(PRICE - PRICE / 4n));
+
+    const submitted = await signAndSubmit(created);
+    const body = await submitted.json();
+    assert.equal(submitted.status, 200, body.error);
+    assert.equal(body.refund.state, 'confirmed');
+    assert.equal(body.settlement.refunded, String(PRICE / 4n));
+    assert.equal(await cluster.connection.getBalance(payer.publicKey), payerBefore + Number(PRICE / 4n));
+    assert.equal(await cluster.connection.getBalance(merchant.publicKey), merchantBefore - Number(PRICE / 4n));
+
+    // The refund is recorded on the settlement
+    const status = await fetch(`${facilitatorUrl}/refunds/${created.refundId}`).then(res => res.json());
+    assert.equal(status.refund.transaction, body.refund.transaction);
+    assert.equal(status.settlement.refunds.length, 1);
+
+    const replay = await signAndSubmit(created);
+    assert.equal(replay.status, 409);
+    assert.equal((await replay.json()).errorReason, 'replay');
+
+    // What is left can be refunded, but not a lamport more
+    const over = await requestRefund({ transaction, amount: String(PRICE) });
+    assert.equal(over.status, 400);
+    const rejected = await over.json();
+    assert.equal(rejected.errorReason, 'invalid_amount');
+    assert.equal(rejected.refundable, String(PRICE - PRICE / 4n));
+
+    const rest = await requestRefund({ transaction, sponsored: false }).then(res => res.json());
+    assert.equal(rest.refund.amount, String(PRICE - PRICE / 4n));
+    assert.equal(rest.refund.feePaidBy, 'merchant');
+    assert.equal(rest.settlement.refundable, '0');
+  });
+
+  it('rejects refunds of unknown payments and transactions changed after they were built', async () => {
+    const unknown = await requestRefund({ transaction: '1'.repeat(88) });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).errorReason, 'unknown_settlement');
+
+    const missing = await fetch(`${facilitatorUrl}/refunds/nope`);
+    assert.equal(missing.status, 404);
+
+    const { transaction } = await settlePayment();
+    const created = await requestRefund({ transaction }).then(res => res.json());
+    const other = await buildTransaction(cluster.connection, [
+      paymentInstruction({ payer: merchant.publicKey, payTo: Keypair.generate().publicKey, asset: 'SOL', amount: PRICE })
+    ], [merchant]);
+
+    const swapped = await post(`/refunds/${created.refundId}/submit`, { transaction: other.serialize().toString('base64') });
+    assert.equal(swapped.status, 400);
+    assert.equal((await swapped.json()).errorReason, 'sponsored_transaction_modified');
+  });
+
+  it('only takes refund requests and transactions signed by the merchant', async () => {
+    const { transaction, payer } = await settlePayment();
+
+    const unsigned = await post('/refunds', { refund: { transaction, nonce: 'unsigned-1', expiresAt: Math.floor(Date.now() / 1000) + 60 } });
+    assert.equal((await unsigned.json()).errorReason, 'invalid_request');
+
+    const forged = await requestRefund({ transaction }, payer);
+    assert.equal(forged.status, 400);
+    assert.equal((await forged.json()).errorReason, 'invalid_signature');
+
+    const refund = { transaction, amount: '1', nonce: 'refund-once', expiresAt: Math.floor(Date.now() / 1000) + 60 };
+    const signature = await signRefundRequest(refund, new KeypairSigner(merchant, { source: 'test' }));
+    const created = await post('/refunds', { refund, signature }).then(res => res.json());
+    assert.equal(created.refund.state, 'pending');
+    const replay = await post('/refunds', { refund, signature });
+    assert.equal(replay.status, 409);
+    assert.equal((await replay.json()).errorReason, 'replay');
+
+    const expired = { ...refund, nonce: 'refund-late', expiresAt: Math.floor(Date.now() / 1000) - 1 };
+    const late = await post('/refunds', { refund: expired, signature: await signRefundRequest(expired, new KeypairSigner(merchant, { source: 'test' })) });
+    assert.equal((await late.json()).errorReason, 'expired');
+
+    // Submitted without the merchant's signature, the refund stays for the merchant to send
+    const bare = await post(`/refunds/${created.refundId}/submit`, { transaction: created.transaction });
+    assert.equal(bare.status, 400);
+    assert.equal((await bare.json()).errorReason, 'invalid_signature');
+    const submitted = await signAndSubmit(created);
+    assert.equal((await submitted.json()).refund.state, 'confirmed');
+  });
+
+  it('does not sign a refund transaction other than the one it asked for', async () => {
+    const { transaction, payer } = await settlePayment();
+    const thief = Keypair.generate().publicKey;
+    const tampers = {
+      destination: () => SystemProgram.transfer({ fromPubkey: merchant.publicKey, toPubkey: thief, lamports: PRICE / 2n }),
+      amount: () => SystemProgram.transfer({ fromPubkey: merchant.publicKey, toPubkey: payer.publicKey, lamports: PRICE * 10n })
+    };
+
+    // A facilitator that changes the refund transaction it hands out
+    let tamper;
+    let submitted = 0;
+    const app = express();
+    app.post('/refunds', express.json(), async (req, res) => {
+      const created = await facilitator.createRefund(req.body);
+      const changed = deserializeTransaction(created.transaction);
+      changed.instructions = changed.instructions.map(instruction =>
+        instruction.programId.equals(SystemProgram.programId) ? tamper() : instruction);
+      res.json({ ...created, transaction: serializeTransaction(changed).toString('base64') });
+    });
+    app.post('/refunds/:id/submit', (req, res, next) => {
+      submitted++;
+      next();
+    });
+    app.use(createFacilitatorRouter(facilitator));
+    const url = await listen(app);
+
+    for (const [name, change] of Object.entries(tampers)) {
+      tamper = change;
+      await assert.rejects(
+        refundPayment(url, new KeypairSigner(merchant, { source: 'test' }), {
+          transaction,
+          payer: payer.publicKey.toBase58(),
+          asset: 'SOL',
+          amount: String(PRICE / 4n)
+        }),
+        /Refund transaction/,
+        name
+      );
+    }
+    assert.equal(submitted, 0);
+
+    // Untouched, the same refund goes through
+    const result = await refundPayment(facilitatorUrl, new KeypairSigner(merchant, { source: 'test' }), {
+      transaction,
+      payer: payer.publicKey.toBase58(),
+      asset: 'SOL',
+      amount: String(PRICE / 4n)
+    });
+    assert.equal(result.refund.state, 'confirmed');
+  });
+
+  // Make the next sendRawTransaction fail with a network error, after sending it when sent is true
+  function failNextSend({ sent }) {
+    const { connection } = cluster;
+    const send = connection.sendRawTransaction;
+    connection.sendRawTransaction = async (...args) => {
+      connection.sendRawTransaction = send;
+      if (sent) {
+        await send.apply(connection, args);
+      }
+      throw new Error('socket hang up');
+    };
+  }
+
+  it('counts a refund that may have gone out until it is known to have failed', async t => {
+    const { transaction } = await settlePayment();
+
+    // Sent, then the answer was lost: it landed, and is found confirmed
+    const landed = await requestRefund({ transaction, amount: String(PRICE / 4n) }).then(res => res.json());
+    failNextSend({ sent: true });
+    const found = await signAndSubmit(landed).then(res => res.json());
+    assert.equal(found.refund.state, 'confirmed');
+    assert.equal(found.settlement.refundable, String(PRICE - PRICE / 4n));
+
+    // Not sent at all, but nothing says so: it stays taken
+    const lost = await requestRefund({ transaction }).then(res => res.json());
+    failNextSend({ sent: false });
+    const unconfirmed = await signAndSubmit(lost).then(res => res.json());
+    assert.equal(unconfirmed.refund.state, 'unconfirmed');
+    assert.equal(unconfirmed.settlement.refundable, '0');
+
+    if (!cluster.mock) {
+      return t.skip('expiring blockhashes needs the mock cluster');
+    }
+    // Once its blockhash expired it can't land any more, and the amount is free again
+    cluster.mock.expireBlockhashes();
+    const status = await fetch(`${facilitatorUrl}/refunds/${lost.refundId}`).then(res => res.json());
+    assert.equal(status.refund.state, 'failed');
+    assert.equal(status.settlement.refundable, String(PRICE - PRICE / 4n));
+  });
+
+  it('refunds a paid request in full when the handler answers 5xx', async () => {
+    const app = express();
+    app.use(refundOnError({
+      facilitatorUrl,
+      merchant: new KeypairSigner(merchant, { source: 'test' }),
+      onRefund: outcome => refunded(outcome)
+    }));
+    // Stands in for the x402 payment middleware: settles a payment, then lets the request through
+    app.use(async (req, res, next) => {
+      const { payer, payment, ...settlement } = await settlePayment();
+      req.headers['x-payment'] = payment;
+      res.setHeader('X-PAYMENT-RESPONSE', Buffer.from(JSON.stringify(settlement)).toString('base64'));
+      next();
+    });
+    app.get('/ok', (req, res) => res.json({ ok: true }));
+    app.get('/broken', (req, res) => res.status(503).json({ error: 'upstream down' }));
+    const url = await listen(app);
+
+    let refunded;
+    const outcome = new Promise(resolve => {
+      refunded = resolve;
+    });
+
+    assert.equal((await fetch(`${url}/ok`)).status, 200);
+    assert.equal((await fetch(`${url}/broken`)).status, 503);
+
+    const { transaction, result, error } = await outcome;
+    assert.equal(error, null);
+    assert.equal(result.settlement.transaction, transaction);
+    assert.equal(result.refund.amount, String(PRICE));
+    assert.equal(result.refund.state, 'confirmed');
+    assert.equal(result.refund.reason, 'GET /broken answered 503');
+  });
+});
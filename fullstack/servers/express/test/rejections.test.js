@@ -0,0 +1,348 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, LAMPORTS_PER_SOL, Transaction } = require('@solana/web3.js');
+const { createApproveInstruction, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const { createTestEnvironment } = require('./harness/environment');
+const {
+  NETWORK,
+  airdrop,
+  buildTransaction,
+  createTokenAccount,
+  fundedKeypair,
+  paymentInstruction,
+  paymentPayload,
+  paymentRequirements,
+  signatureOf
+} = require('./harness/fixtures');
+
+const AMOUNT = 2500000n;
+
+describe('rejected payments', () => {
+  let env;
+  // Holds prepaid deposits, so it is one of the facilitator's keys too
+  const escrow = Keypair.generate();
+
+  before(async () => {
+    env = await createTestEnvironment({
+      facilitatorEnv: { PREPAID_ENABLED: 'true', ESCROW_PRIVATE_KEY: bs58.encode(escrow.secretKey) }
+    });
+  });
+
+  after(async () => {
+    await env?.stop();
+  });
+
+  // A signed client payment (minimal payload) to a payTo whose token account exists
+  async function minimalPayment({ payer = env.payer, amount = AMOUNT, requiredAmount = AMOUNT } = {}) {
+    const payTo = env.newMerchant();
+    await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+
+    const transaction = await buildTransaction(env.connection, [
+      paymentInstruction({ payer: payer.publicKey, payTo, asset: env.mint, amount, decimals: env.decimals })
+    ], [payer]);
+
+    return {
+      transaction,
+      requirements: paymentRequirements({ payTo, asset: env.mint, amount: requiredAmount }),
+      payload: paymentPayload({
+        signature: signatureOf(transaction, payer.publicKey),
+        transaction: transaction.serialize().toString('base64')
+      })
+    };
+  }
+
+  async function createSponsored(requirements) {
+    const { status, body } = await env.facilitator.post('/create-sponsored-transaction', {
+      userPublicKey: env.payer.publicKey.toBase58(),
+      paymentRequirements: requirements
+    });
+    assert.equal(status, 200, body.error);
+    return body;
+  }
+
+  function signSponsored(encoded) {
+    const transaction = Transaction.from(Buffer.from(encoded, 'base64'));
+    transaction.partialSign(env.payer);
+    return paymentPayload({
+      userSignature: signatureOf(transaction, env.payer.publicKey),
+      facilitatorTransaction: transaction.serialize().toString('base64'),
+      userPublicKey: env.payer.publicKey.toBase58()
+    });
+  }
+
+  const verify = (payload, requirements) =>
+    env.facilitator.post('/verify', { paymentPayload: payload, paymentRequirements: requirements });
+  const settle = (payload, requirements) =>
+    env.facilitator.post('/settle', { paymentPayload: payload, paymentRequirements: requirements });
+
+  function assertRejected(response, status, code) {
+    assert.equal(response.status, status, JSON.stringify(response.body));
+    assert.equal(response.body.invalidReason ?? response.body.errorReason, code);
+  }
+
+  describe('invalid amount', () => {
+    it('rejects a transfer of less than the required amount', async () => {
+      const { payload, requirements } = await minimalPayment({ amount: AMOUNT - 1n });
+
+      assertRejected(await verify(payload, requirements), 400, 'invalid_amount');
+      assertRejected(await settle(payload, requirements), 400, 'invalid_amount');
+    });
+
+    it('rejects a sponsored transaction presented for a higher price', async () => {
+      const payTo = env.newMerchant();
+      const created = await createSponsored(paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT }));
+      const payload = signSponsored(created.transaction);
+      const higherPrice = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT * 2n });
+
+      assertRejected(await verify(payload, higherPrice), 400, 'invalid_amount');
+      assertRejected(await settle(payload, higherPrice), 400, 'invalid_amount');
+    });
+
+    it('rejects a full payload claiming a different amount', async () => {
+      const { transaction, payload, requirements } = await minimalPayment();
+      payload.payload = {
+        ...payload.payload,
+        payer: env.payer.publicKey.toBase58(),
+        amount: (AMOUNT + 1n).toString(),
+        blockhash: transaction.recentBlockhash
+      };
+
+      assertRejected(await verify(payload, requirements), 400, 'invalid_amount');
+    });
+  });
+
+  describe('payment instructions', () => {
+    it('rejects a transfer to another account than payTo', async () => {
+      const { payload, requirements } = await minimalPayment();
+      const elsewhere = { ...requirements, payTo: env.newMerchant().toBase58() };
+
+      assertRejected(await verify(payload, elsewhere), 400, 'wrong_recipient');
+      assertRejected(await settle(payload, elsewhere), 400, 'wrong_recipient');
+    });
+
+    it('rejects split transfers and token instructions other than the transfer', async () => {
+      const payTo = env.newMerchant();
+      await createTokenAccount(env.connection, env.mintAuthority, env.mint, payTo);
+      const requirements = paymentRequirements({ payTo, asset: env.mint, amount: AMOUNT });
+      const payment = amount => paymentInstruction({ payer: env.payer.publicKey, payTo, asset: env.mint, amount, decimals: env.decimals });
+      const payloadOf = transaction => paymentPayload({
+        signature: signatureOf(transaction, env.payer.publicKey),
+        transaction: transaction.serialize().toString('base64')
+      });
+
+      const split = await buildTransaction(env.connection, [payment(AMOUNT / 2n), payment(AMOUNT / 2n)], [env.payer]);
+      assertRejected(await verify(payloadOf(split), requirements), 400, 'multiple_transfer_instructions');
+
+      // Approving a delegate would let it spend the payer's tokens later
+      const approve = createApproveInstruction(
+        getAssociatedTokenAddressSync(env.mint, env.payer.publicKey),
+        Keypair.generate().publicKey,
+        env.payer.publicKey,
+        AMOUNT
+      );
+      const approving = await buildTransaction(env.connection, [payment(AMOUNT), approve], [env.payer]);
+      assertRejected(await verify(payloadOf(approving), requirements), 400, 'unsupported_token_instruction');
+    });
+  });
+
+  describe('replay', () => {
+    it('settles a payment once and rejects it afterwards', async () => {
+      const { payload, requirements } = await minimalPayment();
+
+      const first = await settle(payload, requirements);
+      assert.equal(first.status, 200, first.body.message);
+
+      const second = await settle(payload, requirements);
+      assertRejected(second, 409, 'replay');
+      assert.equal(second.body.retryable, false);
+      assertRejected(await verify(payload, requirements), 409, 'replay');
+    });
+
+    it('rejects a settled sponsored payment', async () => {
+      const requirements = paymentRequirements({ payTo: env.newMerchant(), asset: env.mint, amount: AMOUNT });
+      const payload = signSponsored((await createSponsored(requirements)).transaction);
+
+      const first = await settle(payload, requirements);
+      assert.equal(first.status, 200, first.body.message);
+
+      assertRejected(await settle(payload, requirements), 409, 'replay');
+    });
+
+    it('keeps two sponsored transactions of one user apart', async () => {
+      const first = paymentRequirements({ payTo: env.newMerchant(), asset: env.mint, amount: AMOUNT });
+      const second = paymentRequirements({ payTo: env.newMerchant(), asset: env.mint, amount: AMOUNT });
+      const firstPayload = signSponsored((await createSponsored(first)).transaction);
+      const secondPayload = signSponsored((await createSponsored(second)).transaction);
+
+      const settledFirst = await settle(firstPayload, first);
+      assert.equal(settledFirst.status, 200, settledFirst.body.message);
+      const settledSecond = await settle(secondPayload, second);
+      assert.equal(settledSecond.status, 200, settledSecond.body.message);
+
+      assertRejected(await settle(firstPayload, first), 409, 'replay');
+    });
+  });
+
+  describe('facilitator keys', () => {
+    const createFor = (userPublicKey, payTo) => env.facilitator.post('/create-sponsored-transaction', {
+      userPublicKey: userPublicKey.toBase58(),
+      paymentRequirements: paymentRequirements({ payTo, asset: 'SOL', amount: AMOUNT })
+    });
+
+    // A SOL payment signed by one of the facilitator's own keys, as a minimal payload
+    async function paymentFrom(keypair) {
+      const payTo = env.newMerchant();
+      const transaction = await buildTransaction(env.connection, [
+        paymentInstruction({ payer: keypair.publicKey, payTo, asset: 'SOL', amount: AMOUNT })
+      ], [keypair]);
+      return {
+        requirements: paymentRequirements({ payTo, asset: 'SOL', amount: AMOUNT }),
+        payload: paymentPayload({
+          signature: signatureOf(transaction, keypair.publicKey),
+          transaction: transaction.serialize().toString('base64')
+        })
+      };
+    }
+
+    it('refuses to build a transaction paid by a fee payer', async () => {
+      const feePayer = env.facilitator.feePayer.publicKey;
+      const before = await env.connection.getBalance(feePayer);
+
+      assertRejected(await createFor(feePayer, env.newMerchant()), 400, 'facilitator_account');
+      assert.equal(await env.connection.getBalance(feePayer), before);
+    });
+
+    it('refuses to build a transaction paying a fee payer', async () => {
+      assertRejected(await createFor(env.payer.publicKey, env.facilitator.feePayer.publicKey), 400, 'facilitator_account');
+    });
+
+    it('refuses to build a transaction paid by or paying the escrow key', async () => {
+      assertRejected(await createFor(escrow.publicKey, env.newMerchant()), 400, 'facilitator_account');
+      assertRejected(await createFor(env.payer.publicKey, escrow.publicKey), 400, 'facilitator_account');
+    });
+
+    it('rejects a transfer out of a fee payer', async () => {
+      const { payload, requirements } = await paymentFrom(env.facilitator.feePayer);
+
+      assertRejected(await verify(payload, requirements), 400, 'facilitator_account');
+      assertRejected(await settle(payload, requirements), 400, 'facilitator_account');
+    });
+
+    it('rejects a transfer out of the escrow key', async () => {
+      await airdrop(env.connection, escrow.publicKey, LAMPORTS_PER_SOL);
+      const { payload, requirements } = await paymentFrom(escrow);
+
+      assertRejected(await verify(payload, requirements), 400, 'facilitator_account');
+      assertRejected(await settle(payload, requirements), 400, 'facilitator_account');
+    });
+  });
+
+  describe('expiry', () => {
+    it('rejects a payment whose blockhash expired', async t => {
+      if (!env.cluster.mock) {
+        return t.skip('expiring blockhashes needs the mock cluster');
+      }
+      const { payload, requirements } = await minimalPayment();
+      env.cluster.mock.expireBlockhashes();
+
+      const response = await verify(payload, requirements);
+      assertRejected(response, 410, 'expired');
+      assert.equal(response.body.retryable, false);
+      assertRejected(await settle(payload, requirements), 410, 'expired');
+    });
+
+    it('rejects an expired sponsored transaction and settles its refreshed one', async t => {
+      if (!env.cluster.mock) {
+        return t.skip('expiring blockhashes needs the mock cluster');
+      }
+      const requirements = paymentRequirements({ payTo: env.newMerchant(), asset: env.mint, amount: AMOUNT });
+      const created = await createSponsored(requirements);
+      const expired = signSponsored(created.transaction);
+      env.cluster.mock.expireBlockhashes();
+
+      assertRejected(await verify(expired, requirements), 410, 'expired');
+      assertRejected(await settle(expired, requirements), 410, 'expired');
+
+      const refreshed = await env.facilitator.post('/refresh-sponsored-transaction', {
+        intentId: created.intentId,
+        userPublicKey: env.payer.publicKey.toBase58()
+      });
+      assert.equal(refreshed.status, 200, refreshed.body.error);
+      assert.equal(refreshed.body.intentId, created.intentId);
+      assert.notEqual(refreshed.body.blockhash, created.blockhash);
+
+      const response = await settle(signSponsored(refreshed.body.transaction), requirements);
+      assert.equal(response.status, 200, response.body.message);
+    });
+
+    // A sponsored transaction, signed, and the one it was refreshed into 10 blocks before it expired
+    async function refreshNearExpiry(requirements) {
+      const created = await createSponsored(requirements);
+      const blockHeight = await env.connection.getBlockHeight('confirmed');
+      env.cluster.mock.advance(created.lastValidBlockHeight - blockHeight - 10);
+
+      const refreshed = await env.facilitator.post('/refresh-sponsored-transaction', {
+        intentId: created.intentId,
+        userPublicKey: env.payer.publicKey.toBase58()
+      });
+      assert.equal(refreshed.status, 200, refreshed.body.error);
+      return { replaced: signSponsored(created.transaction), payload: signSponsored(refreshed.body.transaction) };
+    }
+
+    it('settles a refreshed transaction only once the one it replaced expired', async t => {
+      if (!env.cluster.mock) {
+        return t.skip('advancing block heights needs the mock cluster');
+      }
+      const requirements = paymentRequirements({ payTo: env.newMerchant(), asset: env.mint, amount: AMOUNT });
+      const { payload } = await refreshNearExpiry(requirements);
+
+      const early = await settle(payload, requirements);
+      assertRejected(early, 409, 'settlement_in_progress');
+      assert.equal(early.body.retryable, true);
+
+      env.cluster.mock.advance(11);
+      const response = await settle(payload, requirements);
+      assert.equal(response.status, 200, response.body.message);
+    });
+
+    it('rejects a refreshed transaction when the one it replaced landed', async t => {
+      if (!env.cluster.mock) {
+        return t.skip('advancing block heights needs the mock cluster');
+      }
+      const requirements = paymentRequirements({ payTo: env.newMerchant(), asset: env.mint, amount: AMOUNT });
+      const { replaced, payload } = await refreshNearExpiry(requirements);
+      await env.connection.sendRawTransaction(Buffer.from(replaced.payload.facilitatorTransaction, 'base64'));
+
+      env.cluster.mock.advance(11);
+      assertRejected(await verify(payload, requirements), 409, 'replay');
+      assertRejected(await settle(payload, requirements), 409, 'replay');
+    });
+  });
+
+  it('rejects a payer without enough tokens', async () => {
+    const poorPayer = await fundedKeypair(env.connection, LAMPORTS_PER_SOL);
+    await createTokenAccount(env.connection, env.mintAuthority, env.mint, poorPayer.publicKey);
+    const { payload, requirements } = await minimalPayment({ payer: poorPayer });
+
+    assertRejected(await verify(payload, requirements), 402, 'insufficient_funds');
+    assertRejected(await settle(payload, requirements), 402, 'insufficient_funds');
+  });
+
+  it('rejects a payload that is not a transaction', async () => {
+    const { requirements } = await minimalPayment();
+    const payload = paymentPayload({ signature: 'not-a-signature', transaction: 'bm90IGEgdHJhbnNhY3Rpb24=' });
+
+    assertRejected(await verify(payload, requirements), 400, 'invalid_payload');
+  });
+
+  it('rejects a network the facilitator does not serve', async () => {
+    const { payload, requirements } = await minimalPayment();
+    const mainnetPayload = { ...payload, network: 'solana-mainnet' };
+    const mainnetRequirements = { ...requirements, network: 'solana-mainnet' };
+
+    assert.notEqual(mainnetPayload.network, NETWORK);
+    assertRejected(await verify(mainnetPayload, mainnetRequirements), 400, 'unsupported_network');
+    assertRejected(await settle(mainnetPayload, mainnetRequirements), 400, 'unsupported_network');
+  });
+});
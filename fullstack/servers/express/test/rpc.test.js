@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The pool logs endpoint failures; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { RpcPool, isEndpointError, loadRpcConfig, createConnectionsFromEnv } = require('../facilitator/rpc');
+const { startCluster } = require('./harness/fixtures');
+
+// Nothing listens there, so every call fails with a connection error
+const DEAD_URL = 'http://127.0.0.1:1';
+
+describe('rpc endpoints', () => {
+  let cluster;
+  let directory;
+
+  before(async () => {
+    cluster = await startCluster();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-'));
+  });
+
+  after(async () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    await cluster?.stop();
+  });
+
+  it('reads endpoints from the config file, then from <NETWORK>_RPC_URLS', () => {
+    const file = path.join(directory, 'rpc.json');
+    fs.writeFileSync(file, JSON.stringify({
+      'solana-devnet': { endpoints: [{ url: 'https://devnet.example.com', wsUrl: 'wss://devnet.example.com' }], commitment: 'finalized' },
+      'solana-custom': { endpoints: [{ url: 'https://custom.example.com' }] }
+    }));
+
+    const config = loadRpcConfig({
+      RPC_CONFIG_FILE: file,
+      SOLANA_CUSTOM_RPC_URLS: 'https://a.example.com, https://b.example.com,'
+    });
+
+    assert.deepEqual(config['solana-devnet'].endpoints, [{ url: 'https://devnet.example.com', wsUrl: 'wss://devnet.example.com' }]);
+    assert.equal(config['solana-devnet'].commitment, 'finalized');
+    assert.deepEqual(config['solana-custom'].endpoints, [{ url: 'https://a.example.com' }, { url: 'https://b.example.com' }]);
+    // Networks the file doesn't mention keep their defaults
+    assert.equal(config['solana-localnet'].endpoints[0].url, 'http://127.0.0.1:8899');
+  });
+
+  it('only connects to FACILITATOR_NETWORKS when set', () => {
+    const { connections, pools } = createConnectionsFromEnv({ FACILITATOR_NETWORKS: 'solana-localnet', RPC_STRATEGY: 'round-robin' });
+    Object.values(pools).forEach(pool => pool.close());
+
+    assert.deepEqual(Object.keys(connections), ['solana-localnet']);
+    assert.equal(pools['solana-localnet'].status().strategy, 'round-robin');
+    assert.throws(() => createConnectionsFromEnv({ FACILITATOR_NETWORKS: 'solana-unknown' }), /No RPC endpoints configured for solana-unknown/);
+  });
+
+  it('fails over to the next endpoint and reports health without API keys', async () => {
+    const pool = new RpcPool('solana-localnet', {
+      endpoints: [{ url: `${DEAD_URL}/?api-key=secret` }, { url: cluster.url }],
+      healthCheckIntervalMs: 0
+    });
+
+    assert.equal(typeof await pool.connection().getSlot(), 'number');
+
+    const [dead, live] = pool.status().endpoints;
+    assert.deepEqual({ url: dead.url, healthy: dead.healthy, failures: dead.failures }, { url: DEAD_URL, healthy: false, failures: 1 });
+    assert.equal(live.healthy, true);
+
+    // Later calls start at the healthy endpoint
+    await pool.connection().getSlot();
+    assert.equal(pool.status().endpoints[0].failures, 1);
+  });
+
+  it('marks an endpoint healthy again once its health check passes', async () => {
+    const pool = new RpcPool('solana-localnet', { endpoints: [{ url: cluster.url }], healthCheckIntervalMs: 0 });
+    pool.markUnhealthy(pool.endpoints[0], new Error('503 Service Unavailable'));
+    assert.equal(pool.status().endpoints[0].healthy, false);
+
+    await pool.checkHealth();
+    assert.deepEqual(pool.status().endpoints[0], { url: new URL(cluster.url).origin, healthy: true, failures: 0, lastError: null });
+  });
+
+  it('only fails over on errors of the endpoint itself', () => {
+    assert.equal(isEndpointError(new Error('fetch failed')), true);
+    assert.equal(isEndpointError(new Error('429 Too Many Requests')), true);
+    assert.equal(isEndpointError(Object.assign(new Error('node is behind'), { name: 'SolanaJSONRPCError', code: -32005 })), true);
+    assert.equal(isEndpointError(Object.assign(new Error('invalid param'), { name: 'SolanaJSONRPCError', code: -32602 })), false);
+    assert.equal(isEndpointError(Object.assign(new Error('socket hang up'), { name: 'SendTransactionError' })), false);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { AccessSessions, SessionStore } = require('../paywall/sessions');
+
+const PAYER = '7bqbpTQT73DsPRnrhVtiTZciYKLKCQka8aBYQvWYFDyD';
+
+describe('access sessions', () => {
+  let clock;
+  let sessions;
+  let payments;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    clock = Date.now();
+    sessions = new AccessSessions({ secret: 'test-secret', store: new SessionStore({ now: () => clock }) });
+    payments = 0;
+
+    // Stands in for the x402 payment middleware: an X-PAYMENT header pays, like a settled payment would
+    const paywall = (req, res, next) => {
+      if (!req.get('X-PAYMENT')) {
+        return res.status(402).json({ error: 'Payment required' });
+      }
+      payments++;
+      res.setHeader('X-PAYMENT-RESPONSE', Buffer.from(JSON.stringify({
+        success: true,
+        payer: PAYER,
+        transaction: `tx-${payments}`
+      })).toString('base64'));
+      next();
+    };
+
+    const app = express();
+    app.use('/api/premium', sessions.protect(paywall, { durationSeconds: 60, maxRequests: 3 }));
+    app.get('/api/premium/data', (req, res) => res.json({ session: req.accessSession?.id ?? null }));
+    app.use('/api/other', sessions.protect(paywall, { durationSeconds: 60 }));
+    app.get('/api/other', (req, res) => res.json({ ok: true }));
+    app.post('/sessions/logout', sessions.revokeHandler());
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function get(path, headers = {}) {
+    return fetch(baseUrl + path, { headers });
+  }
+
+  async function pay() {
+    const response = await get('/api/premium/data', { 'X-PAYMENT': 'paid' });
+    assert.equal(response.status, 200);
+    return {
+      token: response.headers.get('X-ACCESS-TOKEN'),
+      cookie: response.headers.get('Set-Cookie')
+    };
+  }
+
+  it('grants a session after one payment, as a cookie or a bearer token', async () => {
+    const paidBefore = payments;
+    const { token, cookie } = await pay();
+
+    assert.match(cookie, /^x402-session=[^;]+; Path=\/api\/premium; Max-Age=60; HttpOnly; SameSite=Lax$/);
+    const withCookie = await get('/api/premium/data', { Cookie: cookie.split(';')[0] });
+    assert.equal(withCookie.status, 200);
+    assert.ok((await withCookie.json()).session);
+
+    const withBearer = await get('/api/premium/data', { Authorization: `Bearer ${token}` });
+    assert.equal(withBearer.status, 200);
+    assert.equal(payments, paidBefore + 1);
+
+    // The session is bound to the route it was paid for
+    assert.equal((await get('/api/other', { Authorization: `Bearer ${token}` })).status, 402);
+  });
+
+  it('ends a session after its request limit or duration', async () => {
+    const limited = await pay();
+    const bearer = { Authorization: `Bearer ${limited.token}` };
+    // The paid request counts as the first of three
+    assert.equal((await get('/api/premium/data', bearer)).status, 200);
+    assert.equal((await get('/api/premium/data', bearer)).status, 200);
+    assert.equal((await get('/api/premium/data', bearer)).status, 402);
+
+    const timed = await pay();
+    clock += 61000;
+    assert.equal((await get('/api/premium/data', { Authorization: `Bearer ${timed.token}` })).status, 402);
+    assert.equal(sessions.verify(timed.token, '/api/premium').reason, 'expired');
+  });
+
+  it('enforces revocation and rejects forged tokens on the server', async () => {
+    const { token } = await pay();
+    const bearer = { Authorization: `Bearer ${token}` };
+
+    const [payload] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    const widened = Buffer.from(JSON.stringify({ ...claims, scope: '/api/other' })).toString('base64url');
+    assert.equal(sessions.verify(`${widened}.${token.split('.')[1]}`, '/api/other').reason, 'invalid_signature');
+
+    const logout = await fetch(`${baseUrl}/sessions/logout`, { method: 'POST', headers: bearer });
+    assert.deepEqual(await logout.json(), { revoked: true });
+    assert.equal((await get('/api/premium/data', bearer)).status, 402);
+
+    const other = await pay();
+    assert.ok(sessions.store.revokePayer(PAYER) >= 1);
+    assert.equal(sessions.verify(other.token, '/api/premium').reason, 'revoked');
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The queue logs every state change; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { SettlementQueue } = require('../facilitator/settlement-queue');
+
+// A connection whose signature status the test sets, counting re-broadcasts
+function fakeConnection() {
+  return {
+    status: null,
+    broadcasts: 0,
+    async getSignatureStatus() {
+      return { value: this.status };
+    },
+    async sendRawTransaction() {
+      this.broadcasts += 1;
+    },
+    async getTransaction() {
+      return { slot: 42, blockTime: 1767225600, meta: { fee: 5000 } };
+    }
+  };
+}
+
+describe('settlement queue', () => {
+  // Ticks are driven by the tests, the timer never gets to run
+  const newQueue = () => new SettlementQueue({ pollIntervalMs: 60 * 60 * 1000 });
+
+  function enqueue(queue, connection, options = {}) {
+    return queue.enqueue({
+      connection,
+      network: 'solana-localnet',
+      signature: 'sig-1',
+      rawTransaction: Buffer.from('raw'),
+      isExpired: async () => false,
+      details: { payer: 'payer' },
+      ...options
+    });
+  }
+
+  it('re-broadcasts a transaction until it lands, then follows it to finalized', async () => {
+    const queue = newQueue();
+    const connection = fakeConnection();
+    const confirmed = [];
+    queue.addConfirmedListener(async settlement => ({ receipt: `receipt-${settlement.transaction}` }));
+
+    const { id, state } = enqueue(queue, connection, { onConfirmed: settlement => confirmed.push(settlement) });
+    assert.equal(state, 'pending');
+
+    await queue.tick();
+    await queue.tick();
+    assert.equal(connection.broadcasts, 2);
+    assert.equal(queue.get(id).broadcasts, 3);
+
+    connection.status = { err: null, confirmationStatus: 'confirmed' };
+    await queue.tick();
+    const settlement = queue.get(id);
+    assert.deepEqual(
+      [settlement.state, settlement.slot, settlement.fees, settlement.receipt, settlement.payer],
+      ['confirmed', 42, 5000, 'receipt-sig-1', 'payer']
+    );
+    assert.equal(confirmed.length, 1);
+    assert.equal(confirmed[0].receipt, 'receipt-sig-1');
+
+    connection.status = { err: null, confirmationStatus: 'finalized' };
+    await queue.tick();
+    assert.equal(queue.get(id).state, 'finalized');
+    assert.equal(confirmed.length, 1);
+  });
+
+  it('gives up on a transaction once it can no longer land', async () => {
+    const queue = newQueue();
+    const failed = [];
+    const { id } = enqueue(queue, fakeConnection(), { isExpired: async () => true, onFailed: settlement => failed.push(settlement) });
+
+    await queue.tick();
+    assert.deepEqual([queue.get(id).state, queue.get(id).errorReason], ['expired', 'expired']);
+    assert.equal(failed.length, 1);
+  });
+
+  it('reports why a transaction failed on chain', async () => {
+    const queue = newQueue();
+    const connection = fakeConnection();
+    const failed = [];
+    const { id } = enqueue(queue, connection, { programIds: [TOKEN_PROGRAM_ID], onFailed: settlement => failed.push(settlement) });
+
+    connection.status = { err: { InstructionError: [0, { Custom: 1 }] }, confirmationStatus: 'confirmed' };
+    await queue.tick();
+    assert.deepEqual([queue.get(id).state, queue.get(id).errorReason], ['failed', 'insufficient_funds']);
+    assert.equal(failed[0].id, id);
+  });
+
+  it('forgets finished settlements after the retention period', async () => {
+    const queue = new SettlementQueue({ pollIntervalMs: 60 * 60 * 1000, retentionMs: -1 });
+    const connection = fakeConnection();
+    const { id } = enqueue(queue, connection);
+
+    connection.status = { err: null, confirmationStatus: 'finalized' };
+    await queue.tick();
+    assert.equal(queue.get(id).state, 'finalized');
+
+    queue.prune();
+    assert.equal(queue.get(id), null);
+  });
+});
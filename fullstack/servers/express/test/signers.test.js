@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const express = require('express');
+
+const { Connection, Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const {
+  KeypairSigner,
+  RemoteSigner,
+  createSignersFromEnv,
+  encryptKeystore
+} = require('../facilitator/signers');
+const { verifyEd25519 } = require('../facilitator/transactions');
+const { createRemoteSignerStub } = require('../facilitator/remote-signer-stub');
+const { createFacilitator } = require('../facilitator');
+
+const MESSAGE = Buffer.from('message to sign');
+
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('signers', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('unlocks a password-encrypted keystore file', async () => {
+    const keypair = Keypair.generate();
+    const file = path.join(directory, 'keystore.json');
+    fs.writeFileSync(file, JSON.stringify(encryptKeystore(keypair.secretKey, 'correct horse')));
+
+    const [signer] = await createSignersFromEnv({ FACILITATOR_KEYSTORE_FILE: file, FACILITATOR_KEYSTORE_PASSWORD: 'correct horse' });
+    assert.deepEqual(signer.toJSON(), { source: 'keystore', publicKey: keypair.publicKey.toBase58(), ephemeral: false });
+    assert.ok(verifyEd25519(MESSAGE, await signer.sign(MESSAGE), keypair.publicKey));
+
+    await assert.rejects(createSignersFromEnv({ FACILITATOR_KEYSTORE_FILE: file, FACILITATOR_KEYSTORE_PASSWORD: 'wrong' }), /wrong password/);
+    await assert.rejects(createSignersFromEnv({ FACILITATOR_KEYSTORE_FILE: file }), /FACILITATOR_KEYSTORE_PASSWORD is required/);
+  });
+
+  it('loads Solana CLI keypair files and base58 keys, and never a broken one', async () => {
+    const fromFile = Keypair.generate();
+    const fromEnv = Keypair.generate();
+    const file = path.join(directory, 'id.json');
+    fs.writeFileSync(file, JSON.stringify([...fromFile.secretKey]));
+
+    const signers = await createSignersFromEnv({ FACILITATOR_KEYPAIR_FILE: file, FACILITATOR_PRIVATE_KEY: bs58.encode(fromEnv.secretKey) });
+    assert.deepEqual(
+      signers.map(signer => [signer.source, signer.publicKey.toBase58()]),
+      [['keypair-file', fromFile.publicKey.toBase58()], ['env', fromEnv.publicKey.toBase58()]]
+    );
+
+    await assert.rejects(createSignersFromEnv({ FACILITATOR_PRIVATE_KEY: 'not-a-key' }), /entry 1 is not a valid base58 secret key/);
+  });
+
+  it('keeps secret keys out of logs', async () => {
+    const keypair = Keypair.generate();
+    const signer = new KeypairSigner(keypair, { source: 'test' });
+    const secret = bs58.encode(keypair.secretKey);
+
+    for (const shown of [JSON.stringify(signer), util.inspect(signer), util.inspect({ signer }, { depth: 5 })]) {
+      assert.ok(!shown.includes(secret), shown);
+      assert.ok(!shown.includes(String([...keypair.secretKey])), shown);
+    }
+  });
+
+  it('signs through a remote signer and checks what it returns', async () => {
+    const keypair = Keypair.generate();
+    const stub = await listen(createRemoteSignerStub(new KeypairSigner(keypair, { source: 'stub' }), { token: 'secret-token' }));
+    // A signer that answers with a signature that doesn't verify
+    const impostor = await listen(express().post('/sign', (req, res) => res.json({ signature: Buffer.alloc(64, 1).toString('base64') })));
+
+    try {
+      const [signer] = await createSignersFromEnv({ REMOTE_SIGNER_URL: `${stub.url}/`, REMOTE_SIGNER_TOKEN: 'secret-token' });
+      assert.equal(signer.publicKey.toBase58(), keypair.publicKey.toBase58());
+      assert.ok(verifyEd25519(MESSAGE, await signer.sign(MESSAGE), keypair.publicKey));
+      assert.deepEqual(signer.toJSON(), { source: 'remote', publicKey: keypair.publicKey.toBase58(), url: stub.url });
+
+      await assert.rejects(RemoteSigner.connect({ url: stub.url, token: 'wrong' }), /answered 401 for \/public-key/);
+
+      const lying = new RemoteSigner({ url: impostor.url, publicKey: keypair.publicKey });
+      await assert.rejects(lying.sign(MESSAGE), /Remote signer returned an invalid signature/);
+    } finally {
+      for (const { server } of [stub, impostor]) {
+        server.closeAllConnections();
+        server.close();
+      }
+    }
+  });
+
+  it('serves test networks only with an ephemeral key', async () => {
+    const [signer] = await createSignersFromEnv({});
+    assert.equal(signer.ephemeral, true);
+
+    const connection = new Connection('http://127.0.0.1:1');
+    assert.throws(
+      () => createFacilitator({ connections: { 'solana-mainnet': connection }, signers: [signer], monitorFeePayers: false }),
+      /Refusing to serve solana-mainnet with an ephemeral facilitator key/
+    );
+  });
+});
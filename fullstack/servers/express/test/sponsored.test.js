@@ -0,0 +1,338 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Keypair, LAMPORTS_PER_SOL, SystemProgram, Transaction, TransactionInstruction } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID, getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const bs58 = require('bs58').default;
+const { KeypairSigner } = require('../facilitator/signers');
+const { SponsoredTransactionStore } = require('../facilitator/sponsored-transactions');
+const { SponsorshipPolicy } = require('../facilitator/sponsorship-policy');
+const { ComputeBudgetPlanner } = require('../facilitator/compute-budget');
+const {
+  deserializeTransaction,
+  getSignatures,
+  isVersioned,
+  serializeTransaction
+} = require('../facilitator/transactions');
+const { createFacilitator } = require('../facilitator');
+const {
+  NETWORK,
+  createMint,
+  createTokenAccount,
+  fundedKeypair,
+  mintTo,
+  paymentPayload,
+  paymentRequirements,
+  startCluster,
+  tokenBalance
+} = require('./harness/fixtures');
+
+const AMOUNT = 1000n;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function deniedWith(code, reason) {
+  return error => error.code === code && error.details.reason === reason && error.details.fallback === 'user_self_broadcast';
+}
+
+describe('sponsored transactions', () => {
+  let cluster;
+  let facilitator;
+  let feePayer;
+  let mintAuthority;
+  let payer;
+  let mint;
+
+  before(async () => {
+    cluster = await startCluster();
+    const { connection } = cluster;
+
+    feePayer = await fundedKeypair(connection, LAMPORTS_PER_SOL);
+    mintAuthority = await fundedKeypair(connection, LAMPORTS_PER_SOL);
+    mint = await createMint(connection, mintAuthority, 6);
+    payer = await fundedKeypair(connection, LAMPORTS_PER_SOL);
+    await mintTo(connection, mintAuthority, mint, await createTokenAccount(connection, mintAuthority, mint, payer.publicKey), AMOUNT * 10n);
+
+    facilitator = createFacilitator({
+      connections: { [NETWORK]: connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      monitorFeePayers: false
+    });
+  });
+
+  after(async () => {
+    facilitator?.close();
+    await cluster?.stop();
+  });
+
+  function sponsor(requirements, options = {}) {
+    return facilitator.createSponsoredTransaction({
+      userPublicKey: payer.publicKey.toBase58(),
+      paymentRequirements: requirements,
+      ...options
+    });
+  }
+
+  // The payer's signature on a sponsored transaction, after change() had its way with it
+  function signSponsored(encoded, change = () => {}) {
+    const transaction = deserializeTransaction(encoded);
+    change(transaction);
+    if (isVersioned(transaction)) {
+      transaction.sign([payer]);
+    } else {
+      transaction.partialSign(payer);
+    }
+
+    const { signature } = getSignatures(transaction).find(({ publicKey }) => publicKey.equals(payer.publicKey));
+    return paymentPayload({
+      userSignature: bs58.encode(signature),
+      facilitatorTransaction: serializeTransaction(transaction).toString('base64'),
+      userPublicKey: payer.publicKey.toBase58()
+    });
+  }
+
+  const request = (payload, requirements) => ({ paymentPayload: payload, paymentRequirements: requirements });
+
+  it('rejects a sponsored transaction changed after it was built', async () => {
+    const requirements = paymentRequirements({ payTo: Keypair.generate().publicKey, asset: mint, amount: AMOUNT });
+    const created = await sponsor(requirements);
+
+    // An extra transfer out of the fee payer, which already signed the original message
+    const payload = signSponsored(created.transaction, transaction => transaction.add(SystemProgram.transfer({
+      fromPubkey: feePayer.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: LAMPORTS_PER_SOL / 10
+    })));
+
+    const verification = await facilitator.verify(request(payload, requirements));
+    assert.equal(verification.invalidReason, 'unknown_sponsored_transaction');
+    const settlement = await facilitator.settle(request(payload, requirements));
+    assert.equal(settlement.errorReason, 'unknown_sponsored_transaction');
+  });
+
+  it('rejects a sponsored transaction calling a program outside the allow-list', async () => {
+    const requirements = paymentRequirements({ payTo: Keypair.generate().publicKey, asset: mint, amount: AMOUNT });
+    const created = await sponsor(requirements);
+
+    const payload = signSponsored(created.transaction, transaction => transaction.add(new TransactionInstruction({
+      programId: Keypair.generate().publicKey,
+      keys: [{ pubkey: feePayer.publicKey, isSigner: true, isWritable: true }],
+      data: Buffer.alloc(0)
+    })));
+
+    assert.equal((await facilitator.verify(request(payload, requirements))).invalidReason, 'program_not_allowed');
+  });
+
+  it('builds, verifies and settles a v0 sponsored transaction', async () => {
+    const payTo = Keypair.generate().publicKey;
+    const requirements = paymentRequirements({ payTo, asset: mint, amount: AMOUNT });
+    const created = await sponsor(requirements, { transactionVersion: 0 });
+    assert.equal(created.transactionVersion, 0);
+
+    const payload = signSponsored(created.transaction);
+    const verification = await facilitator.verify(request(payload, requirements));
+    assert.equal(verification.isValid, true, verification.message);
+
+    const settlement = await facilitator.settle(request(payload, requirements));
+    assert.equal(settlement.success, true, settlement.message);
+    assert.equal(await tokenBalance(cluster.connection, getAssociatedTokenAddressSync(mint, payTo)), AMOUNT);
+  });
+
+  it('pays in a Token-2022 mint, creating the payTo token account once', async () => {
+    const { connection } = cluster;
+    const token2022 = await createMint(connection, mintAuthority, 2, TOKEN_2022_PROGRAM_ID);
+    const payerTokenAccount = await createTokenAccount(connection, mintAuthority, token2022, payer.publicKey, TOKEN_2022_PROGRAM_ID);
+    await mintTo(connection, mintAuthority, token2022, payerTokenAccount, AMOUNT * 10n, TOKEN_2022_PROGRAM_ID);
+
+    const payTo = Keypair.generate().publicKey;
+    const payToTokenAccount = getAssociatedTokenAddressSync(token2022, payTo, true, TOKEN_2022_PROGRAM_ID);
+    const pay = async amount => {
+      const requirements = paymentRequirements({ payTo, asset: token2022, amount });
+      const created = await sponsor(requirements);
+      const settlement = await facilitator.settle(request(signSponsored(created.transaction), requirements));
+      assert.equal(settlement.success, true, settlement.message);
+      return created;
+    };
+
+    // The facilitator pays the new account's rent, and counts it against the sponsorship budget
+    const first = await pay(AMOUNT);
+    assert.equal(first.createsRecipientAccount, true);
+    const rent = await connection.getMinimumBalanceForRentExemption((await connection.getAccountInfo(payToTokenAccount)).data.length);
+    assert.ok(first.sponsoredLamports >= rent, `${first.sponsoredLamports} < ${rent}`);
+
+    const second = await pay(AMOUNT + 1n);
+    assert.equal(second.createsRecipientAccount, false);
+    assert.ok(second.sponsoredLamports < rent);
+
+    assert.equal(await tokenBalance(connection, payToTokenAccount), 2n * AMOUNT + 1n);
+  });
+
+  it('tells when a sponsored transaction expires and refreshes it only close to then', async () => {
+    const requirements = paymentRequirements({ payTo: Keypair.generate().publicKey, asset: mint, amount: AMOUNT });
+    const created = await sponsor(requirements);
+
+    const blockHeight = await cluster.connection.getBlockHeight('confirmed');
+    assert.ok(created.lastValidBlockHeight > blockHeight, `${created.lastValidBlockHeight} <= ${blockHeight}`);
+    assert.ok(Date.parse(created.expiresAt) > Date.now(), created.expiresAt);
+    assert.equal(created.durableNonce, false);
+
+    const refresh = userPublicKey => facilitator.refreshSponsoredTransaction({ intentId: created.intentId, userPublicKey });
+    await assert.rejects(refresh(payer.publicKey.toBase58()), error => error.code === 'refresh_too_early' && Boolean(error.details.expiresAt));
+    await assert.rejects(refresh(Keypair.generate().publicKey.toBase58()), { code: 'unknown_payment_intent' });
+
+    // Without FACILITATOR_NONCE_ACCOUNTS there are no long-lived transactions
+    await assert.rejects(sponsor(requirements, { durableNonce: true }), { code: 'invalid_request', message: /not enabled/ });
+  });
+
+  it('only takes back the transactions it built, for their user and until they expire', async () => {
+    const user = Keypair.generate();
+    const { blockhash } = await cluster.connection.getLatestBlockhash();
+    const transaction = new Transaction({ feePayer: feePayer.publicKey, recentBlockhash: blockhash }).add(
+      SystemProgram.transfer({ fromPubkey: user.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1000 })
+    );
+    transaction.sign(feePayer, user);
+
+    const store = new SponsoredTransactionStore({ maxInstructions: 1 });
+    store.remember(transaction, user.publicKey.toBase58());
+    assert.equal(store.verify(transaction, user.publicKey.toBase58()).isValid, true);
+    assert.equal(store.verify(transaction, payer.publicKey.toBase58()).invalidReason, 'unknown_sponsored_transaction');
+
+    store.remember(transaction, user.publicKey.toBase58(), { ttlMs: -1 });
+    assert.equal(store.verify(transaction, user.publicKey.toBase58()).invalidReason, 'expired');
+
+    transaction.add(SystemProgram.transfer({ fromPubkey: user.publicKey, toPubkey: user.publicKey, lamports: 1 }));
+    assert.throws(() => store.remember(transaction, user.publicKey.toBase58()), /too_many_instructions/);
+  });
+
+  it('charges sponsored transactions to the budget and falls back to self-broadcast past it', async () => {
+    const merchant = Keypair.generate().publicKey;
+    // Budget for one transaction, by the estimate checked before building it
+    const policy = new SponsorshipPolicy({
+      perPayerDailyLamports: LAMPORTS_PER_SOL / 100,
+      estimatedLamportsPerTransaction: LAMPORTS_PER_SOL / 100,
+      allowedPayTo: [merchant.toBase58()]
+    });
+    const limited = createFacilitator({
+      connections: { [NETWORK]: cluster.connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      sponsorshipPolicy: policy,
+      monitorFeePayers: false
+    });
+    const user = payer.publicKey.toBase58();
+    const sponsorFrom = (payTo, amount) => limited.createSponsoredTransaction({
+      userPublicKey: user,
+      paymentRequirements: paymentRequirements({ payTo, asset: mint, amount })
+    });
+
+    try {
+      await assert.rejects(sponsorFrom(Keypair.generate().publicKey, AMOUNT), deniedWith('sponsorship_denied', 'payto_not_allowed'));
+
+      // The first payment to the merchant pays the rent of its token account too
+      assert.equal((await sponsorFrom(merchant, AMOUNT)).success, true);
+      const { sponsorship } = limited.supported({ userPublicKey: user });
+      assert.ok(sponsorship.globalSpentLamports > LAMPORTS_PER_SOL / 1000, String(sponsorship.globalSpentLamports));
+      assert.equal(sponsorship.payerRemainingLamports, policy.perPayerDailyLamports - sponsorship.globalSpentLamports);
+
+      await assert.rejects(sponsorFrom(merchant, AMOUNT + 1n), error => {
+        assert.equal(error.status, 403);
+        return deniedWith('sponsorship_denied', 'payer_budget_exhausted')(error);
+      });
+    } finally {
+      limited.close();
+    }
+  });
+
+  it('prices compute units and reports the priority fee it paid', async () => {
+    const priced = createFacilitator({
+      connections: { [NETWORK]: cluster.connection },
+      signers: [new KeypairSigner(feePayer, { source: 'test' })],
+      computeBudget: new ComputeBudgetPlanner({ strategy: 'fixed', fixedMicroLamports: 10000 }),
+      monitorFeePayers: false
+    });
+    const requirements = paymentRequirements({ payTo: Keypair.generate().publicKey, asset: mint, amount: AMOUNT + 2n });
+
+    try {
+      const created = await priced.createSponsoredTransaction({ userPublicKey: payer.publicKey.toBase58(), paymentRequirements: requirements });
+      const { computeUnitLimit, microLamports, priorityFeeLamports } = created.computeBudget;
+      assert.equal(microLamports, 10000);
+      assert.equal(priorityFeeLamports, Math.ceil(computeUnitLimit * microLamports / 1000000));
+
+      const settlement = await priced.settle(request(signSponsored(created.transaction), requirements));
+      assert.equal(settlement.success, true, settlement.message);
+      assert.equal(settlement.priorityFeeLamports, priorityFeeLamports);
+      assert.equal(priced.supported().sponsorship.globalPriorityFeesLamports, priorityFeeLamports);
+    } finally {
+      priced.close();
+    }
+  });
+
+  it('spreads sponsored transactions over its fee payer keys and settles with any of them', async () => {
+    const second = await fundedKeypair(cluster.connection, LAMPORTS_PER_SOL);
+    const pooled = createFacilitator({
+      connections: { [NETWORK]: cluster.connection },
+      signers: [feePayer, second].map(keypair => new KeypairSigner(keypair, { source: 'test' })),
+      monitorFeePayers: false
+    });
+    const payTo = Keypair.generate().publicKey;
+
+    try {
+      const [exact] = pooled.supported().kinds;
+      assert.deepEqual(exact.feePayers.sort(), [feePayer, second].map(keypair => keypair.publicKey.toBase58()).sort());
+
+      const used = [];
+      for (const amount of [AMOUNT + 3n, AMOUNT + 4n]) {
+        const requirements = paymentRequirements({ payTo, asset: mint, amount });
+        const created = await pooled.createSponsoredTransaction({ userPublicKey: payer.publicKey.toBase58(), paymentRequirements: requirements });
+        used.push(created.facilitatorPublicKey);
+
+        const settlement = await pooled.settle(request(signSponsored(created.transaction), requirements));
+        assert.equal(settlement.success, true, settlement.message);
+      }
+      assert.deepEqual(used.sort(), exact.feePayers);
+    } finally {
+      pooled.close();
+    }
+  });
+});
+
+describe('sponsorship policy', () => {
+  it('rate limits requests per IP and per user for a minute', () => {
+    let now = Date.UTC(2026, 0, 1, 12);
+    const policy = new SponsorshipPolicy({ perIpPerMinute: 2, perUserPerMinute: 1, now: () => now });
+
+    assert.equal(policy.check({ ip: '10.0.0.1', userPublicKey: 'alice' }).allowed, true);
+    assert.equal(policy.check({ ip: '10.0.0.1', userPublicKey: 'alice' }).reason, 'user_rate_limited');
+    assert.equal(policy.check({ ip: '10.0.0.1', userPublicKey: 'bob' }).reason, 'ip_rate_limited');
+    assert.equal(policy.check({ ip: '10.0.0.2', userPublicKey: 'bob' }).allowed, true);
+
+    now += MINUTE_MS;
+    assert.equal(policy.check({ ip: '10.0.0.1', userPublicKey: 'alice' }).allowed, true);
+  });
+
+  it('caps the lamports sponsored per payer and in total, until the next UTC day', () => {
+    let now = Date.UTC(2026, 0, 1, 12);
+    const policy = new SponsorshipPolicy({
+      perPayerDailyLamports: 20000,
+      globalDailyLamports: 30000,
+      estimatedLamportsPerTransaction: 10000,
+      now: () => now
+    });
+
+    policy.record({ userPublicKey: 'alice', lamports: 15000 });
+    assert.equal(policy.check({ userPublicKey: 'alice' }).reason, 'payer_budget_exhausted');
+    assert.equal(policy.check({ userPublicKey: 'bob' }).allowed, true);
+
+    policy.record({ userPublicKey: 'bob', lamports: 10000 });
+    assert.equal(policy.check({ userPublicKey: 'carol' }).reason, 'global_budget_exhausted');
+    assert.equal(policy.hasGlobalBudget(), false);
+    assert.equal(policy.status('bob').payerRemainingLamports, 10000);
+
+    now += DAY_MS;
+    assert.equal(policy.check({ userPublicKey: 'alice' }).allowed, true);
+    assert.equal(policy.status().globalRemainingLamports, 30000);
+    assert.equal(policy.status().resetsAt, new Date(Date.UTC(2026, 0, 3)).toISOString());
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The facilitator logs in-process here; keep the test output readable
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'error';
+
+const { Connection, Keypair } = require('@solana/web3.js');
+const { KeypairSigner } = require('../facilitator/signers');
+const { createFacilitator, createFacilitatorRouter } = require('../facilitator');
+const { validatePayloadClaims } = require('../facilitator/payment-validation');
+const { NETWORK, paymentPayload, paymentRequirements } = require('./harness/fixtures');
+
+// Every request here is rejected before the facilitator talks to the cluster
+const UNREACHABLE_RPC = 'http://127.0.0.1:9';
+
+describe('request validation', () => {
+  let facilitator;
+  let server;
+  let baseUrl;
+  let requirements;
+  let payload;
+
+  before(async () => {
+    facilitator = createFacilitator({
+      connections: { [NETWORK]: new Connection(UNREACHABLE_RPC) },
+      signers: [new KeypairSigner(Keypair.generate(), { source: 'test' })],
+      monitorFeePayers: false
+    });
+
+    const app = express();
+    app.use(createFacilitatorRouter(facilitator));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    requirements = paymentRequirements({ payTo: Keypair.generate().publicKey, asset: 'SOL', amount: 1000 });
+    payload = paymentPayload({ signature: '1'.repeat(64), transaction: 'AAAA' });
+  });
+
+  after(async () => {
+    facilitator?.close();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  async function post(route, body) {
+    const response = await fetch(baseUrl + route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function fields(body) {
+    return body.errors.map(error => error.field);
+  }
+
+  it('answers /settle without a paymentPayload with invalid_request', async () => {
+    const { status, body } = await post('/settle', { paymentRequirements: requirements });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.errorReason, 'invalid_request');
+    assert.equal(body.network, null);
+    assert.deepEqual(body.errors, [{ field: 'paymentPayload', message: 'is required' }]);
+  });
+
+  it('reports every malformed field of a request', async () => {
+    const { status, body } = await post('/verify', {
+      paymentPayload: { ...payload, x402Version: '1', network: undefined },
+      paymentRequirements: { ...requirements, maxAmountRequired: 1000, maxTimeoutSeconds: -1 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.invalidReason, 'invalid_request');
+    assert.deepEqual(fields(body), [
+      'paymentPayload.network',
+      'paymentPayload.x402Version',
+      'paymentRequirements.maxAmountRequired',
+      'paymentRequirements.maxTimeoutSeconds'
+    ]);
+    assert.match(body.message, /paymentPayload\.x402Version must be integer, got string/);
+  });
+
+  it('checks the payload and requirements against the scheme schemas', async () => {
+    const badPayload = await post('/verify', {
+      paymentPayload: paymentPayload({ signature: 'not-a-signature', transaction: 'AAAA' }),
+      paymentRequirements: requirements
+    });
+    assert.equal(badPayload.body.invalidReason, 'invalid_payload');
+    assert.deepEqual(fields(badPayload.body), ['paymentPayload.payload.signature']);
+
+    const { payTo, ...withoutPayTo } = requirements;
+    assert.ok(payTo);
+    const badRequirements = await post('/settle', {
+      paymentPayload: payload,
+      paymentRequirements: { ...withoutPayTo, asset: 'USD' }
+    });
+    assert.equal(badRequirements.status, 400);
+    assert.equal(badRequirements.body.errorReason, 'invalid_payment_requirements');
+    assert.deepEqual(fields(badRequirements.body), ['paymentRequirements.payTo', 'paymentRequirements.asset']);
+  });
+
+  it('rejects payload amounts that are not integers in base units', async () => {
+    for (const amount of ['abc', '1.5', '-1', -1]) {
+      const { status, body } = await post('/verify', {
+        paymentPayload: { ...payload, payload: { ...payload.payload, amount } },
+        paymentRequirements: requirements
+      });
+      assert.equal(status, 400, String(amount));
+      assert.equal(body.invalidReason, 'invalid_payload');
+      assert.deepEqual(fields(body), ['paymentPayload.payload.amount']);
+    }
+
+    // Callers of the validation helpers skip the schema; they get invalid_amount instead of a throw
+    assert.equal(validatePayloadClaims({ amount: 'abc' }, requirements).invalidReason, 'invalid_amount');
+  });
+
+  it('rejects x402 versions and schemes the facilitator does not advertise', async () => {
+    const { kinds } = facilitator.supported();
+    assert.deepEqual(kinds.map(kind => [kind.x402Version, kind.scheme]), [[1, 'exact']]);
+
+    const version = await post('/verify', { x402Version: 2, paymentPayload: payload, paymentRequirements: requirements });
+    assert.equal(version.status, 400);
+    assert.equal(version.body.invalidReason, 'unsupported_x402_version');
+    assert.deepEqual(version.body.x402Versions, [1]);
+
+    const scheme = await post('/verify', {
+      paymentPayload: { ...payload, scheme: 'upto' },
+      paymentRequirements: { ...requirements, scheme: 'upto' }
+    });
+    assert.equal(scheme.body.invalidReason, 'unsupported_scheme');
+  });
+
+  it('rejects a paymentPayload for another scheme or network than its paymentRequirements', async () => {
+    const scheme = await facilitator.verify({
+      paymentPayload: { ...payload, scheme: 'upto' },
+      paymentRequirements: requirements
+    });
+    assert.equal(scheme.invalidReason, 'scheme_mismatch');
+
+    const network = await facilitator.settle({
+      paymentPayload: { ...payload, network: 'solana-devnet' },
+      paymentRequirements: requirements
+    });
+    assert.equal(network.errorReason, 'network_mismatch');
+    assert.match(network.message, /solana-devnet does not match/);
+  });
+
+  it('validates sponsored transaction requests', async () => {
+    const created = await post('/create-sponsored-transaction', {
+      userPublicKey: 'alice',
+      paymentRequirements: requirements,
+      transactionVersion: 1,
+      addressLookupTables: ['not-an-address']
+    });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.errorReason, 'invalid_request');
+    assert.deepEqual(created.body.errors, [
+      { field: 'userPublicKey', message: 'must be a base58 address' },
+      { field: 'transactionVersion', message: 'must be one of "legacy", 0' },
+      { field: 'addressLookupTables[0]', message: 'must be a base58 address' }
+    ]);
+
+    const refreshed = await post('/refresh-sponsored-transaction', { userPublicKey: Keypair.generate().publicKey.toBase58() });
+    assert.equal(refreshed.status, 400);
+    assert.deepEqual(fields(refreshed.body), ['intentId']);
+  });
+
+  it('picks the sponsored transaction requirements from accepts by asset', async () => {
+    const userPublicKey = Keypair.generate().publicKey.toBase58();
+    const usdc = { ...requirements, asset: Keypair.generate().publicKey.toBase58(), maxAmountRequired: '10000' };
+
+    const missing = await post('/create-sponsored-transaction', { userPublicKey });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(fields(missing.body), ['paymentRequirements']);
+
+    const malformed = await post('/create-sponsored-transaction', {
+      userPublicKey,
+      accepts: [requirements, { ...usdc, maxAmountRequired: '0.01' }],
+      asset: 'SOL'
+    });
+    assert.deepEqual(fields(malformed.body), ['accepts[1].maxAmountRequired']);
+
+    for (const asset of [undefined, 'BONK']) {
+      const unpicked = await post('/create-sponsored-transaction', { userPublicKey, accepts: [requirements, usdc], asset });
+      assert.equal(unpicked.status, 400);
+      assert.equal(unpicked.body.errorReason, 'asset_not_accepted');
+      assert.deepEqual(unpicked.body.assets, ['SOL', usdc.asset]);
+    }
+  });
+});